@@ -0,0 +1,42 @@
+// What librarian accounts may change. Reading catalogue, student and fine
+// data only needs a librarian login; each permission guards the changes.
+const PERMISSIONS = {
+  'books:write': 'Add, edit and remove books, copies, digital copies, authors, subjects and series',
+  'circulation:manage': 'Issue, return, renew and mark loans lost or damaged; cancel holds and revoke e-book loans',
+  'students:manage': 'Import students, edit their profiles and block or unblock borrowing',
+  'fines:collect': 'Record fine payments and generate overdue fines',
+  'fines:waive': 'Waive fines and reverse waivers and payments',
+  'suggestions:review': 'Approve, reject and delete book suggestions',
+  'settings:edit': 'Change circulation policies, closures, fine rules, reason codes and courses, and resend emails',
+  'librarians:manage': 'Add staff accounts and assign their roles'
+};
+
+// Permission set for each value of Librarian.role
+const ROLES = {
+  admin: {
+    label: 'Administrator',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  librarian: {
+    label: 'Librarian',
+    permissions: [
+      'books:write',
+      'circulation:manage',
+      'students:manage',
+      'fines:collect',
+      'fines:waive',
+      'suggestions:review'
+    ]
+  },
+  assistant: {
+    label: 'Library Assistant',
+    permissions: [
+      'circulation:manage',
+      'fines:collect'
+    ]
+  }
+};
+
+const permissionsFor = (role) => (ROLES[role] ? ROLES[role].permissions : []);
+
+module.exports = { PERMISSIONS, ROLES, permissionsFor };
@@ -0,0 +1,14 @@
+const path = require('path');
+require('dotenv').config();
+
+// Publicly served files such as cover images, mounted at /uploads
+const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+// Digital copies of books. Never served statically; downloads go through an
+// authenticated route that checks the reader may have the file.
+const digitalDir = process.env.DIGITAL_STORAGE_DIR || path.join(__dirname, '..', 'storage', 'digital');
+
+// Emails written by the file mail transport, one .eml file each
+const mailDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'storage', 'mail');
+
+module.exports = { uploadDir, digitalDir, mailDir };
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { Student, Librarian } = require('../models');
+const SessionService = require('../services/sessionService');
+const { permissionsFor } = require('../config/permissions');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -11,6 +13,12 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens stop working as soon as their session is logged out or revoked
+    const session = await SessionService.findActive(decoded.sid);
+    if (!session || session.user_role !== decoded.role || session.user_id !== decoded.id) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
     
     // Find user based on role
     let user;
@@ -30,6 +38,7 @@ const authenticateToken = async (req, res, next) => {
 
     req.user = user;
     req.userRole = decoded.role;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -52,8 +61,26 @@ const authorizeRoles = (...roles) => {
   };
 };
 
+// Whether the signed-in librarian's role grants a permission. Students have none.
+const hasPermission = (req, permission) =>
+  req.userRole === 'librarian' && permissionsFor(req.user.role).includes(permission);
+
+// Librarians whose role grants every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.every(permission => hasPermission(req, permission))) {
+      return res.status(403).json({ 
+        message: 'Access denied. Insufficient permissions.' 
+      });
+    }
+    next();
+  };
+};
+
 module.exports = {
   authenticateToken,
-  authorizeRoles
+  authorizeRoles,
+  hasPermission,
+  requirePermission
 };
 
@@ -0,0 +1,45 @@
+const rateLimit = require('express-rate-limit');
+
+// Window the auth limits are counted over
+const WINDOW_MINUTES = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES) || 15;
+
+// Requests one address may make to sign-in and recovery endpoints per
+// window. Generous, as a campus often shares one address.
+const PER_IP = parseInt(process.env.AUTH_RATE_LIMIT_PER_IP) || 100;
+
+// Attempts against one email address per window, from any address
+const PER_ACCOUNT = parseInt(process.env.AUTH_RATE_LIMIT_PER_ACCOUNT) || 20;
+
+const tooManyRequests = (req, res, next, options) => {
+  const minutes = Math.ceil(options.windowMs / 60000);
+  res.status(options.statusCode).json({
+    message: `Too many attempts. Please try again in ${minutes} minutes.`
+  });
+};
+
+// Counts are kept in memory, so each server process has its own
+const authLimiter = rateLimit({
+  windowMs: WINDOW_MINUTES * 60 * 1000,
+  limit: PER_IP,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: tooManyRequests
+});
+
+// Keyed by the email in the body, so guessing one account's password, or
+// flooding its inbox with reset links, is slowed however many addresses it
+// comes from. Use after the validators that normalise the email.
+const accountLimiter = rateLimit({
+  windowMs: WINDOW_MINUTES * 60 * 1000,
+  limit: PER_ACCOUNT,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.body.role || 'student'}:${String(req.body.email).toLowerCase()}`,
+  skip: (req) => !req.body || typeof req.body.email !== 'string',
+  handler: tooManyRequests
+});
+
+module.exports = {
+  authLimiter,
+  accountLimiter
+};
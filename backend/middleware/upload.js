@@ -0,0 +1,26 @@
+const multer = require('multer');
+
+// Accept one file held in memory, reporting upload problems such as an
+// oversized file as bad requests rather than server errors
+const uploadSingle = (field, { maxFileSize }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: 1 }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${Math.round(maxFileSize / (1024 * 1024))} MB`
+          : error.message;
+        return res.status(400).json({ message });
+      }
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle
+};
@@ -0,0 +1,44 @@
+const path = require('path');
+const { Umzug, SequelizeStorage } = require('umzug');
+const { sequelize } = require('./config/database');
+
+// sequelize.sync() creates missing tables but never changes existing ones,
+// so columns added since a database was created come from the migrations.
+// Applied migrations are recorded in the SequelizeMeta table.
+const migrator = new Umzug({
+  migrations: {
+    glob: ['migrations/[0-9]*.js', { cwd: __dirname }]
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize }),
+  logger: undefined
+});
+
+// Creates missing tables, then applies pending migrations. Returns the
+// names of the migrations applied.
+const migrate = async () => {
+  await sequelize.sync({ force: false });
+  const applied = await migrator.up();
+  return applied.map((migration) => path.basename(migration.name, '.js'));
+};
+
+module.exports = { migrator, migrate };
+
+// `npm run migrate` upgrades the database without starting the server
+if (require.main === module) {
+  require('./models');
+
+  (async () => {
+    try {
+      const applied = await migrate();
+      console.log(applied.length > 0
+        ? `✅ Applied migrations: ${applied.join(', ')}`
+        : '✅ Database is up to date.');
+    } catch (err) {
+      console.error('❌ Migration failed:', err);
+      process.exitCode = 1;
+    } finally {
+      await sequelize.close();
+    }
+  })();
+}
@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+// Loans record the physical copy that was issued
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'issued_books', {
+      copy_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'book_copies',
+          key: 'id'
+        }
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'issued_books', ['copy_id']);
+  }
+};
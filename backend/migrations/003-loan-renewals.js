@@ -0,0 +1,18 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'issued_books', {
+      renewal_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'issued_books', ['renewal_count']);
+  }
+};
@@ -0,0 +1,19 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+// Existing books stay regular loans
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'books', {
+      loan_type: {
+        type: DataTypes.ENUM('regular', 'reference', 'reserve'),
+        allowNull: false,
+        defaultValue: 'regular'
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'books', ['loan_type']);
+  }
+};
@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+const { changeEnum } = require('./helpers');
+
+module.exports = {
+  // Staff policies never matched a loan, since only students borrow; they
+  // are removed rather than turned into student policies that would apply
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.bulkDelete('circulation_policies', { patron_type: 'staff' });
+    await changeEnum(queryInterface, 'circulation_policies', 'patron_type', {
+      type: DataTypes.ENUM('student'),
+      allowNull: false,
+      defaultValue: 'student'
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await changeEnum(queryInterface, 'circulation_policies', 'patron_type', {
+      type: DataTypes.ENUM('student', 'staff'),
+      allowNull: false,
+      defaultValue: 'student'
+    });
+  }
+};
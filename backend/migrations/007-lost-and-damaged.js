@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns, changeEnum } = require('./helpers');
+
+// Existing fines are overdue fines
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'books', {
+      replacement_cost: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      }
+    });
+
+    await addMissingColumns(queryInterface, 'fines', {
+      fine_type: {
+        type: DataTypes.ENUM('overdue', 'lost', 'damaged'),
+        allowNull: false,
+        defaultValue: 'overdue'
+      },
+      replacement_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      },
+      processing_fee: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      }
+    });
+
+    await changeEnum(queryInterface, 'fines', 'status', {
+      type: DataTypes.ENUM('pending', 'paid', 'waived', 'reversed'),
+      defaultValue: 'pending'
+    });
+
+    await addMissingColumns(queryInterface, 'fine_configs', {
+      default_replacement_cost: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 500.00
+      },
+      processing_fee: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 100.00
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'fine_configs', ['default_replacement_cost', 'processing_fee']);
+    await removeColumns(queryInterface, 'fines', ['fine_type', 'replacement_amount', 'processing_fee']);
+    await removeColumns(queryInterface, 'books', ['replacement_cost']);
+  }
+};
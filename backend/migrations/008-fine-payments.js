@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    const added = await addMissingColumns(queryInterface, 'fines', {
+      amount_paid: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      }
+    });
+
+    // Fines paid before the ledger were paid in full
+    if (added.includes('amount_paid')) {
+      await queryInterface.bulkUpdate('fines', {
+        amount_paid: queryInterface.sequelize.col('amount')
+      }, { status: 'paid' });
+    }
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'fines', ['amount_paid']);
+  }
+};
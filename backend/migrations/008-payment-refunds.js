@@ -0,0 +1,18 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'fine_payments', {
+      type: {
+        type: DataTypes.ENUM('payment', 'refund'),
+        allowNull: false,
+        defaultValue: 'payment'
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'fine_payments', ['type']);
+  }
+};
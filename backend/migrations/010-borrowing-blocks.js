@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'fine_configs', {
+      block_fine_threshold: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        defaultValue: 500.00
+      },
+      block_overdue_items: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 3
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'fine_configs', ['block_fine_threshold', 'block_overdue_items']);
+  }
+};
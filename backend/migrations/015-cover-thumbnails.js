@@ -0,0 +1,18 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+// Covers uploaded earlier have no thumbnail until they are uploaded again
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'books', {
+      cover_thumbnail_path: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'books', ['cover_thumbnail_path']);
+  }
+};
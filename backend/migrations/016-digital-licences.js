@@ -0,0 +1,18 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'books', {
+      digital_licences: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'books', ['digital_licences']);
+  }
+};
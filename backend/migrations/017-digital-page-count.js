@@ -0,0 +1,17 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'books', {
+      digital_page_count: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'books', ['digital_page_count']);
+  }
+};
@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+const { changeEnum } = require('./helpers');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await changeEnum(queryInterface, 'librarians', 'role', {
+      type: DataTypes.ENUM('librarian', 'admin', 'assistant'),
+      defaultValue: 'librarian'
+    });
+  },
+
+  // Assistants become librarians, the closest role that remains
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.bulkUpdate('librarians', { role: 'librarian' }, { role: 'assistant' });
+    await changeEnum(queryInterface, 'librarians', 'role', {
+      type: DataTypes.ENUM('librarian', 'admin'),
+      defaultValue: 'librarian'
+    });
+  }
+};
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+const COLUMNS = {
+  two_factor_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  two_factor_secret: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  two_factor_pending_secret: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  two_factor_backup_codes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  two_factor_last_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'librarians', COLUMNS);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'librarians', Object.keys(COLUMNS));
+  }
+};
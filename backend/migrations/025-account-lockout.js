@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+const COLUMNS = {
+  failed_login_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockout_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await addMissingColumns(queryInterface, 'students', COLUMNS);
+    await addMissingColumns(queryInterface, 'librarians', COLUMNS);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await removeColumns(queryInterface, 'librarians', Object.keys(COLUMNS));
+    await removeColumns(queryInterface, 'students', Object.keys(COLUMNS));
+  }
+};
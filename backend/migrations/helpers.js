@@ -0,0 +1,41 @@
+// Shared by the migrations. sequelize.sync() runs first and creates tables
+// that do not exist yet with every column, so migrations only add what an
+// older table is missing and are safe to run against a new database.
+
+// Adds the columns the table is missing, and returns the names it added
+const addMissingColumns = async (queryInterface, table, columns) => {
+  const existing = await queryInterface.describeTable(table);
+  const added = [];
+
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing[name]) {
+      await queryInterface.addColumn(table, name, definition);
+      added.push(name);
+    }
+  }
+
+  return added;
+};
+
+const removeColumns = async (queryInterface, table, names) => {
+  const existing = await queryInterface.describeTable(table);
+
+  for (const name of names) {
+    if (existing[name]) {
+      await queryInterface.removeColumn(table, name);
+    }
+  }
+};
+
+// SQLite stores ENUMs as text, so only databases that enforce them need
+// the column redefined when a value is added
+const changeEnum = async (queryInterface, table, column, definition) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') return;
+  await queryInterface.changeColumn(table, column, definition);
+};
+
+module.exports = {
+  addMissingColumns,
+  removeColumns,
+  changeEnum
+};
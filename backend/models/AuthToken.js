@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// A single-use link sent by email to reset a password or verify an address.
+// Only a hash of the token is stored.
+const AuthToken = sequelize.define('AuthToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_role: {
+    type: DataTypes.ENUM('student', 'librarian'),
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  purpose: {
+    type: DataTypes.ENUM('password_reset', 'email_verification'),
+    allowNull: false
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Set once the token has been used, or when a newer one replaces it
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'auth_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_role', 'user_id', 'purpose']
+    }
+  ]
+});
+
+module.exports = AuthToken;
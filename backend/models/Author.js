@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// A person or organisation credited on books. Duplicates are merged into one
+// author; the merged record stays behind as an alias of the surviving one.
+const Author = sequelize.define('Author', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Lowercased name without accents or punctuation, used to spot duplicates
+  name_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  // Name as filed, surname first, e.g. "Knuth, Donald E."
+  sort_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  bio: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Set when this record is an alias of another author
+  merged_into_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'authors',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'authors',
+  timestamps: true
+});
+
+module.exports = Author;
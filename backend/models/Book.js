@@ -36,6 +36,11 @@ const Book = sequelize.define('Book', {
     type: DataTypes.STRING(100),
     allowNull: false
   },
+  loan_type: {
+    type: DataTypes.ENUM('regular', 'reference', 'reserve'),
+    allowNull: false,
+    defaultValue: 'regular'
+  },
   course_id: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -44,6 +49,10 @@ const Book = sequelize.define('Book', {
       key: 'id'
     }
   },
+  replacement_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
   total_copies: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -66,10 +75,26 @@ const Book = sequelize.define('Book', {
     type: DataTypes.STRING(255),
     allowNull: true
   },
+  // Pages in a PDF digital copy, when they could be counted on upload
+  digital_page_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // How many students may have the digital copy on loan at once
+  digital_licences: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
   cover_image_path: {
     type: DataTypes.STRING(255),
     allowNull: true
   },
+  // Small JPEG of the cover for lists; null when it could not be generated
+  cover_thumbnail_path: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
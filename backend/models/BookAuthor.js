@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Credit of an author on a book, in the order shown on the title page
+const BookAuthor = sequelize.define('BookAuthor', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  book_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  author_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'authors',
+      key: 'id'
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'book_authors',
+  timestamps: true
+});
+
+module.exports = BookAuthor;
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+const BookCopy = sequelize.define('BookCopy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  book_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  accession_number: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  barcode: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  condition: {
+    type: DataTypes.ENUM('new', 'good', 'fair', 'poor', 'damaged'),
+    defaultValue: 'good'
+  },
+  shelf_location: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('available', 'issued', 'on_hold', 'lost', 'damaged', 'withdrawn'),
+    defaultValue: 'available'
+  },
+  acquired_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'book_copies',
+  timestamps: true
+});
+
+module.exports = BookCopy;
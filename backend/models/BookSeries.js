@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Membership of a book in a series
+const BookSeries = sequelize.define('BookSeries', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  book_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  series_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'series',
+      key: 'id'
+    }
+  },
+  // Volume or part number as printed, e.g. "3" or "IV"
+  volume: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'book_series',
+  timestamps: true
+});
+
+module.exports = BookSeries;
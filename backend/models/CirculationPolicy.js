@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Lending rules for a patron category and item category. A null key matches
+// anything; the most specific matching policy wins.
+const CirculationPolicy = sequelize.define('CirculationPolicy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Only students borrow, so every policy is for students
+  patron_type: {
+    type: DataTypes.ENUM('student'),
+    allowNull: false,
+    defaultValue: 'student'
+  },
+  course_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'courses',
+      key: 'id'
+    }
+  },
+  semester: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  item_category: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  loan_type: {
+    type: DataTypes.ENUM('regular', 'reference', 'reserve'),
+    allowNull: true
+  },
+  is_loanable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  loan_period_days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 14
+  },
+  max_loans: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  max_renewals: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2
+  },
+  fine_rate_per_day: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'circulation_policies',
+  timestamps: true
+});
+
+module.exports = CirculationPolicy;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// A student's loan of a book's digital copy. Each active loan holds one of
+// the book's digital licences until it is returned, revoked or expires.
+const DigitalLoan = sequelize.define('DigitalLoan', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  book_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  issue_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  due_date: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'returned', 'expired', 'revoked'),
+    defaultValue: 'active'
+  },
+  // When the loan stopped giving access, for whatever reason
+  ended_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'digital_loans',
+  timestamps: true
+});
+
+module.exports = DigitalLoan;
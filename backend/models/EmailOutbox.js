@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Emails waiting to be sent, or already tried. Rendered when queued, so a
+// retry sends exactly what was first attempted.
+const EmailOutbox = sequelize.define('EmailOutbox', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  to_address: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  template: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  text_body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  html_body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  message_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notification_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'notifications',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'email_outbox',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'next_attempt_at']
+    }
+  ]
+});
+
+module.exports = EmailOutbox;
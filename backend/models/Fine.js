@@ -23,11 +23,31 @@ const Fine = sequelize.define('Fine', {
       key: 'id'
     }
   },
+  fine_type: {
+    type: DataTypes.ENUM('overdue', 'lost', 'damaged'),
+    allowNull: false,
+    defaultValue: 'overdue'
+  },
   amount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
     defaultValue: 0.00
   },
+  amount_paid: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  // Amount still owed; nothing once waived or reversed
+  balance: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      if (['waived', 'reversed'].includes(this.getDataValue('status'))) {
+        return 0;
+      }
+      return Math.max(0, parseFloat(this.getDataValue('amount') || 0) - parseFloat(this.getDataValue('amount_paid') || 0));
+    }
+  },
   days_overdue: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -38,8 +58,17 @@ const Fine = sequelize.define('Fine', {
     allowNull: false,
     defaultValue: 5.00 // ₹5 per day default fine rate
   },
+  // Breakdown of lost and damaged charges; amount is their sum
+  replacement_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  processing_fee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
   status: {
-    type: DataTypes.ENUM('pending', 'paid', 'waived'),
+    type: DataTypes.ENUM('pending', 'paid', 'waived', 'reversed'),
     defaultValue: 'pending'
   },
   paid_date: {
@@ -21,6 +21,28 @@ const FineConfig = sequelize.define('FineConfig', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true
   },
+  default_replacement_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 500.00
+  },
+  processing_fee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 100.00
+  },
+  // Borrowing is blocked once a student owes more than this; null disables
+  block_fine_threshold: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    defaultValue: 500.00
+  },
+  // Borrowing is blocked while a student has this many overdue loans; null disables
+  block_overdue_items: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 3
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Append-only audit trail of every change to a fine
+const FineEvent = sequelize.define('FineEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  fine_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'fines',
+      key: 'id'
+    }
+  },
+  event_type: {
+    type: DataTypes.ENUM(
+      'created',
+      'assessed',
+      'payment',
+      'payment_reversed',
+      'waived',
+      'waiver_reversed',
+      'reversed'
+    ),
+    allowNull: false
+  },
+  // Librarian who made the change; null for scheduled jobs
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  },
+  old_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  new_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  old_amount_paid: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  new_amount_paid: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  old_status: {
+    type: DataTypes.ENUM('pending', 'paid', 'waived', 'reversed'),
+    allowNull: true
+  },
+  new_status: {
+    type: DataTypes.ENUM('pending', 'paid', 'waived', 'reversed'),
+    allowNull: false
+  },
+  reason_code: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'fine_payments',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'fine_events',
+  timestamps: true,
+  updatedAt: false,
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Fine history cannot be changed');
+    },
+    beforeDestroy: () => {
+      throw new Error('Fine history cannot be deleted');
+    }
+  }
+});
+
+module.exports = FineEvent;
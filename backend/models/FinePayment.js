@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Money collected against one or more of a student's fines
+const FinePayment = sequelize.define('FinePayment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  receipt_number: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    unique: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  // Refunds return money paid towards fines that were later reversed
+  type: {
+    type: DataTypes.ENUM('payment', 'refund'),
+    allowNull: false,
+    defaultValue: 'payment'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.ENUM('cash', 'upi', 'card', 'adjustment'),
+    allowNull: false
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  collected_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  },
+  paid_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('completed', 'reversed'),
+    allowNull: false,
+    defaultValue: 'completed'
+  },
+  reversed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reversed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  },
+  reversal_reason_code: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  }
+}, {
+  tableName: 'fine_payments',
+  timestamps: true
+});
+
+module.exports = FinePayment;
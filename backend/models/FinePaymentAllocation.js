@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// The part of a payment applied to a single fine
+const FinePaymentAllocation = sequelize.define('FinePaymentAllocation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'fine_payments',
+      key: 'id'
+    }
+  },
+  fine_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'fines',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'fine_payment_allocations',
+  timestamps: true
+});
+
+module.exports = FinePaymentAllocation;
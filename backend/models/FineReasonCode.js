@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+const FineReasonCode = sequelize.define('FineReasonCode', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  label: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Which actions may cite this reason: waivers, reversals or both
+  applies_to: {
+    type: DataTypes.ENUM('waiver', 'reversal', 'any'),
+    allowNull: false,
+    defaultValue: 'any'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'fine_reason_codes',
+  timestamps: true
+});
+
+module.exports = FineReasonCode;
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// A bulk CSV/XLSX import of books or students, processed in the background
+const ImportJob = sequelize.define('ImportJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  entity: {
+    type: DataTypes.ENUM('books', 'students'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  // Dry runs validate every row and roll back instead of saving
+  dry_run: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  filename: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  total_rows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  processed_rows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  created_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  updated_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // One entry per data row: { line, key, action, errors }
+  report: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Why the whole job failed, e.g. an unreadable file
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'import_jobs',
+  timestamps: true
+});
+
+module.exports = ImportJob;
@@ -23,6 +23,14 @@ const IssuedBook = sequelize.define('IssuedBook', {
       key: 'id'
     }
   },
+  copy_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'book_copies',
+      key: 'id'
+    }
+  },
   librarian_id: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -44,6 +52,11 @@ const IssuedBook = sequelize.define('IssuedBook', {
     type: DataTypes.DATEONLY,
     allowNull: true
   },
+  renewal_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   fine_amount: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0.00
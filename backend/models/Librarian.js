@@ -42,13 +42,57 @@ const Librarian = sequelize.define('Librarian', {
     allowNull: false,
     defaultValue: DataTypes.NOW
   },
+  // Decides what the librarian may change; see config/permissions.js
   role: {
-    type: DataTypes.ENUM('librarian', 'admin'),
+    type: DataTypes.ENUM('librarian', 'admin', 'assistant'),
     defaultValue: 'librarian'
   },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Sign-in asks for a code from an authenticator app once this is set
+  two_factor_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Base32 TOTP secret shared with the authenticator app
+  two_factor_secret: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // Secret being enrolled; it replaces two_factor_secret once a code from it is confirmed
+  two_factor_pending_secret: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // SHA-256 hashes of the unused one-time backup codes
+  two_factor_backup_codes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  two_factor_last_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Failed sign-ins since the last success or lockout
+  failed_login_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Sign-in is refused until then, after too many failures
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Lockouts in a row without a successful sign-in; each one lasts twice as long
+  lockout_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'librarians',
@@ -72,5 +116,15 @@ Librarian.prototype.checkPassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+// Two-factor secrets and backup codes never leave the server
+Librarian.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.two_factor_secret;
+  delete values.two_factor_pending_secret;
+  delete values.two_factor_backup_codes;
+  delete values.two_factor_last_step;
+  return values;
+};
+
 module.exports = Librarian;
 
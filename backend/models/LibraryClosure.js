@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// A day or range of days the library is shut. Weekly closures repeat on
+// day_of_week (0 = Sunday); one-off closures run from start_date to end_date.
+const LibraryClosure = sequelize.define('LibraryClosure', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  closure_type: {
+    type: DataTypes.ENUM('weekly', 'one_off'),
+    allowNull: false
+  },
+  day_of_week: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 6
+    }
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'library_closures',
+  timestamps: true
+});
+
+module.exports = LibraryClosure;
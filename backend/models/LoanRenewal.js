@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+const LoanRenewal = sequelize.define('LoanRenewal', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  issued_book_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'issued_books',
+      key: 'id'
+    }
+  },
+  renewed_by_role: {
+    type: DataTypes.ENUM('student', 'librarian'),
+    allowNull: false
+  },
+  renewed_by_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  previous_due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  new_due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'loan_renewals',
+  timestamps: true
+});
+
+module.exports = LoanRenewal;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// An in-app notification for one student or librarian, shown under the bell
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  recipient_role: {
+    type: DataTypes.ENUM('student', 'librarian'),
+    allowNull: false
+  },
+  recipient_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Page in the app the notification opens, e.g. /dashboard/fines
+  link: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Scheduled reminders are created once per key, however often the job runs
+  dedupe_key: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    unique: true
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['recipient_role', 'recipient_id', 'read_at']
+    }
+  ]
+});
+
+module.exports = Notification;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Manual borrowing block placed on a student by a librarian
+const PatronBlock = sequelize.define('PatronBlock', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Last day of the block; null blocks until lifted
+  expires_on: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  },
+  lifted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  },
+  lifted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'patron_blocks',
+  timestamps: true
+});
+
+module.exports = PatronBlock;
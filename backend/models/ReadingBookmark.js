@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// A page a student has marked in a book's digital copy, at most one per page
+const ReadingBookmark = sequelize.define('ReadingBookmark', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  book_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  page: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'reading_bookmarks',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['student_id', 'book_id', 'page']
+    }
+  ]
+});
+
+module.exports = ReadingBookmark;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Where a student left off in a book's digital copy. Kept after the loan
+// ends so borrowing again resumes at the same page.
+const ReadingProgress = sequelize.define('ReadingProgress', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  book_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  last_page: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  last_read_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'reading_progress',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['student_id', 'book_id']
+    }
+  ]
+});
+
+module.exports = ReadingProgress;
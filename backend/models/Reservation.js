@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+const Reservation = sequelize.define('Reservation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  book_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'books',
+      key: 'id'
+    }
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  copy_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'book_copies',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'ready', 'fulfilled', 'cancelled', 'expired'),
+    defaultValue: 'waiting'
+  },
+  ready_date: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  pickup_deadline: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  closed_date: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'reservations',
+  timestamps: true
+});
+
+module.exports = Reservation;
@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Library-wide sign-in rules. There is a single row, created the first
+// time an administrator changes a setting.
+const SecurityConfig = sequelize.define('SecurityConfig', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Every librarian must set up two-factor authentication before signing in
+  require_staff_two_factor: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'security_configs',
+  timestamps: true
+});
+
+module.exports = SecurityConfig;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Security log: every sign-in attempt, and accounts locked and unlocked
+const SecurityEvent = sequelize.define('SecurityEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  event: {
+    type: DataTypes.ENUM('login_succeeded', 'login_failed', 'account_locked', 'account_unlocked'),
+    allowNull: false
+  },
+  user_role: {
+    type: DataTypes.ENUM('student', 'librarian'),
+    allowNull: false
+  },
+  // Null when the email does not belong to an account
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Email the attempt was made with
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Why a sign-in failed, e.g. invalid_password or account_locked
+  reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Librarian who unlocked the account
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'librarians',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'security_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['user_role', 'user_id']
+    },
+    {
+      fields: ['email']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = SecurityEvent;
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Named series of books, e.g. "Lecture Notes in Computer Science"
+const Series = sequelize.define('Series', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Lowercased name without accents or punctuation, used to spot duplicates
+  name_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Set when this record is an alias of another series
+  merged_into_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'series',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'series',
+  timestamps: true
+});
+
+module.exports = Series;
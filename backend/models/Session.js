@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// A signed-in browser or device. Access tokens carry the session id, so
+// revoking the session logs that device out straight away.
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_role: {
+    type: DataTypes.ENUM('student', 'librarian'),
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // SHA-256 of the current refresh token; the token itself is only ever in
+  // the httpOnly cookie
+  refresh_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // The token this one replaced. Seeing it again means the old token was
+  // copied, so the whole session is revoked.
+  previous_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // logout, revoked, reuse_detected, deactivated, ...
+  revoked_reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_role', 'user_id', 'revoked_at']
+    },
+    {
+      fields: ['previous_token_hash']
+    }
+  ]
+});
+
+module.exports = Session;
@@ -62,9 +62,39 @@ const Student = sequelize.define('Student', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // Students who register themselves must confirm their email before signing
+  // in. Accounts librarians create or import are trusted.
+  email_verified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
   max_books_allowed: {
     type: DataTypes.INTEGER,
     defaultValue: 5
+  },
+  // Students may turn off notification emails
+  email_notifications: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  // Failed sign-ins since the last success or lockout
+  failed_login_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Sign-in is refused until then, after too many failures
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Lockouts in a row without a successful sign-in; each one lasts twice as long
+  lockout_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'students',
@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require("../config/database").sequelize;
+
+// Subject heading. A book's first subject is its category. Duplicates are
+// merged into one subject; the merged record stays behind as an alias.
+const Subject = sequelize.define('Subject', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Lowercased name without accents or punctuation, used to spot duplicates
+  name_key: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Set when this record is an alias of another subject
+  merged_into_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'subjects',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'subjects',
+  timestamps: true
+});
+
+module.exports = Subject;
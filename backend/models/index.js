@@ -6,6 +6,33 @@ const IssuedBook = require('./IssuedBook');
 const SuggestedBook = require('./SuggestedBook');
 const Course = require('./Course');
 const Fine = require('./Fine'); // Add this line
+const BookCopy = require('./BookCopy');
+const Reservation = require('./Reservation');
+const LoanRenewal = require('./LoanRenewal');
+const FineConfig = require('./FineConfig');
+const CirculationPolicy = require('./CirculationPolicy');
+const LibraryClosure = require('./LibraryClosure');
+const FinePayment = require('./FinePayment');
+const FinePaymentAllocation = require('./FinePaymentAllocation');
+const FineEvent = require('./FineEvent');
+const FineReasonCode = require('./FineReasonCode');
+const PatronBlock = require('./PatronBlock');
+const ImportJob = require('./ImportJob');
+const Author = require('./Author');
+const Subject = require('./Subject');
+const Series = require('./Series');
+const BookAuthor = require('./BookAuthor');
+const BookSubject = require('./BookSubject');
+const BookSeries = require('./BookSeries');
+const DigitalLoan = require('./DigitalLoan');
+const ReadingProgress = require('./ReadingProgress');
+const ReadingBookmark = require('./ReadingBookmark');
+const EmailOutbox = require('./EmailOutbox');
+const Notification = require('./Notification');
+const Session = require('./Session');
+const AuthToken = require('./AuthToken');
+const SecurityConfig = require('./SecurityConfig');
+const SecurityEvent = require('./SecurityEvent');
 
 // Define associations
 Student.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
@@ -14,9 +41,15 @@ Course.hasMany(Student, { foreignKey: 'course_id', as: 'students' });
 Book.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
 Course.hasMany(Book, { foreignKey: 'course_id', as: 'books' });
 
+// Physical copy associations
+BookCopy.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+Book.hasMany(BookCopy, { foreignKey: 'book_id', as: 'copies' });
+
 IssuedBook.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
 IssuedBook.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
 IssuedBook.belongsTo(Librarian, { foreignKey: 'librarian_id', as: 'librarian' });
+IssuedBook.belongsTo(BookCopy, { foreignKey: 'copy_id', as: 'copy' });
+BookCopy.hasMany(IssuedBook, { foreignKey: 'copy_id', as: 'issuedBooks' });
 
 Student.hasMany(IssuedBook, { foreignKey: 'student_id', as: 'issuedBooks' });
 Book.hasMany(IssuedBook, { foreignKey: 'book_id', as: 'issuedBooks' });
@@ -32,6 +65,90 @@ Fine.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
 IssuedBook.hasMany(Fine, { foreignKey: 'issued_book_id', as: 'fines' });
 Student.hasMany(Fine, { foreignKey: 'student_id', as: 'fines' });
 
+// Fine payment ledger associations
+FinePayment.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
+FinePayment.belongsTo(Librarian, { foreignKey: 'collected_by', as: 'collector' });
+FinePayment.hasMany(FinePaymentAllocation, { foreignKey: 'payment_id', as: 'allocations' });
+FinePaymentAllocation.belongsTo(FinePayment, { foreignKey: 'payment_id', as: 'payment' });
+FinePaymentAllocation.belongsTo(Fine, { foreignKey: 'fine_id', as: 'fine' });
+Fine.hasMany(FinePaymentAllocation, { foreignKey: 'fine_id', as: 'allocations' });
+Student.hasMany(FinePayment, { foreignKey: 'student_id', as: 'finePayments' });
+FinePayment.belongsTo(Librarian, { foreignKey: 'reversed_by', as: 'reverser' });
+
+// Fine audit trail associations
+FineEvent.belongsTo(Fine, { foreignKey: 'fine_id', as: 'fine' });
+FineEvent.belongsTo(Librarian, { foreignKey: 'actor_id', as: 'actor' });
+FineEvent.belongsTo(FinePayment, { foreignKey: 'payment_id', as: 'payment' });
+Fine.hasMany(FineEvent, { foreignKey: 'fine_id', as: 'events' });
+
+// Renewal history associations
+LoanRenewal.belongsTo(IssuedBook, { foreignKey: 'issued_book_id', as: 'issuedBook' });
+IssuedBook.hasMany(LoanRenewal, { foreignKey: 'issued_book_id', as: 'renewals' });
+
+// Reservation (hold) associations
+Reservation.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+Reservation.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
+Reservation.belongsTo(BookCopy, { foreignKey: 'copy_id', as: 'copy' });
+Book.hasMany(Reservation, { foreignKey: 'book_id', as: 'reservations' });
+Student.hasMany(Reservation, { foreignKey: 'student_id', as: 'reservations' });
+
+// Digital loan associations
+DigitalLoan.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+DigitalLoan.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
+DigitalLoan.belongsTo(Librarian, { foreignKey: 'revoked_by', as: 'revokedBy' });
+Book.hasMany(DigitalLoan, { foreignKey: 'book_id', as: 'digitalLoans' });
+Student.hasMany(DigitalLoan, { foreignKey: 'student_id', as: 'digitalLoans' });
+
+// Reader associations
+ReadingProgress.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+ReadingProgress.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
+ReadingBookmark.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+ReadingBookmark.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
+
+// Email outbox associations
+EmailOutbox.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
+EmailOutbox.belongsTo(Notification, { foreignKey: 'notification_id', as: 'notification' });
+
+// Circulation policy associations
+CirculationPolicy.belongsTo(Course, { foreignKey: 'course_id', as: 'course' });
+CirculationPolicy.belongsTo(Librarian, { foreignKey: 'updated_by', as: 'updatedBy' });
+
+LibraryClosure.belongsTo(Librarian, { foreignKey: 'created_by', as: 'createdBy' });
+
+// Borrowing block associations
+PatronBlock.belongsTo(Student, { foreignKey: 'student_id', as: 'student' });
+PatronBlock.belongsTo(Librarian, { foreignKey: 'created_by', as: 'createdBy' });
+PatronBlock.belongsTo(Librarian, { foreignKey: 'lifted_by', as: 'liftedBy' });
+Student.hasMany(PatronBlock, { foreignKey: 'student_id', as: 'blocks' });
+
+// Bulk import job associations
+ImportJob.belongsTo(Librarian, { foreignKey: 'created_by', as: 'createdBy' });
+
+// Security log associations
+SecurityEvent.belongsTo(Librarian, { foreignKey: 'actor_id', as: 'actor' });
+
+// Author, subject and series associations
+Book.belongsToMany(Author, { through: BookAuthor, foreignKey: 'book_id', otherKey: 'author_id', as: 'authors' });
+Author.belongsToMany(Book, { through: BookAuthor, foreignKey: 'author_id', otherKey: 'book_id', as: 'books' });
+Book.belongsToMany(Subject, { through: BookSubject, foreignKey: 'book_id', otherKey: 'subject_id', as: 'subjects' });
+Subject.belongsToMany(Book, { through: BookSubject, foreignKey: 'subject_id', otherKey: 'book_id', as: 'books' });
+Book.belongsToMany(Series, { through: BookSeries, foreignKey: 'book_id', otherKey: 'series_id', as: 'series' });
+Series.belongsToMany(Book, { through: BookSeries, foreignKey: 'series_id', otherKey: 'book_id', as: 'books' });
+BookAuthor.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+BookAuthor.belongsTo(Author, { foreignKey: 'author_id', as: 'author' });
+BookSubject.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+BookSubject.belongsTo(Subject, { foreignKey: 'subject_id', as: 'subject' });
+BookSeries.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+BookSeries.belongsTo(Series, { foreignKey: 'series_id', as: 'series' });
+
+// Merged duplicates point at the record that replaced them
+Author.belongsTo(Author, { foreignKey: 'merged_into_id', as: 'mergedInto' });
+Author.hasMany(Author, { foreignKey: 'merged_into_id', as: 'aliases' });
+Subject.belongsTo(Subject, { foreignKey: 'merged_into_id', as: 'mergedInto' });
+Subject.hasMany(Subject, { foreignKey: 'merged_into_id', as: 'aliases' });
+Series.belongsTo(Series, { foreignKey: 'merged_into_id', as: 'mergedInto' });
+Series.hasMany(Series, { foreignKey: 'merged_into_id', as: 'aliases' });
+
 module.exports = {
   sequelize,
   Student,
@@ -40,5 +157,32 @@ module.exports = {
   IssuedBook,
   SuggestedBook,
   Course,
-  Fine // Add this line
+  Fine, // Add this line
+  BookCopy,
+  Reservation,
+  LoanRenewal,
+  FineConfig,
+  CirculationPolicy,
+  LibraryClosure,
+  FinePayment,
+  FinePaymentAllocation,
+  FineEvent,
+  FineReasonCode,
+  PatronBlock,
+  ImportJob,
+  Author,
+  Subject,
+  Series,
+  BookAuthor,
+  BookSubject,
+  BookSeries,
+  DigitalLoan,
+  ReadingProgress,
+  ReadingBookmark,
+  EmailOutbox,
+  Notification,
+  Session,
+  AuthToken,
+  SecurityConfig,
+  SecurityEvent
 };
\ No newline at end of file
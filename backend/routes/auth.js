@@ -1,12 +1,32 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const { Student, Librarian, Course } = require('../models');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const SessionService = require('../services/sessionService');
+const AccountTokenService = require('../services/accountTokenService');
+const TwoFactorService = require('../services/twoFactorService');
+const LoginSecurityService = require('../services/loginSecurityService');
+const { accountLimiter } = require('../middleware/rateLimit');
+const { permissionsFor } = require('../config/permissions');
 
 const router = express.Router();
 
+// User details for the frontend, with the permissions it uses to decide
+// which controls to show. Students have none.
+const userResponse = (user, role) => {
+  const response = user.toJSON();
+  delete response.password;
+  response.permissions = role === 'librarian' ? permissionsFor(user.role) : [];
+  return response;
+};
+
+// Locked accounts are told when they can try again
+const lockedResponse = (res, lockedUntil) => res.status(423).json({
+  message: LoginSecurityService.lockedMessage(lockedUntil),
+  locked_until: lockedUntil
+});
+
 /**
  * @swagger
  * components:
@@ -56,6 +76,24 @@ const router = express.Router();
  *         date_of_birth:
  *           type: string
  *           format: date
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_agent:
+ *           type: string
+ *         ip_address:
+ *           type: string
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: True for the session making the request
  */
 
 /**
@@ -63,6 +101,7 @@ const router = express.Router();
  * /api/auth/login:
  *   post:
  *     summary: Login user (student or librarian)
+ *     description: Returns a short-lived access token and starts a session whose refresh token is set as an httpOnly cookie. Librarians with two-factor authentication, or when the library requires it, get a challenge_token instead and finish at /api/auth/login/2fa.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -84,15 +123,30 @@ const router = express.Router();
  *                   type: string
  *                 user:
  *                   type: object
+ *                 two_factor_required:
+ *                   type: boolean
+ *                   description: A code from the authenticator app is needed
+ *                 two_factor_setup_required:
+ *                   type: boolean
+ *                   description: The librarian must set up two-factor authentication first
+ *                 challenge_token:
+ *                   type: string
  *       400:
  *         description: Invalid credentials
+ *       403:
+ *         description: Student has not verified their email address yet
+ *       423:
+ *         description: Account locked after too many failed attempts
+ *       429:
+ *         description: Too many attempts from this address or against this account
  *       500:
  *         description: Server error
  */
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
-  body('role').isIn(['student', 'librarian'])
+  body('role').isIn(['student', 'librarian']),
+  accountLimiter
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -115,29 +169,57 @@ router.post('/login', [
       user = await Librarian.findOne({ where: { email } });
     }
 
-    if (!user || !user.is_active) {
+    if (!user) {
+      await LoginSecurityService.recordUnknownAccount(email, role, req);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (!user.is_active) {
+      await LoginSecurityService.log('login_failed', role, { user, reason: 'account_inactive', req });
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    if (LoginSecurityService.isLocked(user)) {
+      await LoginSecurityService.log('login_failed', role, { user, reason: 'account_locked', req });
+      return lockedResponse(res, user.locked_until);
+    }
+
     const isPasswordValid = await user.checkPassword(password);
     if (!isPasswordValid) {
+      const lockedUntil = await LoginSecurityService.recordFailure(user, role, req, 'invalid_password');
+      if (lockedUntil) {
+        return lockedResponse(res, lockedUntil);
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { id: user.id, role, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    if (role === 'student' && !user.email_verified) {
+      await LoginSecurityService.log('login_failed', role, { user, reason: 'email_unverified', req });
+      return res.status(403).json({
+        message: 'Please verify your email address before signing in',
+        email_unverified: true
+      });
+    }
 
-    // Remove password from response
-    const userResponse = user.toJSON();
-    delete userResponse.password;
+    if (role === 'librarian' && (user.two_factor_enabled || await TwoFactorService.isRequired())) {
+      return res.json({
+        message: user.two_factor_enabled
+          ? 'Enter the code from your authenticator app'
+          : 'Set up two-factor authentication to continue',
+        two_factor_required: user.two_factor_enabled,
+        two_factor_setup_required: !user.two_factor_enabled,
+        challenge_token: TwoFactorService.signChallenge(user)
+      });
+    }
+
+    await LoginSecurityService.recordSuccess(user, role, req);
+    const { accessToken: token, refreshToken } = await SessionService.create(user, role, req);
+    SessionService.setRefreshCookie(res, refreshToken);
 
     res.json({
       message: 'Login successful',
       token,
-      user: userResponse
+      user: userResponse(user, role)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -145,11 +227,161 @@ router.post('/login', [
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/login/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup during sign-in, for librarians the library requires it of
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New secret and its otpauth:// provisioning URI
+ *       400:
+ *         description: Challenge expired, or two-factor authentication is already set up
+ */
+router.post('/login/2fa/setup', [
+  body('challenge_token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let setup;
+    try {
+      const librarian = await TwoFactorService.readChallenge(req.body.challenge_token);
+      if (librarian.two_factor_enabled) {
+        throw new Error('Two-factor authentication is already set up');
+      }
+      setup = await TwoFactorService.beginSetup(librarian);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json(setup);
+  } catch (error) {
+    console.error('Two-factor login setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Finish a librarian sign-in with an authenticator or backup code
+ *     description: During setup the code confirms the new secret, and the backup codes are returned once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *               - code
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Six-digit code from the authenticator app, or a backup code
+ *     responses:
+ *       200:
+ *         description: Login successful; sets the refresh cookie
+ *       400:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post('/login/2fa', [
+  body('challenge_token').isString().notEmpty(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let librarian;
+    try {
+      librarian = await TwoFactorService.readChallenge(req.body.challenge_token);
+      if (!librarian.two_factor_enabled && !librarian.two_factor_pending_secret) {
+        throw new Error('Set up two-factor authentication first');
+      }
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Wrong codes count towards the lockout like wrong passwords
+    if (LoginSecurityService.isLocked(librarian)) {
+      await LoginSecurityService.log('login_failed', 'librarian', { user: librarian, reason: 'account_locked', req });
+      return lockedResponse(res, librarian.locked_until);
+    }
+
+    let backupCodes, verification;
+    try {
+      if (librarian.two_factor_enabled) {
+        verification = await TwoFactorService.verify(librarian, req.body.code);
+      } else {
+        backupCodes = await TwoFactorService.confirmSetup(librarian, req.body.code);
+      }
+    } catch (error) {
+      const lockedUntil = await LoginSecurityService.recordFailure(librarian, 'librarian', req, 'invalid_two_factor_code');
+      if (lockedUntil) {
+        return lockedResponse(res, lockedUntil);
+      }
+      return res.status(400).json({ message: error.message });
+    }
+
+    await LoginSecurityService.recordSuccess(librarian, 'librarian', req);
+    const { accessToken: token, refreshToken } = await SessionService.create(librarian, 'librarian', req);
+    SessionService.setRefreshCookie(res, refreshToken);
+
+    const response = {
+      message: 'Login successful',
+      token,
+      user: userResponse(librarian, 'librarian')
+    };
+    if (backupCodes) {
+      response.backup_codes = backupCodes;
+    }
+    if (verification && verification.usedBackupCode) {
+      response.backup_codes_remaining = verification.backupCodesRemaining;
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/register/student:
  *   post:
  *     summary: Register a new student
+ *     description: The account can sign in once the student follows the verification link emailed to them
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -159,7 +391,7 @@ router.post('/login', [
  *             $ref: '#/components/schemas/RegisterStudentRequest'
  *     responses:
  *       201:
- *         description: Student registered successfully
+ *         description: Student registered; verification email sent
  *       400:
  *         description: Validation error or student already exists
  *       500:
@@ -212,23 +444,15 @@ router.post('/register/student', [
       semester,
       phone,
       address,
-      date_of_birth
+      date_of_birth,
+      email_verified: false
     });
 
-    const token = jwt.sign(
-      { id: student.id, role: 'student', email: student.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
-
-    // Remove password from response
-    const studentResponse = student.toJSON();
-    delete studentResponse.password;
+    await AccountTokenService.sendVerification(student);
 
     res.status(201).json({
-      message: 'Student registered successfully',
-      token,
-      user: studentResponse
+      message: 'Registration successful. Check your email for a link to verify your address, then sign in.',
+      user: userResponse(student, 'student')
     });
   } catch (error) {
     console.error('Student registration error:', error);
@@ -236,6 +460,202 @@ router.post('/register/student', [
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify a student's email address with the token from the emailed link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified; the student can sign in
+ *       400:
+ *         description: Token invalid, already used or expired
+ */
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    try {
+      await AccountTokenService.verifyEmail(req.body.token);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({ message: 'Email verified. You can now sign in.' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Email a new verification link to an unverified student
+ *     description: Always answers the same way, whether or not the address belongs to an unverified account
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Link sent if the account needs one
+ */
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail(),
+  accountLimiter
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await AccountTokenService.resendVerification(req.body.email);
+
+    res.json({ message: 'If that account still needs verifying, a new link is on its way.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always answers the same way, whether or not the address belongs to an account
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [student, librarian]
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail(),
+  body('role').isIn(['student', 'librarian']),
+  accountLimiter
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await AccountTokenService.requestPasswordReset(req.body.email, req.body.role);
+
+    res.json({ message: 'If an account uses that email, a link to reset the password is on its way.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Choose a new password with the token from the emailed link
+ *     description: The token works once. Every session the user has is signed out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Token invalid, already used or expired, or the password is too short
+ */
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    try {
+      await AccountTokenService.resetPassword(req.body.token, req.body.password);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({ message: 'Password changed. Sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/me:
@@ -253,7 +673,7 @@ router.post('/register/student', [
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     res.json({
-      user: req.user,
+      user: userResponse(req.user, req.userRole),
       role: req.userRole
     });
   } catch (error) {
@@ -262,5 +682,417 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Get a new access token using the refresh cookie
+ *     description: The refresh token is rotated on every call. Presenting a token that has already been replaced revokes the session.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: New access token and the current user
+ *       401:
+ *         description: Missing, invalid, expired or revoked refresh token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    let session, refreshToken;
+    try {
+      ({ session, refreshToken } = await SessionService.rotate(SessionService.readRefreshToken(req), req));
+    } catch (error) {
+      SessionService.clearRefreshCookie(res);
+      return res.status(401).json({ message: error.message });
+    }
+
+    const Model = session.user_role === 'student' ? Student : Librarian;
+    const user = await Model.findByPk(session.user_id, {
+      attributes: { exclude: ['password'] },
+      include: session.user_role === 'student' ? [{ model: Course, as: 'course' }] : []
+    });
+
+    if (!user || !user.is_active) {
+      await SessionService.revoke(session, 'deactivated');
+      SessionService.clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Invalid token or user not active' });
+    }
 
+    SessionService.setRefreshCookie(res, refreshToken);
+    res.json({
+      token: SessionService.signAccessToken(user, session.user_role, session),
+      user: userResponse(user, session.user_role),
+      role: session.user_role
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out, revoking the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await SessionService.revokeAll(req.userRole, req.user.id, {
+      only: req.sessionId,
+      reason: 'logout'
+    });
+    SessionService.clearRefreshCookie(res);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List your active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await SessionService.listActive(req.userRole, req.user.id);
+
+    res.json(sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/revoke-others:
+ *   post:
+ *     summary: Log out every session except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of sessions revoked
+ */
+router.post('/sessions/revoke-others', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeAll(req.userRole, req.user.id, {
+      except: req.sessionId
+    });
+
+    res.json({ message: `Logged out ${revoked} other session(s)`, revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of your sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', [
+  authenticateToken,
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sessionId = parseInt(req.params.id);
+    const revoked = await SessionService.revokeAll(req.userRole, req.user.id, { only: sessionId });
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (sessionId === req.sessionId) {
+      SessionService.clearRefreshCookie(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const twoFactorCode = body('code').isString().trim().notEmpty();
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Your two-factor authentication status (Librarian only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether it is on, whether the library requires it, and how many backup codes are left
+ */
+router.get('/2fa', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    res.json(await TwoFactorService.status(req.user));
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start setting up two-factor authentication (Librarian only)
+ *     description: Returns a new secret and the otpauth:// URI to show as a QR code. Nothing changes until the setup is confirmed with a code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       400:
+ *         description: Two-factor authentication is already on
+ */
+router.post('/2fa/setup', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+
+    res.json(await TwoFactorService.beginSetup(req.user));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm setup with a code from the authenticator app (Librarian only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication turned on; the backup codes are returned once
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post('/2fa/enable', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  twoFactorCode
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let backupCodes;
+    try {
+      backupCodes = await TwoFactorService.confirmSetup(req.user, req.body.code);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Two-factor authentication is on',
+      backup_codes: backupCodes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace your backup codes (Librarian only)
+ *     description: The old codes stop working
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backup codes, returned once
+ *       400:
+ *         description: Invalid code
+ */
+router.post('/2fa/backup-codes', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  twoFactorCode
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let backupCodes;
+    try {
+      backupCodes = await TwoFactorService.regenerateBackupCodes(req.user, req.body.code);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({ backup_codes: backupCodes });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication (Librarian only)
+ *     description: Not allowed while the library requires it for all staff
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication turned off
+ *       400:
+ *         description: Wrong password or code, or two-factor authentication is required
+ */
+router.post('/2fa/disable', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  body('password').isString().notEmpty(),
+  twoFactorCode
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // req.user is loaded without the password hash
+    const librarian = await Librarian.findByPk(req.user.id);
+    if (!await librarian.checkPassword(req.body.password)) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    try {
+      await TwoFactorService.verify(librarian, req.body.code);
+      await TwoFactorService.disable(librarian);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const AuthorityService = require('../services/authorityService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuthorityId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *     AuthorityAliasId:
+ *       in: path
+ *       name: aliasId
+ *       required: true
+ *       schema:
+ *         type: integer
+ *     AuthoritySearch:
+ *       in: query
+ *       name: search
+ *       schema:
+ *         type: string
+ *     AuthorityPage:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         default: 1
+ *     AuthorityLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 50
+ *   requestBodies:
+ *     AuthorityAlias:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ */
+
+// Browse, edit, alias and merge routes shared by authors, subjects and
+// series. What differs between them on a rename or merge lives in
+// AuthorityService; each route file passes its model, the keys its
+// responses use, the longest name allowed and validators for its other
+// fields. Each route file documents its own paths using the parameters
+// described here.
+const createAuthorityRouter = ({ kind, model, label, recordKey, listKey, nameMaxLength, detailValidators }) => {
+  const router = express.Router();
+  const notFound = `${label} not found`;
+  const nameValidator = () => body('name').isLength({ min: 2, max: nameMaxLength }).trim();
+
+  router.get('/', [
+    authenticateToken,
+    query('initial').optional().isLength({ min: 1, max: 1 }),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { search, initial, page = 1, limit = 50 } = req.query;
+
+      const { records, total } = await AuthorityService.list(kind, {
+        search,
+        initial,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        [listKey]: records,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error(`Get ${listKey} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+      const record = await AuthorityService.getWithBooks(kind, req.params.id);
+
+      if (!record) {
+        return res.status(404).json({ message: notFound });
+      }
+
+      res.json(record);
+    } catch (error) {
+      console.error(`Get ${kind} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.post('/', [
+    authenticateToken,
+    requirePermission('books:write'),
+    nameValidator(),
+    ...detailValidators()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let record;
+      try {
+        record = await AuthorityService.create(kind, req.body);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(201).json({
+        message: `${label} added successfully`,
+        [recordKey]: record
+      });
+    } catch (error) {
+      console.error(`Add ${kind} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.put('/:id', [
+    authenticateToken,
+    requirePermission('books:write'),
+    nameValidator().optional(),
+    ...detailValidators()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await model.findByPk(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: notFound });
+      }
+
+      let record;
+      try {
+        record = await AuthorityService.update(kind, existing.id, req.body);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({
+        message: `${label} updated successfully`,
+        [recordKey]: record
+      });
+    } catch (error) {
+      console.error(`Update ${kind} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.post('/:id/aliases', [
+    authenticateToken,
+    requirePermission('books:write'),
+    nameValidator()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await model.findByPk(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: notFound });
+      }
+
+      let alias;
+      try {
+        alias = await AuthorityService.addAlias(kind, existing.id, req.body.name);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(201).json({
+        message: 'Alias added successfully',
+        alias
+      });
+    } catch (error) {
+      console.error(`Add ${kind} alias error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.delete('/:id/aliases/:aliasId', [
+    authenticateToken,
+    requirePermission('books:write')
+  ], async (req, res) => {
+    try {
+      try {
+        await AuthorityService.removeAlias(kind, parseInt(req.params.id), parseInt(req.params.aliasId));
+      } catch (error) {
+        return res.status(404).json({ message: error.message });
+      }
+
+      res.json({ message: 'Alias removed successfully' });
+    } catch (error) {
+      console.error(`Remove ${kind} alias error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.post('/:id/merge', [
+    authenticateToken,
+    requirePermission('books:write'),
+    body('into_id').isInt({ min: 1 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const [source, target] = await Promise.all([
+        model.findByPk(req.params.id),
+        model.findByPk(req.body.into_id)
+      ]);
+      if (!source || !target) {
+        return res.status(404).json({ message: notFound });
+      }
+
+      let result;
+      try {
+        result = await AuthorityService.merge(kind, source.id, target.id);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.json({
+        message: `Merged "${result.source.name}" into "${result.target.name}"`,
+        [recordKey]: result.target,
+        books_moved: result.books_moved
+      });
+    } catch (error) {
+      console.error(`Merge ${kind} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createAuthorityRouter
+};
@@ -0,0 +1,220 @@
+const { body } = require('express-validator');
+const { Author } = require('../models');
+const { createAuthorityRouter } = require('./authorityRouter');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Author:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         sort_name:
+ *           type: string
+ *           description: Name as filed, surname first
+ *         bio:
+ *           type: string
+ *         merged_into_id:
+ *           type: integer
+ *           description: Set when this record is an alias of another author
+ *         book_count:
+ *           type: integer
+ *           description: Active books, in listings
+ */
+
+/**
+ * @swagger
+ * /api/authors:
+ *   get:
+ *     summary: Browse authors
+ *     description: Aliases are left out; a search that matches an alias returns the author it belongs to.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthoritySearch'
+ *       - in: query
+ *         name: initial
+ *         schema:
+ *           type: string
+ *         description: First letter of the sort name (surname)
+ *       - $ref: '#/components/parameters/AuthorityPage'
+ *       - $ref: '#/components/parameters/AuthorityLimit'
+ *     responses:
+ *       200:
+ *         description: Page of authors with their book counts
+ */
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   get:
+ *     summary: Get an author with their aliases and books
+ *     description: An alias id returns the author it was merged into.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     responses:
+ *       200:
+ *         description: Author details, aliases and active books by title
+ *       404:
+ *         description: Author not found
+ */
+
+/**
+ * @swagger
+ * /api/authors:
+ *   post:
+ *     summary: Add an author (Librarian only)
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               sort_name:
+ *                 type: string
+ *                 description: Defaults to the last word of the name first
+ *               bio:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Author added successfully
+ *       400:
+ *         description: Validation error, or the name is already taken
+ */
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   put:
+ *     summary: Update an author (Librarian only)
+ *     description: A new name is copied onto the author text of every book credited to this author.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               sort_name:
+ *                 type: string
+ *                 description: Defaults to the last word of the name first
+ *               bio:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Author updated successfully
+ *       400:
+ *         description: Validation error, the name is already taken, or the author has been merged
+ *       404:
+ *         description: Author not found
+ */
+
+/**
+ * @swagger
+ * /api/authors/{id}/aliases:
+ *   post:
+ *     summary: Add another name for an author (Librarian only)
+ *     description: The alias resolves to this author wherever the name is entered from now on.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AuthorityAlias'
+ *     responses:
+ *       201:
+ *         description: Alias added successfully
+ *       400:
+ *         description: The name already belongs to another author or alias
+ *       404:
+ *         description: Author not found
+ */
+
+/**
+ * @swagger
+ * /api/authors/{id}/aliases/{aliasId}:
+ *   delete:
+ *     summary: Remove an alias (Librarian only)
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *       - $ref: '#/components/parameters/AuthorityAliasId'
+ *     responses:
+ *       200:
+ *         description: Alias removed successfully
+ *       404:
+ *         description: Alias not found
+ */
+
+/**
+ * @swagger
+ * /api/authors/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate into another author (Librarian only)
+ *     description: Books credited to the duplicate are credited to the kept author instead, and the duplicate's name becomes an alias.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *         description: The duplicate to merge away
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - into_id
+ *             properties:
+ *               into_id:
+ *                 type: integer
+ *                 description: The author to keep
+ *     responses:
+ *       200:
+ *         description: Merged; returns the surviving author and how many books moved
+ *       400:
+ *         description: Already merged, or merging into itself
+ *       404:
+ *         description: Author not found
+ */
+
+module.exports = createAuthorityRouter({
+  kind: 'author',
+  model: Author,
+  label: 'Author',
+  recordKey: 'author',
+  listKey: 'authors',
+  nameMaxLength: 255,
+  // The sort name files an author under their surname
+  detailValidators: () => [
+    body('sort_name').optional({ nullable: true }).trim().isLength({ max: 255 }),
+    body('bio').optional({ nullable: true }).trim()
+  ]
+});
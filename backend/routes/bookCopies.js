@@ -0,0 +1,394 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize, BookCopy, Book, IssuedBook, Student } = require('../models');
+const { authenticateToken, authorizeRoles, requirePermission } = require('../middleware/auth');
+const CopyService = require('../services/copyService');
+const ReservationService = require('../services/reservationService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookCopy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         book_id:
+ *           type: integer
+ *         accession_number:
+ *           type: string
+ *         barcode:
+ *           type: string
+ *         condition:
+ *           type: string
+ *           enum: [new, good, fair, poor, damaged]
+ *         shelf_location:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [available, issued, on_hold, lost, damaged, withdrawn]
+ *         acquired_date:
+ *           type: string
+ *           format: date
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/book-copies:
+ *   get:
+ *     summary: Get physical copies (Librarian only)
+ *     tags: [Book Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: book_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by book
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, issued, on_hold, lost, damaged, withdrawn]
+ *         description: Filter by copy status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by barcode or accession number
+ *     responses:
+ *       200:
+ *         description: List of copies
+ */
+router.get('/', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  query('book_id').optional().isInt({ min: 1 }),
+  query('status').optional().isIn(['available', 'issued', 'on_hold', 'lost', 'damaged', 'withdrawn'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { book_id, status, search } = req.query;
+    const whereClause = {};
+
+    if (book_id) whereClause.book_id = book_id;
+    if (status) whereClause.status = status;
+    if (search) {
+      whereClause[Op.or] = [
+        { barcode: { [Op.like]: `%${search}%` } },
+        { accession_number: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const copies = await BookCopy.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: Book,
+          as: 'book',
+          attributes: ['id', 'title', 'author', 'isbn']
+        }
+      ],
+      order: [['accession_number', 'ASC']]
+    });
+
+    res.json(copies);
+  } catch (error) {
+    console.error('Get book copies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/book-copies/barcode/{barcode}:
+ *   get:
+ *     summary: Look up a copy by its barcode (Librarian only)
+ *     tags: [Book Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Copy details with its current loan, if any
+ *       404:
+ *         description: Copy not found
+ */
+router.get('/barcode/:barcode', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    const copy = await BookCopy.findOne({
+      where: { barcode: req.params.barcode },
+      include: [
+        {
+          model: Book,
+          as: 'book',
+          attributes: ['id', 'title', 'author', 'isbn']
+        },
+        {
+          model: IssuedBook,
+          as: 'issuedBooks',
+          where: { status: { [Op.in]: ['issued', 'overdue'] } },
+          required: false,
+          include: [
+            {
+              model: Student,
+              as: 'student',
+              attributes: ['id', 'name', 'student_id']
+            }
+          ]
+        }
+      ]
+    });
+
+    if (!copy) {
+      return res.status(404).json({ message: 'Copy not found' });
+    }
+
+    res.json(copy);
+  } catch (error) {
+    console.error('Get copy by barcode error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/book-copies:
+ *   post:
+ *     summary: Add a physical copy to a book (Librarian only)
+ *     tags: [Book Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - book_id
+ *             properties:
+ *               book_id:
+ *                 type: integer
+ *               barcode:
+ *                 type: string
+ *                 description: Defaults to the generated accession number
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *               shelf_location:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Copy added successfully
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('books:write'),
+  body('book_id').isInt({ min: 1 }),
+  body('barcode').optional().isLength({ min: 3, max: 50 }).trim(),
+  body('condition').optional().isIn(['new', 'good', 'fair', 'poor', 'damaged']),
+  body('shelf_location').optional().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { book_id, barcode, condition, shelf_location, notes } = req.body;
+
+    if (barcode) {
+      const existingCopy = await BookCopy.findOne({ where: { barcode } });
+      if (existingCopy) {
+        return res.status(400).json({ message: 'A copy with this barcode already exists' });
+      }
+    }
+
+    const copy = await sequelize.transaction(async (transaction) => {
+      const book = await Book.findOne({
+        where: { id: book_id, is_active: true },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!book) {
+        return null;
+      }
+
+      await CopyService.ensureCopies(book, { transaction });
+      const [newCopy] = await CopyService.addCopies(book, 1, {
+        barcode,
+        condition,
+        shelf_location,
+        notes
+      }, { transaction });
+      await ReservationService.allocateCopy(newCopy, { transaction });
+      return newCopy;
+    });
+
+    if (!copy) {
+      return res.status(400).json({ message: 'Book not found or inactive' });
+    }
+
+    res.status(201).json({
+      message: 'Copy added successfully',
+      copy
+    });
+  } catch (error) {
+    console.error('Add book copy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/book-copies/{id}:
+ *   put:
+ *     summary: Update a copy's condition, location or status (Librarian only)
+ *     tags: [Book Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *               shelf_location:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [available, lost, damaged, withdrawn]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Copy updated successfully
+ *       400:
+ *         description: Copy is on loan or on hold and its status cannot be changed here
+ *       404:
+ *         description: Copy not found
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('books:write'),
+  body('barcode').optional().isLength({ min: 3, max: 50 }).trim(),
+  body('condition').optional().isIn(['new', 'good', 'fair', 'poor', 'damaged']),
+  body('shelf_location').optional().trim(),
+  body('status').optional().isIn(['available', 'lost', 'damaged', 'withdrawn']),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const existing = await BookCopy.findByPk(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Copy not found' });
+    }
+
+    if (req.body.barcode && req.body.barcode !== existing.barcode) {
+      const existingCopy = await BookCopy.findOne({ where: { barcode: req.body.barcode } });
+      if (existingCopy) {
+        return res.status(400).json({ message: 'A copy with this barcode already exists' });
+      }
+    }
+
+    const allowedUpdates = ['barcode', 'condition', 'shelf_location', 'status', 'notes'];
+    const updateData = {};
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    // Lock the book, then the copy, in the same order as issue and return
+    const result = await sequelize.transaction(async (transaction) => {
+      await Book.findByPk(existing.book_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const copy = await BookCopy.findByPk(existing.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      // Issued and held copies change status through their own workflows only
+      if (req.body.status && copy.status === 'issued') {
+        return { error: 'Copy is currently issued; return it first' };
+      }
+      if (req.body.status && copy.status === 'on_hold') {
+        return { error: 'Copy is set aside for a hold; cancel the hold first' };
+      }
+
+      await copy.update(updateData, { transaction });
+      await ReservationService.allocateCopy(copy, { transaction });
+      await CopyService.syncAvailability(copy.book_id, { transaction });
+      return { copy };
+    });
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    const { copy } = result;
+
+    res.json({
+      message: 'Copy updated successfully',
+      copy
+    });
+  } catch (error) {
+    console.error('Update book copy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
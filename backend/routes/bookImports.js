@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const RecordImportService = require('../services/recordImportService');
+const IsbnService = require('../services/isbnService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Record files are parsed in memory and never written to disk
+const MAX_IMPORT_FILE_SIZE = parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 10 * 1024 * 1024;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportRecord:
+ *       type: object
+ *       properties:
+ *         index:
+ *           type: integer
+ *         book:
+ *           type: object
+ *           description: Title, author, isbn (as ISBN-13), edition, publisher, publication_year, description and category read from the record
+ *         isbn10:
+ *           type: string
+ *         existing:
+ *           type: object
+ *           description: Catalogued book with the same ISBN, if any
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: string
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *         suggested_action:
+ *           type: string
+ *           enum: [create, merge, skip]
+ */
+
+/**
+ * @swagger
+ * /api/book-imports/isbn/{isbn}:
+ *   get:
+ *     summary: Validate an ISBN and convert between ISBN-10 and ISBN-13 (Librarian only)
+ *     tags: [Book Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Whether the check digit is valid, with both forms when it is
+ */
+router.get('/isbn/:isbn', [
+  authenticateToken,
+  requirePermission('books:write')
+], async (req, res) => {
+  try {
+    res.json(IsbnService.validate(req.params.isbn));
+  } catch (error) {
+    console.error('Validate ISBN error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/book-imports/preview:
+ *   post:
+ *     summary: Parse a MARC21, MARCXML or ONIX file without saving (Librarian only)
+ *     description: The format is detected from the file contents. Each record is mapped onto book fields, checked, and matched to any catalogued book with the same ISBN.
+ *     tags: [Book Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               default_category:
+ *                 type: string
+ *                 description: Category for records without a subject heading
+ *     responses:
+ *       200:
+ *         description: Detected format and one entry per record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                   enum: [marc21, marcxml, onix]
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRecord'
+ *       400:
+ *         description: No file, or the file could not be parsed
+ */
+router.post('/preview', [
+  authenticateToken,
+  requirePermission('books:write'),
+  uploadSingle('file', { maxFileSize: MAX_IMPORT_FILE_SIZE })
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    let preview;
+    try {
+      preview = await RecordImportService.preview(req.file.buffer, {
+        defaultCategory: req.body.default_category ? req.body.default_category.trim() : undefined
+      });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({ filename: req.file.originalname, ...preview });
+  } catch (error) {
+    console.error('Preview import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/book-imports/commit:
+ *   post:
+ *     summary: Save previewed records (Librarian only)
+ *     description: New books get their copies created; merges overwrite only the listed fields of the catalogued book with the same ISBN. Nothing is saved if any record fails.
+ *     tags: [Book Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - records
+ *             properties:
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                       enum: [create, merge, skip]
+ *                     book:
+ *                       type: object
+ *                     merge_fields:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     total_copies:
+ *                       type: integer
+ *               course_id:
+ *                 type: integer
+ *               loan_type:
+ *                 type: string
+ *                 enum: [regular, reference, reserve]
+ *               total_copies:
+ *                 type: integer
+ *                 description: Copies for each new book unless the record sets its own
+ *               location:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Counts of books created, merged and skipped
+ *       400:
+ *         description: Validation failed; errors lists each record that cannot be imported
+ */
+router.post('/commit', [
+  authenticateToken,
+  requirePermission('books:write'),
+  body('records').isArray({ min: 1 }),
+  body('records.*.action').isIn(['create', 'merge', 'skip']),
+  body('records.*.merge_fields').optional().isArray(),
+  body('records.*.total_copies').optional().isInt({ min: 1 }),
+  body('course_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('loan_type').optional().isIn(['regular', 'reference', 'reserve']),
+  body('total_copies').optional().isInt({ min: 1 }),
+  body('location').optional({ nullable: true }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { records, course_id, loan_type, total_copies, location } = req.body;
+
+    let result;
+    try {
+      result = await RecordImportService.commit(records, {
+        courseId: course_id ? parseInt(course_id) : null,
+        loanType: loan_type,
+        totalCopies: total_copies ? parseInt(total_copies) : 1,
+        location
+      });
+    } catch (error) {
+      return res.status(400).json({ message: error.message, errors: error.details });
+    }
+
+    res.status(201).json({
+      message: `Imported ${result.created.length} new and updated ${result.merged.length} existing books`,
+      created: result.created.map((book) => ({ id: book.id, title: book.title, isbn: book.isbn })),
+      merged: result.merged.map((book) => ({ id: book.id, title: book.title, isbn: book.isbn })),
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Commit import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,52 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { Op } = require('sequelize');
-const { Book, Course } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { sequelize, Book, BookCopy, Course } = require('../models');
+const { authenticateToken, authorizeRoles, requirePermission } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+const CopyService = require('../services/copyService');
+const ReservationService = require('../services/reservationService');
+const SearchService = require('../services/searchService');
+const AuthorityService = require('../services/authorityService');
+const BulkDataService = require('../services/bulkDataService');
+const SpreadsheetService = require('../services/spreadsheetService');
+const BookFileService = require('../services/bookFileService');
+const DigitalLoanService = require('../services/digitalLoanService');
 
 const router = express.Router();
 
+// Spreadsheets are read in memory and never written to disk
+const MAX_IMPORT_FILE_SIZE = parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 10 * 1024 * 1024;
+
+const MAX_COVER_SIZE = parseInt(process.env.MAX_COVER_SIZE) || 5 * 1024 * 1024;
+const MAX_DIGITAL_COPY_SIZE = parseInt(process.env.MAX_DIGITAL_COPY_SIZE) || 50 * 1024 * 1024;
+
+// Set only through the upload endpoints, never from a book's JSON body
+const FILE_FIELDS = ['cover_image_path', 'cover_thumbnail_path', 'digital_copy_path'];
+
+// Optional author, subject and series lists accepted when adding or editing
+const authorityValidators = [
+  body('authors').optional().isArray({ min: 1 }),
+  body('authors.*').isString().trim().isLength({ min: 2, max: 255 }),
+  body('subjects').optional().isArray({ min: 1 }),
+  body('subjects.*').isString().trim().isLength({ min: 2, max: 100 }),
+  body('series').optional().isArray(),
+  body('series.*.name').isString().trim().isLength({ min: 2, max: 255 }),
+  body('series.*.volume').optional({ nullable: true }).trim().isLength({ max: 20 })
+];
+
+// Replace whichever of a book's author, subject and series lists were sent
+const setAuthorities = async (book, { authors, subjects, series }, { transaction }) => {
+  if (authors) {
+    await AuthorityService.setBookAuthors(book, authors, { transaction });
+  }
+  if (subjects) {
+    await AuthorityService.setBookSubjects(book, subjects, { transaction });
+  }
+  if (series) {
+    await AuthorityService.setBookSeries(book, series, { transaction });
+  }
+};
+
 /**
  * @swagger
  * components:
@@ -19,6 +60,29 @@ const router = express.Router();
  *           type: string
  *         author:
  *           type: string
+ *           description: Authors' names as displayed, kept in step with authors
+ *         authors:
+ *           type: array
+ *           description: Credited authors in order; send names to replace them
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *         subjects:
+ *           type: array
+ *           description: Subject headings, the first being the category; send names to replace them
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *         series:
+ *           $ref: '#/components/schemas/BookSeriesInput'
  *         isbn:
  *           type: string
  *         edition:
@@ -29,6 +93,12 @@ const router = express.Router();
  *           type: integer
  *         category:
  *           type: string
+ *         loan_type:
+ *           type: string
+ *           enum: [regular, reference, reserve]
+ *         replacement_cost:
+ *           type: number
+ *           description: Charged when a copy is lost or damaged
  *         course_id:
  *           type: integer
  *         total_copies:
@@ -39,8 +109,30 @@ const router = express.Router();
  *           type: string
  *         location:
  *           type: string
+ *         cover_image_path:
+ *           type: string
+ *           description: URL path of the uploaded cover, under /uploads
+ *         cover_thumbnail_path:
+ *           type: string
+ *           description: URL path of a small JPEG of the cover
+ *         digital_copy_path:
+ *           type: string
+ *           description: Set when a PDF or EPUB is available from /api/books/{id}/digital-copy
+ *         digital_licences:
+ *           type: integer
+ *           description: How many students may borrow the digital copy at once
  *         is_active:
  *           type: boolean
+ *     BookSeriesInput:
+ *       type: array
+ *       description: Series the book belongs to; replaces any existing series
+ *       items:
+ *         type: object
+ *         properties:
+ *           name:
+ *             type: string
+ *           volume:
+ *             type: string
  */
 
 /**
@@ -56,7 +148,7 @@ const router = express.Router();
  *         name: search
  *         schema:
  *           type: string
- *         description: Search by title or author
+ *         description: Full-text search of title, author, ISBN, category, publisher and description; tolerates typos and word forms
  *       - in: query
  *         name: category
  *         schema:
@@ -68,10 +160,42 @@ const router = express.Router();
  *           type: integer
  *         description: Filter by course
  *       - in: query
+ *         name: publication_year
+ *         schema:
+ *           type: integer
+ *         description: Filter by publication year
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: string
+ *           enum: [available, unavailable]
+ *         description: Filter by whether a copy is on the shelf
+ *       - in: query
+ *         name: author_id
+ *         schema:
+ *           type: integer
+ *         description: Books credited to this author, or to the author it was merged into
+ *       - in: query
+ *         name: subject_id
+ *         schema:
+ *           type: integer
+ *         description: Books filed under this subject, as category or otherwise
+ *       - in: query
+ *         name: series_id
+ *         schema:
+ *           type: integer
+ *         description: Books in this series
+ *       - in: query
  *         name: available_only
  *         schema:
  *           type: boolean
- *         description: Show only available books
+ *         description: Show only available books (same as availability=available)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, title, newest]
+ *         description: Defaults to relevance when searching, otherwise title
  *       - in: query
  *         name: page
  *         schema:
@@ -86,14 +210,21 @@ const router = express.Router();
  *         description: Items per page
  *     responses:
  *       200:
- *         description: List of books
+ *         description: Page of books, with facet counts for category, course, publication_year and availability
  */
 router.get('/', [
   authenticateToken,
+  query('search').optional().isString().isLength({ max: 200 }),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('course_id').optional().isInt({ min: 1 }),
-  query('available_only').optional().isBoolean()
+  query('publication_year').optional().isInt({ min: 1000, max: 9999 }),
+  query('availability').optional().isIn(['available', 'unavailable']),
+  query('author_id').optional().isInt({ min: 1 }),
+  query('subject_id').optional().isInt({ min: 1 }),
+  query('series_id').optional().isInt({ min: 1 }),
+  query('available_only').optional().isBoolean(),
+  query('sort').optional().isIn(['relevance', 'title', 'newest'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -108,53 +239,34 @@ router.get('/', [
       search, 
       category, 
       course_id, 
+      publication_year,
+      availability,
+      author_id,
+      subject_id,
+      series_id,
       available_only, 
+      sort,
       page = 1, 
       limit = 20 
     } = req.query;
 
-    const offset = (page - 1) * limit;
-    const whereClause = { is_active: true };
-
-    // Search functionality
-    if (search) {
-      whereClause[Op.or] = [
-        { title: { [Op.like]: `%${search}%` } },
-        { author: { [Op.like]: `%${search}%` } }
-      ];
-    }
-
-    // Category filter
-    if (category) {
-      whereClause.category = category;
-    }
-
-    // Course filter
-    if (course_id) {
-      whereClause.course_id = course_id;
-    }
-
-    // Available only filter
-    if (available_only === 'true') {
-      whereClause.available_copies = { [Op.gt]: 0 };
-    }
-
-    const { count, rows: books } = await Book.findAndCountAll({
-      where: whereClause,
-      include: [
-        {
-          model: Course,
-          as: 'course',
-          attributes: ['id', 'name', 'code']
-        }
-      ],
-      order: [['title', 'ASC']],
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+    const { books, facets, total: count } = await SearchService.searchCatalog({
+      search,
+      category,
+      courseId: course_id,
+      publicationYear: publication_year,
+      availability: availability || (available_only === 'true' ? 'available' : undefined),
+      authorId: author_id,
+      subjectId: subject_id,
+      seriesId: series_id,
+      sort,
+      page: parseInt(page),
+      limit: parseInt(limit)
     });
 
     res.json({
       books,
+      facets,
       pagination: {
         total: count,
         page: parseInt(page),
@@ -168,6 +280,121 @@ router.get('/', [
   }
 });
 
+/**
+ * @swagger
+ * /api/books/export:
+ *   get:
+ *     summary: Download the catalogue as CSV or XLSX (Librarian only)
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: boolean
+ *         description: Only the header row, as a starting point for an import
+ *     responses:
+ *       200:
+ *         description: Spreadsheet file using the same columns the import reads
+ */
+router.get('/export', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  query('format').optional().isIn(['csv', 'xlsx']),
+  query('template').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const template = req.query.template === 'true';
+    const file = template
+      ? await BulkDataService.template('books', format)
+      : await BulkDataService.exportBooks(format);
+    const filename = template
+      ? `books-template.${format}`
+      : `books-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.setHeader('Content-Type', SpreadsheetService.contentType(format));
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file);
+  } catch (error) {
+    console.error('Export books error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/import:
+ *   post:
+ *     summary: Bulk create or update books from a CSV or XLSX file (Librarian only)
+ *     description: Rows are matched on ISBN (ISBN-10 and ISBN-13 forms match); matching books are updated and blank cells keep their stored value. The file is checked straight away and rows are imported in the background; poll /api/import-jobs/{id} for progress and the per-row report.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Validate every row and report what would change without saving
+ *     responses:
+ *       202:
+ *         description: Import job queued
+ *       400:
+ *         description: No file, or the file could not be read
+ */
+router.post('/import', [
+  authenticateToken,
+  requirePermission('books:write'),
+  uploadSingle('file', { maxFileSize: MAX_IMPORT_FILE_SIZE })
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    let job;
+    try {
+      job = await BulkDataService.startImport('books', req.file, {
+        dryRun: req.body.dry_run === 'true',
+        librarianId: req.user.id
+      });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(202).json({
+      message: job.dry_run ? 'Dry run started' : 'Import started',
+      job
+    });
+  } catch (error) {
+    console.error('Import books error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/books/{id}:
@@ -184,7 +411,7 @@ router.get('/', [
  *           type: integer
  *     responses:
  *       200:
- *         description: Book details
+ *         description: Book details, including its physical copies, authors, subjects and series, and availability counted separately for physical copies and digital licences
  *       404:
  *         description: Book not found
  */
@@ -197,15 +424,32 @@ router.get('/:id', authenticateToken, async (req, res) => {
           model: Course,
           as: 'course',
           attributes: ['id', 'name', 'code']
+        },
+        {
+          model: BookCopy,
+          as: 'copies',
+          attributes: ['id', 'accession_number', 'barcode', 'condition', 'shelf_location', 'status']
         }
-      ]
+      ],
+      order: [[{ model: BookCopy, as: 'copies' }, 'accession_number', 'ASC']]
     });
 
     if (!book) {
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    res.json(book);
+    const authorities = await AuthorityService.forBook(book.id);
+    res.json({
+      ...book.toJSON(),
+      ...authorities,
+      availability: {
+        physical: {
+          total: book.total_copies,
+          available: book.available_copies
+        },
+        digital: await DigitalLoanService.getAvailability(book)
+      }
+    });
   } catch (error) {
     console.error('Get book error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -228,14 +472,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *             type: object
  *             required:
  *               - title
- *               - author
- *               - category
  *               - total_copies
  *             properties:
  *               title:
  *                 type: string
  *               author:
  *                 type: string
+ *                 description: Required unless authors is given; co-authors are separated by commas
+ *               authors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Authors in credited order; replaces author
  *               isbn:
  *                 type: string
  *               edition:
@@ -246,10 +494,26 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                 type: integer
  *               category:
  *                 type: string
+ *                 description: Required unless subjects is given
+ *               subjects:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Subject headings; the first becomes the category
+ *               series:
+ *                 $ref: '#/components/schemas/BookSeriesInput'
+ *               loan_type:
+ *                 type: string
+ *                 enum: [regular, reference, reserve]
+ *               replacement_cost:
+ *                 type: number
  *               course_id:
  *                 type: integer
  *               total_copies:
  *                 type: integer
+ *               digital_licences:
+ *                 type: integer
+ *                 description: Concurrent loans allowed of the digital copy, once one is uploaded
  *               description:
  *                 type: string
  *               location:
@@ -260,11 +524,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
  */
 router.post('/', [
   authenticateToken,
-  authorizeRoles('librarian'),
+  requirePermission('books:write'),
   body('title').isLength({ min: 2 }).trim(),
-  body('author').isLength({ min: 2 }).trim(),
-  body('category').isLength({ min: 2 }).trim(),
+  body('author').if(body('authors').not().exists()).isLength({ min: 2 }).trim(),
+  body('category').if(body('subjects').not().exists()).isLength({ min: 2 }).trim(),
+  ...authorityValidators,
+  body('loan_type').optional().isIn(['regular', 'reference', 'reserve']),
+  body('replacement_cost').optional({ checkFalsy: true }).isFloat({ min: 0 }),
   body('total_copies').isInt({ min: 1 }),
+  body('digital_licences').optional().isInt({ min: 0 }),
   body('publication_year').optional().isInt({ min: 1000, max: new Date().getFullYear() }),
   body('course_id').optional().isInt({ min: 1 })
 ], async (req, res) => {
@@ -277,8 +545,17 @@ router.post('/', [
       });
     }
 
-    const bookData = req.body;
+    const { authors, subjects, series, ...bookData } = req.body;
     bookData.available_copies = bookData.total_copies;
+    FILE_FIELDS.forEach((field) => delete bookData[field]);
+
+    // Lists take the place of the text fields, which are derived from them
+    if (authors) {
+      bookData.author = authors.join(', ');
+    }
+    if (subjects) {
+      bookData.category = subjects[0];
+    }
 
     // Check if course exists (if provided)
     if (bookData.course_id) {
@@ -288,7 +565,13 @@ router.post('/', [
       }
     }
 
-    const book = await Book.create(bookData);
+    // Every copy gets its own accession number and barcode
+    const book = await sequelize.transaction(async (transaction) => {
+      const newBook = await Book.create(bookData, { transaction });
+      await CopyService.addCopies(newBook, bookData.total_copies, {}, { transaction });
+      await setAuthorities(newBook, { authors, subjects, series }, { transaction });
+      return newBook;
+    });
 
     const bookWithCourse = await Book.findByPk(book.id, {
       include: [
@@ -300,9 +583,10 @@ router.post('/', [
       ]
     });
 
+    const authorities = await AuthorityService.forBook(book.id);
     res.status(201).json({
       message: 'Book added successfully',
-      book: bookWithCourse
+      book: { ...bookWithCourse.toJSON(), ...authorities }
     });
   } catch (error) {
     console.error('Add book error:', error);
@@ -338,11 +622,15 @@ router.post('/', [
  */
 router.put('/:id', [
   authenticateToken,
-  authorizeRoles('librarian'),
+  requirePermission('books:write'),
   body('title').optional().isLength({ min: 2 }).trim(),
   body('author').optional().isLength({ min: 2 }).trim(),
   body('category').optional().isLength({ min: 2 }).trim(),
-  body('total_copies').optional().isInt({ min: 1 })
+  ...authorityValidators,
+  body('loan_type').optional().isIn(['regular', 'reference', 'reserve']),
+  body('replacement_cost').optional({ checkFalsy: true }).isFloat({ min: 0 }),
+  body('total_copies').optional().isInt({ min: 1 }),
+  body('digital_licences').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -353,23 +641,46 @@ router.put('/:id', [
       });
     }
 
-    const book = await Book.findOne({
-      where: { id: req.params.id, is_active: true }
-    });
+    const { total_copies, available_copies, authors, subjects, series, ...updateData } = req.body;
+    FILE_FIELDS.forEach((field) => delete updateData[field]);
 
-    if (!book) {
-      return res.status(404).json({ message: 'Book not found' });
-    }
+    // The book row is locked so copy changes cannot race an issue or return
+    const result = await sequelize.transaction(async (transaction) => {
+      const book = await Book.findOne({
+        where: { id: req.params.id, is_active: true },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!book) {
+        return { status: 404, error: 'Book not found' };
+      }
+
+      // Copy counts are derived from copy records: add new copies or withdraw
+      // shelved ones to reach the requested total
+      if (total_copies && parseInt(total_copies) !== book.total_copies) {
+        let newCopies;
+        try {
+          newCopies = await CopyService.setTotalCopies(book, parseInt(total_copies), { transaction });
+        } catch (error) {
+          return { status: 400, error: error.message };
+        }
 
-    const updateData = req.body;
+        for (const copy of newCopies) {
+          await ReservationService.allocateCopy(copy, { transaction });
+        }
+      }
 
-    // If total_copies is being updated, adjust available_copies accordingly
-    if (updateData.total_copies && updateData.total_copies !== book.total_copies) {
-      const issuedCopies = book.total_copies - book.available_copies;
-      updateData.available_copies = Math.max(0, updateData.total_copies - issuedCopies);
+      await book.update(updateData, { transaction });
+      await setAuthorities(book, { authors, subjects, series }, { transaction });
+      return { book };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    await book.update(updateData);
+    const { book } = result;
 
     const updatedBook = await Book.findByPk(book.id, {
       include: [
@@ -381,9 +692,10 @@ router.put('/:id', [
       ]
     });
 
+    const authorities = await AuthorityService.forBook(book.id);
     res.json({
       message: 'Book updated successfully',
-      book: updatedBook
+      book: { ...updatedBook.toJSON(), ...authorities }
     });
   } catch (error) {
     console.error('Update book error:', error);
@@ -413,7 +725,7 @@ router.put('/:id', [
  */
 router.delete('/:id', [
   authenticateToken,
-  authorizeRoles('librarian')
+  requirePermission('books:write')
 ], async (req, res) => {
   try {
     const book = await Book.findOne({
@@ -434,5 +746,271 @@ router.delete('/:id', [
   }
 });
 
+/**
+ * @swagger
+ * /api/books/{id}/cover:
+ *   post:
+ *     summary: Upload a cover image (Librarian only)
+ *     description: JPEG, PNG or WebP. A thumbnail is generated for JPEG and PNG covers. Replaces any existing cover.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cover:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Cover saved
+ *       400:
+ *         description: No file, too large, or not a readable image
+ *       404:
+ *         description: Book not found
+ */
+router.post('/:id/cover', [
+  authenticateToken,
+  requirePermission('books:write'),
+  uploadSingle('cover', { maxFileSize: MAX_COVER_SIZE })
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const book = await Book.findOne({ where: { id: req.params.id, is_active: true } });
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    try {
+      await BookFileService.setCover(book, req.file);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Cover uploaded successfully',
+      book
+    });
+  } catch (error) {
+    console.error('Upload cover error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/cover:
+ *   delete:
+ *     summary: Remove a book's cover image (Librarian only)
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cover removed
+ *       404:
+ *         description: Book not found
+ */
+router.delete('/:id/cover', [
+  authenticateToken,
+  requirePermission('books:write')
+], async (req, res) => {
+  try {
+    const book = await Book.findOne({ where: { id: req.params.id, is_active: true } });
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    await BookFileService.removeCover(book);
+
+    res.json({
+      message: 'Cover removed successfully',
+      book
+    });
+  } catch (error) {
+    console.error('Remove cover error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/digital-copy:
+ *   get:
+ *     summary: Download a book's digital copy
+ *     description: Librarians may download any digital copy; students need a current digital loan of the book (see /api/digital-loans).
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The PDF or EPUB file
+ *       403:
+ *         description: No current digital loan of this book
+ *       404:
+ *         description: Book not found or has no digital copy
+ */
+router.get('/:id/digital-copy', authenticateToken, async (req, res) => {
+  try {
+    const book = await Book.findOne({ where: { id: req.params.id, is_active: true } });
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const digitalCopy = await BookFileService.digitalCopy(book);
+    if (!digitalCopy) {
+      return res.status(404).json({ message: 'This book has no digital copy' });
+    }
+
+    if (!(await BookFileService.canAccessDigitalCopy(book, req.user, req.userRole))) {
+      return res.status(403).json({ message: 'Borrow the digital copy to read this book' });
+    }
+
+    res.setHeader('Content-Type', digitalCopy.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${digitalCopy.filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.sendFile(digitalCopy.path, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Send digital copy error:', error);
+        res.status(500).json({ message: 'Server error' });
+      }
+    });
+  } catch (error) {
+    console.error('Download digital copy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/digital-copy:
+ *   post:
+ *     summary: Upload a PDF or EPUB digital copy (Librarian only)
+ *     description: Replaces any existing digital copy. The file is stored outside the public uploads folder.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Digital copy saved
+ *       400:
+ *         description: No file, too large, or not a PDF or EPUB
+ *       404:
+ *         description: Book not found
+ */
+router.post('/:id/digital-copy', [
+  authenticateToken,
+  requirePermission('books:write'),
+  uploadSingle('file', { maxFileSize: MAX_DIGITAL_COPY_SIZE })
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const book = await Book.findOne({ where: { id: req.params.id, is_active: true } });
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    try {
+      await BookFileService.setDigitalCopy(book, req.file);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Digital copy uploaded successfully',
+      book
+    });
+  } catch (error) {
+    console.error('Upload digital copy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/digital-copy:
+ *   delete:
+ *     summary: Remove a book's digital copy (Librarian only)
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Digital copy removed
+ *       404:
+ *         description: Book not found
+ */
+router.delete('/:id/digital-copy', [
+  authenticateToken,
+  requirePermission('books:write')
+], async (req, res) => {
+  try {
+    const book = await Book.findOne({ where: { id: req.params.id, is_active: true } });
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    await BookFileService.removeDigitalCopy(book);
+
+    res.json({
+      message: 'Digital copy removed successfully',
+      book
+    });
+  } catch (error) {
+    console.error('Remove digital copy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,352 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { CirculationPolicy, Course, Student, Book } = require('../models');
+const { authenticateToken, authorizeRoles, requirePermission } = require('../middleware/auth');
+const CirculationPolicyService = require('../services/circulationPolicyService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CirculationPolicy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         patron_type:
+ *           type: string
+ *           enum: [student]
+ *           description: Only students borrow, so every policy is for students
+ *         course_id:
+ *           type: integer
+ *           description: Null matches every course
+ *         semester:
+ *           type: string
+ *           description: Null matches every semester
+ *         item_category:
+ *           type: string
+ *           description: Book category; null matches every category
+ *         loan_type:
+ *           type: string
+ *           enum: [regular, reference, reserve]
+ *           description: Null matches every loan type
+ *         is_loanable:
+ *           type: boolean
+ *         loan_period_days:
+ *           type: integer
+ *         max_loans:
+ *           type: integer
+ *         max_renewals:
+ *           type: integer
+ *         fine_rate_per_day:
+ *           type: number
+ *           description: Null uses the global fine configuration
+ *         is_active:
+ *           type: boolean
+ */
+
+const policyValidators = [
+  body('patron_type').optional().isIn(['student']),
+  body('course_id').optional({ checkFalsy: true }).isInt({ min: 1 }),
+  body('semester').optional({ checkFalsy: true }).trim(),
+  body('item_category').optional({ checkFalsy: true }).trim(),
+  body('loan_type').optional({ checkFalsy: true }).isIn(['regular', 'reference', 'reserve']),
+  body('is_loanable').optional().isBoolean(),
+  body('loan_period_days').optional().isInt({ min: 1, max: 365 }),
+  body('max_loans').optional().isInt({ min: 0, max: 100 }),
+  body('max_renewals').optional().isInt({ min: 0, max: 20 }),
+  body('fine_rate_per_day').optional({ checkFalsy: true }).isFloat({ min: 0 })
+];
+
+const policyFields = [
+  'name', 'patron_type', 'course_id', 'semester', 'item_category', 'loan_type',
+  'is_loanable', 'loan_period_days', 'max_loans', 'max_renewals', 'fine_rate_per_day'
+];
+
+// Copy the policy fields present in the body, turning blank keys into "match any"
+const pickPolicyData = (data) => {
+  const policyData = {};
+  for (const field of policyFields) {
+    if (data[field] !== undefined) {
+      policyData[field] = data[field] === '' ? null : data[field];
+    }
+  }
+  return policyData;
+};
+
+/**
+ * @swagger
+ * /api/circulation-policies:
+ *   get:
+ *     summary: Get active circulation policies (Librarian only)
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of circulation policies
+ */
+router.get('/', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    const policies = await CirculationPolicy.findAll({
+      where: { is_active: true },
+      include: [
+        {
+          model: Course,
+          as: 'course',
+          attributes: ['id', 'name', 'code']
+        }
+      ],
+      order: [['name', 'ASC']]
+    });
+
+    res.json(policies);
+  } catch (error) {
+    console.error('Get circulation policies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/circulation-policies/resolve:
+ *   get:
+ *     summary: Preview the lending terms for a student and book (Librarian only)
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: student_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: book_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Effective terms and the due date a loan issued today would get
+ *       404:
+ *         description: Student or book not found
+ */
+router.get('/resolve', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  query('student_id').isInt({ min: 1 }),
+  query('book_id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const student = await Student.findByPk(req.query.student_id);
+    const book = await Book.findByPk(req.query.book_id);
+
+    if (!student || !book) {
+      return res.status(404).json({ message: 'Student or book not found' });
+    }
+
+    const terms = await CirculationPolicyService.getTerms(student, book);
+
+    res.json({
+      ...terms,
+      due_date: terms.is_loanable
+        ? await CirculationPolicyService.calculateDueDate(terms.loan_period_days)
+        : null
+    });
+  } catch (error) {
+    console.error('Resolve circulation policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/circulation-policies:
+ *   post:
+ *     summary: Create a circulation policy (Librarian only)
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CirculationPolicy'
+ *     responses:
+ *       201:
+ *         description: Policy created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('settings:edit'),
+  body('name').isLength({ min: 2 }).trim(),
+  ...policyValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policyData = pickPolicyData(req.body);
+
+    if (policyData.course_id) {
+      const course = await Course.findByPk(policyData.course_id);
+      if (!course) {
+        return res.status(400).json({ message: 'Invalid course selected' });
+      }
+    }
+
+    const policy = await CirculationPolicy.create({
+      ...policyData,
+      updated_by: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Circulation policy created successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Create circulation policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/circulation-policies/{id}:
+ *   put:
+ *     summary: Update a circulation policy (Librarian only)
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CirculationPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ *       404:
+ *         description: Policy not found
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('settings:edit'),
+  body('name').optional().isLength({ min: 2 }).trim(),
+  ...policyValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await CirculationPolicy.findOne({
+      where: { id: req.params.id, is_active: true }
+    });
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Circulation policy not found' });
+    }
+
+    const policyData = pickPolicyData(req.body);
+
+    if (policyData.course_id) {
+      const course = await Course.findByPk(policyData.course_id);
+      if (!course) {
+        return res.status(400).json({ message: 'Invalid course selected' });
+      }
+    }
+
+    await policy.update({
+      ...policyData,
+      updated_by: req.user.id
+    });
+
+    res.json({
+      message: 'Circulation policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update circulation policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/circulation-policies/{id}:
+ *   delete:
+ *     summary: Deactivate a circulation policy (Librarian only)
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Policy deactivated successfully
+ *       404:
+ *         description: Policy not found
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requirePermission('settings:edit')
+], async (req, res) => {
+  try {
+    const policy = await CirculationPolicy.findOne({
+      where: { id: req.params.id, is_active: true }
+    });
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Circulation policy not found' });
+    }
+
+    await policy.update({ is_active: false, updated_by: req.user.id });
+
+    res.json({ message: 'Circulation policy deactivated successfully' });
+  } catch (error) {
+    console.error('Delete circulation policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { LibraryClosure } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LibraryClosure:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         closure_type:
+ *           type: string
+ *           enum: [weekly, one_off]
+ *         day_of_week:
+ *           type: integer
+ *           description: 0 (Sunday) to 6 (Saturday), for weekly closures
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ */
+
+/**
+ * @swagger
+ * /api/closures:
+ *   get:
+ *     summary: Get the library closure calendar
+ *     tags: [Closures]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Weekly closures followed by one-off closures in date order
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const closures = await LibraryClosure.findAll({
+      where: { is_active: true },
+      order: [
+        ['closure_type', 'DESC'],
+        ['day_of_week', 'ASC'],
+        ['start_date', 'ASC']
+      ]
+    });
+
+    res.json(closures);
+  } catch (error) {
+    console.error('Get closures error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/closures:
+ *   post:
+ *     summary: Add a closure (Librarian only)
+ *     tags: [Closures]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - closure_type
+ *             properties:
+ *               name:
+ *                 type: string
+ *               closure_type:
+ *                 type: string
+ *                 enum: [weekly, one_off]
+ *               day_of_week:
+ *                 type: integer
+ *                 description: Required for weekly closures
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Required for one-off closures
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Last closed day; defaults to start_date
+ *     responses:
+ *       201:
+ *         description: Closure added successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('settings:edit'),
+  body('name').isLength({ min: 2 }).trim(),
+  body('closure_type').isIn(['weekly', 'one_off']),
+  body('day_of_week')
+    .if(body('closure_type').equals('weekly'))
+    .isInt({ min: 0, max: 6 }),
+  body('start_date')
+    .if(body('closure_type').equals('one_off'))
+    .isISO8601(),
+  body('end_date')
+    .if(body('closure_type').equals('one_off'))
+    .optional({ checkFalsy: true })
+    .isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, closure_type, day_of_week, start_date, end_date } = req.body;
+
+    let closureData;
+    if (closure_type === 'weekly') {
+      const existingClosure = await LibraryClosure.findOne({
+        where: { closure_type, day_of_week, is_active: true }
+      });
+
+      if (existingClosure) {
+        return res.status(400).json({ message: 'The library is already closed on this day every week' });
+      }
+
+      closureData = { name, closure_type, day_of_week };
+    } else {
+      if (end_date && end_date < start_date) {
+        return res.status(400).json({ message: 'End date cannot be before start date' });
+      }
+
+      closureData = { name, closure_type, start_date, end_date: end_date || start_date };
+    }
+
+    const closure = await LibraryClosure.create({
+      ...closureData,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Closure added successfully',
+      closure
+    });
+  } catch (error) {
+    console.error('Add closure error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/closures/{id}:
+ *   delete:
+ *     summary: Remove a closure (Librarian only)
+ *     tags: [Closures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Closure removed successfully
+ *       404:
+ *         description: Closure not found
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requirePermission('settings:edit')
+], async (req, res) => {
+  try {
+    const closure = await LibraryClosure.findOne({
+      where: { id: req.params.id, is_active: true }
+    });
+
+    if (!closure) {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+
+    await closure.update({ is_active: false });
+
+    res.json({ message: 'Closure removed successfully' });
+  } catch (error) {
+    console.error('Delete closure error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
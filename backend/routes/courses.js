@@ -2,7 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const { Course } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -92,7 +92,7 @@ router.get('/', async (req, res) => {
  */
 router.post('/', [
   authenticateToken,
-  authorizeRoles('librarian'),
+  requirePermission('settings:edit'),
   body('name').isLength({ min: 2 }).trim(),
   body('code').isLength({ min: 2 }).trim(),
   body('duration_years').optional().isInt({ min: 1, max: 10 })
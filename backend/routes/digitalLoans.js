@@ -0,0 +1,420 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { DigitalLoan, Book, Student, Librarian } = require('../models');
+const { authenticateToken, authorizeRoles, requirePermission, hasPermission } = require('../middleware/auth');
+const DigitalLoanService = require('../services/digitalLoanService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DigitalLoan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         book_id:
+ *           type: integer
+ *         student_id:
+ *           type: integer
+ *         issue_date:
+ *           type: string
+ *           format: date-time
+ *         due_date:
+ *           type: string
+ *           format: date-time
+ *           description: Access stops at this time
+ *         status:
+ *           type: string
+ *           enum: [active, returned, expired, revoked]
+ *         ended_at:
+ *           type: string
+ *           format: date-time
+ *     DigitalAccess:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: Signed path to read or download the file without logging in
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ */
+
+const digitalLoanIncludes = [
+  {
+    model: Book,
+    as: 'book',
+    attributes: ['id', 'title', 'author', 'isbn', 'cover_thumbnail_path', 'digital_copy_path']
+  },
+  {
+    model: Student,
+    as: 'student',
+    attributes: ['id', 'name', 'email', 'student_id']
+  },
+  {
+    model: Librarian,
+    as: 'revokedBy',
+    attributes: ['id', 'name']
+  }
+];
+
+// Students may only use their own loans
+const findOwnLoan = async (req, res) => {
+  const loan = await DigitalLoan.findByPk(req.params.id);
+
+  if (!loan) {
+    res.status(404).json({ message: 'Digital loan not found' });
+    return null;
+  }
+
+  if (req.userRole === 'student' && loan.student_id !== req.user.id) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return loan;
+};
+
+/**
+ * @swagger
+ * /api/digital-loans:
+ *   get:
+ *     summary: Get digital loans (students see only their own)
+ *     tags: [Digital Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, returned, expired, revoked]
+ *       - in: query
+ *         name: book_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: integer
+ *         description: Librarians only
+ *     responses:
+ *       200:
+ *         description: Digital loans, newest first
+ */
+router.get('/', [
+  authenticateToken,
+  query('status').optional().isIn(['active', 'returned', 'expired', 'revoked']),
+  query('book_id').optional().isInt({ min: 1 }),
+  query('student_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, book_id, student_id } = req.query;
+    const whereClause = {};
+
+    if (status) whereClause.status = status;
+    if (book_id) whereClause.book_id = book_id;
+    if (student_id) whereClause.student_id = student_id;
+    if (req.userRole === 'student') whereClause.student_id = req.user.id;
+
+    const loans = await DigitalLoan.findAll({
+      where: whereClause,
+      include: digitalLoanIncludes,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json(loans);
+  } catch (error) {
+    console.error('Get digital loans error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/digital-loans:
+ *   post:
+ *     summary: Borrow a book's digital copy (Student only)
+ *     tags: [Digital Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - book_id
+ *             properties:
+ *               book_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Loan created, with a signed access URL
+ *       400:
+ *         description: No digital copy, no free licence, already borrowed or borrowing blocked
+ */
+router.post('/', [
+  authenticateToken,
+  authorizeRoles('student'),
+  body('book_id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let loan;
+    try {
+      loan = await DigitalLoanService.borrow(req.user.id, req.body.book_id);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const loanWithDetails = await DigitalLoan.findByPk(loan.id, { include: digitalLoanIncludes });
+
+    res.status(201).json({
+      message: 'Digital copy borrowed successfully',
+      loan: loanWithDetails,
+      access: DigitalLoanService.accessUrl(loan)
+    });
+  } catch (error) {
+    console.error('Borrow digital copy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/digital-loans/{id}/access:
+ *   get:
+ *     summary: Get a fresh signed URL for a current digital loan
+ *     tags: [Digital Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Signed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DigitalAccess'
+ *       400:
+ *         description: Loan has ended
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Digital loan not found
+ */
+router.get('/:id/access', authenticateToken, async (req, res) => {
+  try {
+    const loan = await findOwnLoan(req, res);
+    if (!loan) {
+      return;
+    }
+
+    if (!DigitalLoanService.isCurrent(loan)) {
+      return res.status(400).json({ message: 'This digital loan has ended' });
+    }
+
+    res.json(DigitalLoanService.accessUrl(loan));
+  } catch (error) {
+    console.error('Digital loan access error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/digital-loans/{id}/content:
+ *   get:
+ *     summary: Read or download the file of a digital loan through a signed URL
+ *     description: Needs no login; the expires and signature parameters come from the access URL. Refused once the URL expires or the loan ends.
+ *     tags: [Digital Loans]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *         description: Save the file rather than open it in the browser
+ *     responses:
+ *       200:
+ *         description: The PDF or EPUB file
+ *       403:
+ *         description: Invalid or expired link, or the loan has ended
+ */
+router.get('/:id/content', [
+  query('expires').isInt({ min: 0 }),
+  query('signature').isHexadecimal()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(403).json({ message: 'Invalid link' });
+    }
+
+    let access;
+    try {
+      access = await DigitalLoanService.verifyAccess(req.params.id, req.query.expires, req.query.signature);
+    } catch (error) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    const { digitalCopy } = access;
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+    res.setHeader('Content-Type', digitalCopy.contentType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${digitalCopy.filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.sendFile(digitalCopy.path, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Send digital loan content error:', error);
+        res.status(500).json({ message: 'Server error' });
+      }
+    });
+  } catch (error) {
+    console.error('Digital loan content error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/digital-loans/{id}/return:
+ *   put:
+ *     summary: Return a digital copy early, freeing its licence
+ *     tags: [Digital Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Digital copy returned
+ *       400:
+ *         description: Loan has already ended
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Digital loan not found
+ */
+router.put('/:id/return', authenticateToken, async (req, res) => {
+  try {
+    if (req.userRole === 'librarian' && !hasPermission(req, 'circulation:manage')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const loan = await findOwnLoan(req, res);
+    if (!loan) {
+      return;
+    }
+
+    let returned;
+    try {
+      returned = await DigitalLoanService.end(loan.id, 'returned');
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Digital copy returned successfully',
+      loan: returned
+    });
+  } catch (error) {
+    console.error('Return digital copy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/digital-loans/{id}/revoke:
+ *   put:
+ *     summary: Revoke a digital loan immediately (Librarian only)
+ *     tags: [Digital Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Loan revoked; its signed URLs stop working
+ *       400:
+ *         description: Loan has already ended
+ *       404:
+ *         description: Digital loan not found
+ */
+router.put('/:id/revoke', [
+  authenticateToken,
+  requirePermission('circulation:manage')
+], async (req, res) => {
+  try {
+    const loan = await findOwnLoan(req, res);
+    if (!loan) {
+      return;
+    }
+
+    let revoked;
+    try {
+      revoked = await DigitalLoanService.end(loan.id, 'revoked', { librarianId: req.user.id });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Digital loan revoked successfully',
+      loan: revoked
+    });
+  } catch (error) {
+    console.error('Revoke digital loan error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
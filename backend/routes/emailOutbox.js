@@ -0,0 +1,169 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { EmailOutbox } = require('../models');
+const { authenticateToken, authorizeRoles, requirePermission } = require('../middleware/auth');
+const NotificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OutboxEmail:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         student_id:
+ *           type: integer
+ *         to_address:
+ *           type: string
+ *         template:
+ *           type: string
+ *           enum: [issue_receipt, due_reminder, overdue_notice, fine_generated, suggestion_reviewed, hold_available]
+ *         subject:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *         attempts:
+ *           type: integer
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *         last_error:
+ *           type: string
+ *         sent_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/email-outbox:
+ *   get:
+ *     summary: Get queued and sent notification emails (Librarian only)
+ *     tags: [Email Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Emails, newest first, without their bodies
+ */
+router.get('/', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  query('status').optional().isIn(['pending', 'sending', 'sent', 'failed']),
+  query('student_id').optional().isInt({ min: 1 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, student_id, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+
+    if (status) whereClause.status = status;
+    if (student_id) whereClause.student_id = student_id;
+
+    const { count, rows: emails } = await EmailOutbox.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['text_body', 'html_body'] },
+      include: [{ association: 'student', attributes: ['id', 'name', 'student_id'] }],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      emails,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get email outbox error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-outbox/{id}/retry:
+ *   post:
+ *     summary: Queue a failed email again (Librarian only)
+ *     tags: [Email Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Email queued for another full set of attempts
+ *       400:
+ *         description: Email has not failed
+ *       404:
+ *         description: Email not found
+ */
+router.post('/:id/retry', [
+  authenticateToken,
+  requirePermission('settings:edit')
+], async (req, res) => {
+  try {
+    const email = await EmailOutbox.findByPk(req.params.id);
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    let queued;
+    try {
+      queued = await NotificationService.retry(email.id);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Email queued for sending',
+      email: queued
+    });
+  } catch (error) {
+    console.error('Retry email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { Fine, IssuedBook, Student } = require('../models');
+const { sequelize, Fine, FineConfig, FinePayment, FineReasonCode, IssuedBook, Student } = require('../models');
 const FineService = require('../services/fineService');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const BlockService = require('../services/blockService');
+const { authenticateToken, authorizeRoles, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -19,8 +20,20 @@ const router = express.Router();
  *           type: integer
  *         student_id:
  *           type: integer
+ *         fine_type:
+ *           type: string
+ *           enum: [overdue, lost, damaged]
  *         amount:
  *           type: number
+ *         amount_paid:
+ *           type: number
+ *         balance:
+ *           type: number
+ *           description: Amount still owed
+ *         replacement_amount:
+ *           type: number
+ *         processing_fee:
+ *           type: number
  *         days_overdue:
  *           type: integer
  *         fine_rate_per_day:
@@ -51,7 +64,12 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *         description: Filter by status (pending, paid, waived)
+ *         description: Filter by status (pending, paid, waived, reversed)
+ *       - in: query
+ *         name: fine_type
+ *         schema:
+ *           type: string
+ *         description: Filter by type (overdue, lost, damaged)
  *       - in: query
  *         name: page
  *         schema:
@@ -73,7 +91,8 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('student_id').optional().isInt({ min: 1 }),
-  query('status').optional().isIn(['pending', 'paid', 'waived'])
+  query('status').optional().isIn(['pending', 'paid', 'waived', 'reversed']),
+  query('fine_type').optional().isIn(['overdue', 'lost', 'damaged'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -84,12 +103,13 @@ router.get('/', [
       });
     }
 
-    const { student_id, status, page = 1, limit = 20 } = req.query;
+    const { student_id, status, fine_type, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
     
     const whereClause = {};
     if (student_id) whereClause.student_id = student_id;
     if (status) whereClause.status = status;
+    if (fine_type) whereClause.fine_type = fine_type;
 
     const { count, rows: fines } = await Fine.findAndCountAll({
       where: whereClause,
@@ -137,10 +157,10 @@ router.get('/', [
  */
 router.post('/generate', [
   authenticateToken,
-  authorizeRoles('librarian')
+  requirePermission('fines:collect')
 ], async (req, res) => {
   try {
-    const results = await FineService.generateFinesForOverdueBooks();
+    const results = await FineService.generateFinesForOverdueBooks({ actorId: req.user.id });
     
     res.json({
       message: 'Fines generated successfully',
@@ -152,11 +172,199 @@ router.post('/generate', [
   }
 });
 
+// Settings a librarian can change; the nullable ones switch a limit off
+const configFields = [
+  'fine_rate_per_day',
+  'grace_period_days',
+  'max_fine_amount',
+  'default_replacement_cost',
+  'processing_fee',
+  'block_fine_threshold',
+  'block_overdue_items'
+];
+const nullableConfigFields = ['max_fine_amount', 'block_fine_threshold', 'block_overdue_items'];
+
+/**
+ * @swagger
+ * /api/fines/config:
+ *   get:
+ *     summary: Get the fine and borrowing block settings (Librarian only)
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active fine configuration, or the defaults if none has been saved
+ */
+router.get('/config', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    const fineConfig = await FineConfig.findOne({
+      where: { is_active: true },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (fineConfig) {
+      return res.json(fineConfig);
+    }
+
+    const limits = await BlockService.getLimits();
+    res.json({
+      ...FineConfig.build().toJSON(),
+      block_fine_threshold: limits.fine_threshold,
+      block_overdue_items: limits.overdue_items
+    });
+  } catch (error) {
+    console.error('Get fine config error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/config:
+ *   put:
+ *     summary: Update the fine and borrowing block settings (Librarian only)
+ *     description: Saves a new configuration and retires the previous one, so earlier settings are kept
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fine_rate_per_day:
+ *                 type: number
+ *               grace_period_days:
+ *                 type: integer
+ *               max_fine_amount:
+ *                 type: number
+ *                 nullable: true
+ *               default_replacement_cost:
+ *                 type: number
+ *               processing_fee:
+ *                 type: number
+ *               block_fine_threshold:
+ *                 type: number
+ *                 nullable: true
+ *               block_overdue_items:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Configuration saved
+ */
+router.put('/config', [
+  authenticateToken,
+  requirePermission('settings:edit'),
+  body('fine_rate_per_day').optional().isFloat({ min: 0 }),
+  body('grace_period_days').optional().isInt({ min: 0 }),
+  body('max_fine_amount').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }),
+  body('default_replacement_cost').optional().isFloat({ min: 0 }),
+  body('processing_fee').optional().isFloat({ min: 0 }),
+  body('block_fine_threshold').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }),
+  body('block_overdue_items').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const fineConfig = await sequelize.transaction(async (transaction) => {
+      const current = await FineConfig.findOne({
+        where: { is_active: true },
+        order: [['created_at', 'DESC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const configData = {};
+      for (const field of configFields) {
+        if (req.body[field] === undefined) {
+          configData[field] = current ? current[field] : undefined;
+        } else if (nullableConfigFields.includes(field) && (req.body[field] === '' || req.body[field] === null)) {
+          configData[field] = null;
+        } else {
+          configData[field] = req.body[field];
+        }
+      }
+
+      if (current) {
+        await current.update({ is_active: false }, { transaction });
+      }
+
+      return await FineConfig.create({
+        ...configData,
+        updated_by: req.user.id
+      }, { transaction });
+    });
+
+    res.json({
+      message: 'Fine settings saved successfully',
+      config: fineConfig
+    });
+  } catch (error) {
+    console.error('Update fine config error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const paymentIncludes = [
+  {
+    association: 'student',
+    attributes: ['id', 'name', 'student_id', 'email']
+  },
+  {
+    association: 'collector',
+    attributes: ['id', 'name', 'employee_id']
+  },
+  {
+    association: 'reverser',
+    attributes: ['id', 'name']
+  },
+  {
+    association: 'allocations',
+    include: [
+      {
+        association: 'fine',
+        include: [
+          {
+            association: 'issuedBook',
+            include: [
+              {
+                association: 'book',
+                attributes: ['id', 'title', 'author']
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+];
+
+const paymentValidators = [
+  body('amount').optional().isFloat({ gt: 0 }),
+  body('method').optional().isIn(['cash', 'upi', 'card', 'adjustment']),
+  body('reference').optional().trim(),
+  body('paid_date').optional().isISO8601(),
+  body('notes').optional().trim()
+];
+
 /**
  * @swagger
  * /api/fines/{id}/pay:
  *   post:
- *     summary: Mark fine as paid (Librarian only)
+ *     summary: Record a full or partial payment of a fine (Librarian only)
  *     tags: [Fines]
  *     security:
  *       - bearerAuth: []
@@ -172,25 +380,61 @@ router.post('/generate', [
  *           schema:
  *             type: object
  *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the outstanding balance
+ *               method:
+ *                 type: string
+ *                 enum: [cash, upi, card, adjustment]
+ *                 default: cash
+ *               reference:
+ *                 type: string
+ *                 description: UPI or card transaction reference
  *               paid_date:
  *                 type: string
  *                 format: date
+ *               notes:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Fine marked as paid
+ *         description: Payment recorded; fine is marked paid once its balance reaches zero
+ *       400:
+ *         description: Fine is not pending or amount exceeds its balance
  */
 router.post('/:id/pay', [
   authenticateToken,
-  authorizeRoles('librarian')
+  requirePermission('fines:collect'),
+  ...paymentValidators
 ], async (req, res) => {
   try {
-    const { paid_date } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { amount, method, reference, paid_date, notes } = req.body;
     
-    const fine = await FineService.payFine(req.params.id, paid_date);
+    const payment = await FineService.payFine(req.params.id, {
+      amount,
+      method,
+      reference,
+      notes,
+      paidDate: paid_date,
+      collectedBy: req.user.id
+    });
+
+    const fine = await Fine.findByPk(req.params.id);
+    const receipt = await FinePayment.findByPk(payment.id, { include: paymentIncludes });
     
     res.json({
-      message: 'Fine marked as paid successfully',
-      fine: fine
+      message: fine.status === 'paid'
+        ? 'Fine marked as paid successfully'
+        : `Partial payment recorded; ₹${fine.balance.toFixed(2)} outstanding`,
+      fine: fine,
+      payment: receipt
     });
   } catch (error) {
     console.error('Pay fine error:', error);
@@ -198,6 +442,421 @@ router.post('/:id/pay', [
   }
 });
 
+/**
+ * @swagger
+ * /api/fines/payments:
+ *   post:
+ *     summary: Record one payment split across several fines (Librarian only)
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fine_ids
+ *             properties:
+ *               fine_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Pending fines of one student; paid oldest first
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the total outstanding on those fines
+ *               method:
+ *                 type: string
+ *                 enum: [cash, upi, card, adjustment]
+ *               reference:
+ *                 type: string
+ *               paid_date:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded with its receipt
+ *       400:
+ *         description: Fines are not pending, belong to different students, or amount exceeds the balance
+ */
+router.post('/payments', [
+  authenticateToken,
+  requirePermission('fines:collect'),
+  body('fine_ids').isArray({ min: 1 }),
+  body('fine_ids.*').isInt({ min: 1 }),
+  ...paymentValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { fine_ids, amount, method, reference, paid_date, notes } = req.body;
+
+    let payment;
+    try {
+      payment = await FineService.recordPayment({
+        fineIds: fine_ids,
+        amount,
+        method: method || 'cash',
+        reference,
+        notes,
+        paidDate: paid_date,
+        collectedBy: req.user.id
+      });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const receipt = await FinePayment.findByPk(payment.id, { include: paymentIncludes });
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment: receipt
+    });
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/payments:
+ *   get:
+ *     summary: Get fine payments (students see only their own)
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Payments, newest first
+ */
+router.get('/payments', [
+  authenticateToken,
+  query('student_id').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { student_id, limit = 20 } = req.query;
+    const whereClause = {};
+
+    if (req.userRole === 'student') {
+      whereClause.student_id = req.user.id;
+    } else if (student_id) {
+      whereClause.student_id = student_id;
+    }
+
+    const payments = await FinePayment.findAll({
+      where: whereClause,
+      include: paymentIncludes,
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit)
+    });
+
+    res.json({ payments });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/payments/{id}:
+ *   get:
+ *     summary: Get a payment receipt
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payment with the fines it was applied to
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Payment not found
+ */
+router.get('/payments/:id', [
+  authenticateToken
+], async (req, res) => {
+  try {
+    const payment = await FinePayment.findByPk(req.params.id, { include: paymentIncludes });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Students can only see their own receipts
+    if (req.userRole === 'student' && payment.student_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(payment);
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const reasonValidators = [
+  body('reason_code').isString().notEmpty(),
+  body('notes').optional().isString().trim()
+];
+
+/**
+ * @swagger
+ * /api/fines/payments/{id}/reverse:
+ *   post:
+ *     summary: Reverse a payment (Librarian only)
+ *     description: Every fine the payment was applied to owes its share again.
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason_code
+ *             properties:
+ *               reason_code:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment reversed
+ *       400:
+ *         description: Payment already reversed or invalid reason code
+ */
+router.post('/payments/:id/reverse', [
+  authenticateToken,
+  requirePermission('fines:waive'),
+  ...reasonValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { reason_code, notes } = req.body;
+
+    const payment = await FineService.reversePayment(req.params.id, {
+      reasonCode: reason_code,
+      notes,
+      actorId: req.user.id
+    });
+
+    const receipt = await FinePayment.findByPk(payment.id, { include: paymentIncludes });
+
+    res.json({
+      message: 'Payment reversed successfully',
+      payment: receipt
+    });
+  } catch (error) {
+    console.error('Reverse payment error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/reason-codes:
+ *   get:
+ *     summary: Get reason codes for waivers and reversals
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: applies_to
+ *         schema:
+ *           type: string
+ *           enum: [waiver, reversal]
+ *     responses:
+ *       200:
+ *         description: Active reason codes
+ */
+router.get('/reason-codes', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  query('applies_to').optional().isIn(['waiver', 'reversal'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const reasonCodes = await FineService.getReasonCodes(req.query.applies_to);
+
+    res.json(reasonCodes);
+  } catch (error) {
+    console.error('Get reason codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/reason-codes:
+ *   post:
+ *     summary: Add a reason code (Librarian only)
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - label
+ *             properties:
+ *               code:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               applies_to:
+ *                 type: string
+ *                 enum: [waiver, reversal, any]
+ *     responses:
+ *       201:
+ *         description: Reason code added
+ *       400:
+ *         description: Validation error or code already exists
+ */
+router.post('/reason-codes', [
+  authenticateToken,
+  requirePermission('settings:edit'),
+  body('code').trim().toUpperCase().matches(/^[A-Z0-9_]{2,30}$/),
+  body('label').isLength({ min: 2, max: 100 }).trim(),
+  body('applies_to').optional().isIn(['waiver', 'reversal', 'any'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { code, label, applies_to } = req.body;
+
+    // Codes stay referenced from the history, so a retired code is revived
+    // rather than recreated
+    const existingCode = await FineReasonCode.findOne({ where: { code } });
+    if (existingCode && existingCode.is_active) {
+      return res.status(400).json({ message: 'Reason code already exists' });
+    }
+
+    const reasonCode = existingCode
+      ? await existingCode.update({ label, applies_to: applies_to || 'any', is_active: true })
+      : await FineReasonCode.create({ code, label, applies_to: applies_to || 'any' });
+
+    res.status(201).json({
+      message: 'Reason code added successfully',
+      reasonCode
+    });
+  } catch (error) {
+    console.error('Add reason code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/reason-codes/{id}:
+ *   delete:
+ *     summary: Retire a reason code (Librarian only)
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reason code retired
+ *       404:
+ *         description: Reason code not found
+ */
+router.delete('/reason-codes/:id', [
+  authenticateToken,
+  requirePermission('settings:edit')
+], async (req, res) => {
+  try {
+    const reasonCode = await FineReasonCode.findOne({
+      where: { id: req.params.id, is_active: true }
+    });
+
+    if (!reasonCode) {
+      return res.status(404).json({ message: 'Reason code not found' });
+    }
+
+    await reasonCode.update({ is_active: false });
+
+    res.json({ message: 'Reason code retired successfully' });
+  } catch (error) {
+    console.error('Delete reason code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/fines/{id}/waive:
@@ -213,11 +872,16 @@ router.post('/:id/pay', [
  *         schema:
  *           type: integer
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - reason_code
  *             properties:
+ *               reason_code:
+ *                 type: string
  *               notes:
  *                 type: string
  *     responses:
@@ -226,12 +890,25 @@ router.post('/:id/pay', [
  */
 router.post('/:id/waive', [
   authenticateToken,
-  authorizeRoles('librarian')
+  requirePermission('fines:waive'),
+  ...reasonValidators
 ], async (req, res) => {
   try {
-    const { notes } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { reason_code, notes } = req.body;
     
-    const fine = await FineService.waiveFine(req.params.id, notes);
+    const fine = await FineService.waiveFine(req.params.id, {
+      reasonCode: reason_code,
+      notes,
+      actorId: req.user.id
+    });
     
     res.json({
       message: 'Fine waived successfully',
@@ -243,6 +920,123 @@ router.post('/:id/waive', [
   }
 });
 
+/**
+ * @swagger
+ * /api/fines/{id}/reverse-waiver:
+ *   post:
+ *     summary: Reverse a waiver (Librarian only)
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason_code
+ *             properties:
+ *               reason_code:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Waiver reversed; the fine is owed again
+ */
+router.post('/:id/reverse-waiver', [
+  authenticateToken,
+  requirePermission('fines:waive'),
+  ...reasonValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { reason_code, notes } = req.body;
+
+    const fine = await FineService.reverseWaiver(req.params.id, {
+      reasonCode: reason_code,
+      notes,
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: 'Waiver reversed successfully',
+      fine: fine
+    });
+  } catch (error) {
+    console.error('Reverse waiver error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/{id}/history:
+ *   get:
+ *     summary: Get the audit trail of a fine
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Every change to the fine, oldest first
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Fine not found
+ */
+router.get('/:id/history', [
+  authenticateToken
+], async (req, res) => {
+  try {
+    const fine = await Fine.findByPk(req.params.id);
+
+    if (!fine) {
+      return res.status(404).json({ message: 'Fine not found' });
+    }
+
+    // Students can only see the history of their own fines
+    if (req.userRole === 'student' && fine.student_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const events = await FineService.getFineHistory(fine.id);
+    const reasonCodes = await FineReasonCode.findAll();
+    const reasonLabels = Object.fromEntries(reasonCodes.map((reason) => [reason.code, reason.label]));
+
+    res.json({
+      fine,
+      events: events.map((event) => ({
+        ...event.toJSON(),
+        reason_label: event.reason_code ? reasonLabels[event.reason_code] || event.reason_code : null
+      }))
+    });
+  } catch (error) {
+    console.error('Get fine history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/fines/student/{studentId}:
@@ -273,8 +1067,11 @@ router.get('/student/:studentId', [
     const { status } = req.query;
     
     const fines = await FineService.getStudentFines(req.params.studentId, status);
+    const outstanding_total = fines
+      .filter(fine => fine.status === 'pending')
+      .reduce((sum, fine) => sum + fine.balance, 0);
     
-    res.json({ fines });
+    res.json({ fines, outstanding_total });
   } catch (error) {
     console.error('Get student fines error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,145 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { ImportJob } = require('../models');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         entity:
+ *           type: string
+ *           enum: [books, students]
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *         dry_run:
+ *           type: boolean
+ *         total_rows:
+ *           type: integer
+ *         processed_rows:
+ *           type: integer
+ *         created_count:
+ *           type: integer
+ *         updated_count:
+ *           type: integer
+ *         failed_count:
+ *           type: integer
+ *         report:
+ *           type: array
+ *           description: One entry per row once the job completes
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: integer
+ *               key:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [created, updated, unchanged, failed]
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * /api/import-jobs:
+ *   get:
+ *     summary: Recent bulk import jobs (Librarian only)
+ *     tags: [Import Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [books, students]
+ *     responses:
+ *       200:
+ *         description: The 20 most recent jobs, without their row reports
+ */
+router.get('/', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  query('entity').optional().isIn(['books', 'students'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const jobs = await ImportJob.findAll({
+      where: req.query.entity ? { entity: req.query.entity } : {},
+      attributes: { exclude: ['report'] },
+      include: [{ association: 'createdBy', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']],
+      limit: 20
+    });
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Get import jobs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/import-jobs/{id}:
+ *   get:
+ *     summary: Status and row report of an import job (Librarian only)
+ *     tags: [Import Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job with its progress, and the row report once completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    const job = await ImportJob.findByPk(req.params.id, {
+      include: [{ association: 'createdBy', attributes: ['id', 'name'] }]
+    });
+
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,100 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { IssuedBook, Book, Student, Librarian, Fine } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { sequelize, IssuedBook, Book, BookCopy, Student, Librarian, Fine } = require('../models');
+const { authenticateToken, authorizeRoles, requirePermission, hasPermission } = require('../middleware/auth');
 const FineService = require('../services/fineService'); // Import the fine service
+const CopyService = require('../services/copyService');
+const ReservationService = require('../services/reservationService');
+const RenewalService = require('../services/renewalService');
+const CirculationPolicyService = require('../services/circulationPolicyService');
+const BlockService = require('../services/blockService');
+const NotificationService = require('../services/notificationService');
 
 const router = express.Router();
 
+const returnedLoanIncludes = [
+  {
+    association: 'book',
+    attributes: ['id', 'title', 'author', 'isbn']
+  },
+  {
+    association: 'copy',
+    attributes: ['id', 'accession_number', 'barcode', 'condition', 'status']
+  },
+  {
+    association: 'student',
+    attributes: ['id', 'name', 'email', 'student_id']
+  },
+  {
+    association: 'librarian',
+    attributes: ['id', 'name', 'employee_id']
+  }
+];
+
+// Check a loan back in inside the caller's transaction. Fine, copy and loan
+// updates commit together. The book row is locked before the loan (the same
+// order as issue) so a concurrent return of the same loan waits and then
+// sees it already returned. A lost book that turns up has its lost charge
+// reversed; overdue fines stopped when it was declared lost.
+const returnLoan = async (loan, { returnDate, condition, notes, actorId }, transaction) => {
+  const book = await Book.findByPk(loan.book_id, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  const issuedBook = await IssuedBook.findByPk(loan.id, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (issuedBook.status === 'returned') {
+    return { error: 'Book already returned' };
+  }
+
+  const wasLost = issuedBook.status === 'lost';
+  const dueDate = new Date(issuedBook.due_date);
+
+  // Calculate fine if book is returned after due date
+  let fineAmount = parseFloat(issuedBook.fine_amount) || 0;
+  let reversedFines = [];
+  let refunds = [];
+  if (wasLost) {
+    ({ fines: reversedFines, refunds } = await FineService.reverseLostCharges(issuedBook, { transaction, actorId }));
+  } else if (returnDate > dueDate) {
+    fineAmount = await FineService.assessOverdueFine(issuedBook, { transaction, actorId });
+  }
+
+  // Put the copy back on the shelf; damaged copies are held back from lending
+  await CopyService.ensureCopies(book, { transaction });
+  const copy = await CopyService.findCopyForReturn(issuedBook, { transaction });
+  if (copy) {
+    const copyCondition = condition || copy.condition;
+    await copy.update({
+      condition: copyCondition,
+      status: copyCondition === 'damaged' ? 'damaged' : 'available'
+    }, { transaction });
+  }
+
+  // Update issued book record
+  await issuedBook.update({
+    copy_id: copy ? copy.id : issuedBook.copy_id,
+    return_date: returnDate,
+    status: 'returned',
+    fine_amount: fineAmount,
+    notes: notes || issuedBook.notes
+  }, { transaction });
+
+  // Set the returned copy aside if someone is waiting for this book
+  let reservation = null;
+  if (copy) {
+    reservation = await ReservationService.allocateCopy(copy, { transaction });
+  }
+
+  await CopyService.syncAvailability(issuedBook.book_id, { transaction });
+
+  return { issuedBook, fineAmount, reservation, reversedFines, refunds };
+};
+
 /**
  * @swagger
  * /api/issued-books:
@@ -81,6 +169,11 @@ router.get('/', [
           as: 'book',
           attributes: ['id', 'title', 'author', 'isbn']
         },
+        {
+          model: BookCopy,
+          as: 'copy',
+          attributes: ['id', 'accession_number', 'barcode', 'condition']
+        },
         {
           model: Student,
           as: 'student',
@@ -119,29 +212,32 @@ router.get('/', [
  *             required:
  *               - student_id
  *               - book_id
- *               - due_date
  *             properties:
  *               student_id:
  *                 type: integer
  *               book_id:
  *                 type: integer
- *               due_date:
+ *               copy_id:
+ *                 type: integer
+ *                 description: Specific copy to lend (defaults to any available copy)
+ *               barcode:
  *                 type: string
- *                 format: date
+ *                 description: Barcode of the copy being lent
  *               notes:
  *                 type: string
  *     responses:
  *       201:
- *         description: Book issued successfully
+ *         description: Book issued successfully; the due date comes from the circulation policy
  *       400:
- *         description: Book not available or student limit exceeded
+ *         description: Book not available, reference-only, student limit exceeded, or student blocked from borrowing
  */
 router.post('/issue', [
   authenticateToken,
-  authorizeRoles('librarian'),
+  requirePermission('circulation:manage'),
   body('student_id').isInt({ min: 1 }),
   body('book_id').isInt({ min: 1 }),
-  body('due_date').isISO8601().toDate(),
+  body('copy_id').optional().isInt({ min: 1 }),
+  body('barcode').optional().trim(),
   body('notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -153,71 +249,129 @@ router.post('/issue', [
       });
     }
 
-    const { student_id, book_id, due_date, notes } = req.body;
+    const { student_id, book_id, copy_id, barcode, notes } = req.body;
 
-    // Check if student exists and is active
-    const student = await Student.findOne({
-      where: { id: student_id, is_active: true }
-    });
+    // All checks and writes run in one transaction. The student and book rows
+    // are locked first so concurrent issues of the same book, or to the same
+    // student, are serialised and cannot lend one copy twice.
+    const result = await sequelize.transaction(async (transaction) => {
+      // Check if student exists and is active
+      const student = await Student.findOne({
+        where: { id: student_id, is_active: true },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
 
-    if (!student) {
-      return res.status(400).json({ message: 'Student not found or inactive' });
-    }
+      if (!student) {
+        return { error: 'Student not found or inactive' };
+      }
 
-    // Check if book exists and is available
-    const book = await Book.findOne({
-      where: { id: book_id, is_active: true }
-    });
+      // Fine, overdue and manual blocks stop all new loans
+      const blocks = await BlockService.getBlocks(student.id, { transaction });
+      if (blocks.length > 0) {
+        return {
+          error: `Borrowing is blocked: ${blocks.map((block) => block.reason).join('; ')}`,
+          blocks
+        };
+      }
 
-    if (!book) {
-      return res.status(400).json({ message: 'Book not found or inactive' });
-    }
+      // Check if book exists and is available
+      const book = await Book.findOne({
+        where: { id: book_id, is_active: true },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
 
-    if (book.available_copies <= 0) {
-      return res.status(400).json({ message: 'Book not available' });
-    }
+      if (!book) {
+        return { error: 'Book not found or inactive' };
+      }
 
-    // Check if student has already issued this book
-    const existingIssue = await IssuedBook.findOne({
-      where: {
-        student_id,
-        book_id,
-        status: 'issued'
+      // Loan period, loan limit and loanability come from the circulation policy
+      const terms = await CirculationPolicyService.getTerms(student, book, { transaction });
+
+      if (!terms.is_loanable) {
+        return { error: 'This book is for reference only and cannot be issued' };
       }
-    });
 
-    if (existingIssue) {
-      return res.status(400).json({ message: 'Student has already issued this book' });
-    }
+      await CopyService.ensureCopies(book, { transaction });
 
-    // Check student's current issued books count
-    const currentIssued = await IssuedBook.count({
-      where: {
-        student_id,
-        status: 'issued'
+      // A copy set aside on the holds shelf for this student is lent first
+      const readyHold = await ReservationService.findReadyHold(student_id, book.id, { transaction });
+      const heldCopy = readyHold
+        ? await BookCopy.findByPk(readyHold.copy_id, { transaction, lock: transaction.LOCK.UPDATE })
+        : null;
+
+      let copy;
+      if (heldCopy && ((!copy_id && !barcode) || copy_id === heldCopy.id || barcode === heldCopy.barcode)) {
+        copy = heldCopy;
+      } else {
+        try {
+          copy = await CopyService.findCopyForIssue(book.id, { copy_id, barcode }, { transaction });
+        } catch (error) {
+          return { error: error.message };
+        }
       }
-    });
 
-    if (currentIssued >= student.max_books_allowed) {
-      return res.status(400).json({ 
-        message: `Student has reached maximum limit of ${student.max_books_allowed} books` 
+      if (!copy) {
+        return { error: 'Book not available' };
+      }
+
+      // Check if student has already issued this book
+      const existingIssue = await IssuedBook.findOne({
+        where: {
+          student_id,
+          book_id,
+          status: 'issued'
+        },
+        transaction
       });
-    }
 
-    // Issue the book
-    const issuedBook = await IssuedBook.create({
-      student_id,
-      book_id,
-      librarian_id: req.user.id,
-      due_date,
-      notes
-    });
+      if (existingIssue) {
+        return { error: 'Student has already issued this book' };
+      }
+
+      // Check student's current issued books count
+      const currentIssued = await IssuedBook.count({
+        where: {
+          student_id,
+          status: 'issued'
+        },
+        transaction
+      });
+
+      if (currentIssued >= terms.max_loans) {
+        return { error: `Student has reached maximum limit of ${terms.max_loans} books` };
+      }
+
+      // Issue the book
+      const issuedBook = await IssuedBook.create({
+        student_id,
+        book_id,
+        copy_id: copy.id,
+        librarian_id: req.user.id,
+        due_date: await CirculationPolicyService.calculateDueDate(terms.loan_period_days, new Date(), { transaction }),
+        notes
+      }, { transaction });
+
+      // Mark the copy as out and refresh the book's availability
+      await copy.update({ status: 'issued' }, { transaction });
+      await CopyService.syncAvailability(book.id, { transaction });
+
+      if (copy === heldCopy) {
+        await ReservationService.fulfillHold(readyHold, { transaction });
+      }
 
-    // Update book's available copies
-    await book.update({
-      available_copies: book.available_copies - 1
+      await NotificationService.notify(student.id, 'issue_receipt', { book, issuedBook }, { transaction });
+
+      return { issuedBook };
     });
 
+    if (result.error) {
+      return res.status(400).json({ message: result.error, blocks: result.blocks });
+    }
+
+    const { issuedBook } = result;
+
     const issuedBookWithDetails = await IssuedBook.findByPk(issuedBook.id, {
       include: [
         {
@@ -225,6 +379,11 @@ router.post('/issue', [
           as: 'book',
           attributes: ['id', 'title', 'author', 'isbn']
         },
+        {
+          model: BookCopy,
+          as: 'copy',
+          attributes: ['id', 'accession_number', 'barcode', 'condition']
+        },
         {
           model: Student,
           as: 'student',
@@ -272,18 +431,23 @@ router.post('/issue', [
  *               return_date:
  *                 type: string
  *                 format: date
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *                 description: Condition of the copy on return
  *               notes:
  *                 type: string
  *     responses:
  *       200:
- *         description: Book returned successfully
+ *         description: Book returned successfully; includes the hold the copy was set aside for, if any, and any lost charge reversed because the book was found, with refunds of what was paid towards it
  *       404:
  *         description: Issued book not found
  */
 router.put('/:id/return', [
   authenticateToken,
-  authorizeRoles('librarian'),
+  requirePermission('circulation:manage'),
   body('return_date').optional().isISO8601().toDate(),
+  body('condition').optional().isIn(['new', 'good', 'fair', 'poor', 'damaged']),
   body('notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -295,94 +459,381 @@ router.put('/:id/return', [
       });
     }
 
-    const { return_date, notes } = req.body;
+    const { return_date, condition, notes } = req.body;
     
-    const issuedBook = await IssuedBook.findByPk(req.params.id, {
-      include: [
-        {
-          model: Book,
-          as: 'book'
-        },
-        {
-          model: Student,
-          as: 'student'
-        }
-      ]
-    });
+    const loan = await IssuedBook.findByPk(req.params.id);
 
-    if (!issuedBook) {
+    if (!loan) {
       return res.status(404).json({ message: 'Issued book not found' });
     }
 
-    if (issuedBook.status === 'returned') {
-      return res.status(400).json({ message: 'Book already returned' });
+    const result = await sequelize.transaction(async (transaction) => {
+      return await returnLoan(loan, {
+        returnDate: return_date ? new Date(return_date) : new Date(),
+        condition,
+        notes,
+        actorId: req.user.id
+      }, transaction);
+    });
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
 
-    const returnDate = return_date ? new Date(return_date) : new Date();
-    const dueDate = new Date(issuedBook.due_date);
-
-    // Calculate fine if book is returned after due date
-    let fineAmount = 0;
-    if (returnDate > dueDate) {
-      const fineData = await FineService.calculateFine(issuedBook.id);
-      if (fineData) {
-        // Create or update fine record
-        const existingFine = await Fine.findOne({
-          where: { issued_book_id: issuedBook.id }
-        });
-
-        if (existingFine) {
-          await existingFine.update({
-            amount: fineData.amount,
-            days_overdue: fineData.days_overdue,
-            status: 'pending'
-          });
-          fineAmount = fineData.amount;
-        } else {
-          const fine = await Fine.create(fineData);
-          fineAmount = fineData.amount;
-        }
+    const { issuedBook, fineAmount, reservation, reversedFines, refunds } = result;
+
+    const updatedIssuedBook = await IssuedBook.findByPk(issuedBook.id, {
+      include: returnedLoanIncludes
+    });
+
+    res.json({
+      message: 'Book returned successfully',
+      issuedBook: updatedIssuedBook,
+      fineAmount: fineAmount,
+      reservation,
+      reversedFines,
+      refunds
+    });
+
+  } catch (error) {
+    console.error('Return book error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/issued-books/{id}/lost:
+ *   put:
+ *     summary: Declare a loaned book lost and charge its replacement (Librarian only)
+ *     tags: [Issued Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               replacement_amount:
+ *                 type: number
+ *                 description: Overrides the book's replacement cost
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Loan marked lost, copy written off and a lost fine raised
+ *       400:
+ *         description: Loan is not out
+ *       404:
+ *         description: Issued book not found
+ */
+router.put('/:id/lost', [
+  authenticateToken,
+  requirePermission('circulation:manage'),
+  body('replacement_amount').optional().isFloat({ min: 0 }),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { replacement_amount, notes } = req.body;
+
+    const loan = await IssuedBook.findByPk(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Issued book not found' });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const book = await Book.findByPk(loan.book_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const issuedBook = await IssuedBook.findByPk(loan.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!['issued', 'overdue'].includes(issuedBook.status)) {
+        return { error: `Cannot declare a loan lost when it is ${issuedBook.status}` };
+      }
+
+      // Overdue fines stop accruing once the book is declared lost
+      const fineAmount = new Date() > new Date(issuedBook.due_date)
+        ? await FineService.assessOverdueFine(issuedBook, { transaction, actorId: req.user.id })
+        : 0;
+
+      // Write the copy off so it no longer counts towards the book's stock
+      await CopyService.ensureCopies(book, { transaction });
+      const copy = await CopyService.findCopyForReturn(issuedBook, { transaction });
+      if (copy) {
+        await copy.update({ status: 'lost' }, { transaction });
       }
+
+      await issuedBook.update({
+        copy_id: copy ? copy.id : issuedBook.copy_id,
+        status: 'lost',
+        fine_amount: fineAmount,
+        notes: notes || issuedBook.notes
+      }, { transaction });
+
+      const fine = await FineService.chargeReplacement(issuedBook, 'lost', {
+        replacementAmount: replacement_amount,
+        notes
+      }, { transaction, actorId: req.user.id });
+
+      await CopyService.syncAvailability(issuedBook.book_id, { transaction });
+
+      return { issuedBook, fine };
+    });
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
 
-    // Update issued book record
-    await issuedBook.update({
-      return_date: returnDate,
-      status: 'returned',
-      fine_amount: fineAmount,
-      notes: notes || issuedBook.notes
+    const updatedIssuedBook = await IssuedBook.findByPk(result.issuedBook.id, {
+      include: returnedLoanIncludes
+    });
+
+    res.json({
+      message: 'Book declared lost',
+      issuedBook: updatedIssuedBook,
+      fine: result.fine
     });
+  } catch (error) {
+    console.error('Declare lost error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Update book available copies
-    await Book.increment('available_copies', {
-      where: { id: issuedBook.book_id }
+/**
+ * @swagger
+ * /api/issued-books/{id}/damaged:
+ *   put:
+ *     summary: Return a damaged book and charge for it (Librarian only)
+ *     tags: [Issued Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               replacement_amount:
+ *                 type: number
+ *                 description: Overrides the book's replacement cost, e.g. for a repair
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Book returned, copy held back as damaged and a damage fine raised
+ *       400:
+ *         description: Book already returned
+ *       404:
+ *         description: Issued book not found
+ */
+router.put('/:id/damaged', [
+  authenticateToken,
+  requirePermission('circulation:manage'),
+  body('replacement_amount').optional().isFloat({ min: 0 }),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { replacement_amount, notes } = req.body;
+
+    const loan = await IssuedBook.findByPk(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Issued book not found' });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const returned = await returnLoan(loan, {
+        returnDate: new Date(),
+        condition: 'damaged',
+        notes,
+        actorId: req.user.id
+      }, transaction);
+
+      if (returned.error) {
+        return returned;
+      }
+
+      const fine = await FineService.chargeReplacement(returned.issuedBook, 'damaged', {
+        replacementAmount: replacement_amount,
+        notes
+      }, { transaction, actorId: req.user.id });
+
+      return { ...returned, fine };
     });
 
-    const updatedIssuedBook = await IssuedBook.findByPk(issuedBook.id, {
-      include: [
-        { 
-          association: 'book',
-          attributes: ['id', 'title', 'author', 'isbn']
-        },
-        { 
-          association: 'student',
-          attributes: ['id', 'name', 'email', 'student_id']
-        },
-        { 
-          association: 'librarian',
-          attributes: ['id', 'name', 'employee_id']
-        }
-      ]
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    const updatedIssuedBook = await IssuedBook.findByPk(result.issuedBook.id, {
+      include: returnedLoanIncludes
     });
 
     res.json({
-      message: 'Book returned successfully',
+      message: 'Damaged book returned',
       issuedBook: updatedIssuedBook,
-      fineAmount: fineAmount
+      fineAmount: result.fineAmount,
+      fine: result.fine,
+      reversedFines: result.reversedFines,
+      refunds: result.refunds
     });
+  } catch (error) {
+    console.error('Return damaged book error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
+/**
+ * @swagger
+ * /api/issued-books/{id}/renew:
+ *   post:
+ *     summary: Renew a loan (students for their own loans, librarians for any)
+ *     tags: [Issued Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Loan renewed with its new due date
+ *       400:
+ *         description: Renewal limit reached, book has holds, or student is blocked from borrowing
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Issued book not found
+ */
+router.post('/:id/renew', [
+  authenticateToken,
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const issuedBook = await IssuedBook.findByPk(req.params.id);
+
+    if (!issuedBook) {
+      return res.status(404).json({ message: 'Issued book not found' });
+    }
+
+    // Students can only renew their own loans
+    if (req.userRole === 'student' && issuedBook.student_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (req.userRole === 'librarian' && !hasPermission(req, 'circulation:manage')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    let result;
+    try {
+      result = await RenewalService.renewLoan(
+        issuedBook.id,
+        { id: req.user.id, role: req.userRole },
+        req.body.notes
+      );
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Loan renewed successfully',
+      issuedBook: result.issuedBook,
+      renewal: result.renewal,
+      renewalsRemaining: result.renewalsRemaining
+    });
   } catch (error) {
-    console.error('Return book error:', error);
+    console.error('Renew loan error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/issued-books/{id}/renewals:
+ *   get:
+ *     summary: Get the renewal history of a loan
+ *     tags: [Issued Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Renewals of the loan, oldest first
+ *       404:
+ *         description: Issued book not found
+ */
+router.get('/:id/renewals', [
+  authenticateToken
+], async (req, res) => {
+  try {
+    const issuedBook = await IssuedBook.findByPk(req.params.id);
+
+    if (!issuedBook) {
+      return res.status(404).json({ message: 'Issued book not found' });
+    }
+
+    // Students can only see their own loans
+    if (req.userRole === 'student' && issuedBook.student_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const renewals = await RenewalService.getRenewals(issuedBook.id);
+
+    res.json({ renewals });
+  } catch (error) {
+    console.error('Get renewals error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -524,7 +975,7 @@ router.get('/:id/fines', [
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, paid, waived]
+ *           enum: [pending, paid, waived, reversed]
  *     responses:
  *       200:
  *         description: List of student fines
@@ -533,7 +984,7 @@ router.get('/:id/fines', [
  */
 router.get('/student/:studentId/fines', [
   authenticateToken,
-  query('status').optional().isIn(['pending', 'paid', 'waived'])
+  query('status').optional().isIn(['pending', 'paid', 'waived', 'reversed'])
 ], async (req, res) => {
   try {
     const { studentId } = req.params;
@@ -1,8 +1,12 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const { Librarian } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+const StaffService = require('../services/staffService');
+const TwoFactorService = require('../services/twoFactorService');
+const LoginSecurityService = require('../services/loginSecurityService');
 
 const router = express.Router();
 
@@ -41,19 +45,19 @@ const router = express.Router();
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [librarian, admin]
+ *                 enum: [librarian, admin, assistant]
  *     responses:
  *       201:
  *         description: Librarian created successfully
  */
 router.post('/', [
   authenticateToken,
-  authorizeRoles('librarian'), // For now, any librarian can create another
+  requirePermission('librarians:manage'),
   body('name').isLength({ min: 2 }).trim(),
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('employee_id').isLength({ min: 3 }).trim(),
-  body('role').optional().isIn(['librarian', 'admin'])
+  body('role').optional().isIn(Object.keys(ROLES))
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -101,6 +105,308 @@ router.post('/', [
   }
 });
 
+/**
+ * @swagger
+ * /api/librarians:
+ *   get:
+ *     summary: Get all staff accounts (Admin only)
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, email or employee ID
+ *     responses:
+ *       200:
+ *         description: List of librarians
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('librarians:manage'),
+  query('search').optional().trim()
+], async (req, res) => {
+  try {
+    const { search } = req.query;
+    const whereClause = {};
+
+    if (search) {
+      whereClause[Op.or] = [
+        { name: { [Op.like]: `%${search}%` } },
+        { email: { [Op.like]: `%${search}%` } },
+        { employee_id: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const librarians = await Librarian.findAll({
+      where: whereClause,
+      attributes: { exclude: ['password'] },
+      order: [['name', 'ASC']]
+    });
+
+    res.json(librarians);
+  } catch (error) {
+    console.error('Get librarians error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/roles:
+ *   get:
+ *     summary: Staff roles and the permissions each one grants
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with their permissions, and a description of every permission
+ */
+router.get('/roles', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    res.json({
+      roles: Object.entries(ROLES).map(([name, role]) => ({ name, ...role })),
+      permissions: PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/security:
+ *   get:
+ *     summary: Staff sign-in settings (Admin only)
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor authentication is required for all staff
+ */
+router.get('/security', [
+  authenticateToken,
+  requirePermission('librarians:manage')
+], async (req, res) => {
+  try {
+    const settings = await TwoFactorService.getSettings();
+    res.json(settings);
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/security:
+ *   put:
+ *     summary: Require two-factor authentication for all staff (Admin only)
+ *     description: Turning the requirement on signs out every librarian without two-factor authentication; they set it up at their next sign-in. The administrator making the change must have it turned on already.
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - require_staff_two_factor
+ *             properties:
+ *               require_staff_two_factor:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Settings updated, with the number of sessions signed out
+ *       400:
+ *         description: The administrator has not set up two-factor authentication
+ */
+router.put('/security', [
+  authenticateToken,
+  requirePermission('librarians:manage'),
+  body('require_staff_two_factor').isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let result;
+    try {
+      result = await TwoFactorService.setRequired(req.body.require_staff_two_factor, req.user);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: req.body.require_staff_two_factor
+        ? `Two-factor authentication is now required; ${result.signedOut} session(s) signed out`
+        : 'Two-factor authentication is now optional',
+      settings: result.config,
+      signed_out: result.signedOut
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/security/events:
+ *   get:
+ *     summary: Security log of sign-in attempts, lockouts and unlocks (Admin only)
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [student, librarian]
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [login_succeeded, login_failed, account_locked, account_unlocked]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Events, newest first, with pagination
+ */
+router.get('/security/events', [
+  authenticateToken,
+  requirePermission('librarians:manage'),
+  query('role').optional().isIn(['student', 'librarian']),
+  query('user_id').optional().isInt({ min: 1 }).toInt(),
+  query('email').optional().trim(),
+  query('event').optional().isIn(['login_succeeded', 'login_failed', 'account_locked', 'account_unlocked']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role, user_id, email, event, page, limit } = req.query;
+    const result = await LoginSecurityService.listEvents({ role, userId: user_id, email, event, page, limit });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/{id}/role:
+ *   put:
+ *     summary: Change a librarian's role (Admin only)
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [librarian, admin, assistant]
+ *     responses:
+ *       200:
+ *         description: Role updated; takes effect on the librarian's next request
+ *       400:
+ *         description: Would leave no active administrator
+ *       404:
+ *         description: Librarian not found
+ */
+router.put('/:id/role', [
+  authenticateToken,
+  requirePermission('librarians:manage'),
+  body('role').isIn(Object.keys(ROLES))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const librarian = await Librarian.findByPk(req.params.id);
+
+    if (!librarian) {
+      return res.status(404).json({ message: 'Librarian not found' });
+    }
+
+    try {
+      await StaffService.changeRole(librarian.id, req.body.role);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const updatedLibrarian = await Librarian.findByPk(librarian.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      librarian: updatedLibrarian
+    });
+  } catch (error) {
+    console.error('Update librarian role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/librarians/profile:
@@ -196,5 +502,345 @@ router.put('/profile', [
   }
 });
 
-module.exports = router;
+/**
+ * @swagger
+ * /api/librarians/{id}:
+ *   put:
+ *     summary: Update a librarian's details (Admin only)
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               employee_id:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Librarian updated successfully
+ *       400:
+ *         description: Validation error, or the email or employee ID is taken
+ *       404:
+ *         description: Librarian not found
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('librarians:manage'),
+  body('name').optional().isLength({ min: 2 }).trim(),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('employee_id').optional().isLength({ min: 3 }).trim(),
+  body('phone').optional().isLength({ min: 10, max: 15 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const librarian = await Librarian.findByPk(req.params.id);
+
+    if (!librarian) {
+      return res.status(404).json({ message: 'Librarian not found' });
+    }
+
+    const { email, employee_id } = req.body;
+    if (email || employee_id) {
+      const duplicate = await Librarian.findOne({
+        where: {
+          id: { [Op.ne]: librarian.id },
+          [Op.or]: [
+            ...(email ? [{ email }] : []),
+            ...(employee_id ? [{ employee_id }] : [])
+          ]
+        }
+      });
+
+      if (duplicate) {
+        return res.status(400).json({
+          message: 'Librarian with this email or employee ID already exists'
+        });
+      }
+    }
+
+    const allowedUpdates = ['name', 'email', 'employee_id', 'phone', 'address'];
+    const updateData = {};
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    await librarian.update(updateData);
+
+    const updatedLibrarian = await Librarian.findByPk(librarian.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    res.json({
+      message: 'Librarian updated successfully',
+      librarian: updatedLibrarian
+    });
+  } catch (error) {
+    console.error('Update librarian error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/{id}/status:
+ *   put:
+ *     summary: Deactivate or reactivate a librarian (Admin only)
+ *     description: Deactivated librarians cannot sign in and all their sessions are revoked. The last active administrator cannot be deactivated, and nobody can deactivate themselves.
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - is_active
+ *             properties:
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Would leave no active administrator, or the librarian is yourself
+ *       404:
+ *         description: Librarian not found
+ */
+router.put('/:id/status', [
+  authenticateToken,
+  requirePermission('librarians:manage'),
+  body('is_active').isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const librarian = await Librarian.findByPk(req.params.id);
+
+    if (!librarian) {
+      return res.status(404).json({ message: 'Librarian not found' });
+    }
+
+    try {
+      await StaffService.setActive(librarian.id, req.body.is_active, req.user.id);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const updatedLibrarian = await Librarian.findByPk(librarian.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    res.json({
+      message: `Librarian ${req.body.is_active ? 'reactivated' : 'deactivated'} successfully`,
+      librarian: updatedLibrarian
+    });
+  } catch (error) {
+    console.error('Update librarian status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/{id}/reset-password:
+ *   post:
+ *     summary: Reset a librarian's password (Admin only)
+ *     description: Sets the given password, or generates a temporary one that is returned once. The librarian is logged out everywhere.
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset; includes temporary_password when one was generated
+ *       404:
+ *         description: Librarian not found
+ */
+router.post('/:id/reset-password', [
+  authenticateToken,
+  requirePermission('librarians:manage'),
+  body('password').optional().isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const librarian = await Librarian.findByPk(req.params.id);
+
+    if (!librarian) {
+      return res.status(404).json({ message: 'Librarian not found' });
+    }
+
+    const password = await StaffService.resetPassword(librarian.id, req.body.password);
+
+    res.json({
+      message: `Password reset for ${librarian.name}`,
+      ...(req.body.password ? {} : { temporary_password: password })
+    });
+  } catch (error) {
+    console.error('Reset librarian password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/{id}/two-factor:
+ *   delete:
+ *     summary: Reset a librarian's two-factor authentication, e.g. after a lost phone (Admin only)
+ *     description: Removes the secret and backup codes and signs the librarian out. If the library requires two-factor authentication they set it up again at their next sign-in.
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         description: Two-factor authentication is not turned on
+ *       404:
+ *         description: Librarian not found
+ */
+router.delete('/:id/two-factor', [
+  authenticateToken,
+  requirePermission('librarians:manage')
+], async (req, res) => {
+  try {
+    const librarian = await Librarian.findByPk(req.params.id);
+
+    if (!librarian) {
+      return res.status(404).json({ message: 'Librarian not found' });
+    }
+
+    if (!librarian.two_factor_enabled && !librarian.two_factor_pending_secret) {
+      return res.status(400).json({ message: 'Two-factor authentication is not turned on' });
+    }
 
+    await TwoFactorService.disable(librarian, { byAdmin: true });
+
+    const updatedLibrarian = await Librarian.findByPk(librarian.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    res.json({
+      message: `Two-factor authentication reset for ${librarian.name}`,
+      librarian: updatedLibrarian
+    });
+  } catch (error) {
+    console.error('Reset librarian two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/librarians/{id}/unlock:
+ *   post:
+ *     summary: Unlock a librarian locked out by failed sign-ins (Admin only)
+ *     tags: [Librarians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Librarian unlocked
+ *       404:
+ *         description: Librarian not found
+ */
+router.post('/:id/unlock', [
+  authenticateToken,
+  requirePermission('librarians:manage')
+], async (req, res) => {
+  try {
+    const librarian = await Librarian.findByPk(req.params.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    if (!librarian) {
+      return res.status(404).json({ message: 'Librarian not found' });
+    }
+
+    await LoginSecurityService.unlock(librarian, 'librarian', req.user, req);
+
+    res.json({
+      message: `${librarian.name} can sign in again`,
+      librarian
+    });
+  } catch (error) {
+    console.error('Unlock librarian error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
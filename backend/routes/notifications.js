@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { Notification, Student, Librarian } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const NotificationService = require('../services/notificationService');
+const SessionService = require('../services/sessionService');
+
+const router = express.Router();
+
+// Comment lines sent on an idle stream so proxies do not close it. Each
+// one is sent only after checking the session is still live.
+const HEARTBEAT_MS = 25000;
+
+// How long browsers wait before reconnecting a dropped stream
+const STREAM_RETRY_MS = 5000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           description: e.g. fine_generated, hold_available, suggestion_reviewed, suggestion_submitted
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         link:
+ *           type: string
+ *           description: Page in the app the notification opens
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the signed-in user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: before_id
+ *         schema:
+ *           type: integer
+ *         description: Only notifications older than this one, for loading more
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first, and the unread count
+ */
+router.get('/', [
+  authenticateToken,
+  query('unread').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('before_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { unread, limit = 20, before_id } = req.query;
+    const whereClause = { recipient_role: req.userRole, recipient_id: req.user.id };
+
+    if (unread === 'true') whereClause.read_at = null;
+    if (before_id) whereClause.id = { [Op.lt]: before_id };
+
+    const notifications = await Notification.findAll({
+      where: whereClause,
+      attributes: { exclude: ['dedupe_key'] },
+      order: [['id', 'DESC']],
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      notifications,
+      unread_count: await NotificationService.unreadCount(req.userRole, req.user.id)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/stream:
+ *   get:
+ *     summary: Receive notifications live as Server-Sent Events
+ *     description: Sends an "unread" event with the unread count on connecting and whenever it changes, and a "notification" event for each new notification. The stream ends when its session is logged out, revoked or expires, or the account is deactivated.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: An open text/event-stream
+ */
+router.get('/stream', authenticateToken, async (req, res) => {
+  try {
+    const role = req.userRole;
+    const id = req.user.id;
+    const unreadCount = await NotificationService.unreadCount(role, id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = ({ event, data }) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+    send({ event: 'unread', data: { count: unreadCount } });
+
+    // The stream outlives the access token it was opened with, so it is
+    // closed when the session is revoked, and each heartbeat checks that
+    // the session and account are still active
+    const unsubscribe = NotificationService.subscribe(role, id, send);
+    const Model = role === 'student' ? Student : Librarian;
+    const heartbeat = setInterval(async () => {
+      try {
+        const [session, active] = await Promise.all([
+          SessionService.findActive(req.sessionId),
+          Model.count({ where: { id, is_active: true } })
+        ]);
+        if (!session || !active) {
+          return close();
+        }
+        res.write(': keep-alive\n\n');
+      } catch (error) {
+        console.error('Notification stream heartbeat error:', error);
+      }
+    }, HEARTBEAT_MS);
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      stopWatching();
+      res.end();
+    };
+    const stopWatching = SessionService.onEnded(req.sessionId, close);
+    req.on('close', close);
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read:
+ *   put:
+ *     summary: Mark notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Leave out to mark every notification read
+ *     responses:
+ *       200:
+ *         description: Number marked read and the new unread count
+ */
+router.put('/read', [
+  authenticateToken,
+  body('ids').optional().isArray({ min: 1 }),
+  body('ids.*').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updated = await NotificationService.markRead(req.userRole, req.user.id, req.body.ids);
+
+    res.json({
+      updated,
+      unread_count: await NotificationService.unreadCount(req.userRole, req.user.id)
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PatronBlock, Student } = require('../models');
+const BlockService = require('../services/blockService');
+const { authenticateToken, authorizeRoles, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PatronBlock:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         student_id:
+ *           type: integer
+ *         reason:
+ *           type: string
+ *         expires_on:
+ *           type: string
+ *           format: date
+ *           description: Last day of the block; null until lifted
+ *         is_active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/patron-blocks:
+ *   get:
+ *     summary: Get manual blocks in force (Librarian only)
+ *     tags: [Patron Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active manual blocks, newest first
+ */
+router.get('/', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    const blocks = await PatronBlock.findAll({
+      where: { is_active: true },
+      include: [
+        { association: 'student', attributes: ['id', 'name', 'student_id'] },
+        { association: 'createdBy', attributes: ['id', 'name'] }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json(blocks);
+  } catch (error) {
+    console.error('Get patron blocks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patron-blocks/student/{studentId}:
+ *   get:
+ *     summary: Check whether a student may borrow
+ *     description: Lists fine, overdue and manual blocks; students can only check themselves
+ *     tags: [Patron Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Blocks in force and the limits that apply
+ *       403:
+ *         description: Access denied
+ */
+router.get('/student/:studentId', authenticateToken, async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.studentId);
+
+    // Students can only see their own blocks
+    if (req.userRole === 'student' && studentId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const blocks = await BlockService.getBlocks(studentId);
+    const limits = await BlockService.getLimits();
+
+    res.json({
+      blocked: blocks.length > 0,
+      blocks,
+      limits
+    });
+  } catch (error) {
+    console.error('Get student blocks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patron-blocks:
+ *   post:
+ *     summary: Block a student from borrowing (Librarian only)
+ *     tags: [Patron Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - student_id
+ *               - reason
+ *             properties:
+ *               student_id:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *               expires_on:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the block; omit to block until lifted
+ *     responses:
+ *       201:
+ *         description: Block added successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Student not found
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('students:manage'),
+  body('student_id').isInt({ min: 1 }),
+  body('reason').isLength({ min: 3 }).trim(),
+  body('expires_on').optional({ checkFalsy: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { student_id, reason, expires_on } = req.body;
+
+    const student = await Student.findByPk(student_id);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (expires_on && expires_on < new Date().toISOString().slice(0, 10)) {
+      return res.status(400).json({ message: 'Expiry date cannot be in the past' });
+    }
+
+    const block = await PatronBlock.create({
+      student_id,
+      reason,
+      expires_on: expires_on || null,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Block added successfully',
+      block
+    });
+  } catch (error) {
+    console.error('Add patron block error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patron-blocks/{id}/lift:
+ *   put:
+ *     summary: Lift a manual block (Librarian only)
+ *     tags: [Patron Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Block lifted successfully
+ *       404:
+ *         description: Block not found
+ */
+router.put('/:id/lift', [
+  authenticateToken,
+  requirePermission('students:manage')
+], async (req, res) => {
+  try {
+    const block = await PatronBlock.findOne({
+      where: { id: req.params.id, is_active: true }
+    });
+
+    if (!block) {
+      return res.status(404).json({ message: 'Block not found' });
+    }
+
+    await block.update({
+      is_active: false,
+      lifted_by: req.user.id,
+      lifted_at: new Date()
+    });
+
+    res.json({
+      message: 'Block lifted successfully',
+      block
+    });
+  } catch (error) {
+    console.error('Lift patron block error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
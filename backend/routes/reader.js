@@ -0,0 +1,391 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Book } = require('../models');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const DigitalLoanService = require('../services/digitalLoanService');
+const ReadingService = require('../services/readingService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReadingBookmark:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         book_id:
+ *           type: integer
+ *         page:
+ *           type: integer
+ *         note:
+ *           type: string
+ *     ReadingSession:
+ *       type: object
+ *       properties:
+ *         book:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             title:
+ *               type: string
+ *             author:
+ *               type: string
+ *         loan:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             due_date:
+ *               type: string
+ *               format: date-time
+ *         format:
+ *           type: string
+ *           enum: [pdf, epub]
+ *         page_count:
+ *           type: integer
+ *           description: Null when the PDF's pages could not be counted
+ *         last_page:
+ *           type: integer
+ *         last_read_at:
+ *           type: string
+ *           format: date-time
+ *         bookmarks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReadingBookmark'
+ *         file:
+ *           $ref: '#/components/schemas/DigitalAccess'
+ */
+
+// The reader only opens books the student currently has on digital loan
+const findCurrentLoan = async (req, res) => {
+  const loan = await DigitalLoanService.findCurrentLoan(req.user.id, req.params.bookId, {
+    include: [{ model: Book, as: 'book' }]
+  });
+
+  if (!loan) {
+    res.status(403).json({ message: 'Borrow the digital copy to read this book' });
+    return null;
+  }
+
+  return loan;
+};
+
+/**
+ * @swagger
+ * /api/reader/books/{bookId}:
+ *   get:
+ *     summary: Open a borrowed digital copy in the reader (Student only)
+ *     tags: [Reader]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Signed file URL, last page read and bookmarks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadingSession'
+ *       400:
+ *         description: The book has no digital copy
+ *       403:
+ *         description: No current digital loan of this book
+ */
+router.get('/books/:bookId', [
+  authenticateToken,
+  authorizeRoles('student')
+], async (req, res) => {
+  try {
+    const loan = await findCurrentLoan(req, res);
+    if (!loan) {
+      return;
+    }
+
+    let session;
+    try {
+      session = await ReadingService.getSession(loan);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Open reader error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reader/books/{bookId}/progress:
+ *   put:
+ *     summary: Save the page the student is reading (Student only)
+ *     tags: [Reader]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - page
+ *             properties:
+ *               page:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Progress saved
+ *       403:
+ *         description: No current digital loan of this book
+ */
+router.put('/books/:bookId/progress', [
+  authenticateToken,
+  authorizeRoles('student'),
+  body('page').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loan = await findCurrentLoan(req, res);
+    if (!loan) {
+      return;
+    }
+
+    const progress = await ReadingService.saveProgress(loan, req.body.page);
+
+    res.json({
+      last_page: progress.last_page,
+      last_read_at: progress.last_read_at
+    });
+  } catch (error) {
+    console.error('Save reading progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reader/books/{bookId}/bookmarks:
+ *   post:
+ *     summary: Bookmark a page, or change the note of an existing bookmark (Student only)
+ *     tags: [Reader]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - page
+ *             properties:
+ *               page:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Bookmark saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadingBookmark'
+ *       403:
+ *         description: No current digital loan of this book
+ */
+router.post('/books/:bookId/bookmarks', [
+  authenticateToken,
+  authorizeRoles('student'),
+  body('page').isInt({ min: 1 }),
+  body('note').optional({ nullable: true }).isString().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loan = await findCurrentLoan(req, res);
+    if (!loan) {
+      return;
+    }
+
+    const bookmark = await ReadingService.addBookmark(loan, req.body.page, req.body.note);
+
+    res.status(201).json(bookmark);
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reader/books/{bookId}/bookmarks/{id}:
+ *   delete:
+ *     summary: Remove a bookmark (Student only)
+ *     tags: [Reader]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bookmark removed
+ *       403:
+ *         description: No current digital loan of this book
+ *       404:
+ *         description: Bookmark not found
+ */
+router.delete('/books/:bookId/bookmarks/:id', [
+  authenticateToken,
+  authorizeRoles('student'),
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loan = await findCurrentLoan(req, res);
+    if (!loan) {
+      return;
+    }
+
+    try {
+      await ReadingService.removeBookmark(loan, req.params.id);
+    } catch (error) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    res.json({ message: 'Bookmark removed successfully' });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reader/files/{loanId}:
+ *   get:
+ *     summary: Stream the file of a digital loan to the reader through a signed URL
+ *     description: Needs no login; the expires and signature parameters come from the reading session. Supports Range requests so the viewer can fetch pages as they are needed. Refused once the URL expires or the loan ends.
+ *     tags: [Reader]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *         description: e.g. bytes=0-65535
+ *     responses:
+ *       200:
+ *         description: The whole file
+ *       206:
+ *         description: The requested byte range
+ *       403:
+ *         description: Invalid or expired link, or the loan has ended
+ *       416:
+ *         description: Range not satisfiable
+ */
+router.get('/files/:loanId', [
+  query('expires').isInt({ min: 0 }),
+  query('signature').isHexadecimal()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(403).json({ message: 'Invalid link' });
+    }
+
+    let access;
+    try {
+      access = await DigitalLoanService.verifyAccess(req.params.loanId, req.query.expires, req.query.signature);
+    } catch (error) {
+      return res.status(403).json({ message: error.message });
+    }
+
+    const { digitalCopy } = access;
+
+    // sendFile answers Range requests with 206 or 416 itself
+    res.setHeader('Content-Type', digitalCopy.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${digitalCopy.filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.sendFile(digitalCopy.path, { acceptRanges: true }, (error) => {
+      if (error && error.status === 416 && !res.headersSent) {
+        res.status(416).end();
+      } else if (error && !res.headersSent) {
+        console.error('Send reader file error:', error);
+        res.status(500).json({ message: 'Server error' });
+      }
+    });
+  } catch (error) {
+    console.error('Reader file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
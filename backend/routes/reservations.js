@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Reservation, Book, BookCopy, Student } = require('../models');
+const { authenticateToken, authorizeRoles, hasPermission } = require('../middleware/auth');
+const ReservationService = require('../services/reservationService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Reservation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         book_id:
+ *           type: integer
+ *         student_id:
+ *           type: integer
+ *         copy_id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, cancelled, expired]
+ *         queue_position:
+ *           type: integer
+ *         ready_date:
+ *           type: string
+ *           format: date-time
+ *         pickup_deadline:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: string
+ */
+
+const reservationIncludes = [
+  {
+    model: Book,
+    as: 'book',
+    attributes: ['id', 'title', 'author', 'isbn']
+  },
+  {
+    model: Student,
+    as: 'student',
+    attributes: ['id', 'name', 'email', 'student_id']
+  },
+  {
+    model: BookCopy,
+    as: 'copy',
+    attributes: ['id', 'accession_number', 'barcode', 'shelf_location']
+  }
+];
+
+const withQueuePosition = async (reservation) => ({
+  ...reservation.toJSON(),
+  queue_position: await ReservationService.getQueuePosition(reservation)
+});
+
+/**
+ * @swagger
+ * /api/reservations:
+ *   get:
+ *     summary: Get reservations (students see only their own)
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, cancelled, expired]
+ *       - in: query
+ *         name: book_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of reservations with queue positions
+ */
+router.get('/', [
+  authenticateToken,
+  query('status').optional().isIn(['waiting', 'ready', 'fulfilled', 'cancelled', 'expired']),
+  query('book_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, book_id } = req.query;
+    const whereClause = {};
+
+    if (status) whereClause.status = status;
+    if (book_id) whereClause.book_id = book_id;
+    if (req.userRole === 'student') whereClause.student_id = req.user.id;
+
+    const reservations = await Reservation.findAll({
+      where: whereClause,
+      include: reservationIncludes,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json(await Promise.all(reservations.map(withQueuePosition)));
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reservations/holds-shelf:
+ *   get:
+ *     summary: Get copies set aside for pickup (Librarian only)
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ready holds ordered by pickup deadline
+ */
+router.get('/holds-shelf', [
+  authenticateToken,
+  authorizeRoles('librarian')
+], async (req, res) => {
+  try {
+    const reservations = await Reservation.findAll({
+      where: { status: 'ready' },
+      include: reservationIncludes,
+      order: [['pickup_deadline', 'ASC']]
+    });
+
+    res.json(reservations);
+  } catch (error) {
+    console.error('Get holds shelf error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reservations:
+ *   post:
+ *     summary: Place a hold on an unavailable book
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - book_id
+ *             properties:
+ *               book_id:
+ *                 type: integer
+ *               student_id:
+ *                 type: integer
+ *                 description: Required when a librarian places the hold
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Hold placed with its queue position
+ *       400:
+ *         description: Book is available or student already holds it
+ */
+router.post('/', [
+  authenticateToken,
+  body('book_id').isInt({ min: 1 }),
+  body('student_id').optional().isInt({ min: 1 }),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.userRole === 'librarian' && !hasPermission(req, 'circulation:manage')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { book_id, notes } = req.body;
+    const student_id = req.userRole === 'student' ? req.user.id : req.body.student_id;
+
+    if (!student_id) {
+      return res.status(400).json({ message: 'student_id is required' });
+    }
+
+    const student = await Student.findOne({
+      where: { id: student_id, is_active: true }
+    });
+
+    if (!student) {
+      return res.status(400).json({ message: 'Student not found or inactive' });
+    }
+
+    let reservation;
+    try {
+      reservation = await ReservationService.placeHold(student_id, book_id, notes);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const reservationWithDetails = await Reservation.findByPk(reservation.id, {
+      include: reservationIncludes
+    });
+
+    res.status(201).json({
+      message: 'Hold placed successfully',
+      reservation: await withQueuePosition(reservationWithDetails)
+    });
+  } catch (error) {
+    console.error('Place hold error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reservations/{id}/cancel:
+ *   put:
+ *     summary: Cancel a hold
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Hold cancelled; a held copy passes to the next in queue
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Reservation not found
+ */
+router.put('/:id/cancel', [
+  authenticateToken,
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const reservation = await Reservation.findByPk(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    // Students can only cancel their own holds
+    if (req.userRole === 'student' && reservation.student_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (req.userRole === 'librarian' && !hasPermission(req, 'circulation:manage')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    let cancelled;
+    try {
+      cancelled = await ReservationService.cancelHold(reservation.id, req.body.notes);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: 'Hold cancelled successfully',
+      reservation: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel hold error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
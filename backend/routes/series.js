@@ -0,0 +1,209 @@
+const { body } = require('express-validator');
+const { Series } = require('../models');
+const { createAuthorityRouter } = require('./authorityRouter');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Series:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         merged_into_id:
+ *           type: integer
+ *           description: Set when this record is an alias of another series
+ *         book_count:
+ *           type: integer
+ *           description: Active books, in listings
+ */
+
+/**
+ * @swagger
+ * /api/series:
+ *   get:
+ *     summary: Browse series
+ *     description: Aliases are left out; a search that matches an alias returns the series it belongs to.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthoritySearch'
+ *       - in: query
+ *         name: initial
+ *         schema:
+ *           type: string
+ *         description: First letter of the name
+ *       - $ref: '#/components/parameters/AuthorityPage'
+ *       - $ref: '#/components/parameters/AuthorityLimit'
+ *     responses:
+ *       200:
+ *         description: Page of series with their book counts
+ */
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   get:
+ *     summary: Get a series with its aliases and books
+ *     description: An alias id returns the series it was merged into.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     responses:
+ *       200:
+ *         description: Series details, aliases and active books in volume order
+ *       404:
+ *         description: Series not found
+ */
+
+/**
+ * @swagger
+ * /api/series:
+ *   post:
+ *     summary: Add a series (Librarian only)
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Series added successfully
+ *       400:
+ *         description: Validation error, or the name is already taken
+ */
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   put:
+ *     summary: Update a series (Librarian only)
+ *     description: Renames the series or updates its description.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Series updated successfully
+ *       400:
+ *         description: Validation error, the name is already taken, or the series has been merged
+ *       404:
+ *         description: Series not found
+ */
+
+/**
+ * @swagger
+ * /api/series/{id}/aliases:
+ *   post:
+ *     summary: Add another name for a series (Librarian only)
+ *     description: The alias resolves to this series wherever the name is entered from now on.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AuthorityAlias'
+ *     responses:
+ *       201:
+ *         description: Alias added successfully
+ *       400:
+ *         description: The name already belongs to another series or alias
+ *       404:
+ *         description: Series not found
+ */
+
+/**
+ * @swagger
+ * /api/series/{id}/aliases/{aliasId}:
+ *   delete:
+ *     summary: Remove an alias (Librarian only)
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *       - $ref: '#/components/parameters/AuthorityAliasId'
+ *     responses:
+ *       200:
+ *         description: Alias removed successfully
+ *       404:
+ *         description: Alias not found
+ */
+
+/**
+ * @swagger
+ * /api/series/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate into another series (Librarian only)
+ *     description: Books in the duplicate move to the kept series with their volume numbers, and the duplicate's name becomes an alias.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *         description: The duplicate to merge away
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - into_id
+ *             properties:
+ *               into_id:
+ *                 type: integer
+ *                 description: The series to keep
+ *     responses:
+ *       200:
+ *         description: Merged; returns the surviving series and how many books moved
+ *       400:
+ *         description: Already merged, or merging into itself
+ *       404:
+ *         description: Series not found
+ */
+
+module.exports = createAuthorityRouter({
+  kind: 'series',
+  model: Series,
+  label: 'Series',
+  recordKey: 'series',
+  listKey: 'series',
+  nameMaxLength: 255,
+  detailValidators: () => [
+    body('description').optional({ nullable: true }).trim()
+  ]
+});
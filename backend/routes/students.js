@@ -2,10 +2,17 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const { Student, Course, IssuedBook, Book } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles, requirePermission, hasPermission } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+const BulkDataService = require('../services/bulkDataService');
+const SpreadsheetService = require('../services/spreadsheetService');
+const LoginSecurityService = require('../services/loginSecurityService');
 
 const router = express.Router();
 
+// Spreadsheets are read in memory and never written to disk
+const MAX_IMPORT_FILE_SIZE = parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 10 * 1024 * 1024;
+
 /**
  * @swagger
  * /api/students:
@@ -114,6 +121,121 @@ router.get('/', [
   }
 });
 
+/**
+ * @swagger
+ * /api/students/export:
+ *   get:
+ *     summary: Download all students as CSV or XLSX (Librarian only)
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: boolean
+ *         description: Only the header row, as a starting point for an import
+ *     responses:
+ *       200:
+ *         description: Spreadsheet file using the same columns the import reads
+ */
+router.get('/export', [
+  authenticateToken,
+  authorizeRoles('librarian'),
+  query('format').optional().isIn(['csv', 'xlsx']),
+  query('template').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const template = req.query.template === 'true';
+    const file = template
+      ? await BulkDataService.template('students', format)
+      : await BulkDataService.exportStudents(format);
+    const filename = template
+      ? `students-template.${format}`
+      : `students-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.setHeader('Content-Type', SpreadsheetService.contentType(format));
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file);
+  } catch (error) {
+    console.error('Export students error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/students/import:
+ *   post:
+ *     summary: Bulk create or update students from a CSV or XLSX file (Librarian only)
+ *     description: Rows are matched on student_id; matching students are updated and blank cells keep their stored value. The file is checked straight away and rows are imported in the background; poll /api/import-jobs/{id} for progress and the per-row report.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               dry_run:
+ *                 type: boolean
+ *                 description: Validate every row and report what would change without saving
+ *     responses:
+ *       202:
+ *         description: Import job queued
+ *       400:
+ *         description: No file, or the file could not be read
+ */
+router.post('/import', [
+  authenticateToken,
+  requirePermission('students:manage'),
+  uploadSingle('file', { maxFileSize: MAX_IMPORT_FILE_SIZE })
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    let job;
+    try {
+      job = await BulkDataService.startImport('students', req.file, {
+        dryRun: req.body.dry_run === 'true',
+        librarianId: req.user.id
+      });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(202).json({
+      message: job.dry_run ? 'Dry run started' : 'Import started',
+      job
+    });
+  } catch (error) {
+    console.error('Import students error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/students/{id}:
@@ -206,6 +328,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                 type: string
  *               semester:
  *                 type: string
+ *               email_notifications:
+ *                 type: boolean
+ *                 description: False to stop notification emails
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -218,7 +343,8 @@ router.put('/:id', [
   authenticateToken,
   body('name').optional().isLength({ min: 2 }).trim(),
   body('phone').optional().isLength({ min: 10, max: 15 }).trim(),
-  body('semester').optional().isLength({ min: 1 }).trim()
+  body('semester').optional().isLength({ min: 1 }).trim(),
+  body('email_notifications').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -235,6 +361,9 @@ router.put('/:id', [
     if (req.userRole === 'student' && req.user.id !== parseInt(studentId)) {
       return res.status(403).json({ message: 'Access denied' });
     }
+    if (req.userRole === 'librarian' && !hasPermission(req, 'students:manage')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
     const student = await Student.findOne({
       where: { id: studentId, is_active: true }
@@ -244,7 +373,7 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    const allowedUpdates = ['name', 'phone', 'address', 'semester'];
+    const allowedUpdates = ['name', 'phone', 'address', 'semester', 'email_notifications'];
     const updateData = {};
     
     allowedUpdates.forEach(field => {
@@ -322,5 +451,49 @@ router.get('/:id/borrowing-history', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
+/**
+ * @swagger
+ * /api/students/{id}/unlock:
+ *   post:
+ *     summary: Unlock a student locked out by failed sign-ins (Librarian only)
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Student unlocked
+ *       404:
+ *         description: Student not found
+ */
+router.post('/:id/unlock', [
+  authenticateToken,
+  requirePermission('students:manage')
+], async (req, res) => {
+  try {
+    const student = await Student.findByPk(req.params.id, {
+      attributes: { exclude: ['password'] }
+    });
 
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    await LoginSecurityService.unlock(student, 'student', req.user, req);
+
+    res.json({
+      message: `${student.name} can sign in again`,
+      student
+    });
+  } catch (error) {
+    console.error('Unlock student error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
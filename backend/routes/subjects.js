@@ -0,0 +1,210 @@
+const { body } = require('express-validator');
+const { Subject } = require('../models');
+const { createAuthorityRouter } = require('./authorityRouter');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Subject:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         merged_into_id:
+ *           type: integer
+ *           description: Set when this record is an alias of another subject
+ *         book_count:
+ *           type: integer
+ *           description: Active books, in listings
+ */
+
+/**
+ * @swagger
+ * /api/subjects:
+ *   get:
+ *     summary: Browse subjects
+ *     description: Aliases are left out; a search that matches an alias returns the subject it belongs to.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthoritySearch'
+ *       - in: query
+ *         name: initial
+ *         schema:
+ *           type: string
+ *         description: First letter of the name
+ *       - $ref: '#/components/parameters/AuthorityPage'
+ *       - $ref: '#/components/parameters/AuthorityLimit'
+ *     responses:
+ *       200:
+ *         description: Page of subjects with their book counts
+ */
+
+/**
+ * @swagger
+ * /api/subjects/{id}:
+ *   get:
+ *     summary: Get a subject with its aliases and books
+ *     description: An alias id returns the subject it was merged into.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     responses:
+ *       200:
+ *         description: Subject details, aliases and active books by title
+ *       404:
+ *         description: Subject not found
+ */
+
+/**
+ * @swagger
+ * /api/subjects:
+ *   post:
+ *     summary: Add a subject (Librarian only)
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Subject added successfully
+ *       400:
+ *         description: Validation error, or the name is already taken
+ */
+
+/**
+ * @swagger
+ * /api/subjects/{id}:
+ *   put:
+ *     summary: Update a subject (Librarian only)
+ *     description: A new name becomes the category of every book filed under this subject first, and of circulation policies for the old name.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subject updated successfully
+ *       400:
+ *         description: Validation error, the name is already taken, or the subject has been merged
+ *       404:
+ *         description: Subject not found
+ */
+
+/**
+ * @swagger
+ * /api/subjects/{id}/aliases:
+ *   post:
+ *     summary: Add another name for a subject (Librarian only)
+ *     description: The alias resolves to this subject wherever the name is entered from now on.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AuthorityAlias'
+ *     responses:
+ *       201:
+ *         description: Alias added successfully
+ *       400:
+ *         description: The name already belongs to another subject or alias
+ *       404:
+ *         description: Subject not found
+ */
+
+/**
+ * @swagger
+ * /api/subjects/{id}/aliases/{aliasId}:
+ *   delete:
+ *     summary: Remove an alias (Librarian only)
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *       - $ref: '#/components/parameters/AuthorityAliasId'
+ *     responses:
+ *       200:
+ *         description: Alias removed successfully
+ *       404:
+ *         description: Alias not found
+ */
+
+/**
+ * @swagger
+ * /api/subjects/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate into another subject (Librarian only)
+ *     description: Books move to the kept subject, which also replaces the duplicate as category on books and circulation policies. The duplicate's name becomes an alias, so it is filed correctly when entered again.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuthorityId'
+ *         description: The duplicate to merge away
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - into_id
+ *             properties:
+ *               into_id:
+ *                 type: integer
+ *                 description: The subject to keep
+ *     responses:
+ *       200:
+ *         description: Merged; returns the surviving subject and how many books moved
+ *       400:
+ *         description: Already merged, or merging into itself
+ *       404:
+ *         description: Subject not found
+ */
+
+// Subject names double as book categories, which are 100 characters at most
+module.exports = createAuthorityRouter({
+  kind: 'subject',
+  model: Subject,
+  label: 'Subject',
+  recordKey: 'subject',
+  listKey: 'subjects',
+  nameMaxLength: 100,
+  detailValidators: () => [
+    body('description').optional({ nullable: true }).trim()
+  ]
+});
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { SuggestedBook, Student, Librarian } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles, requirePermission, hasPermission } = require('../middleware/auth');
+const NotificationService = require('../services/notificationService');
 
 const router = express.Router();
 
@@ -161,6 +162,12 @@ router.post('/', [
       ]
     });
 
+    await NotificationService.notifyLibrarians('suggestion_submitted', {
+      title: `New suggestion: ${title}`,
+      message: `${suggestionWithDetails.student.name} suggested "${title}" by ${author}`,
+      link: '/dashboard/suggestions'
+    });
+
     res.status(201).json({
       message: 'Book suggestion submitted successfully',
       suggestion: suggestionWithDetails
@@ -207,7 +214,7 @@ router.post('/', [
  */
 router.put('/:id/review', [
   authenticateToken,
-  authorizeRoles('librarian'),
+  requirePermission('suggestions:review'),
   body('status').isIn(['approved', 'rejected']),
   body('review_notes').optional().trim()
 ], async (req, res) => {
@@ -240,6 +247,8 @@ router.put('/:id/review', [
       review_notes
     });
 
+    await NotificationService.notify(suggestion.student_id, 'suggestion_reviewed', { suggestion });
+
     const reviewedSuggestion = await SuggestedBook.findByPk(suggestion.id, {
       include: [
         {
@@ -299,6 +308,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     if (req.userRole === 'student' && suggestion.student_id !== req.user.id) {
       return res.status(403).json({ message: 'Access denied' });
     }
+    if (req.userRole === 'librarian' && !hasPermission(req, 'suggestions:review')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
     await suggestion.destroy();
 
@@ -1,13 +1,15 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const path = require('path');
 require('dotenv').config();
 
 const { sequelize } = require('./config/database');
+const { migrate } = require('./migrate');
+const { uploadDir } = require('./config/storage');
+const { authLimiter } = require('./middleware/rateLimit');
 const authRoutes = require('./routes/auth');
 const studentRoutes = require('./routes/students');
 const librarianRoutes = require('./routes/librarians');
@@ -16,6 +18,20 @@ const issuedBookRoutes = require('./routes/issuedBooks');
 const suggestedBookRoutes = require('./routes/suggestedBooks');
 const courseRoutes = require('./routes/courses');
 const fineRoutes = require('./routes/fines');
+const bookCopyRoutes = require('./routes/bookCopies');
+const reservationRoutes = require('./routes/reservations');
+const circulationPolicyRoutes = require('./routes/circulationPolicies');
+const closureRoutes = require('./routes/closures');
+const patronBlockRoutes = require('./routes/patronBlocks');
+const bookImportRoutes = require('./routes/bookImports');
+const importJobRoutes = require('./routes/importJobs');
+const authorRoutes = require('./routes/authors');
+const subjectRoutes = require('./routes/subjects');
+const seriesRoutes = require('./routes/series');
+const digitalLoanRoutes = require('./routes/digitalLoans');
+const readerRoutes = require('./routes/reader');
+const emailOutboxRoutes = require('./routes/emailOutbox');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -23,19 +39,31 @@ const PORT = process.env.PORT || 5000;
 // Security middleware
 app.use(helmet());
 
+// Behind a reverse proxy, TRUST_PROXY (the number of proxies, or their
+// addresses) lets rate limits and session records see the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 
 // CORS configuration
+const allowedOrigins = ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:3000'];
 app.use(cors({
-  origin: ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:3000'],
-  credentials: true
+  origin: allowedOrigins,
+  credentials: true,
+  // Lets the frontend name downloaded exports
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Static files. Covers are shown by the frontend on another origin, so
+// they opt out of helmet's same-origin resource policy.
+app.use('/uploads', express.static(uploadDir, {
+  setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 
 // Swagger configuration
 const swaggerOptions = {
@@ -73,6 +101,17 @@ const swaggerOptions = {
 const specs = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
+// Sign-in and account recovery are limited per client address; the
+// routes also limit attempts per account
+app.use([
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/forgot-password',
+  '/api/auth/reset-password',
+  '/api/auth/verify-email',
+  '/api/auth/resend-verification'
+], authLimiter);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/students', studentRoutes);
@@ -82,11 +121,31 @@ app.use('/api/issued-books', issuedBookRoutes);
 app.use('/api/suggested-books', suggestedBookRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/fines', fineRoutes);
+app.use('/api/book-copies', bookCopyRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/circulation-policies', circulationPolicyRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/patron-blocks', patronBlockRoutes);
+app.use('/api/book-imports', bookImportRoutes);
+app.use('/api/import-jobs', importJobRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/subjects', subjectRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/digital-loans', digitalLoanRoutes);
+// The reader shows digital copies in a frame on the frontend's origin, so
+// its file route lets those origins embed it
+app.use('/api/reader/files', (req, res, next) => {
+  res.removeHeader('X-Frame-Options');
+  res.setHeader('Content-Security-Policy', `frame-ancestors 'self' ${allowedOrigins.join(' ')}`);
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+app.use('/api/reader', readerRoutes);
+app.use('/api/email-outbox', emailOutboxRoutes);
+app.use('/api/notifications', notificationRoutes);
 // In your server.js or app.js
 const CronService = require('./services/cronService');
-
-// Initialize cron jobs
-CronService.init();
+const AuthorityService = require('./services/authorityService');
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -126,9 +185,19 @@ const startServer = async () => {
     await sequelize.authenticate();
     console.log('✅ Database connection established successfully.');
     
-    await sequelize.sync({ force: false });
+    const applied = await migrate();
+    applied.forEach((name) => console.log(`📦 Applied migration ${name}`));
     console.log('✅ Database synchronized successfully.');
+
+    // Books catalogued before authors and subjects were tracked get linked
+    // from their author and category text in the background
+    AuthorityService.linkUnlinkedBooks()
+      .then((count) => count > 0 && console.log(`📇 Linked authors and subjects for ${count} books.`))
+      .catch((error) => console.error('Link authors and subjects error:', error));
     
+    // Initialize cron jobs
+    CronService.init();
+
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
       console.log(`📚 API Documentation available at http://localhost:${PORT}/api-docs`);
@@ -140,7 +209,10 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// The test suite loads the app without starting the server
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
 
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { sequelize, AuthToken, Student, Librarian } = require('../models');
+const MailService = require('./mailService');
+const SessionService = require('./sessionService');
+
+// How long a password reset link works
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60;
+
+// How long an email verification link works
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 48;
+
+const LIFETIMES = {
+  password_reset: PASSWORD_RESET_MINUTES * 60 * 1000,
+  email_verification: EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000
+};
+
+const INVALID_LINK = 'This link is invalid or has expired';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const userModel = (role) => (role === 'student' ? Student : Librarian);
+
+// Emails are sent in the background so responses take the same time whether
+// or not the address belongs to an account
+const sendInBackground = (message) => {
+  MailService.send(message).catch((error) => {
+    console.error(`Account email to ${message.to} failed:`, error.message);
+  });
+};
+
+class AccountTokenService {
+  // Create a token for the user, replacing any unused one with the same
+  // purpose so only the newest link works. Returns the raw token.
+  static async issue(role, userId, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await sequelize.transaction(async (transaction) => {
+      await AuthToken.update(
+        { used_at: new Date() },
+        { where: { user_role: role, user_id: userId, purpose, used_at: null }, transaction }
+      );
+      await AuthToken.create({
+        user_role: role,
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + LIFETIMES[purpose])
+      }, { transaction });
+    });
+
+    return token;
+  }
+
+  // Use up a token and return its user. Each token works once, even if two
+  // requests present it together.
+  static async consume(token, purpose) {
+    const record = token && await AuthToken.findOne({
+      where: { token_hash: hashToken(token), purpose }
+    });
+
+    if (!record || record.used_at || new Date(record.expires_at) <= new Date()) {
+      throw new Error(INVALID_LINK);
+    }
+
+    const [claimed] = await AuthToken.update(
+      { used_at: new Date() },
+      { where: { id: record.id, used_at: null } }
+    );
+    if (claimed === 0) {
+      throw new Error(INVALID_LINK);
+    }
+
+    const user = await userModel(record.user_role).findByPk(record.user_id);
+    if (!user || !user.is_active) {
+      throw new Error(INVALID_LINK);
+    }
+
+    return { user, role: record.user_role };
+  }
+
+  // Email a reset link if the address belongs to an active account. Says
+  // nothing either way, so the form cannot be used to look up accounts.
+  static async requestPasswordReset(email, role) {
+    const user = await userModel(role).findOne({ where: { email, is_active: true } });
+    if (!user) return;
+
+    const token = await AccountTokenService.issue(role, user.id, 'password_reset');
+    sendInBackground({
+      to: user.email,
+      subject: 'Reset your library password',
+      ...MailService.letter(user.name, [
+        'We received a request to reset the password for your library account. Use the link below to choose a new one.',
+        `The link works once and expires in ${PASSWORD_RESET_MINUTES} minutes. If you did not ask for this, you can ignore this email.`
+      ], `/reset-password?token=${encodeURIComponent(token)}`)
+    });
+  }
+
+  // Set a new password from a reset link and sign the user out everywhere.
+  // Following the link also proves the student owns the address, and lifts
+  // any lockout from failed sign-ins.
+  static async resetPassword(token, password) {
+    const { user, role } = await AccountTokenService.consume(token, 'password_reset');
+
+    const updates = { password, failed_login_count: 0, lockout_count: 0, locked_until: null };
+    if (role === 'student' && !user.email_verified) {
+      updates.email_verified = true;
+    }
+    await user.update(updates);
+    await SessionService.revokeAll(role, user.id, { reason: 'password_reset' });
+
+    return user;
+  }
+
+  static async sendVerification(student) {
+    const token = await AccountTokenService.issue('student', student.id, 'email_verification');
+    sendInBackground({
+      to: student.email,
+      subject: 'Confirm your email address',
+      ...MailService.letter(student.name, [
+        'Thanks for registering with the library. Confirm your email address with the link below, then sign in.',
+        `The link expires in ${EMAIL_VERIFICATION_HOURS} hours.`
+      ], `/verify-email?token=${encodeURIComponent(token)}`)
+    });
+  }
+
+  // Send a fresh verification link to an unverified student, if there is one
+  static async resendVerification(email) {
+    const student = await Student.findOne({
+      where: { email, is_active: true, email_verified: false }
+    });
+    if (student) {
+      await AccountTokenService.sendVerification(student);
+    }
+  }
+
+  static async verifyEmail(token) {
+    const { user } = await AccountTokenService.consume(token, 'email_verification');
+    return await user.update({ email_verified: true });
+  }
+}
+
+module.exports = AccountTokenService;
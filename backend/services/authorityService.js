@@ -0,0 +1,587 @@
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Book,
+  Course,
+  CirculationPolicy,
+  Author,
+  Subject,
+  Series,
+  BookAuthor,
+  BookSubject,
+  BookSeries
+} = require('../models');
+
+// Each kind of authority record, with the table linking it to books
+const KINDS = {
+  author: { model: Author, link: BookAuthor, foreignKey: 'author_id', label: 'Author' },
+  subject: { model: Subject, link: BookSubject, foreignKey: 'subject_id', label: 'Subject' },
+  series: { model: Series, link: BookSeries, foreignKey: 'series_id', label: 'Series' }
+};
+
+// Separators between co-authors in the free-text author field
+const AUTHOR_SEPARATOR = /\s*(?:;|&|\s\band\b\s|,)\s*/i;
+
+// "Surname, Forenames" with at least one initial, e.g. "Knuth, Donald E."
+const INVERTED_NAME = /^([^,.;&]+),\s*((?:[^,;&\s]+\s+)*[A-Z]\.(?:\s*[^,;&\s]+)*)$/;
+
+const cleanName = (name) => String(name || '').replace(/\s+/g, ' ').trim().replace(/[,;:]+$/, '');
+
+const kindOf = (kind) => {
+  const config = KINDS[kind];
+  if (!config) {
+    throw new Error(`Unknown authority kind: ${kind}`);
+  }
+  return config;
+};
+
+class AuthorityService {
+  // Lowercase, without accents or punctuation, so "C.S." and "CS" compare equal
+  static normalizeKey(name) {
+    return cleanName(name)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[.'\u2019]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  // Split a free-text author field into individual names. A single inverted
+  // name ("Cormen, Thomas H.") is read as one person, not two.
+  static splitAuthors(text) {
+    const cleaned = cleanName(text);
+    const inverted = cleaned.match(INVERTED_NAME);
+    if (inverted && !/\sand\s/i.test(cleaned)) {
+      return [`${inverted[2]} ${inverted[1]}`];
+    }
+
+    return cleaned.split(AUTHOR_SEPARATOR)
+      .map(cleanName)
+      .filter((name) => this.normalizeKey(name));
+  }
+
+  // Filing form of a personal name: "Donald E. Knuth" -> "Knuth, Donald E."
+  static sortName(name) {
+    const words = cleanName(name).split(' ');
+    if (words.length < 2) {
+      return words.join(' ');
+    }
+    return `${words[words.length - 1]}, ${words.slice(0, -1).join(' ')}`;
+  }
+
+  // Follow merges to the record that replaced this one
+  static async canonical(kind, id, { transaction } = {}) {
+    const { model } = kindOf(kind);
+    const seen = new Set();
+
+    let record = await model.findByPk(id, { transaction });
+    while (record && record.merged_into_id && !seen.has(record.id)) {
+      seen.add(record.id);
+      record = await model.findByPk(record.merged_into_id, { transaction });
+    }
+
+    return record;
+  }
+
+  // Existing record with this name or alias, or a new one
+  static async findOrCreate(kind, name, { transaction } = {}) {
+    const { model, label } = kindOf(kind);
+    const cleaned = cleanName(name);
+    const key = this.normalizeKey(cleaned);
+    if (!key) {
+      throw new Error(`${label} name is required`);
+    }
+
+    const existing = await model.findOne({ where: { name_key: key }, transaction });
+    if (existing) {
+      return existing.merged_into_id ? this.canonical(kind, existing.id, { transaction }) : existing;
+    }
+
+    const data = { name: cleaned, name_key: key };
+    if (kind === 'author') {
+      data.sort_name = this.sortName(cleaned);
+    }
+    return model.create(data, { transaction });
+  }
+
+  // Replace a book's links of one kind with these records, in order
+  static async setBookLinks(kind, book, entries, { transaction } = {}) {
+    const { link, foreignKey } = kindOf(kind);
+
+    await link.destroy({ where: { book_id: book.id }, transaction });
+
+    const linked = new Set();
+    for (const entry of entries) {
+      if (linked.has(entry.id)) {
+        continue;
+      }
+      linked.add(entry.id);
+
+      const data = { book_id: book.id, [foreignKey]: entry.id, position: linked.size - 1 };
+      if (kind === 'series') {
+        data.volume = entry.volume || null;
+      }
+      await link.create(data, { transaction });
+    }
+  }
+
+  // Credit these authors on the book and rewrite its author text to match
+  static async setBookAuthors(book, names, { transaction } = {}) {
+    const authors = [];
+    for (const name of names) {
+      authors.push(await this.findOrCreate('author', name, { transaction }));
+    }
+
+    await this.setBookLinks('author', book, authors, { transaction });
+    await this.updateBookText(book, { author: authors.map((author) => author.name).join(', ') }, { transaction });
+    return authors;
+  }
+
+  // File the book under these subjects; the first one becomes its category
+  static async setBookSubjects(book, names, { transaction } = {}) {
+    const subjects = [];
+    for (const name of names) {
+      subjects.push(await this.findOrCreate('subject', name, { transaction }));
+    }
+
+    await this.setBookLinks('subject', book, subjects, { transaction });
+    if (subjects.length > 0) {
+      await this.updateBookText(book, { category: subjects[0].name }, { transaction });
+    }
+    return subjects;
+  }
+
+  // Put the book in these series, each as { name, volume }
+  static async setBookSeries(book, entries, { transaction } = {}) {
+    const series = [];
+    for (const entry of entries) {
+      const record = await this.findOrCreate('series', entry.name, { transaction });
+      series.push({ id: record.id, volume: entry.volume ? String(entry.volume).trim() : null });
+    }
+
+    await this.setBookLinks('series', book, series, { transaction });
+    return series;
+  }
+
+  // Save derived text fields without re-deriving links from them
+  static async updateBookText(book, values, { transaction } = {}) {
+    const changed = {};
+    for (const [field, value] of Object.entries(values)) {
+      if (value && book[field] !== value) {
+        changed[field] = value;
+      }
+    }
+
+    if (Object.keys(changed).length > 0) {
+      await book.update(changed, { transaction, skipAuthorityLinks: true });
+    }
+  }
+
+  // Link a book to authors and subjects from its author and category text.
+  // Names that are aliases resolve to the surviving record, and the text is
+  // rewritten with the preferred names so categories stop drifting.
+  static async syncBookFromText(book, fields, { transaction } = {}) {
+    const values = {};
+
+    if (fields.includes('author')) {
+      const authors = [];
+      for (const name of this.splitAuthors(book.author)) {
+        authors.push(await this.findOrCreate('author', name, { transaction }));
+      }
+
+      if (authors.length > 0) {
+        await this.setBookLinks('author', book, authors, { transaction });
+        values.author = [...new Set(authors.map((author) => author.name))].join(', ');
+      }
+    }
+
+    if (fields.includes('category') && this.normalizeKey(book.category)) {
+      const category = await this.findOrCreate('subject', book.category, { transaction });
+
+      // Other subjects stay filed after the category
+      const others = await BookSubject.findAll({
+        where: { book_id: book.id, subject_id: { [Op.ne]: category.id } },
+        order: [['position', 'ASC'], ['id', 'ASC']],
+        transaction
+      });
+
+      await this.setBookLinks('subject', book, [category, ...others.map((link) => ({ id: link.subject_id }))], { transaction });
+      values.category = category.name;
+    }
+
+    await this.updateBookText(book, values, { transaction });
+  }
+
+  // Rewrite the author and category text of these books from their links
+  static async refreshBookText(bookIds, { transaction } = {}) {
+    for (const bookId of new Set(bookIds)) {
+      const book = await Book.findByPk(bookId, { transaction });
+      if (!book) {
+        continue;
+      }
+
+      const authorLinks = await BookAuthor.findAll({
+        where: { book_id: bookId },
+        include: [{ model: Author, as: 'author', attributes: ['name'] }],
+        order: [['position', 'ASC'], ['id', 'ASC']],
+        transaction
+      });
+      const category = await BookSubject.findOne({
+        where: { book_id: bookId },
+        include: [{ model: Subject, as: 'subject', attributes: ['name'] }],
+        order: [['position', 'ASC'], ['id', 'ASC']],
+        transaction
+      });
+
+      await this.updateBookText(book, {
+        author: [...new Set(authorLinks.map((link) => link.author.name))].join(', '),
+        category: category ? category.subject.name : null
+      }, { transaction });
+    }
+  }
+
+  // Link every book that has no authors yet, e.g. books catalogued before
+  // authors and subjects were tracked
+  static async linkUnlinkedBooks() {
+    const linked = await BookAuthor.findAll({ attributes: ['book_id'], group: ['book_id'], raw: true });
+    const linkedIds = linked.map((link) => link.book_id);
+
+    const books = await Book.findAll({
+      where: linkedIds.length > 0 ? { id: { [Op.notIn]: linkedIds } } : {}
+    });
+
+    for (const book of books) {
+      await sequelize.transaction((transaction) => this.syncBookFromText(book, ['author', 'category'], { transaction }));
+    }
+
+    return books.length;
+  }
+
+  // A book's authors, subjects and series in their filed order
+  static async forBook(bookId) {
+    const result = {};
+
+    for (const [kind, key] of [['author', 'authors'], ['subject', 'subjects'], ['series', 'series']]) {
+      const { model, link } = kindOf(kind);
+      const links = await link.findAll({
+        where: { book_id: bookId },
+        include: [{ model, as: kind, attributes: ['id', 'name'] }],
+        order: [['position', 'ASC'], ['id', 'ASC']]
+      });
+
+      result[key] = links.map((row) => {
+        const entry = { id: row[kind].id, name: row[kind].name };
+        if (kind === 'series') {
+          entry.volume = row.volume;
+        }
+        return entry;
+      });
+    }
+
+    return result;
+  }
+
+  // Ids of the books linked to a record or to the record it was merged into
+  static async bookIds(kind, id) {
+    const { link, foreignKey } = kindOf(kind);
+
+    const record = await this.canonical(kind, id);
+    if (!record) {
+      return [];
+    }
+
+    const links = await link.findAll({ where: { [foreignKey]: record.id }, attributes: ['book_id'] });
+    return links.map((row) => row.book_id);
+  }
+
+  // One page of records that are not aliases, with their active book counts.
+  // A search also matches aliases, returning the record they point at.
+  static async list(kind, { search, initial, page = 1, limit = 50 } = {}) {
+    const { model, link, foreignKey } = kindOf(kind);
+    const sortField = kind === 'author' ? 'sort_name' : 'name';
+    const where = { merged_into_id: null };
+    const conditions = [];
+
+    if (search && this.normalizeKey(search)) {
+      const key = { [Op.like]: `%${this.normalizeKey(search)}%` };
+      const aliases = await model.findAll({
+        where: { name_key: key, merged_into_id: { [Op.ne]: null } },
+        attributes: ['merged_into_id']
+      });
+      conditions.push({
+        [Op.or]: [
+          { name_key: key },
+          { id: { [Op.in]: aliases.map((alias) => alias.merged_into_id) } }
+        ]
+      });
+    }
+
+    if (initial) {
+      conditions.push({ [sortField]: { [Op.like]: `${initial}%` } });
+    }
+
+    if (conditions.length > 0) {
+      where[Op.and] = conditions;
+    }
+
+    const { count, rows } = await model.findAndCountAll({
+      where,
+      order: [[sortField, 'ASC'], ['name', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const counts = await link.findAll({
+      where: { [foreignKey]: { [Op.in]: rows.map((row) => row.id) } },
+      include: [{ model: Book, as: 'book', attributes: [], where: { is_active: true } }],
+      attributes: [foreignKey, [sequelize.fn('COUNT', sequelize.col('book.id')), 'book_count']],
+      group: [foreignKey],
+      raw: true
+    });
+    const countsById = new Map(counts.map((row) => [row[foreignKey], parseInt(row.book_count)]));
+
+    return {
+      records: rows.map((row) => ({ ...row.toJSON(), book_count: countsById.get(row.id) || 0 })),
+      total: count
+    };
+  }
+
+  // A record with its aliases and active books. Aliases resolve to the
+  // record they were merged into.
+  static async getWithBooks(kind, id) {
+    const { model } = kindOf(kind);
+
+    const record = await this.canonical(kind, id);
+    if (!record) {
+      return null;
+    }
+
+    const aliases = await model.findAll({
+      where: { merged_into_id: record.id },
+      attributes: ['id', 'name'],
+      order: [['name', 'ASC']]
+    });
+
+    const books = await record.getBooks({
+      where: { is_active: true },
+      joinTableAttributes: kind === 'series' ? ['position', 'volume'] : ['position'],
+      include: [{ model: Course, as: 'course', attributes: ['id', 'name', 'code'] }]
+    });
+
+    // Series run in volume order; everything else by title
+    const volumeOf = (book) => (book.BookSeries ? book.BookSeries.volume || '' : '');
+    books.sort((a, b) => (kind === 'series'
+      ? volumeOf(a).localeCompare(volumeOf(b), undefined, { numeric: true })
+      : 0) || a.title.localeCompare(b.title));
+
+    return {
+      ...record.toJSON(),
+      aliases,
+      books: books.map((book) => {
+        const data = book.toJSON();
+        if (kind === 'series') {
+          data.volume = book.BookSeries.volume;
+        }
+        delete data.BookAuthor;
+        delete data.BookSubject;
+        delete data.BookSeries;
+        return data;
+      })
+    };
+  }
+
+  // Refuse a name that already belongs to another record or alias
+  static async assertNameFree(kind, name, exceptId, { transaction } = {}) {
+    const { model, label } = kindOf(kind);
+    const key = this.normalizeKey(name);
+    if (!key) {
+      throw new Error(`${label} name is required`);
+    }
+
+    const existing = await model.findOne({ where: { name_key: key }, transaction });
+    if (existing && existing.id !== exceptId) {
+      if (existing.merged_into_id) {
+        const target = await this.canonical(kind, existing.id, { transaction });
+        throw new Error(`"${existing.name}" is already an alias of "${target.name}"`);
+      }
+      throw new Error(`"${existing.name}" already exists`);
+    }
+
+    return key;
+  }
+
+  static async create(kind, data) {
+    const { model } = kindOf(kind);
+    const name = cleanName(data.name);
+    const key = await this.assertNameFree(kind, name);
+
+    const values = { name, name_key: key, ...this.details(kind, data) };
+    if (kind === 'author' && !values.sort_name) {
+      values.sort_name = this.sortName(name);
+    }
+    return model.create(values);
+  }
+
+  // Rename or describe a record. A new name is copied onto its books'
+  // author or category text.
+  static async update(kind, id, data) {
+    const { model, label } = kindOf(kind);
+
+    return sequelize.transaction(async (transaction) => {
+      const record = await model.findByPk(id, { transaction });
+      if (!record) {
+        throw new Error(`${label} not found`);
+      }
+      if (record.merged_into_id) {
+        throw new Error(`${label} has been merged and cannot be edited`);
+      }
+
+      const values = this.details(kind, data);
+      const oldName = record.name;
+      if (data.name !== undefined && cleanName(data.name) !== oldName) {
+        values.name = cleanName(data.name);
+        values.name_key = await this.assertNameFree(kind, values.name, record.id, { transaction });
+      }
+
+      await record.update(values, { transaction });
+
+      if (values.name && kind !== 'series') {
+        if (kind === 'subject') {
+          await this.renamePolicyCategory([oldName], values.name, { transaction });
+        }
+        await this.refreshBookText(await this.linkedBookIds(kind, record.id, { transaction }), { transaction });
+      }
+
+      return record;
+    });
+  }
+
+  // Editable fields other than the name
+  static details(kind, data) {
+    const values = {};
+    const fields = kind === 'author' ? ['sort_name', 'bio'] : ['description'];
+    for (const field of fields) {
+      if (data[field] !== undefined) {
+        values[field] = data[field] ? String(data[field]).trim() : null;
+      }
+    }
+    return values;
+  }
+
+  // Record another name for a record, so the name resolves to it from now on
+  static async addAlias(kind, id, name) {
+    const { model, label } = kindOf(kind);
+
+    const record = await this.canonical(kind, id);
+    if (!record) {
+      throw new Error(`${label} not found`);
+    }
+
+    const cleaned = cleanName(name);
+    const key = await this.assertNameFree(kind, cleaned);
+
+    const values = { name: cleaned, name_key: key, merged_into_id: record.id };
+    if (kind === 'author') {
+      values.sort_name = this.sortName(cleaned);
+    }
+    return model.create(values);
+  }
+
+  // Forget an alias. Aliases have no books, so nothing else changes.
+  static async removeAlias(kind, id, aliasId) {
+    const { model, label } = kindOf(kind);
+
+    const alias = await model.findOne({ where: { id: aliasId, merged_into_id: id } });
+    if (!alias) {
+      throw new Error(`${label} alias not found`);
+    }
+
+    await alias.destroy();
+  }
+
+  // Fold a duplicate into another record: its books move across, and it and
+  // its aliases become aliases of the surviving record
+  static async merge(kind, sourceId, targetId) {
+    const { model, link, foreignKey, label } = kindOf(kind);
+
+    return sequelize.transaction(async (transaction) => {
+      const source = await model.findByPk(sourceId, { transaction });
+      const target = await this.canonical(kind, targetId, { transaction });
+      if (!source || !target) {
+        throw new Error(`${label} not found`);
+      }
+      if (source.merged_into_id) {
+        throw new Error(`"${source.name}" has already been merged`);
+      }
+      if (source.id === target.id) {
+        throw new Error(`Cannot merge "${source.name}" into itself`);
+      }
+
+      const links = await link.findAll({ where: { [foreignKey]: source.id }, transaction });
+      for (const sourceLink of links) {
+        const existing = await link.findOne({
+          where: { book_id: sourceLink.book_id, [foreignKey]: target.id },
+          transaction
+        });
+
+        // A book credited to both keeps the earlier position
+        if (existing) {
+          if (sourceLink.position < existing.position) {
+            await existing.update({ position: sourceLink.position }, { transaction });
+          }
+          await sourceLink.destroy({ transaction });
+        } else {
+          await sourceLink.update({ [foreignKey]: target.id }, { transaction });
+        }
+      }
+
+      const aliasNames = (await model.findAll({ where: { merged_into_id: source.id }, transaction }))
+        .map((alias) => alias.name);
+      await model.update({ merged_into_id: target.id }, { where: { merged_into_id: source.id }, transaction });
+      await source.update({ merged_into_id: target.id }, { transaction });
+
+      if (kind === 'subject') {
+        await this.renamePolicyCategory([source.name, ...aliasNames], target.name, { transaction });
+      }
+
+      const bookIds = links.map((sourceLink) => sourceLink.book_id);
+      if (kind !== 'series') {
+        await this.refreshBookText(bookIds, { transaction });
+      }
+
+      return { source, target, books_moved: new Set(bookIds).size };
+    });
+  }
+
+  static async linkedBookIds(kind, id, { transaction } = {}) {
+    const { link, foreignKey } = kindOf(kind);
+    const links = await link.findAll({ where: { [foreignKey]: id }, attributes: ['book_id'], transaction });
+    return links.map((row) => row.book_id);
+  }
+
+  // Circulation policies match on category text, so they follow a renamed
+  // or merged subject
+  static async renamePolicyCategory(oldNames, newName, { transaction } = {}) {
+    await CirculationPolicy.update(
+      { item_category: newName },
+      { where: { item_category: { [Op.in]: oldNames } }, transaction }
+    );
+  }
+}
+
+// Keep author and subject links in step with the author and category text,
+// whichever route, import or script changed it
+Book.addHook('afterCreate', 'authorityLinks', (book, options) => (
+  AuthorityService.syncBookFromText(book, ['author', 'category'], { transaction: options.transaction })
+));
+Book.addHook('afterUpdate', 'authorityLinks', (book, options) => {
+  const fields = ['author', 'category'].filter((field) => book.changed(field));
+  if (options.skipAuthorityLinks || fields.length === 0) {
+    return undefined;
+  }
+  return AuthorityService.syncBookFromText(book, fields, { transaction: options.transaction });
+});
+
+module.exports = AuthorityService;
@@ -0,0 +1,117 @@
+const { IssuedBook, Fine, FineConfig, PatronBlock } = require('../models');
+const { Op } = require('sequelize');
+const ClosureService = require('./closureService');
+
+// Limits used when no fine configuration exists. A threshold of 0 blocks
+// any outstanding fine, so only an unset or invalid value falls back.
+const envThreshold = parseFloat(process.env.BLOCK_FINE_THRESHOLD);
+const DEFAULT_FINE_THRESHOLD = Number.isNaN(envThreshold) ? 500.00 : envThreshold;
+const DEFAULT_OVERDUE_ITEMS = parseInt(process.env.BLOCK_OVERDUE_ITEMS) || 3;
+
+class BlockService {
+  // Fine and overdue limits from the active fine configuration
+  static async getLimits({ transaction } = {}) {
+    const fineConfig = await FineConfig.findOne({
+      where: { is_active: true },
+      order: [['created_at', 'DESC']],
+      transaction
+    });
+
+    if (!fineConfig) {
+      return {
+        fine_threshold: DEFAULT_FINE_THRESHOLD,
+        overdue_items: DEFAULT_OVERDUE_ITEMS
+      };
+    }
+
+    return {
+      fine_threshold: fineConfig.block_fine_threshold !== null ? parseFloat(fineConfig.block_fine_threshold) : null,
+      overdue_items: fineConfig.block_overdue_items
+    };
+  }
+
+  // Manual blocks in force today
+  static async getManualBlocks(studentId, { transaction } = {}) {
+    const today = ClosureService.toDateKey(new Date());
+
+    return await PatronBlock.findAll({
+      where: {
+        student_id: studentId,
+        is_active: true,
+        [Op.or]: [
+          { expires_on: null },
+          { expires_on: { [Op.gte]: today } }
+        ]
+      },
+      include: [{ association: 'createdBy', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']],
+      transaction
+    });
+  }
+
+  // Everything currently stopping a student from borrowing. An empty list
+  // means the student may borrow.
+  static async getBlocks(studentId, { transaction } = {}) {
+    const limits = await this.getLimits({ transaction });
+    const blocks = [];
+
+    if (limits.fine_threshold !== null) {
+      const pendingFines = await Fine.findAll({
+        where: { student_id: studentId, status: 'pending' },
+        transaction
+      });
+      const outstanding = pendingFines.reduce((sum, fine) => sum + fine.balance, 0);
+
+      if (outstanding > limits.fine_threshold) {
+        blocks.push({
+          type: 'fines',
+          reason: `Outstanding fines of ₹${outstanding.toFixed(2)} exceed the limit of ₹${limits.fine_threshold.toFixed(2)}`
+        });
+      }
+    }
+
+    if (limits.overdue_items !== null) {
+      const today = ClosureService.toDateKey(new Date());
+      const overdueLoans = await IssuedBook.count({
+        where: {
+          student_id: studentId,
+          [Op.or]: [
+            { status: 'overdue' },
+            { status: 'issued', due_date: { [Op.lt]: today } }
+          ]
+        },
+        transaction
+      });
+
+      if (overdueLoans >= limits.overdue_items) {
+        blocks.push({
+          type: 'overdue',
+          reason: `${overdueLoans} overdue item(s); borrowing stops at ${limits.overdue_items}`
+        });
+      }
+    }
+
+    const manualBlocks = await this.getManualBlocks(studentId, { transaction });
+    for (const block of manualBlocks) {
+      blocks.push({
+        type: 'manual',
+        id: block.id,
+        reason: block.reason,
+        expires_on: block.expires_on
+      });
+    }
+
+    return blocks;
+  }
+
+  // Throw if the student is blocked, naming every reason
+  static async assertCanBorrow(studentId, { transaction } = {}) {
+    const blocks = await this.getBlocks(studentId, { transaction });
+
+    if (blocks.length > 0) {
+      throw new Error(`Borrowing is blocked: ${blocks.map((block) => block.reason).join('; ')}`);
+    }
+  }
+}
+
+module.exports = BlockService;
@@ -0,0 +1,248 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Op } = require('sequelize');
+const sharp = require('sharp');
+const { DigitalLoan } = require('../models');
+const { uploadDir, digitalDir } = require('../config/storage');
+
+const COVER_DIR = path.join(uploadDir, 'covers');
+const COVER_URL_PREFIX = '/uploads/covers/';
+
+// Thumbnails fit within this box, keeping the cover's proportions
+const THUMBNAIL_WIDTH = 200;
+const THUMBNAIL_HEIGHT = 300;
+
+// Cover formats accepted, with the extension each is saved under
+const COVER_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+const DIGITAL_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  epub: { extension: 'epub', contentType: 'application/epub+zip' }
+};
+
+// A name no other upload will have, so replaced files are never overwritten
+// while still being served
+const uniqueName = (book, extension, suffix = '') =>
+  `book-${book.id}-${crypto.randomBytes(8).toString('hex')}${suffix}.${extension}`;
+
+// Stored values only ever name a file inside our own directories
+const coverFile = (storedPath) =>
+  storedPath && storedPath.startsWith(COVER_URL_PREFIX)
+    ? path.join(COVER_DIR, path.basename(storedPath))
+    : null;
+
+const digitalFile = (storedPath) => (storedPath ? path.join(digitalDir, path.basename(storedPath)) : null);
+
+// Most the object streams of one PDF may inflate to in total. Real ones
+// take a few megabytes; beyond this the page count is left unknown.
+const MAX_OBJECT_STREAM_BYTES = 16 * 1024 * 1024;
+
+// PDF 1.5+ writers usually pack the page tree into compressed object
+// streams, so those are inflated and searched along with the plain text.
+// Null when they would inflate past MAX_OBJECT_STREAM_BYTES.
+const pdfObjectStreams = (text) => {
+  const streams = [];
+  let remaining = MAX_OBJECT_STREAM_BYTES;
+  for (const match of text.matchAll(/\/Type\s*\/ObjStm\b[^>]*>>\s*stream\r?\n/g)) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end === -1) {
+      continue;
+    }
+    let inflated;
+    try {
+      inflated = zlib.inflateSync(Buffer.from(text.slice(start, end), 'latin1'), { maxOutputLength: remaining });
+    } catch (error) {
+      if (error instanceof RangeError) {
+        return null;
+      }
+      // Not Flate-encoded or damaged; the page count is only a nicety
+      continue;
+    }
+    remaining -= inflated.length;
+    if (remaining <= 0) {
+      return null;
+    }
+    streams.push(inflated.toString('latin1'));
+  }
+  return streams;
+};
+
+// Page count of a PDF from its page tree: the root Pages node has the
+// largest /Count. Null when no page tree can be found.
+const pdfPageCount = (buffer) => {
+  const text = buffer.toString('latin1');
+  const objectStreams = pdfObjectStreams(text);
+  if (objectStreams === null) {
+    return null;
+  }
+
+  let count = null;
+  for (const source of [text, ...objectStreams]) {
+    for (const match of source.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)) {
+      const value = parseInt(match[1] || match[2]);
+      if (count === null || value > count) {
+        count = value;
+      }
+    }
+  }
+  return count;
+};
+
+const removeFiles = async (files) => {
+  for (const file of files.filter(Boolean)) {
+    try {
+      await fs.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove book file:', error);
+      }
+    }
+  }
+};
+
+class BookFileService {
+  // PDF or EPUB, judged from the file's contents rather than its name
+  static detectDigitalFormat(buffer) {
+    if (buffer.length >= 5 && buffer.toString('latin1', 0, 5) === '%PDF-') {
+      return 'pdf';
+    }
+
+    // An EPUB is a zip whose first entry is an uncompressed "mimetype" file
+    if (buffer.length >= 30 && buffer.readUInt32LE(0) === 0x04034b50) {
+      const nameLength = buffer.readUInt16LE(26);
+      const extraLength = buffer.readUInt16LE(28);
+      const contentStart = 30 + nameLength + extraLength;
+      if (buffer.toString('latin1', 30, 30 + nameLength) === 'mimetype'
+        && buffer.toString('latin1', contentStart, contentStart + 20) === 'application/epub+zip') {
+        return 'epub';
+      }
+    }
+
+    return null;
+  }
+
+  // Save a new cover and a JPEG thumbnail of it, replacing any previous
+  // ones. sharp decodes and resizes off the main thread.
+  static async setCover(book, file) {
+    const metadata = await sharp(file.buffer).metadata().catch(() => ({}));
+    if (!COVER_EXTENSIONS[metadata.format]) {
+      throw new Error('Cover must be a JPEG, PNG or WebP image');
+    }
+
+    let thumbnail;
+    try {
+      thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'inside', withoutEnlargement: true })
+        // JPEG has no transparency, so transparent covers go on white
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      throw new Error(`Cover image could not be read: ${error.message}`);
+    }
+
+    await fs.mkdir(COVER_DIR, { recursive: true });
+    const coverName = uniqueName(book, COVER_EXTENSIONS[metadata.format]);
+    await fs.writeFile(path.join(COVER_DIR, coverName), file.buffer);
+
+    const thumbnailName = uniqueName(book, 'jpg', '-thumb');
+    await fs.writeFile(path.join(COVER_DIR, thumbnailName), thumbnail);
+
+    const previous = [coverFile(book.cover_image_path), coverFile(book.cover_thumbnail_path)];
+    await book.update({
+      cover_image_path: COVER_URL_PREFIX + coverName,
+      cover_thumbnail_path: COVER_URL_PREFIX + thumbnailName
+    });
+    await removeFiles(previous);
+
+    return book;
+  }
+
+  static async removeCover(book) {
+    const previous = [coverFile(book.cover_image_path), coverFile(book.cover_thumbnail_path)];
+    await book.update({ cover_image_path: null, cover_thumbnail_path: null });
+    await removeFiles(previous);
+    return book;
+  }
+
+  // Save a PDF or EPUB as the book's digital copy, replacing any previous one
+  static async setDigitalCopy(book, file) {
+    const format = this.detectDigitalFormat(file.buffer);
+    if (!format) {
+      throw new Error('Digital copy must be a PDF or EPUB file');
+    }
+
+    await fs.mkdir(digitalDir, { recursive: true });
+    const name = uniqueName(book, DIGITAL_FORMATS[format].extension);
+    await fs.writeFile(path.join(digitalDir, name), file.buffer);
+
+    const previous = digitalFile(book.digital_copy_path);
+    await book.update({
+      digital_copy_path: name,
+      digital_page_count: format === 'pdf' ? pdfPageCount(file.buffer) : null
+    });
+    await removeFiles([previous]);
+
+    return book;
+  }
+
+  static async removeDigitalCopy(book) {
+    const previous = digitalFile(book.digital_copy_path);
+    await book.update({ digital_copy_path: null, digital_page_count: null });
+    await removeFiles([previous]);
+    return book;
+  }
+
+  // Librarians may open any digital copy; students only those they have a
+  // digital loan of that has not ended or fallen due
+  static async canAccessDigitalCopy(book, user, role) {
+    if (role === 'librarian') {
+      return true;
+    }
+
+    const loan = await DigitalLoan.findOne({
+      where: {
+        book_id: book.id,
+        student_id: user.id,
+        status: 'active',
+        due_date: { [Op.gt]: new Date() }
+      }
+    });
+    return Boolean(loan);
+  }
+
+  // Location and download details of a book's digital copy, or null when it
+  // has none or the file has gone missing
+  static async digitalCopy(book) {
+    const file = digitalFile(book.digital_copy_path);
+    const format = file && path.extname(file).slice(1);
+    if (!DIGITAL_FORMATS[format]) {
+      return null;
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const baseName = book.title.replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-').slice(0, 80) || `book-${book.id}`;
+    return {
+      path: file,
+      size: stats.size,
+      format,
+      contentType: DIGITAL_FORMATS[format].contentType,
+      filename: `${baseName}.${DIGITAL_FORMATS[format].extension}`
+    };
+  }
+}
+
+module.exports = BookFileService;
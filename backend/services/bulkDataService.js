@@ -0,0 +1,456 @@
+const { sequelize, Book, Student, Course, ImportJob } = require('../models');
+const CopyService = require('./copyService');
+const ReservationService = require('./reservationService');
+const IsbnService = require('./isbnService');
+const SpreadsheetService = require('./spreadsheetService');
+
+// Largest number of data rows accepted in one import
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 5000;
+
+// How often, in rows, a running job saves its progress
+const PROGRESS_INTERVAL = 25;
+
+// Columns in export order. Import reads the same headers, so an export
+// can be edited and uploaded again; read-only columns are ignored.
+const BOOK_COLUMNS = [
+  'isbn', 'title', 'author', 'category', 'edition', 'publisher', 'publication_year',
+  'loan_type', 'course_code', 'total_copies', 'available_copies', 'replacement_cost',
+  'location', 'description'
+];
+const STUDENT_COLUMNS = [
+  'student_id', 'name', 'email', 'course_code', 'semester', 'phone', 'address',
+  'date_of_birth', 'enrollment_date', 'max_books_allowed', 'is_active'
+];
+
+// Imports may also set a password, which is never exported
+const STUDENT_IMPORT_COLUMNS = [...STUDENT_COLUMNS, 'password'];
+
+const LOAN_TYPES = ['regular', 'reference', 'reserve'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'active'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'inactive'];
+
+// Thrown inside a dry-run row's transaction so nothing it wrote is kept
+class DryRunRollback extends Error {}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Collects a row's field errors while reading its cells
+const rowReader = (values) => {
+  const errors = [];
+
+  const text = (field, { min = 0, max } = {}) => {
+    if (isBlank(values[field])) return undefined;
+    const value = String(values[field]).trim();
+    if (value.length < min) errors.push(`${field} must be at least ${min} characters`);
+    if (max && value.length > max) errors.push(`${field} must be at most ${max} characters`);
+    return value;
+  };
+
+  const integer = (field, { min, max } = {}) => {
+    if (isBlank(values[field])) return undefined;
+    const value = Number(values[field]);
+    if (!Number.isInteger(value) || (min !== undefined && value < min) || (max !== undefined && value > max)) {
+      errors.push(`${field} must be a whole number${min !== undefined ? ` from ${min}` : ''}${max !== undefined ? ` to ${max}` : ''}`);
+      return undefined;
+    }
+    return value;
+  };
+
+  const decimal = (field, { min } = {}) => {
+    if (isBlank(values[field])) return undefined;
+    const value = Number(values[field]);
+    if (!Number.isFinite(value) || (min !== undefined && value < min)) {
+      errors.push(`${field} must be a number${min !== undefined ? ` of at least ${min}` : ''}`);
+      return undefined;
+    }
+    return value;
+  };
+
+  // YYYY-MM-DD, or the day number a spreadsheet stores for a date cell
+  const date = (field) => {
+    if (isBlank(values[field])) return undefined;
+    const value = String(values[field]).trim();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      return SpreadsheetService.serialToDate(Number(value));
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+      errors.push(`${field} must be a date in YYYY-MM-DD form`);
+      return undefined;
+    }
+    return value;
+  };
+
+  const boolean = (field) => {
+    if (isBlank(values[field])) return undefined;
+    const value = String(values[field]).trim().toLowerCase();
+    if (TRUE_VALUES.includes(value)) return true;
+    if (FALSE_VALUES.includes(value)) return false;
+    errors.push(`${field} must be yes or no`);
+    return undefined;
+  };
+
+  const oneOf = (field, allowed) => {
+    if (isBlank(values[field])) return undefined;
+    const value = String(values[field]).trim().toLowerCase();
+    if (!allowed.includes(value)) {
+      errors.push(`${field} must be one of ${allowed.join(', ')}`);
+      return undefined;
+    }
+    return value;
+  };
+
+  return { errors, text, integer, decimal, date, boolean, oneOf };
+};
+
+// Drop fields the row left blank so updates keep the stored value
+const definedOnly = (data) => Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+
+// Fields whose new value differs from the stored one. Decimals come back
+// from the database as strings such as "250.00", so numbers compare as numbers.
+const changedFields = (record, data) => Object.keys(data).filter((field) => {
+  const stored = record[field];
+  if (typeof data[field] === 'number' && stored !== null && stored !== undefined) {
+    return Number(stored) !== data[field];
+  }
+  return (isBlank(stored) ? '' : String(stored)) !== (isBlank(data[field]) ? '' : String(data[field]));
+});
+
+const bookKey = (isbn) => (IsbnService.isValid(isbn) ? IsbnService.toIsbn13(isbn) : IsbnService.compact(isbn));
+
+class BulkDataService {
+  // Courses by upper-case code, for resolving course_code cells
+  static async courseLookup() {
+    const courses = await Course.findAll({ attributes: ['id', 'code'] });
+    return new Map(courses.map((course) => [course.code.toUpperCase(), course]));
+  }
+
+  // Catalogued books by ISBN-13 (or compact ISBN when not a valid one)
+  static async bookLookup() {
+    const books = await Book.findAll({ attributes: ['id', 'isbn', 'is_active'] });
+    const lookup = new Map();
+    for (const book of books.filter((candidate) => candidate.isbn)) {
+      const key = bookKey(book.isbn);
+      // An active book wins over a withdrawn one with the same ISBN
+      if (!lookup.has(key) || (book.is_active && !lookup.get(key).is_active)) {
+        lookup.set(key, book);
+      }
+    }
+    return lookup;
+  }
+
+  // Create or update one book from a row. Rows without an ISBN always
+  // create a new book; rows with one update the book catalogued under it.
+  static async importBookRow(values, { courses, books }, { transaction } = {}) {
+    const row = rowReader(values);
+
+    let isbn;
+    if (!isBlank(values.isbn)) {
+      const isbnCheck = IsbnService.validate(values.isbn);
+      if (isbnCheck.valid) {
+        isbn = isbnCheck.isbn13;
+      } else {
+        row.errors.push(`isbn ${values.isbn}: ${isbnCheck.message}`);
+      }
+    }
+
+    const courseCode = row.text('course_code');
+    const course = courseCode ? courses.get(courseCode.toUpperCase()) : undefined;
+    if (courseCode && !course) {
+      row.errors.push(`course_code ${courseCode} does not match a course`);
+    }
+
+    const data = definedOnly({
+      title: row.text('title', { min: 2, max: 255 }),
+      author: row.text('author', { min: 2, max: 255 }),
+      category: row.text('category', { min: 2, max: 100 }),
+      edition: row.text('edition', { max: 50 }),
+      publisher: row.text('publisher', { max: 100 }),
+      publication_year: row.integer('publication_year', { min: 1000, max: new Date().getFullYear() }),
+      loan_type: row.oneOf('loan_type', LOAN_TYPES),
+      course_id: course ? course.id : undefined,
+      replacement_cost: row.decimal('replacement_cost', { min: 0 }),
+      location: row.text('location', { max: 100 }),
+      description: row.text('description')
+    });
+    const totalCopies = row.integer('total_copies', { min: 1, max: 1000 });
+
+    const existingEntry = isbn ? books.get(isbn) : null;
+    if (!existingEntry) {
+      for (const field of ['title', 'author', 'category']) {
+        if (data[field] === undefined) row.errors.push(`${field} is required for a new book`);
+      }
+    }
+
+    if (row.errors.length > 0) {
+      return { key: isbn || values.isbn || values.title, action: 'failed', errors: row.errors };
+    }
+
+    if (!existingEntry) {
+      const copies = totalCopies || 1;
+      const book = await Book.create({
+        ...data,
+        isbn: isbn || null,
+        total_copies: copies,
+        available_copies: copies
+      }, { transaction });
+      await CopyService.addCopies(book, copies, {}, { transaction });
+      return { key: isbn || data.title, action: 'created', id: book.id };
+    }
+
+    const book = await Book.findByPk(existingEntry.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const changes = changedFields(book, data);
+
+    if (totalCopies && totalCopies !== book.total_copies) {
+      const newCopies = await CopyService.setTotalCopies(book, totalCopies, { transaction });
+      for (const copy of newCopies) {
+        await ReservationService.allocateCopy(copy, { transaction });
+      }
+      changes.push('total_copies');
+    }
+
+    if (changes.length === 0) {
+      return { key: isbn, action: 'unchanged', id: book.id };
+    }
+
+    await book.update(data, { transaction });
+    return { key: isbn, action: 'updated', id: book.id, fields: changes };
+  }
+
+  // Create or update one student, matched on student_id
+  static async importStudentRow(values, { courses }, { transaction } = {}) {
+    const row = rowReader(values);
+
+    const studentId = row.text('student_id', { max: 20 });
+    if (!studentId) {
+      row.errors.push('student_id is required');
+    }
+
+    const email = row.text('email', { max: 100 });
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      row.errors.push(`email ${email} is not a valid address`);
+    }
+
+    const courseCode = row.text('course_code');
+    const course = courseCode ? courses.get(courseCode.toUpperCase()) : undefined;
+    if (courseCode && !course) {
+      row.errors.push(`course_code ${courseCode} does not match a course`);
+    }
+
+    const data = definedOnly({
+      name: row.text('name', { min: 2, max: 100 }),
+      email: email ? email.toLowerCase() : undefined,
+      course_id: course ? course.id : undefined,
+      semester: row.text('semester', { min: 1, max: 10 }),
+      phone: row.text('phone', { min: 10, max: 15 }),
+      address: row.text('address'),
+      date_of_birth: row.date('date_of_birth'),
+      enrollment_date: row.date('enrollment_date'),
+      max_books_allowed: row.integer('max_books_allowed', { min: 1, max: 50 }),
+      is_active: row.boolean('is_active')
+    });
+    const password = row.text('password', { min: 6 });
+
+    const existing = studentId
+      ? await Student.findOne({ where: { student_id: studentId }, transaction, lock: transaction.LOCK.UPDATE })
+      : null;
+
+    if (!existing) {
+      for (const field of ['name', 'email', 'course_id', 'semester']) {
+        if (data[field] === undefined && !(field === 'course_id' && courseCode)) {
+          row.errors.push(`${field === 'course_id' ? 'course_code' : field} is required for a new student`);
+        }
+      }
+      if (studentId && studentId.length < 3) row.errors.push('student_id must be at least 3 characters');
+      if (!password) row.errors.push('password is required for a new student');
+    }
+
+    if (data.email) {
+      const emailOwner = await Student.findOne({ where: { email: data.email }, attributes: ['id', 'student_id'], transaction });
+      if (emailOwner && (!existing || emailOwner.id !== existing.id)) {
+        row.errors.push(`email ${data.email} already belongs to student ${emailOwner.student_id}`);
+      }
+    }
+
+    if (row.errors.length > 0) {
+      return { key: studentId || values.student_id, action: 'failed', errors: row.errors };
+    }
+
+    if (!existing) {
+      const student = await Student.create({ ...data, student_id: studentId, password }, { transaction });
+      return { key: studentId, action: 'created', id: student.id };
+    }
+
+    const changes = changedFields(existing, data);
+    if (password) {
+      data.password = password;
+      changes.push('password');
+    }
+
+    if (changes.length === 0) {
+      return { key: studentId, action: 'unchanged', id: existing.id };
+    }
+
+    await existing.update(data, { transaction });
+    return { key: studentId, action: 'updated', id: existing.id, fields: changes };
+  }
+
+  // Read an upload and queue a job to import it. The file is checked
+  // here so unreadable files are reported straight away; rows are
+  // processed in the background and progress is kept on the job.
+  static async startImport(entity, file, { dryRun = false, librarianId }) {
+    const { records } = await SpreadsheetService.readRecords(file.buffer, file.originalname);
+
+    if (records.length === 0) {
+      throw new Error('File has no data rows');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new Error(`File has ${records.length} rows; the limit is ${MAX_IMPORT_ROWS}`);
+    }
+
+    const job = await ImportJob.create({
+      entity,
+      dry_run: dryRun,
+      filename: file.originalname,
+      total_rows: records.length,
+      created_by: librarianId
+    });
+
+    setImmediate(() => {
+      this.runImport(job, records).catch((error) => {
+        console.error(`Import job ${job.id} error:`, error);
+        job.update({ status: 'failed', error_message: error.message, finished_at: new Date() })
+          .catch((updateError) => console.error(`Import job ${job.id} status error:`, updateError));
+      });
+    });
+
+    return job;
+  }
+
+  // Import every row in its own transaction, so one bad row does not stop
+  // the rest. Dry runs do all the same work and then roll each row back.
+  static async runImport(job, records) {
+    await job.update({ status: 'running', started_at: new Date() });
+
+    const context = {
+      courses: await this.courseLookup(),
+      books: job.entity === 'books' ? await this.bookLookup() : null
+    };
+    const importRow = job.entity === 'books' ? this.importBookRow.bind(this) : this.importStudentRow.bind(this);
+    const keyOf = job.entity === 'books'
+      ? (values) => (isBlank(values.isbn) ? null : bookKey(values.isbn))
+      : (values) => (isBlank(values.student_id) ? null : String(values.student_id).trim().toLowerCase());
+
+    const report = [];
+    const counts = { created: 0, updated: 0, failed: 0 };
+    const seenKeys = new Map();
+
+    for (const [position, { line, values }] of records.entries()) {
+      let result;
+
+      const key = keyOf(values);
+      if (key && seenKeys.has(key)) {
+        result = {
+          key: values.isbn || values.student_id,
+          action: 'failed',
+          errors: [`Duplicate of line ${seenKeys.get(key)}`]
+        };
+      } else {
+        if (key) seenKeys.set(key, line);
+
+        try {
+          await sequelize.transaction(async (transaction) => {
+            result = await importRow(values, context, { transaction });
+            if (result.action === 'failed' || job.dry_run) {
+              throw new DryRunRollback();
+            }
+          });
+        } catch (error) {
+          if (!(error instanceof DryRunRollback)) {
+            const messages = error.errors ? error.errors.map((item) => item.message) : [error.message];
+            result = { key: values.isbn || values.student_id || values.title, action: 'failed', errors: messages };
+          }
+        }
+
+        // Later rows for the same ISBN find the book this row created
+        if (job.entity === 'books' && result.action === 'created' && key && !job.dry_run) {
+          context.books.set(key, { id: result.id, is_active: true });
+        }
+      }
+
+      // Ids handed out inside a rolled-back dry run mean nothing
+      if (job.dry_run) {
+        delete result.id;
+      }
+      report.push({ line, ...result });
+      if (counts[result.action] !== undefined) {
+        counts[result.action]++;
+      }
+
+      if ((position + 1) % PROGRESS_INTERVAL === 0) {
+        await job.update({
+          processed_rows: position + 1,
+          created_count: counts.created,
+          updated_count: counts.updated,
+          failed_count: counts.failed
+        });
+      }
+    }
+
+    await job.update({
+      status: 'completed',
+      processed_rows: records.length,
+      created_count: counts.created,
+      updated_count: counts.updated,
+      failed_count: counts.failed,
+      report,
+      finished_at: new Date()
+    });
+
+    return job;
+  }
+
+  static async exportBooks(format) {
+    const books = await Book.findAll({
+      where: { is_active: true },
+      include: [{ model: Course, as: 'course', attributes: ['code'] }],
+      order: [['title', 'ASC']]
+    });
+
+    const rows = books.map((book) => BOOK_COLUMNS.map((column) => {
+      if (column === 'course_code') return book.course ? book.course.code : '';
+      if (column === 'replacement_cost') return book.replacement_cost === null ? '' : Number(book.replacement_cost);
+      return book[column] === null ? '' : book[column];
+    }));
+
+    return await SpreadsheetService.write([BOOK_COLUMNS, ...rows], format, 'Books');
+  }
+
+  static async exportStudents(format) {
+    const students = await Student.findAll({
+      attributes: { exclude: ['password'] },
+      include: [{ model: Course, as: 'course', attributes: ['code'] }],
+      order: [['student_id', 'ASC']]
+    });
+
+    const rows = students.map((student) => STUDENT_COLUMNS.map((column) => {
+      if (column === 'course_code') return student.course ? student.course.code : '';
+      if (column === 'is_active') return student.is_active ? 'yes' : 'no';
+      return student[column] === null ? '' : student[column];
+    }));
+
+    return await SpreadsheetService.write([STUDENT_COLUMNS, ...rows], format, 'Students');
+  }
+
+  // An empty sheet with the import headers, as a starting point
+  static async template(entity, format) {
+    const headers = entity === 'books'
+      ? BOOK_COLUMNS.filter((column) => column !== 'available_copies')
+      : STUDENT_IMPORT_COLUMNS;
+    return await SpreadsheetService.write([headers], format, entity === 'books' ? 'Books' : 'Students');
+  }
+}
+
+BulkDataService.BOOK_COLUMNS = BOOK_COLUMNS;
+BulkDataService.STUDENT_COLUMNS = STUDENT_COLUMNS;
+
+module.exports = BulkDataService;
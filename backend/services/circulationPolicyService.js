@@ -0,0 +1,98 @@
+const { CirculationPolicy, FineConfig } = require('../models');
+const { Op } = require('sequelize');
+const ClosureService = require('./closureService');
+
+// Terms used when no policy matches a patron and item
+const DEFAULT_LOAN_DAYS = 14;
+const DEFAULT_MAX_RENEWALS = parseInt(process.env.MAX_RENEWALS) || 2;
+const DEFAULT_FINE_RATE = 5.00;
+
+// Keys a policy can be narrowed by; each one set makes it more specific
+const MATCH_KEYS = ['course_id', 'semester', 'item_category', 'loan_type'];
+
+class CirculationPolicyService {
+  // Most specific active policy for a student borrowing a book, or null.
+  // Ties go to the most recently created policy.
+  static async resolvePolicy(student, book, { transaction } = {}) {
+    const patron = {
+      course_id: student.course_id,
+      semester: student.semester,
+      item_category: book.category,
+      loan_type: book.loan_type || 'regular'
+    };
+
+    const policies = await CirculationPolicy.findAll({
+      where: {
+        is_active: true,
+        patron_type: 'student',
+        [Op.and]: MATCH_KEYS.map((key) => ({
+          [Op.or]: [{ [key]: null }, { [key]: patron[key] }]
+        }))
+      },
+      order: [['id', 'DESC']],
+      transaction
+    });
+
+    let best = null;
+    let bestScore = -1;
+    for (const policy of policies) {
+      const score = MATCH_KEYS.filter((key) => policy[key] !== null).length;
+      if (score > bestScore) {
+        best = policy;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  // Effective lending terms for a student and book, falling back to the
+  // student's own limit and the global fine configuration
+  static async getTerms(student, book, { transaction } = {}) {
+    const policy = await this.resolvePolicy(student, book, { transaction });
+
+    let fineRate = policy && policy.fine_rate_per_day !== null
+      ? parseFloat(policy.fine_rate_per_day)
+      : null;
+
+    if (fineRate === null) {
+      const fineConfig = await FineConfig.findOne({
+        where: { is_active: true },
+        order: [['created_at', 'DESC']],
+        transaction
+      });
+      fineRate = fineConfig ? parseFloat(fineConfig.fine_rate_per_day) : DEFAULT_FINE_RATE;
+    }
+
+    if (!policy) {
+      return {
+        policy_id: null,
+        policy_name: 'Default',
+        is_loanable: (book.loan_type || 'regular') !== 'reference',
+        loan_period_days: DEFAULT_LOAN_DAYS,
+        max_loans: student.max_books_allowed,
+        max_renewals: DEFAULT_MAX_RENEWALS,
+        fine_rate_per_day: fineRate
+      };
+    }
+
+    return {
+      policy_id: policy.id,
+      policy_name: policy.name,
+      is_loanable: policy.is_loanable,
+      loan_period_days: policy.loan_period_days,
+      max_loans: policy.max_loans,
+      max_renewals: policy.max_renewals,
+      fine_rate_per_day: fineRate
+    };
+  }
+
+  // Due date for a loan of the given length starting on a date, pushed
+  // forward past any day the library is closed
+  static async calculateDueDate(loanPeriodDays, fromDate = new Date(), { transaction } = {}) {
+    const dueDate = ClosureService.addDays(ClosureService.toDateKey(fromDate), loanPeriodDays);
+    return await ClosureService.nextOpenDate(dueDate, { transaction });
+  }
+}
+
+module.exports = CirculationPolicyService;
@@ -0,0 +1,86 @@
+const { LibraryClosure } = require('../models');
+
+// Longest run of closed days we will skip before giving up
+const MAX_CLOSED_RUN = 366;
+
+// Calendar dates are handled as 'YYYY-MM-DD' keys so time zones and
+// daylight saving never move a closure onto the wrong day
+const dayOfWeek = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+class ClosureService {
+  // Shift a date key by a number of days
+  static addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Calendar date of a Date or DATEONLY value, in server local time
+  static toDateKey(date) {
+    if (typeof date === 'string') {
+      return date.slice(0, 10);
+    }
+
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  // Active closures, loaded once per calculation
+  static async loadCalendar({ transaction } = {}) {
+    const closures = await LibraryClosure.findAll({
+      where: { is_active: true },
+      transaction
+    });
+
+    return {
+      weeklyDays: closures
+        .filter((closure) => closure.closure_type === 'weekly')
+        .map((closure) => closure.day_of_week),
+      oneOff: closures
+        .filter((closure) => closure.closure_type === 'one_off')
+        .map((closure) => ({ start: closure.start_date, end: closure.end_date || closure.start_date }))
+    };
+  }
+
+  static isClosed(calendar, dateKey) {
+    if (calendar.weeklyDays.includes(dayOfWeek(dateKey))) {
+      return true;
+    }
+
+    return calendar.oneOff.some(({ start, end }) => dateKey >= start && dateKey <= end);
+  }
+
+  // First open day on or after the given date
+  static async nextOpenDate(date, { transaction } = {}) {
+    const calendar = await this.loadCalendar({ transaction });
+    let dateKey = this.toDateKey(date);
+
+    for (let skipped = 0; this.isClosed(calendar, dateKey); skipped++) {
+      if (skipped >= MAX_CLOSED_RUN) {
+        throw new Error('The library calendar has no open days after this date');
+      }
+      dateKey = this.addDays(dateKey, 1);
+    }
+
+    return dateKey;
+  }
+
+  // Open days after fromDate, up to and including toDate
+  static async countOpenDays(fromDate, toDate, { transaction } = {}) {
+    const calendar = await this.loadCalendar({ transaction });
+    const lastKey = this.toDateKey(toDate);
+    let openDays = 0;
+
+    for (let dateKey = this.addDays(this.toDateKey(fromDate), 1); dateKey <= lastKey; dateKey = this.addDays(dateKey, 1)) {
+      if (!this.isClosed(calendar, dateKey)) {
+        openDays++;
+      }
+    }
+
+    return openDays;
+  }
+}
+
+module.exports = ClosureService;
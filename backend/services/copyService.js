@@ -0,0 +1,157 @@
+const { Book, BookCopy, IssuedBook } = require('../models');
+const { Op } = require('sequelize');
+
+// Copy statuses that still count towards a book's holdings
+const HELD_STATUSES = ['available', 'issued', 'on_hold', 'damaged'];
+
+// All methods accept an optional { transaction } so callers can run them
+// inside the transaction that holds the book's row lock.
+class CopyService {
+  // Build the next accession number for a book, e.g. ACC-000012-003
+  static async nextAccessionNumber(bookId, { transaction } = {}) {
+    const count = await BookCopy.count({ where: { book_id: bookId }, transaction });
+    return `ACC-${String(bookId).padStart(6, '0')}-${String(count + 1).padStart(3, '0')}`;
+  }
+
+  // Add physical copies to a book; barcodes default to the accession number
+  static async addCopies(book, quantity, details = {}, { transaction } = {}) {
+    const copies = [];
+
+    for (let i = 0; i < quantity; i++) {
+      const accessionNumber = await this.nextAccessionNumber(book.id, { transaction });
+      const copy = await BookCopy.create({
+        book_id: book.id,
+        accession_number: accessionNumber,
+        barcode: (quantity === 1 && details.barcode) || accessionNumber,
+        condition: details.condition || 'new',
+        shelf_location: details.shelf_location || book.location,
+        status: details.status || 'available',
+        notes: details.notes
+      }, { transaction });
+      copies.push(copy);
+    }
+
+    await this.syncAvailability(book.id, { transaction });
+    return copies;
+  }
+
+  // Create copy records for books catalogued before copies were tracked.
+  // Copies already out on loan are created as issued so counts stay correct.
+  static async ensureCopies(book, { transaction } = {}) {
+    const existing = await BookCopy.count({ where: { book_id: book.id }, transaction });
+    if (existing > 0) {
+      return;
+    }
+
+    const issuedCount = Math.max(0, book.total_copies - book.available_copies);
+    await this.addCopies(book, book.available_copies, { condition: 'good' }, { transaction });
+    if (issuedCount > 0) {
+      await this.addCopies(book, issuedCount, { condition: 'good', status: 'issued' }, { transaction });
+    }
+  }
+
+  // Find a copy to lend: the scanned barcode/copy if given, else any available
+  // copy. Inside a transaction the chosen copy row is locked for update.
+  static async findCopyForIssue(bookId, { copy_id, barcode } = {}, { transaction } = {}) {
+    const lock = transaction ? transaction.LOCK.UPDATE : undefined;
+
+    if (copy_id || barcode) {
+      const where = copy_id ? { id: copy_id } : { barcode };
+      const copy = await BookCopy.findOne({ where, transaction, lock });
+
+      if (!copy || copy.book_id !== bookId) {
+        throw new Error('Copy not found for this book');
+      }
+      if (copy.status !== 'available') {
+        throw new Error(`Copy ${copy.barcode} is not available (${copy.status})`);
+      }
+      return copy;
+    }
+
+    return await BookCopy.findOne({
+      where: { book_id: bookId, status: 'available' },
+      order: [['accession_number', 'ASC']],
+      transaction,
+      lock
+    });
+  }
+
+  // Find the copy a loan should give back. Loans issued before copies were
+  // tracked have no copy_id, so any issued copy not tied to an open loan is used.
+  static async findCopyForReturn(issuedBook, { transaction } = {}) {
+    const lock = transaction ? transaction.LOCK.UPDATE : undefined;
+
+    if (issuedBook.copy_id) {
+      return await BookCopy.findByPk(issuedBook.copy_id, { transaction, lock });
+    }
+
+    const linkedCopyIds = (await IssuedBook.findAll({
+      where: {
+        book_id: issuedBook.book_id,
+        status: { [Op.in]: ['issued', 'overdue'] },
+        copy_id: { [Op.ne]: null }
+      },
+      attributes: ['copy_id'],
+      transaction
+    })).map(loan => loan.copy_id);
+
+    return await BookCopy.findOne({
+      where: {
+        book_id: issuedBook.book_id,
+        status: 'issued',
+        ...(linkedCopyIds.length > 0 && { id: { [Op.notIn]: linkedCopyIds } })
+      },
+      transaction,
+      lock
+    });
+  }
+
+  // Add new copies or withdraw shelved ones to reach the requested total.
+  // Returns the copies added so the caller can offer them to waiting holds.
+  static async setTotalCopies(book, totalCopies, { transaction } = {}) {
+    await this.ensureCopies(book, { transaction });
+    const difference = totalCopies - book.total_copies;
+
+    if (difference > 0) {
+      return this.addCopies(book, difference, {}, { transaction });
+    }
+
+    if (difference < 0) {
+      const shelvedCopies = await BookCopy.findAll({
+        where: { book_id: book.id, status: 'available' },
+        order: [['accession_number', 'DESC']],
+        limit: -difference,
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined
+      });
+
+      if (shelvedCopies.length < -difference) {
+        throw new Error('Cannot remove copies that are currently issued');
+      }
+
+      for (const copy of shelvedCopies) {
+        await copy.update({ status: 'withdrawn' }, { transaction });
+      }
+      await this.syncAvailability(book.id, { transaction });
+    }
+
+    return [];
+  }
+
+  // Recompute Book.total_copies/available_copies from copy states
+  static async syncAvailability(bookId, { transaction } = {}) {
+    const [totalCopies, availableCopies] = await Promise.all([
+      BookCopy.count({ where: { book_id: bookId, status: { [Op.in]: HELD_STATUSES } }, transaction }),
+      BookCopy.count({ where: { book_id: bookId, status: 'available' }, transaction })
+    ]);
+
+    await Book.update(
+      { total_copies: totalCopies, available_copies: availableCopies },
+      { where: { id: bookId }, transaction }
+    );
+
+    return { total_copies: totalCopies, available_copies: availableCopies };
+  }
+}
+
+module.exports = CopyService;
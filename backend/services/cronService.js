@@ -1,6 +1,11 @@
 // Create services/cronService.js
 const cron = require('node-cron');
 const FineService = require('./fineService');
+const ReservationService = require('./reservationService');
+const DigitalLoanService = require('./digitalLoanService');
+const NotificationService = require('./notificationService');
+const SessionService = require('./sessionService');
+const LoginSecurityService = require('./loginSecurityService');
 
 class CronService {
   static init() {
@@ -15,6 +20,71 @@ class CronService {
       }
     });
 
+    // Run every hour to expire uncollected holds and pass copies down the queue
+    cron.schedule('0 * * * *', async () => {
+      try {
+        const results = await ReservationService.expireHolds();
+        if (results.length > 0) {
+          console.log(`Expired ${results.length} uncollected holds`);
+        }
+      } catch (error) {
+        console.error('Error expiring holds:', error);
+      }
+    });
+
+    // Run every 15 minutes to end digital loans that have reached their due date
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        const count = await DigitalLoanService.expireLoans();
+        if (count > 0) {
+          console.log(`Expired ${count} digital loans`);
+        }
+      } catch (error) {
+        console.error('Error expiring digital loans:', error);
+      }
+    });
+
+    // Run every day at 8am to remind students of books falling due or overdue
+    cron.schedule('0 8 * * *', async () => {
+      try {
+        const reminders = await NotificationService.sendDueReminders();
+        const notices = await NotificationService.sendOverdueNotices();
+        console.log(`Queued ${reminders} due-date reminders and ${notices} overdue notices`);
+      } catch (error) {
+        console.error('Error queueing loan reminders:', error);
+      }
+    });
+
+    // Run every 5 minutes to send queued emails and retry failed ones
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const counts = await NotificationService.processOutbox();
+        if (counts.failed > 0) {
+          console.log(`${counts.failed} emails failed after every retry`);
+        }
+      } catch (error) {
+        console.error('Error processing email outbox:', error);
+      }
+    });
+
+    // Run every day at 3am to delete sessions that ended long ago
+    cron.schedule('0 3 * * *', async () => {
+      try {
+        await SessionService.purgeEnded();
+      } catch (error) {
+        console.error('Error purging old sessions:', error);
+      }
+    });
+
+    // Run every day at 3:30am to trim the security log
+    cron.schedule('30 3 * * *', async () => {
+      try {
+        await LoginSecurityService.purgeOld();
+      } catch (error) {
+        console.error('Error purging security log:', error);
+      }
+    });
+
     console.log('Cron jobs initialized');
   }
 }
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { sequelize, DigitalLoan, Book } = require('../models');
+const { Op } = require('sequelize');
+const BlockService = require('./blockService');
+const BookFileService = require('./bookFileService');
+
+// Length of a digital loan
+const DIGITAL_LOAN_DAYS = parseInt(process.env.DIGITAL_LOAN_DAYS) || 14;
+
+// How long a signed read/download URL works. A URL never outlives its loan.
+const ACCESS_URL_MINUTES = parseInt(process.env.DIGITAL_ACCESS_URL_MINUTES) || 60;
+
+// Loans that currently hold a licence: still active and not yet due. Loans
+// past due stop counting straight away, before the cron job marks them.
+const currentLoanWhere = () => ({
+  status: 'active',
+  due_date: { [Op.gt]: new Date() }
+});
+
+const signingSecret = () => process.env.DIGITAL_ACCESS_SECRET || process.env.JWT_SECRET;
+
+const sign = (loanId, expires) =>
+  crypto.createHmac('sha256', signingSecret()).update(`digital-loan:${loanId}:${expires}`).digest('hex');
+
+class DigitalLoanService {
+  // Licence counts for a book's digital copy
+  static async getAvailability(book, { transaction } = {}) {
+    const onLoan = book.digital_copy_path
+      ? await DigitalLoan.count({ where: { book_id: book.id, ...currentLoanWhere() }, transaction })
+      : 0;
+
+    return {
+      has_digital_copy: Boolean(book.digital_copy_path),
+      licences: book.digital_licences,
+      on_loan: onLoan,
+      available: book.digital_copy_path ? Math.max(0, book.digital_licences - onLoan) : 0
+    };
+  }
+
+  // The student's loan of this book's digital copy that is still running
+  static async findCurrentLoan(studentId, bookId, { transaction, include } = {}) {
+    return await DigitalLoan.findOne({
+      where: { student_id: studentId, book_id: bookId, ...currentLoanWhere() },
+      include,
+      transaction
+    });
+  }
+
+  static isCurrent(loan) {
+    return loan.status === 'active' && new Date(loan.due_date) > new Date();
+  }
+
+  // Lend a book's digital copy if a licence is free
+  static async borrow(studentId, bookId) {
+    return await sequelize.transaction(async (transaction) => {
+      // Lock the book so two students cannot take the last licence together
+      const book = await Book.findOne({
+        where: { id: bookId, is_active: true },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!book) {
+        throw new Error('Book not found or inactive');
+      }
+
+      if (!book.digital_copy_path) {
+        throw new Error('This book has no digital copy');
+      }
+
+      await BlockService.assertCanBorrow(studentId, { transaction });
+
+      if (await this.findCurrentLoan(studentId, bookId, { transaction })) {
+        throw new Error('You already have the digital copy of this book');
+      }
+
+      const { available } = await this.getAvailability(book, { transaction });
+      if (available === 0) {
+        throw new Error('All digital licences for this book are on loan');
+      }
+
+      const dueDate = new Date();
+      dueDate.setDate(dueDate.getDate() + DIGITAL_LOAN_DAYS);
+
+      return await DigitalLoan.create({
+        book_id: bookId,
+        student_id: studentId,
+        due_date: dueDate
+      }, { transaction });
+    });
+  }
+
+  // End a loan early, freeing its licence. Librarians revoke; students return.
+  static async end(loanId, status, { librarianId } = {}) {
+    const loan = await DigitalLoan.findByPk(loanId);
+
+    if (!loan) {
+      throw new Error('Digital loan not found');
+    }
+
+    if (!this.isCurrent(loan)) {
+      throw new Error('Digital loan has already ended');
+    }
+
+    await loan.update({
+      status,
+      ended_at: new Date(),
+      revoked_by: status === 'revoked' ? librarianId : null
+    });
+
+    return loan;
+  }
+
+  // Mark loans past their due date as expired. Access already stopped at the
+  // due date; this records it.
+  static async expireLoans() {
+    const [count] = await DigitalLoan.update(
+      { status: 'expired', ended_at: new Date() },
+      { where: { status: 'active', due_date: { [Op.lte]: new Date() } } }
+    );
+    return count;
+  }
+
+  // A URL for reading or downloading the loaned file that needs no login and
+  // stops working after a short time, or at the due date if sooner. The
+  // reader signs its own file route the same way.
+  static accessUrl(loan, basePath = `/api/digital-loans/${loan.id}/content`) {
+    const expiresAt = new Date(Math.min(
+      Date.now() + ACCESS_URL_MINUTES * 60 * 1000,
+      new Date(loan.due_date).getTime()
+    ));
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+
+    return {
+      url: `${basePath}?expires=${expires}&signature=${sign(loan.id, expires)}`,
+      expires_at: expiresAt
+    };
+  }
+
+  // Check a signed URL and return its loan and file, or throw why it is refused
+  static async verifyAccess(loanId, expires, signature) {
+    const expected = Buffer.from(sign(loanId, expires));
+    const given = Buffer.from(String(signature || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new Error('Invalid link');
+    }
+
+    if (parseInt(expires) * 1000 <= Date.now()) {
+      throw new Error('This link has expired; open the book again from My Books');
+    }
+
+    const loan = await DigitalLoan.findByPk(loanId, { include: [{ model: Book, as: 'book' }] });
+    if (!loan || !this.isCurrent(loan)) {
+      throw new Error('This digital loan has ended');
+    }
+
+    const digitalCopy = await BookFileService.digitalCopy(loan.book);
+    if (!digitalCopy) {
+      throw new Error('This book has no digital copy');
+    }
+
+    return { loan, digitalCopy };
+  }
+}
+
+module.exports = DigitalLoanService;
@@ -1,11 +1,133 @@
-const { IssuedBook, Fine, FineConfig } = require('../models');
+const { sequelize, Book, IssuedBook, Fine, FineConfig, FinePayment, FinePaymentAllocation, FineEvent, FineReasonCode } = require('../models');
 const { Op } = require('sequelize');
+const CirculationPolicyService = require('./circulationPolicyService');
+const ClosureService = require('./closureService');
+const NotificationService = require('./notificationService');
+
+// Charges used for lost and damaged books when no fine configuration exists
+const DEFAULT_REPLACEMENT_COST = 500.00;
+const DEFAULT_PROCESSING_FEE = 100.00;
+
+// Reason codes created the first time the list is needed; librarians can
+// add their own or retire these from Settings
+const DEFAULT_REASON_CODES = [
+  { code: 'FIRST_OFFENCE', label: 'First offence', applies_to: 'waiver' },
+  { code: 'HARDSHIP', label: 'Financial hardship', applies_to: 'waiver' },
+  { code: 'LIBRARY_ERROR', label: 'Library error', applies_to: 'any' },
+  { code: 'ENTERED_IN_ERROR', label: 'Entered in error', applies_to: 'reversal' },
+  { code: 'PAYMENT_FAILED', label: 'Payment failed or bounced', applies_to: 'reversal' }
+];
+
+// Only fines still owed or settled follow the loan's overdue days; a waived or
+// reversed fine stays closed unless its waiver is reversed
+const REASSESSABLE_STATUSES = ['pending', 'paid'];
+
+const toPaise = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromPaise = (paise) => (paise / 100).toFixed(2);
 
 class FineService {
-  // Calculate fine for an issued book
-  static async calculateFine(issuedBookId) {
+  // Create a fine and open its audit trail
+  static async createFine(data, { actorId, notes } = {}, { transaction } = {}) {
+    const fine = await Fine.create(data, { transaction });
+
+    await FineEvent.create({
+      fine_id: fine.id,
+      event_type: 'created',
+      actor_id: actorId || null,
+      new_amount: fine.amount,
+      new_amount_paid: fine.amount_paid,
+      new_status: fine.status,
+      notes
+    }, { transaction });
+
+    const issuedBook = await IssuedBook.findByPk(fine.issued_book_id, {
+      include: [{ model: Book, as: 'book', attributes: ['id', 'title'] }],
+      transaction
+    });
+    await NotificationService.notify(fine.student_id, 'fine_generated', {
+      book: issuedBook && issuedBook.book,
+      fine
+    }, { transaction });
+
+    return fine;
+  }
+
+  // Apply a change to a fine and append it to the audit trail. Updates that
+  // leave the amount, amount paid and status as they were are not recorded.
+  static async updateFine(fine, changes, eventType, { actorId, reasonCode, paymentId, notes } = {}, { transaction } = {}) {
+    const before = {
+      amount: fine.amount,
+      amount_paid: fine.amount_paid,
+      status: fine.status
+    };
+
+    await fine.update(changes, { transaction });
+
+    const unchanged = toPaise(before.amount) === toPaise(fine.amount)
+      && toPaise(before.amount_paid) === toPaise(fine.amount_paid)
+      && before.status === fine.status;
+    if (unchanged) {
+      return fine;
+    }
+
+    await FineEvent.create({
+      fine_id: fine.id,
+      event_type: eventType,
+      actor_id: actorId || null,
+      old_amount: before.amount,
+      new_amount: fine.amount,
+      old_amount_paid: before.amount_paid,
+      new_amount_paid: fine.amount_paid,
+      old_status: before.status,
+      new_status: fine.status,
+      reason_code: reasonCode,
+      payment_id: paymentId,
+      notes
+    }, { transaction });
+
+    return fine;
+  }
+
+  // Active reason codes, optionally only those usable for a waiver or reversal
+  static async getReasonCodes(appliesTo) {
+    if (await FineReasonCode.count() === 0) {
+      await FineReasonCode.bulkCreate(DEFAULT_REASON_CODES);
+    }
+
+    const where = { is_active: true };
+    if (appliesTo) {
+      where.applies_to = { [Op.in]: [appliesTo, 'any'] };
+    }
+
+    return await FineReasonCode.findAll({
+      where,
+      order: [['label', 'ASC']]
+    });
+  }
+
+  static async checkReasonCode(code, appliesTo, { transaction } = {}) {
+    const reason = await FineReasonCode.findOne({
+      where: { code, is_active: true },
+      transaction
+    });
+
+    if (!reason) {
+      throw new Error(`Unknown reason code ${code}`);
+    }
+
+    if (reason.applies_to !== 'any' && reason.applies_to !== appliesTo) {
+      throw new Error(`Reason code ${code} cannot be used for a ${appliesTo}`);
+    }
+
+    return reason;
+  }
+
+  // Calculate fine for an issued book. Pass { transaction } to read the loan
+  // as seen by an in-progress return.
+  static async calculateFine(issuedBookId, { transaction } = {}) {
     const issuedBook = await IssuedBook.findByPk(issuedBookId, {
-      include: ['book', 'student']
+      include: ['book', 'student'],
+      transaction
     });
 
     if (!issuedBook || issuedBook.status === 'returned') {
@@ -22,15 +144,19 @@ class FineService {
     // Get fine configuration
     const fineConfig = await FineConfig.findOne({
       where: { is_active: true },
-      order: [['created_at', 'DESC']]
+      order: [['created_at', 'DESC']],
+      transaction
     });
 
-    const fineRate = fineConfig ? fineConfig.fine_rate_per_day : 5.00;
+    // The circulation policy for this student and book sets the daily rate
+    const terms = await CirculationPolicyService.getTerms(issuedBook.student, issuedBook.book, { transaction });
+    const fineRate = terms.fine_rate_per_day;
     const gracePeriod = fineConfig ? fineConfig.grace_period_days : 0;
 
-    // Calculate days overdue (excluding grace period)
-    const timeDiff = today.getTime() - dueDate.getTime();
-    let daysOverdue = Math.ceil(timeDiff / (1000 * 3600 * 24)) - gracePeriod;
+    // Calculate days overdue, counting only days the library was open
+    // (excluding grace period)
+    const openDays = await ClosureService.countOpenDays(issuedBook.due_date, today, { transaction });
+    let daysOverdue = openDays - gracePeriod;
     daysOverdue = Math.max(0, daysOverdue); // Ensure not negative
 
     if (daysOverdue === 0) {
@@ -54,8 +180,9 @@ class FineService {
     };
   }
 
-  // Generate fines for all overdue books
-  static async generateFinesForOverdueBooks() {
+  // Generate fines for all overdue books. actorId is the librarian who asked
+  // for the run; the nightly job runs without one.
+  static async generateFinesForOverdueBooks({ actorId } = {}) {
     const overdueBooks = await IssuedBook.findAll({
       where: {
         status: 'issued',
@@ -67,36 +194,204 @@ class FineService {
 
     const results = [];
     
-    for (const book of overdueBooks) {
-      const fineData = await this.calculateFine(book.id);
-      
-      if (fineData) {
+    for (const overdueBook of overdueBooks) {
+      // Each loan is fined in its own transaction, with the loan row locked so
+      // a return processed at the same moment cannot be marked overdue again
+      const result = await sequelize.transaction(async (transaction) => {
+        const book = await IssuedBook.findByPk(overdueBook.id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (book.status !== 'issued') {
+          return null;
+        }
+
+        const fineData = await this.calculateFine(book.id, { transaction });
+        if (!fineData) {
+          return null;
+        }
+
         // Check if fine already exists
         const existingFine = await Fine.findOne({
           where: {
             issued_book_id: book.id,
-            status: 'pending'
-          }
+            fine_type: 'overdue'
+          },
+          transaction,
+          lock: transaction.LOCK.UPDATE
         });
 
-        if (existingFine) {
+        let outcome;
+        if (existingFine && !REASSESSABLE_STATUSES.includes(existingFine.status)) {
+          outcome = null;
+        } else if (existingFine) {
           // Update existing fine
-          await existingFine.update(fineData);
-          results.push({ issued_book_id: book.id, action: 'updated', fine: existingFine });
+          await this.updateFine(existingFine, {
+            amount: fineData.amount,
+            days_overdue: fineData.days_overdue,
+            status: toPaise(existingFine.amount_paid) >= toPaise(fineData.amount) ? 'paid' : 'pending'
+          }, 'assessed', { actorId }, { transaction });
+          outcome = { issued_book_id: book.id, action: 'updated', fine: existingFine };
         } else {
           // Create new fine
-          const fine = await Fine.create(fineData);
-          results.push({ issued_book_id: book.id, action: 'created', fine });
+          const fine = await this.createFine(fineData, { actorId }, { transaction });
+          outcome = { issued_book_id: book.id, action: 'created', fine };
         }
 
         // Update issued book status to overdue
-        await book.update({ status: 'overdue' });
+        await book.update({ status: 'overdue' }, { transaction });
+        return outcome;
+      });
+
+      if (result) {
+        results.push(result);
       }
     }
 
     return results;
   }
 
+  // Raise or refresh the overdue fine for a loan that is being closed.
+  // Returns the amount charged.
+  static async assessOverdueFine(issuedBook, { transaction, actorId } = {}) {
+    const fineData = await this.calculateFine(issuedBook.id, { transaction });
+    if (!fineData) {
+      return 0;
+    }
+
+    const existingFine = await Fine.findOne({
+      where: { issued_book_id: issuedBook.id, fine_type: 'overdue' },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    if (existingFine && !REASSESSABLE_STATUSES.includes(existingFine.status)) {
+      return parseFloat(existingFine.amount);
+    }
+
+    if (existingFine) {
+      await this.updateFine(existingFine, {
+        amount: fineData.amount,
+        days_overdue: fineData.days_overdue,
+        status: toPaise(existingFine.amount_paid) >= toPaise(fineData.amount) ? 'paid' : 'pending'
+      }, 'assessed', { actorId }, { transaction });
+    } else {
+      await this.createFine(fineData, { actorId }, { transaction });
+    }
+
+    return fineData.amount;
+  }
+
+  // Charge the replacement cost of a lost or damaged book plus the
+  // processing fee. replacementAmount overrides the book's own cost.
+  static async chargeReplacement(issuedBook, fineType, { replacementAmount, notes } = {}, { transaction, actorId } = {}) {
+    const book = await Book.findByPk(issuedBook.book_id, { transaction });
+    const fineConfig = await FineConfig.findOne({
+      where: { is_active: true },
+      order: [['created_at', 'DESC']],
+      transaction
+    });
+
+    let replacement = replacementAmount;
+    if (replacement === undefined || replacement === null) {
+      if (book.replacement_cost !== null) {
+        replacement = book.replacement_cost;
+      } else {
+        replacement = fineConfig ? fineConfig.default_replacement_cost : DEFAULT_REPLACEMENT_COST;
+      }
+    }
+    const processingFee = fineConfig ? fineConfig.processing_fee : DEFAULT_PROCESSING_FEE;
+
+    return await this.createFine({
+      issued_book_id: issuedBook.id,
+      student_id: issuedBook.student_id,
+      fine_type: fineType,
+      amount: parseFloat(replacement) + parseFloat(processingFee),
+      replacement_amount: replacement,
+      processing_fee: processingFee,
+      days_overdue: 0,
+      fine_rate_per_day: 0,
+      notes
+    }, { actorId, notes }, { transaction });
+  }
+
+  // Reverse the lost-book charge on a loan once the book turns up. Anything
+  // already paid towards it is recorded as a refund owed to the student.
+  // Returns the reversed fines and the refunds.
+  static async reverseLostCharges(issuedBook, { transaction, actorId } = {}) {
+    const lostFines = await Fine.findAll({
+      where: {
+        issued_book_id: issuedBook.id,
+        fine_type: 'lost',
+        status: { [Op.in]: ['pending', 'paid', 'waived'] }
+      },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    const refunds = [];
+    for (const fine of lostFines) {
+      const paid = toPaise(fine.amount_paid);
+      const refund = paid > 0
+        ? await this.recordRefund(fine, paid, { actorId, notes: 'Lost book found and returned' }, { transaction })
+        : null;
+      if (refund) {
+        refunds.push(refund);
+      }
+
+      const note = refund
+        ? `Book found and returned; ₹${fromPaise(paid)} to be refunded (${refund.receipt_number})`
+        : 'Book found and returned';
+      await this.updateFine(fine, {
+        status: 'reversed',
+        amount_paid: 0,
+        notes: fine.notes ? `${fine.notes}\n${note}` : note
+      }, 'reversed', { actorId, paymentId: refund ? refund.id : null, notes: note }, { transaction });
+    }
+
+    return { fines: lostFines, refunds };
+  }
+
+  // Add a refund of part of what was paid towards a fine to the payments
+  // ledger, by the method of the last payment made towards it
+  static async recordRefund(fine, paise, { actorId, notes } = {}, { transaction } = {}) {
+    const lastPayment = await FinePayment.findOne({
+      where: { type: 'payment', status: 'completed' },
+      include: [{
+        model: FinePaymentAllocation,
+        as: 'allocations',
+        where: { fine_id: fine.id },
+        attributes: []
+      }],
+      order: [['id', 'DESC']],
+      transaction
+    });
+
+    const refund = await FinePayment.create({
+      type: 'refund',
+      student_id: fine.student_id,
+      amount: fromPaise(paise),
+      method: lastPayment ? lastPayment.method : 'cash',
+      collected_by: actorId,
+      paid_date: new Date(),
+      notes
+    }, { transaction });
+
+    const year = new Date().getFullYear();
+    await refund.update({
+      receipt_number: `RFD-${year}-${String(refund.id).padStart(6, '0')}`
+    }, { transaction });
+
+    await FinePaymentAllocation.create({
+      payment_id: refund.id,
+      fine_id: fine.id,
+      amount: fromPaise(paise)
+    }, { transaction });
+
+    return refund;
+  }
+
   // Get fines for a student
   static async getStudentFines(studentId, status = 'pending') {
     return await Fine.findAll({
@@ -114,41 +409,231 @@ class FineService {
     });
   }
 
-  // Mark fine as paid
-  static async payFine(fineId, paidDate = new Date()) {
-    const fine = await Fine.findByPk(fineId);
-    
-    if (!fine) {
-      throw new Error('Fine not found');
-    }
+  // Record a payment against one or more pending fines of the same student.
+  // The amount (default: everything owed) is applied to the oldest fines
+  // first, so it may settle some fines fully and leave one part-paid.
+  static async recordPayment({ fineIds, amount, method, reference, notes, collectedBy, paidDate }) {
+    return await sequelize.transaction(async (transaction) => {
+      const uniqueIds = [...new Set(fineIds.map((id) => parseInt(id)))];
 
-    if (fine.status === 'paid') {
-      throw new Error('Fine already paid');
-    }
+      // Locked in id order so overlapping payments cannot deadlock
+      const fines = await Fine.findAll({
+        where: { id: { [Op.in]: uniqueIds } },
+        order: [['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (fines.length !== uniqueIds.length) {
+        throw new Error('Fine not found');
+      }
+
+      const studentId = fines[0].student_id;
+      for (const fine of fines) {
+        if (fine.status === 'paid') {
+          throw new Error(`Fine ${fine.id} is already paid`);
+        }
+        if (fine.status !== 'pending') {
+          throw new Error(`Fine ${fine.id} is ${fine.status} and cannot be paid`);
+        }
+        if (fine.student_id !== studentId) {
+          throw new Error('All fines in a payment must belong to the same student');
+        }
+      }
+
+      // Work in paise to keep the split exact
+      const outstanding = fines.reduce((sum, fine) => sum + toPaise(fine.balance), 0);
+      const paying = amount === undefined || amount === null ? outstanding : toPaise(amount);
+
+      if (paying <= 0) {
+        throw new Error('Payment amount must be greater than zero');
+      }
+
+      if (paying > outstanding) {
+        throw new Error(`Payment of ₹${fromPaise(paying)} exceeds the outstanding balance of ₹${fromPaise(outstanding)}`);
+      }
 
-    return await fine.update({
-      status: 'paid',
-      paid_date: paidDate
+      const payment = await FinePayment.create({
+        student_id: studentId,
+        amount: fromPaise(paying),
+        method,
+        reference,
+        collected_by: collectedBy,
+        paid_date: paidDate || new Date(),
+        notes
+      }, { transaction });
+
+      const year = new Date().getFullYear();
+      await payment.update({
+        receipt_number: `RCP-${year}-${String(payment.id).padStart(6, '0')}`
+      }, { transaction });
+
+      let remaining = paying;
+      for (const fine of fines) {
+        if (remaining === 0) {
+          break;
+        }
+
+        const applied = Math.min(remaining, toPaise(fine.balance));
+        remaining -= applied;
+
+        await FinePaymentAllocation.create({
+          payment_id: payment.id,
+          fine_id: fine.id,
+          amount: fromPaise(applied)
+        }, { transaction });
+
+        const amountPaid = toPaise(fine.amount_paid) + applied;
+        const settled = amountPaid >= toPaise(fine.amount);
+        await this.updateFine(fine, {
+          amount_paid: fromPaise(amountPaid),
+          status: settled ? 'paid' : 'pending',
+          paid_date: settled ? payment.paid_date : fine.paid_date
+        }, 'payment', { actorId: collectedBy, paymentId: payment.id }, { transaction });
+      }
+
+      return payment;
+    });
+  }
+
+  // Pay all or part of a single fine
+  static async payFine(fineId, { amount, method = 'cash', reference, notes, collectedBy, paidDate } = {}) {
+    return await this.recordPayment({
+      fineIds: [fineId],
+      amount,
+      method,
+      reference,
+      notes,
+      collectedBy,
+      paidDate
+    });
+  }
+
+  // Undo a payment: every fine it was applied to owes that share again.
+  // Fines that have since been waived keep their status. Payments towards
+  // a fine that was later reversed have been refunded, so cannot be undone.
+  static async reversePayment(paymentId, { reasonCode, notes, actorId }) {
+    return await sequelize.transaction(async (transaction) => {
+      await this.checkReasonCode(reasonCode, 'reversal', { transaction });
+
+      const payment = await FinePayment.findByPk(paymentId, {
+        include: ['allocations'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.status === 'reversed') {
+        throw new Error('Payment has already been reversed');
+      }
+
+      if (payment.type === 'refund') {
+        throw new Error('Refunds cannot be reversed');
+      }
+
+      const fines = await Fine.findAll({
+        where: { id: { [Op.in]: payment.allocations.map((allocation) => allocation.fine_id) } },
+        order: [['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (fines.some((fine) => fine.status === 'reversed')) {
+        throw new Error('Payment was refunded when its fine was reversed and cannot be reversed');
+      }
+
+      for (const fine of fines) {
+        const allocation = payment.allocations.find((item) => item.fine_id === fine.id);
+        const wasPaid = fine.status === 'paid';
+
+        await this.updateFine(fine, {
+          amount_paid: fromPaise(Math.max(0, toPaise(fine.amount_paid) - toPaise(allocation.amount))),
+          status: wasPaid ? 'pending' : fine.status,
+          paid_date: wasPaid ? null : fine.paid_date
+        }, 'payment_reversed', { actorId, reasonCode, paymentId: payment.id, notes }, { transaction });
+      }
+
+      return await payment.update({
+        status: 'reversed',
+        reversed_at: new Date(),
+        reversed_by: actorId,
+        reversal_reason_code: reasonCode
+      }, { transaction });
     });
   }
 
   // Waive fine
-  static async waiveFine(fineId, notes = '') {
-    const fine = await Fine.findByPk(fineId);
-    
-    if (!fine) {
-      throw new Error('Fine not found');
-    }
+  static async waiveFine(fineId, { reasonCode, notes, actorId }) {
+    return await sequelize.transaction(async (transaction) => {
+      await this.checkReasonCode(reasonCode, 'waiver', { transaction });
 
-    if (fine.status === 'paid') {
-      throw new Error('Cannot waive paid fine');
-    }
+      const fine = await Fine.findByPk(fineId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!fine) {
+        throw new Error('Fine not found');
+      }
+
+      if (fine.status === 'paid') {
+        throw new Error('Cannot waive paid fine');
+      }
 
-    return await fine.update({
-      status: 'waived',
-      notes: notes
+      if (fine.status === 'reversed') {
+        throw new Error('Cannot waive a reversed fine');
+      }
+
+      if (fine.status === 'waived') {
+        throw new Error('Fine is already waived');
+      }
+
+      return await this.updateFine(fine, { status: 'waived' }, 'waived', {
+        actorId,
+        reasonCode,
+        notes
+      }, { transaction });
+    });
+  }
+
+  // Undo a waiver; the fine is owed again, less anything already paid
+  static async reverseWaiver(fineId, { reasonCode, notes, actorId }) {
+    return await sequelize.transaction(async (transaction) => {
+      await this.checkReasonCode(reasonCode, 'reversal', { transaction });
+
+      const fine = await Fine.findByPk(fineId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!fine) {
+        throw new Error('Fine not found');
+      }
+
+      if (fine.status !== 'waived') {
+        throw new Error('Only waived fines can have their waiver reversed');
+      }
+
+      return await this.updateFine(fine, {
+        status: toPaise(fine.amount_paid) >= toPaise(fine.amount) ? 'paid' : 'pending'
+      }, 'waiver_reversed', { actorId, reasonCode, notes }, { transaction });
+    });
+  }
+
+  // Audit trail of a fine, oldest first
+  static async getFineHistory(fineId) {
+    return await FineEvent.findAll({
+      where: { fine_id: fineId },
+      include: [
+        { association: 'actor', attributes: ['id', 'name'] },
+        { association: 'payment', attributes: ['id', 'receipt_number'] }
+      ],
+      order: [['id', 'ASC']]
     });
   }
 }
 
-module.exports = FineService;
\ No newline at end of file
+module.exports = FineService;
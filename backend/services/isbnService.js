@@ -0,0 +1,102 @@
+// ISBNs are compared and stored without hyphens or spaces
+const compact = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+class IsbnService {
+  static compact(value) {
+    return compact(value);
+  }
+
+  // ISBN-10 check digit: weights 10..2, mod 11, where 10 is written as X
+  static isbn10CheckDigit(firstNine) {
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+      sum += parseInt(firstNine[i]) * (10 - i);
+    }
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+  }
+
+  // ISBN-13 check digit: alternate weights 1 and 3, mod 10
+  static isbn13CheckDigit(firstTwelve) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+      sum += parseInt(firstTwelve[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return String((10 - (sum % 10)) % 10);
+  }
+
+  static isValidIsbn10(value) {
+    const isbn = compact(value);
+    return /^\d{9}[\dX]$/.test(isbn) && this.isbn10CheckDigit(isbn) === isbn[9];
+  }
+
+  static isValidIsbn13(value) {
+    const isbn = compact(value);
+    return /^97[89]\d{10}$/.test(isbn) && this.isbn13CheckDigit(isbn) === isbn[12];
+  }
+
+  static isValid(value) {
+    return this.isValidIsbn10(value) || this.isValidIsbn13(value);
+  }
+
+  // ISBN-10s carry over to ISBN-13 under the 978 prefix
+  static toIsbn13(value) {
+    const isbn = compact(value);
+    if (this.isValidIsbn13(isbn)) {
+      return isbn;
+    }
+    if (!this.isValidIsbn10(isbn)) {
+      throw new Error(`Invalid ISBN: ${value}`);
+    }
+
+    const firstTwelve = '978' + isbn.slice(0, 9);
+    return firstTwelve + this.isbn13CheckDigit(firstTwelve);
+  }
+
+  // Only 978-prefixed ISBN-13s have an ISBN-10 form; others return null
+  static toIsbn10(value) {
+    const isbn = compact(value);
+    if (this.isValidIsbn10(isbn)) {
+      return isbn;
+    }
+    if (!this.isValidIsbn13(isbn)) {
+      throw new Error(`Invalid ISBN: ${value}`);
+    }
+    if (!isbn.startsWith('978')) {
+      return null;
+    }
+
+    const firstNine = isbn.slice(3, 12);
+    return firstNine + this.isbn10CheckDigit(firstNine);
+  }
+
+  // Check a raw ISBN and give both forms when it is valid
+  static validate(value) {
+    const isbn = compact(value);
+
+    if (!/^(\d{9}[\dX]|\d{13})$/.test(isbn)) {
+      return { valid: false, isbn, message: 'ISBN must have 10 or 13 digits' };
+    }
+    if (!this.isValid(isbn)) {
+      return { valid: false, isbn, message: 'ISBN check digit does not match' };
+    }
+
+    return {
+      valid: true,
+      isbn,
+      isbn10: this.toIsbn10(isbn),
+      isbn13: this.toIsbn13(isbn)
+    };
+  }
+
+  // Every stored form an ISBN might have been catalogued under
+  static variants(value) {
+    const isbn = compact(value);
+    if (!this.isValid(isbn)) {
+      return [isbn];
+    }
+    return [...new Set([isbn, this.toIsbn13(isbn), this.toIsbn10(isbn)].filter(Boolean))];
+  }
+}
+
+module.exports = IsbnService;
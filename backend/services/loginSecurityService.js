@@ -0,0 +1,134 @@
+const { Op } = require('sequelize');
+const { Student, Librarian, SecurityEvent } = require('../models');
+
+// Failed sign-ins in a row before an account is locked
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+
+// Length of the first lockout; each further one in a row is twice as long
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Longest a lockout can last
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// How long the security log is kept
+const LOG_RETENTION_DAYS = parseInt(process.env.SECURITY_LOG_RETENTION_DAYS) || 365;
+
+const userModel = (role) => (role === 'student' ? Student : Librarian);
+
+const clientDetails = (req) => ({
+  user_agent: (req.get('user-agent') || '').slice(0, 255) || null,
+  ip_address: (req.ip || '').slice(0, 45) || null
+});
+
+const lockoutMinutes = (lockoutCount) =>
+  Math.min(LOCKOUT_MINUTES * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES);
+
+class LoginSecurityService {
+  // Check before the password, so guesses made during a lockout tell the
+  // guesser nothing
+  static isLocked(user) {
+    return !!(user.locked_until && new Date(user.locked_until) > new Date());
+  }
+
+  static lockedMessage(lockedUntil) {
+    const minutes = Math.ceil((new Date(lockedUntil) - new Date()) / 60000);
+    return `Too many failed sign-in attempts. Try again in ${minutes} minute(s) or reset your password.`;
+  }
+
+  static async log(event, role, { user, email, reason, req, actorId } = {}) {
+    return await SecurityEvent.create({
+      event,
+      user_role: role,
+      user_id: user ? user.id : null,
+      email: (user && user.email) || email || null,
+      reason: reason || null,
+      actor_id: actorId || null,
+      ...(req ? clientDetails(req) : {})
+    });
+  }
+
+  // Count a failed attempt against the account, locking it once there have
+  // been MAX_FAILURES in a row. Returns the lock expiry if it was locked.
+  static async recordFailure(user, role, req, reason) {
+    await LoginSecurityService.log('login_failed', role, { user, reason, req });
+
+    const Model = userModel(role);
+    await Model.increment({ failed_login_count: 1 }, { where: { id: user.id } });
+
+    // Only one of several failures arriving together gets to lock the
+    // account, because the count is reset in the same update
+    const lockedUntil = new Date(Date.now() + lockoutMinutes(user.lockout_count) * 60 * 1000);
+    const [locked] = await Model.update({
+      failed_login_count: 0,
+      locked_until: lockedUntil,
+      lockout_count: user.lockout_count + 1
+    }, {
+      where: { id: user.id, failed_login_count: { [Op.gte]: MAX_FAILURES } }
+    });
+
+    if (!locked) return null;
+
+    await LoginSecurityService.log('account_locked', role, {
+      user,
+      reason: `${lockoutMinutes(user.lockout_count)} minutes`,
+      req
+    });
+    return lockedUntil;
+  }
+
+  // A sign-in attempt with an email that has no account
+  static async recordUnknownAccount(email, role, req) {
+    await LoginSecurityService.log('login_failed', role, { email, reason: 'unknown_account', req });
+  }
+
+  static async recordSuccess(user, role, req) {
+    if (user.failed_login_count || user.lockout_count || user.locked_until) {
+      await userModel(role).update(
+        { failed_login_count: 0, lockout_count: 0, locked_until: null },
+        { where: { id: user.id } }
+      );
+    }
+    await LoginSecurityService.log('login_succeeded', role, { user, req });
+  }
+
+  // Lift a lockout early and forget earlier failures
+  static async unlock(user, role, actor, req) {
+    await user.update({ failed_login_count: 0, lockout_count: 0, locked_until: null });
+    await LoginSecurityService.log('account_unlocked', role, { user, req, actorId: actor ? actor.id : null });
+    return user;
+  }
+
+  static async listEvents({ role, userId, email, event, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (role) where.user_role = role;
+    if (userId) where.user_id = userId;
+    if (email) where.email = { [Op.like]: `%${email}%` };
+    if (event) where.event = event;
+
+    const { count, rows } = await SecurityEvent.findAndCountAll({
+      where,
+      include: [{ model: Librarian, as: 'actor', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      events: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  // Remove log entries older than LOG_RETENTION_DAYS
+  static async purgeOld() {
+    const cutoff = new Date(Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    return await SecurityEvent.destroy({ where: { created_at: { [Op.lt]: cutoff } } });
+  }
+}
+
+module.exports = LoginSecurityService;
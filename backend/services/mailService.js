@@ -0,0 +1,119 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { mailDir } = require('../config/storage');
+
+// smtp sends for real; file writes .eml files to MAIL_FILE_DIR and console
+// prints each message, for development and testing
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+const MAIL_FROM = process.env.MAIL_FROM || 'LBManage Library <library@localhost>';
+
+// Frontend address that links in emails point to, and the name they are signed with
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const LIBRARY_NAME = process.env.LIBRARY_NAME || 'LBManage Library';
+
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+// Port 465 speaks TLS from the start; other ports upgrade with STARTTLS
+// when the server offers it
+const SMTP_SECURE = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : SMTP_PORT === 465;
+const SMTP_TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS) || 30000;
+// Credentials only go over TLS. A server that offers no STARTTLS is refused
+// unless SMTP_ALLOW_INSECURE_AUTH=true, for a trusted relay on the same host.
+const SMTP_ALLOW_INSECURE_AUTH = process.env.SMTP_ALLOW_INSECURE_AUTH === 'true';
+
+// The bare address from a "Name <address>" mailbox
+const addressOf = (mailbox) => {
+  const match = mailbox.match(/<([^>]+)>/);
+  return (match ? match[1] : mailbox).trim();
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+const createSmtpTransport = () => {
+  const authenticated = Boolean(process.env.SMTP_USER);
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    requireTLS: authenticated && !SMTP_ALLOW_INSECURE_AUTH,
+    auth: authenticated ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || '' } : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS
+  });
+};
+
+// The file and console transports only need the message itself
+const createMessageTransport = (deliver) => {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+
+  return {
+    sendMail: async (mail) => {
+      const { message } = await builder.sendMail(mail);
+      await deliver(mail, message.toString('utf8'));
+    }
+  };
+};
+
+const transports = {
+  smtp: createSmtpTransport,
+
+  file: () => createMessageTransport(async ({ messageId }, message) => {
+    await fs.mkdir(mailDir, { recursive: true });
+    const name = `${Date.now()}-${messageId.replace(/[<>]/g, '').split('@')[0]}.eml`;
+    await fs.writeFile(path.join(mailDir, name), message);
+  }),
+
+  console: () => createMessageTransport(async ({ to }, message) => {
+    console.log(`---- Email to ${to} ----\n${message}\n---- End of email ----`);
+  })
+};
+
+// Created on first use and kept, so SMTP connections are set up once
+let transporter = null;
+
+class MailService {
+  static get transport() {
+    return MAIL_TRANSPORT;
+  }
+
+  // Text and HTML bodies for a short letter to `name`: a greeting, the
+  // paragraphs, a link into the app (a path such as /dashboard) and a sign-off
+  static letter(name, paragraphs, link) {
+    const url = `${APP_URL}${link}`;
+    const greeting = `Hello ${name},`;
+
+    return {
+      text: [greeting, ...paragraphs, url, LIBRARY_NAME].join('\n\n'),
+      html: [
+        `<p>${escapeHtml(greeting)}</p>`,
+        ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+        `<p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>`,
+        `<p>${escapeHtml(LIBRARY_NAME)}</p>`
+      ].join('\n')
+    };
+  }
+
+  // Send one email through the configured transport. Resolves with its
+  // Message-ID; rejects with the transport's error.
+  static async send({ to, subject, text, html }) {
+    if (!transporter) {
+      const create = transports[MAIL_TRANSPORT];
+      if (!create) {
+        throw new Error(`Unknown mail transport "${MAIL_TRANSPORT}"`);
+      }
+      transporter = create();
+    }
+
+    const domain = addressOf(MAIL_FROM).split('@')[1] || 'localhost';
+    const messageId = `<${crypto.randomBytes(16).toString('hex')}@${domain}>`;
+
+    await transporter.sendMail({ from: MAIL_FROM, to, subject, text, html, messageId });
+    return messageId;
+  }
+}
+
+module.exports = MailService;
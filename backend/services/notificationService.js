@@ -0,0 +1,399 @@
+const { EventEmitter } = require('events');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { EmailOutbox, Notification, Student, Librarian, IssuedBook, Book } = require('../models');
+const MailService = require('./mailService');
+const ClosureService = require('./closureService');
+
+// Reminders go out this many days before a loan is due, e.g. "3,1"
+const DUE_REMINDER_DAYS = (process.env.DUE_REMINDER_DAYS || '3,1')
+  .split(',')
+  .map((days) => parseInt(days))
+  .filter((days) => days > 0);
+
+// Overdue notices go out on the first day overdue and then every this many days
+const OVERDUE_NOTICE_INTERVAL_DAYS = parseInt(process.env.OVERDUE_NOTICE_INTERVAL_DAYS) || 7;
+
+// Failed sends are retried after 1, 2, 4, 8... minutes, up to this many tries
+const MAX_EMAIL_ATTEMPTS = parseInt(process.env.MAX_EMAIL_ATTEMPTS) || 6;
+
+// A send that has not finished in this time is assumed lost and retried
+const STALE_SENDING_MINUTES = 15;
+
+// Live listeners for each signed-in user, keyed "role:id". In-process only,
+// so every API instance pushes to the users connected to it.
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+const channel = (role, id) => `${role}:${id}`;
+
+// Loan dates are DATEONLY strings, read as local calendar dates
+const formatDate = (date) =>
+  (typeof date === 'string' && date.length === 10 ? new Date(`${date}T00:00:00`) : new Date(date))
+    .toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const formatAmount = (amount) => `₹${parseFloat(amount).toFixed(2)}`;
+
+const FINE_REASONS = {
+  overdue: 'returning it late',
+  lost: 'losing it',
+  damaged: 'returning it damaged'
+};
+
+// Each template gives a subject and the paragraphs of the message, plus a
+// link into the app where the student can act on it
+const TEMPLATES = {
+  issue_receipt: ({ book, issuedBook }) => ({
+    subject: `Borrowed: ${book.title}`,
+    paragraphs: [
+      `You borrowed "${book.title}" by ${book.author} on ${formatDate(issuedBook.issue_date)}.`,
+      `Please return it by ${formatDate(issuedBook.due_date)}.`
+    ],
+    link: '/dashboard/my-books'
+  }),
+
+  due_reminder: ({ book, issuedBook, days }) => ({
+    subject: `Due in ${days} day${days === 1 ? '' : 's'}: ${book.title}`,
+    paragraphs: [
+      `"${book.title}" is due back on ${formatDate(issuedBook.due_date)}.`,
+      'Return or renew it before then to avoid a fine.'
+    ],
+    link: '/dashboard/my-books'
+  }),
+
+  overdue_notice: ({ book, issuedBook, daysOverdue }) => ({
+    subject: `Overdue: ${book.title}`,
+    paragraphs: [
+      `"${book.title}" was due on ${formatDate(issuedBook.due_date)} and is now ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue.`,
+      'A fine is charged for each day it is late. Please return it as soon as you can.'
+    ],
+    link: '/dashboard/my-books'
+  }),
+
+  fine_generated: ({ book, fine }) => ({
+    subject: `Fine of ${formatAmount(fine.amount)} charged`,
+    paragraphs: [
+      `A fine of ${formatAmount(fine.amount)} has been charged for ${FINE_REASONS[fine.fine_type] || 'a loan'}${book ? `: "${book.title}"` : ''}.`,
+      fine.fine_type === 'overdue'
+        ? 'It grows each day until the book is returned. Unpaid fines can stop you borrowing.'
+        : 'Unpaid fines can stop you borrowing.'
+    ],
+    link: '/dashboard/fines'
+  }),
+
+  suggestion_reviewed: ({ suggestion }) => ({
+    subject: `Your suggestion was ${suggestion.status}: ${suggestion.title}`,
+    paragraphs: [
+      suggestion.status === 'approved'
+        ? `Thank you for suggesting "${suggestion.title}". The library has approved it for purchase.`
+        : `Thank you for suggesting "${suggestion.title}". The library will not be buying it this time.`,
+      ...(suggestion.review_notes ? [`Librarian's note: ${suggestion.review_notes}`] : [])
+    ],
+    link: '/dashboard/suggestions'
+  }),
+
+  hold_available: ({ book, reservation }) => ({
+    subject: `Ready for pickup: ${book.title}`,
+    paragraphs: [
+      `"${book.title}" is waiting for you at the issue desk.`,
+      `Collect it by ${formatDate(reservation.pickup_deadline)}, after which it passes to the next student in the queue.`
+    ],
+    link: '/dashboard/my-books'
+  })
+};
+
+const render = (template, student, data) => {
+  const { subject, paragraphs, link } = TEMPLATES[template](data);
+
+  return {
+    subject,
+    summary: paragraphs[0],
+    link,
+    ...MailService.letter(student.name, paragraphs, link)
+  };
+};
+
+class NotificationService {
+  static get templates() {
+    return Object.keys(TEMPLATES);
+  }
+
+  // Tell a student about an event: an in-app notification always, and an
+  // email unless they have opted out. Inside a transaction both are created
+  // with it and sent once it commits. Returns { notification, email }, or
+  // null when nothing was created.
+  static async notify(studentId, template, data, { transaction, dedupeKey } = {}) {
+    const student = await Student.findByPk(studentId, { transaction });
+    if (!student || !student.is_active) {
+      return null;
+    }
+
+    if (dedupeKey && await Notification.findOne({ where: { dedupe_key: dedupeKey }, transaction })) {
+      return null;
+    }
+
+    const message = render(template, student, data);
+
+    let notification;
+    try {
+      notification = await Notification.create({
+        recipient_role: 'student',
+        recipient_id: student.id,
+        type: template,
+        title: message.subject,
+        message: message.summary,
+        link: message.link,
+        dedupe_key: dedupeKey || null
+      }, { transaction });
+    } catch (error) {
+      // Another run sent the same reminder first
+      if (error instanceof UniqueConstraintError) {
+        return null;
+      }
+      throw error;
+    }
+
+    const email = student.email_notifications
+      ? await EmailOutbox.create({
+        student_id: student.id,
+        notification_id: notification.id,
+        to_address: student.email,
+        template,
+        subject: message.subject,
+        text_body: message.text,
+        html_body: message.html
+      }, { transaction })
+      : null;
+
+    this.afterCommit(transaction, () => {
+      this.publish(notification);
+      if (email) {
+        this.deliverSoon(email.id);
+      }
+    });
+
+    return { notification, email };
+  }
+
+  // In-app notification for every active librarian
+  static async notifyLibrarians(type, { title, message, link }, { transaction } = {}) {
+    const librarians = await Librarian.findAll({ where: { is_active: true }, attributes: ['id'], transaction });
+    const notifications = await Notification.bulkCreate(librarians.map((librarian) => ({
+      recipient_role: 'librarian',
+      recipient_id: librarian.id,
+      type,
+      title,
+      message,
+      link
+    })), { transaction });
+
+    this.afterCommit(transaction, () => notifications.forEach((notification) => this.publish(notification)));
+    return notifications;
+  }
+
+  static afterCommit(transaction, callback) {
+    if (transaction) {
+      transaction.afterCommit(callback);
+    } else {
+      callback();
+    }
+  }
+
+  // Listen for a user's new notifications and unread count changes.
+  // Returns a function that stops listening.
+  static subscribe(role, id, listener) {
+    hub.on(channel(role, id), listener);
+    return () => hub.off(channel(role, id), listener);
+  }
+
+  static publish(notification) {
+    hub.emit(channel(notification.recipient_role, notification.recipient_id), {
+      event: 'notification',
+      data: notification
+    });
+    this.publishUnreadCount(notification.recipient_role, notification.recipient_id)
+      .catch((error) => console.error('Publish unread count error:', error));
+  }
+
+  static async publishUnreadCount(role, id) {
+    if (hub.listenerCount(channel(role, id)) === 0) {
+      return;
+    }
+    const count = await this.unreadCount(role, id);
+    hub.emit(channel(role, id), { event: 'unread', data: { count } });
+  }
+
+  static async unreadCount(role, id) {
+    return await Notification.count({ where: { recipient_role: role, recipient_id: id, read_at: null } });
+  }
+
+  // Mark some of a user's notifications read, or all of them when ids is
+  // not given. Returns how many changed.
+  static async markRead(role, id, ids) {
+    const where = { recipient_role: role, recipient_id: id, read_at: null };
+    if (ids) {
+      where.id = { [Op.in]: ids };
+    }
+
+    const [count] = await Notification.update({ read_at: new Date() }, { where });
+    if (count > 0) {
+      await this.publishUnreadCount(role, id);
+    }
+    return count;
+  }
+
+  // Try a queued email straight away without holding up the caller. If this
+  // fails the outbox job picks it up.
+  static deliverSoon(entryId) {
+    setImmediate(() => {
+      this.deliver(entryId).catch((error) => console.error('Email delivery error:', error));
+    });
+  }
+
+  // Send one outbox entry if it is due, recording the outcome
+  static async deliver(entryId) {
+    // Claim the entry so the outbox job and an immediate send never both send it
+    const [claimed] = await EmailOutbox.update(
+      { status: 'sending' },
+      { where: { id: entryId, status: 'pending', next_attempt_at: { [Op.lte]: new Date() } } }
+    );
+    if (claimed === 0) {
+      return null;
+    }
+
+    const entry = await EmailOutbox.findByPk(entryId);
+    const attempts = entry.attempts + 1;
+
+    try {
+      const messageId = await MailService.send({
+        to: entry.to_address,
+        subject: entry.subject,
+        text: entry.text_body,
+        html: entry.html_body
+      });
+      await entry.update({ status: 'sent', attempts, message_id: messageId, sent_at: new Date(), last_error: null });
+    } catch (error) {
+      const nextAttempt = new Date(Date.now() + Math.pow(2, attempts - 1) * 60 * 1000);
+      await entry.update({
+        status: attempts >= MAX_EMAIL_ATTEMPTS ? 'failed' : 'pending',
+        attempts,
+        next_attempt_at: nextAttempt,
+        last_error: error.message
+      });
+
+      if (entry.status === 'failed') {
+        await this.notifyLibrarians('email_failed', {
+          title: `Email to ${entry.to_address} could not be sent`,
+          message: `"${entry.subject}" failed after ${attempts} attempts: ${error.message}`
+        });
+      }
+    }
+
+    return entry;
+  }
+
+  // Send every entry that is due, oldest first. Returns counts by outcome.
+  static async processOutbox() {
+    await EmailOutbox.update(
+      { status: 'pending' },
+      {
+        where: {
+          status: 'sending',
+          updated_at: { [Op.lt]: new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000) }
+        }
+      }
+    );
+
+    const due = await EmailOutbox.findAll({
+      where: { status: 'pending', next_attempt_at: { [Op.lte]: new Date() } },
+      order: [['id', 'ASC']],
+      attributes: ['id']
+    });
+
+    const counts = { sent: 0, retrying: 0, failed: 0 };
+    for (const { id } of due) {
+      const entry = await this.deliver(id);
+      if (!entry) continue;
+      if (entry.status === 'sent') counts.sent++;
+      else if (entry.status === 'failed') counts.failed++;
+      else counts.retrying++;
+    }
+    return counts;
+  }
+
+  // Put a failed email back in the queue for another full set of tries
+  static async retry(entryId) {
+    const entry = await EmailOutbox.findByPk(entryId);
+    if (!entry) {
+      throw new Error('Email not found');
+    }
+    if (entry.status !== 'failed') {
+      throw new Error('Only failed emails can be retried');
+    }
+
+    await entry.update({ status: 'pending', attempts: 0, next_attempt_at: new Date() });
+    this.deliverSoon(entry.id);
+    return entry;
+  }
+
+  // Remind students of loans falling due in DUE_REMINDER_DAYS days. Each
+  // reminder is sent once per due date, so renewed loans are reminded again.
+  static async sendDueReminders() {
+    const today = ClosureService.toDateKey(new Date());
+    let queued = 0;
+
+    for (const days of DUE_REMINDER_DAYS) {
+      const dueKey = ClosureService.addDays(today, days);
+      const loans = await IssuedBook.findAll({
+        where: {
+          status: 'issued',
+          due_date: dueKey
+        },
+        include: [{ model: Book, as: 'book', attributes: ['id', 'title', 'author'] }]
+      });
+
+      for (const issuedBook of loans) {
+        const notified = await this.notify(issuedBook.student_id, 'due_reminder', {
+          book: issuedBook.book,
+          issuedBook,
+          days
+        }, { dedupeKey: `due_reminder:${issuedBook.id}:${dueKey}:${days}` });
+        if (notified) queued++;
+      }
+    }
+
+    return queued;
+  }
+
+  // Tell students about overdue loans on the first day and then every
+  // OVERDUE_NOTICE_INTERVAL_DAYS days until the book comes back
+  static async sendOverdueNotices() {
+    const today = ClosureService.toDateKey(new Date());
+    const loans = await IssuedBook.findAll({
+      where: {
+        status: { [Op.in]: ['issued', 'overdue'] },
+        due_date: { [Op.lt]: today }
+      },
+      include: [{ model: Book, as: 'book', attributes: ['id', 'title', 'author'] }]
+    });
+
+    let queued = 0;
+    for (const issuedBook of loans) {
+      const dueKey = ClosureService.toDateKey(issuedBook.due_date);
+      const daysOverdue = Math.round(
+        (new Date(`${today}T00:00:00Z`) - new Date(`${dueKey}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+      );
+      const notice = Math.floor((daysOverdue - 1) / OVERDUE_NOTICE_INTERVAL_DAYS);
+
+      const notified = await this.notify(issuedBook.student_id, 'overdue_notice', {
+        book: issuedBook.book,
+        issuedBook,
+        daysOverdue
+      }, { dedupeKey: `overdue_notice:${issuedBook.id}:${dueKey}:${notice}` });
+      if (notified) queued++;
+    }
+
+    return queued;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,95 @@
+const { ReadingProgress, ReadingBookmark } = require('../models');
+const DigitalLoanService = require('./digitalLoanService');
+const BookFileService = require('./bookFileService');
+
+class ReadingService {
+  // A page number within the book, when its length is known
+  static clampPage(book, page) {
+    const value = Math.max(1, parseInt(page) || 1);
+    return book.digital_page_count ? Math.min(value, book.digital_page_count) : value;
+  }
+
+  // Everything the reader needs to open a loaned book: the file's signed URL,
+  // where the student left off and their bookmarks
+  static async getSession(loan) {
+    const book = loan.book;
+    const digitalCopy = await BookFileService.digitalCopy(book);
+    if (!digitalCopy) {
+      throw new Error('This book has no digital copy');
+    }
+
+    const [progress, bookmarks] = await Promise.all([
+      ReadingProgress.findOne({ where: { student_id: loan.student_id, book_id: book.id } }),
+      this.getBookmarks(loan.student_id, book.id)
+    ]);
+
+    return {
+      book: {
+        id: book.id,
+        title: book.title,
+        author: book.author
+      },
+      loan: {
+        id: loan.id,
+        due_date: loan.due_date
+      },
+      format: digitalCopy.format,
+      page_count: book.digital_page_count,
+      last_page: progress ? this.clampPage(book, progress.last_page) : 1,
+      last_read_at: progress ? progress.last_read_at : null,
+      bookmarks,
+      file: DigitalLoanService.accessUrl(loan, `/api/reader/files/${loan.id}`)
+    };
+  }
+
+  static async getBookmarks(studentId, bookId) {
+    return await ReadingBookmark.findAll({
+      where: { student_id: studentId, book_id: bookId },
+      order: [['page', 'ASC']]
+    });
+  }
+
+  // Remember the page the student is on
+  static async saveProgress(loan, page) {
+    const lastPage = this.clampPage(loan.book, page);
+    const [progress, created] = await ReadingProgress.findOrCreate({
+      where: { student_id: loan.student_id, book_id: loan.book_id },
+      defaults: { last_page: lastPage }
+    });
+
+    if (!created) {
+      await progress.update({ last_page: lastPage, last_read_at: new Date() });
+    }
+
+    return progress;
+  }
+
+  // Bookmark a page. Bookmarking a page again replaces its note.
+  static async addBookmark(loan, page, note) {
+    const bookmarkPage = this.clampPage(loan.book, page);
+    const [bookmark, created] = await ReadingBookmark.findOrCreate({
+      where: { student_id: loan.student_id, book_id: loan.book_id, page: bookmarkPage },
+      defaults: { note: note || null }
+    });
+
+    if (!created) {
+      await bookmark.update({ note: note || null });
+    }
+
+    return bookmark;
+  }
+
+  static async removeBookmark(loan, bookmarkId) {
+    const bookmark = await ReadingBookmark.findOne({
+      where: { id: bookmarkId, student_id: loan.student_id, book_id: loan.book_id }
+    });
+
+    if (!bookmark) {
+      throw new Error('Bookmark not found');
+    }
+
+    await bookmark.destroy();
+  }
+}
+
+module.exports = ReadingService;
@@ -0,0 +1,657 @@
+const { sequelize, Book, Course } = require('../models');
+const { Op } = require('sequelize');
+const CopyService = require('./copyService');
+const IsbnService = require('./isbnService');
+
+// Book fields filled from catalogue records, in the order they are previewed
+const IMPORT_FIELDS = ['title', 'author', 'isbn', 'edition', 'publisher', 'publication_year', 'description', 'category'];
+
+// Column sizes on the books table
+const FIELD_LIMITS = {
+  title: 255,
+  author: 255,
+  isbn: 20,
+  edition: 50,
+  publisher: 100,
+  category: 100
+};
+
+// MARC21 binary structure
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+const ESCAPE = 0x1b;
+
+// MARC-8 shares only its ASCII range with UTF-8. Diacritics, escape
+// sequences to other character sets and the extended Latin characters are
+// not converted, so records that use them are refused rather than garbled.
+const MARC8_MESSAGE = 'Record is MARC-8 encoded with accented or non-Latin characters, which cannot be read. Export it as UTF-8 MARC21 or MARCXML.';
+
+// ONIX short tags for the elements read here, mapped to their reference names
+const ONIX_SHORT_TAGS = {
+  onixmessage: 'ONIXMessage',
+  product: 'Product',
+  a001: 'RecordReference',
+  productidentifier: 'ProductIdentifier',
+  b221: 'ProductIDType',
+  b244: 'IDValue',
+  b004: 'ISBN',
+  b005: 'EAN13',
+  descriptivedetail: 'DescriptiveDetail',
+  title: 'Title',
+  titledetail: 'TitleDetail',
+  titleelement: 'TitleElement',
+  b202: 'TitleType',
+  b203: 'TitleText',
+  b029: 'Subtitle',
+  b028: 'DistinctiveTitle',
+  contributor: 'Contributor',
+  b035: 'ContributorRole',
+  b036: 'PersonName',
+  b037: 'PersonNameInverted',
+  b039: 'NamesBeforeKey',
+  b040: 'KeyNames',
+  b047: 'CorporateName',
+  b057: 'EditionNumber',
+  b217: 'EditionStatement',
+  publishingdetail: 'PublishingDetail',
+  publisher: 'Publisher',
+  b081: 'PublisherName',
+  b003: 'PublicationDate',
+  publishingdate: 'PublishingDate',
+  x448: 'PublishingDateRole',
+  b306: 'Date',
+  collateraldetail: 'CollateralDetail',
+  textcontent: 'TextContent',
+  x426: 'TextType',
+  othertext: 'OtherText',
+  d102: 'TextTypeCode',
+  d104: 'Text',
+  subject: 'Subject',
+  b070: 'SubjectHeadingText'
+};
+
+// ONIX codes used when picking values
+const ONIX_ISBN13_TYPES = ['15', '03'];
+const ONIX_ISBN10_TYPES = ['02'];
+const ONIX_AUTHOR_ROLES = ['A01'];
+const ONIX_DESCRIPTION_TYPES = ['03', '02', '01'];
+const ONIX_PUBLICATION_DATE_ROLES = ['01', '11'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1));
+    return String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+});
+
+// Element names without their namespace prefix
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+// Minimal XML reader for catalogue records: builds a tree of
+// { name, attributes, children, text }. DTDs, comments and processing
+// instructions are skipped; namespace prefixes are dropped.
+const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let position = 0;
+  let match;
+
+  while ((match = tagPattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(xml.slice(position, match.index));
+    position = tagPattern.lastIndex;
+
+    const [, cdata, closingName, openingName, attributeText, selfClosing] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (stack.length === 1 || localName(closingName) !== current.name) {
+        throw new Error(`Malformed XML: unexpected </${closingName}>`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const element = { name: localName(openingName), attributes: {}, children: [], text: '' };
+      let attribute;
+      while ((attribute = attributePattern.exec(attributeText)) !== null) {
+        element.attributes[localName(attribute[1])] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+
+  return root;
+};
+
+const childrenNamed = (node, name) => (node ? node.children.filter((child) => child.name === name) : []);
+const childNamed = (node, name) => childrenNamed(node, name)[0] || null;
+const textOf = (node) => (node ? node.text.trim() : '');
+const childText = (node, name) => textOf(childNamed(node, name));
+
+const findAll = (node, name, found = []) => {
+  for (const child of node.children) {
+    if (child.name === name) {
+      found.push(child);
+    } else {
+      findAll(child, name, found);
+    }
+  }
+  return found;
+};
+
+// Rename ONIX short tags to reference names so one mapping reads both
+const expandShortTags = (node) => {
+  node.name = ONIX_SHORT_TAGS[node.name] || node.name;
+  node.children.forEach(expandShortTags);
+  return node;
+};
+
+// Abbreviations whose full stop is kept, besides initials
+const ABBREVIATIONS = new Set(['co', 'ed', 'eds', 'enl', 'etc', 'inc', 'jr', 'ltd', 'rev', 'sr']);
+
+// Strip ISBD punctuation that MARC leaves at the end of subfields
+const trimPunctuation = (value) => {
+  const trimmed = String(value || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s[]+/, '')
+    .replace(/[\s/:;,=\]]+$/, '')
+    .trim();
+
+  const lastWord = (trimmed.match(/(\S+)\.$/) || [])[1];
+  if (lastWord && (/^\p{L}$/u.test(lastWord) || ABBREVIATIONS.has(lastWord.toLowerCase()))) {
+    return trimmed;
+  }
+  return trimmed.replace(/[\s.]+$/, '');
+};
+
+const stripHtml = (value) => decodeEntities(String(value || '').replace(/<[^>]*>/g, ' '))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// First year in text such as "c2009." or an ONIX date like 20080515
+const firstYear = (value) => {
+  const match = String(value || '').match(/(?:^|\D)(1\d{3}|20\d{2})/);
+  return match ? parseInt(match[1]) : null;
+};
+
+// MARC headings are "Surname, Forenames" when the first indicator is 1
+const personName = (name, inverted) => {
+  const cleaned = trimPunctuation(name);
+  if (!inverted || !cleaned.includes(',')) {
+    return cleaned;
+  }
+  const [surname, ...forenames] = cleaned.split(',');
+  return `${forenames.join(',').trim()} ${surname.trim()}`.trim();
+};
+
+// The first ISBN-looking token of a field such as "0262033844 (hardcover)"
+const isbnToken = (value) => {
+  const match = String(value || '').match(/[\dXx][\d\s-]{8,16}[\dXx]/);
+  return match ? IsbnService.compact(match[0]) : '';
+};
+
+// Map a MARC record ({ leader, fields: [{ tag, ind1, ind2, subfields | value }] })
+// onto book fields
+const marcToBook = ({ fields }) => {
+  const fieldsTagged = (tag) => fields.filter((field) => field.tag === tag);
+  const subfield = (field, code) => {
+    const found = field && field.subfields.find((entry) => entry.code === code);
+    return found ? found.value : '';
+  };
+  const first = (tag, code) => subfield(fieldsTagged(tag)[0], code);
+
+  const titleField = fieldsTagged('245')[0];
+  const title = [subfield(titleField, 'a'), subfield(titleField, 'b')]
+    .map(trimPunctuation)
+    .filter(Boolean)
+    .join(': ');
+
+  const authors = ['100', '110', '700', '710']
+    .flatMap((tag) => fieldsTagged(tag))
+    .map((field) => personName(subfield(field, 'a'), field.tag.endsWith('00') && field.ind1 === '1'))
+    .filter(Boolean);
+
+  // RDA records put publication in 264 with second indicator 1; older ones use 260
+  const publicationField = fieldsTagged('264').find((field) => field.ind2 === '1')
+    || fieldsTagged('260')[0]
+    || fieldsTagged('264')[0];
+
+  const fixedData = fieldsTagged('008')[0];
+  const fixedYear = fixedData && /^\d{4}$/.test(fixedData.value.slice(7, 11)) ? parseInt(fixedData.value.slice(7, 11)) : null;
+
+  const isbns = fieldsTagged('020').map((field) => isbnToken(subfield(field, 'a'))).filter(Boolean);
+
+  return {
+    title,
+    author: [...new Set(authors)].join(', '),
+    isbn: isbns.find((isbn) => IsbnService.isValid(isbn)) || isbns[0] || '',
+    edition: trimPunctuation(first('250', 'a')),
+    publisher: trimPunctuation(subfield(publicationField, 'b')),
+    publication_year: firstYear(subfield(publicationField, 'c')) || fixedYear,
+    description: trimPunctuation(first('520', 'a')),
+    category: trimPunctuation(first('650', 'a'))
+  };
+};
+
+const onixToBook = (product) => {
+  const descriptive = childNamed(product, 'DescriptiveDetail') || product;
+  const publishing = childNamed(product, 'PublishingDetail') || product;
+  const collateral = childNamed(product, 'CollateralDetail') || product;
+
+  // ISBN-13 is preferred; ONIX 2.1 may also carry <ISBN> directly
+  const identifiers = childrenNamed(product, 'ProductIdentifier');
+  const identifierOfType = (types) => {
+    const found = identifiers.find((identifier) => types.includes(childText(identifier, 'ProductIDType')));
+    return found ? childText(found, 'IDValue') : '';
+  };
+  const isbn = identifierOfType(ONIX_ISBN13_TYPES)
+    || identifierOfType(ONIX_ISBN10_TYPES)
+    || childText(product, 'EAN13')
+    || childText(product, 'ISBN');
+
+  // ONIX 3.0 nests titles in TitleDetail/TitleElement, 2.1 in Title
+  const titleNode = childNamed(childNamed(descriptive, 'TitleDetail'), 'TitleElement')
+    || childNamed(descriptive, 'Title')
+    || childNamed(product, 'Title');
+  const titleText = childText(titleNode, 'TitleText') || childText(product, 'DistinctiveTitle');
+  const title = [titleText, childText(titleNode, 'Subtitle')].filter(Boolean).join(': ');
+
+  const contributors = childrenNamed(descriptive, 'Contributor');
+  const authorNodes = contributors.filter((contributor) => childrenNamed(contributor, 'ContributorRole')
+    .some((role) => ONIX_AUTHOR_ROLES.includes(textOf(role))));
+  const authors = (authorNodes.length > 0 ? authorNodes : contributors).map((contributor) => (
+    childText(contributor, 'PersonName')
+    || [childText(contributor, 'NamesBeforeKey'), childText(contributor, 'KeyNames')].filter(Boolean).join(' ')
+    || personName(childText(contributor, 'PersonNameInverted'), true)
+    || childText(contributor, 'CorporateName')
+  )).filter(Boolean);
+
+  const edition = childText(descriptive, 'EditionStatement')
+    || (childText(descriptive, 'EditionNumber') ? `Edition ${childText(descriptive, 'EditionNumber')}` : '');
+
+  const publisher = childText(childNamed(publishing, 'Publisher'), 'PublisherName') || childText(product, 'PublisherName');
+
+  const publishingDates = childrenNamed(publishing, 'PublishingDate');
+  const publishingDate = publishingDates.find((date) => ONIX_PUBLICATION_DATE_ROLES.includes(childText(date, 'PublishingDateRole')))
+    || publishingDates[0];
+  const publicationYear = firstYear(childText(publishing, 'PublicationDate') || childText(publishingDate, 'Date'));
+
+  // Prefer the long description, then the short one, then any text
+  const texts = [
+    ...childrenNamed(collateral, 'TextContent').map((node) => ({ type: childText(node, 'TextType'), text: childText(node, 'Text') })),
+    ...childrenNamed(product, 'OtherText').map((node) => ({ type: childText(node, 'TextTypeCode'), text: childText(node, 'Text') }))
+  ].filter((entry) => entry.text);
+  const description = ONIX_DESCRIPTION_TYPES
+    .map((type) => texts.find((entry) => entry.type === type))
+    .find(Boolean) || texts[0];
+
+  const subject = childrenNamed(descriptive, 'Subject').map((node) => childText(node, 'SubjectHeadingText')).find(Boolean);
+
+  return {
+    title: trimPunctuation(title),
+    author: [...new Set(authors)].join(', '),
+    isbn: IsbnService.compact(isbn),
+    edition,
+    publisher,
+    publication_year: publicationYear,
+    description: description ? stripHtml(description.text) : '',
+    category: subject || ''
+  };
+};
+
+class RecordImportService {
+  // Work out the format from the file contents rather than its name
+  static detectFormat(buffer) {
+    const head = buffer.slice(0, 2048).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+
+    if (head.startsWith('<')) {
+      return /<(\w+:)?(ONIXMessage|ONIXmessage|Product|product)[\s>]/.test(head) ? 'onix' : 'marcxml';
+    }
+    if (/^\d{5}/.test(head) && buffer.includes(RECORD_TERMINATOR)) {
+      return 'marc21';
+    }
+
+    throw new Error('Unrecognised file format. Upload MARC21 (.mrc), MARCXML or ONIX files.');
+  }
+
+  // Split MARC21 transmission format into records using each record's
+  // leader and directory. Offsets are in bytes, so fields are decoded one
+  // at a time.
+  static parseMarc21(buffer) {
+    const records = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      // Skip line breaks some tools add between records
+      while (offset < buffer.length && [0x0a, 0x0d, 0x20].includes(buffer[offset])) {
+        offset++;
+      }
+      if (offset >= buffer.length) {
+        break;
+      }
+
+      const leader = buffer.slice(offset, offset + LEADER_LENGTH).toString('latin1');
+      const recordLength = parseInt(leader.slice(0, 5));
+      const baseAddress = parseInt(leader.slice(12, 17));
+      if (!/^\d{5}$/.test(leader.slice(0, 5)) || !(recordLength > LEADER_LENGTH) || !(baseAddress > LEADER_LENGTH)) {
+        throw new Error(`Invalid MARC21 leader in record ${records.length + 1}`);
+      }
+
+      const record = buffer.slice(offset, offset + recordLength);
+      // Leader position 9 is "a" for UTF-8 and blank for MARC-8, whose
+      // plain ASCII reads the same as Latin-1
+      const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+      const unreadable = encoding === 'latin1'
+        && record.some((byte, index) => index >= LEADER_LENGTH && (byte >= 0x80 || byte === ESCAPE));
+      const fields = [];
+
+      for (let entry = LEADER_LENGTH; entry + DIRECTORY_ENTRY_LENGTH <= baseAddress - 1; entry += DIRECTORY_ENTRY_LENGTH) {
+        const directory = record.slice(entry, entry + DIRECTORY_ENTRY_LENGTH).toString('latin1');
+        const tag = directory.slice(0, 3);
+        const length = parseInt(directory.slice(3, 7));
+        const start = parseInt(directory.slice(7, 12));
+        let data = record.slice(baseAddress + start, baseAddress + start + length);
+        if (data[data.length - 1] === FIELD_TERMINATOR) {
+          data = data.slice(0, -1);
+        }
+
+        if (tag < '010') {
+          fields.push({ tag, value: data.toString(encoding) });
+          continue;
+        }
+
+        const subfields = [];
+        let subfieldStart = data.indexOf(SUBFIELD_DELIMITER);
+        while (subfieldStart !== -1) {
+          const next = data.indexOf(SUBFIELD_DELIMITER, subfieldStart + 1);
+          const value = data.slice(subfieldStart + 1, next === -1 ? data.length : next).toString(encoding);
+          subfields.push({ code: value[0], value: value.slice(1) });
+          subfieldStart = next;
+        }
+
+        const indicators = data.slice(0, 2).toString('latin1');
+        fields.push({ tag, ind1: indicators[0], ind2: indicators[1], subfields });
+      }
+
+      records.push({ leader, fields, unreadable });
+      offset += recordLength;
+    }
+
+    return records;
+  }
+
+  static parseMarcXml(text) {
+    const document = parseXml(text);
+
+    return findAll(document, 'record').map((record) => ({
+      leader: childText(record, 'leader'),
+      fields: record.children
+        .filter((child) => child.name === 'controlfield' || child.name === 'datafield')
+        .map((child) => (child.name === 'controlfield'
+          ? { tag: child.attributes.tag, value: child.text }
+          : {
+            tag: child.attributes.tag,
+            ind1: child.attributes.ind1 || ' ',
+            ind2: child.attributes.ind2 || ' ',
+            subfields: childrenNamed(child, 'subfield').map((sub) => ({ code: sub.attributes.code, value: sub.text }))
+          }))
+    }));
+  }
+
+  static parseOnix(text) {
+    const document = expandShortTags(parseXml(text));
+    return findAll(document, 'Product');
+  }
+
+  // Parse an uploaded file into book field values, one entry per record.
+  // unreadable holds the indexes of MARC-8 records that cannot be decoded.
+  static parseFile(buffer) {
+    const format = this.detectFormat(buffer);
+    const text = format === 'marc21' ? null : buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    let books;
+    let unreadable = new Set();
+    if (format === 'marc21') {
+      const records = this.parseMarc21(buffer);
+      books = records.map(marcToBook);
+      unreadable = new Set(records.flatMap((record, index) => (record.unreadable ? [index] : [])));
+    } else if (format === 'marcxml') {
+      books = this.parseMarcXml(text).map(marcToBook);
+    } else {
+      books = this.parseOnix(text).map(onixToBook);
+    }
+
+    if (books.length === 0) {
+      throw new Error('No records found in the file');
+    }
+
+    return { format, books, unreadable };
+  }
+
+  // Problems that stop a record being imported, and ones worth a look
+  static checkBook(book) {
+    const errors = [];
+    const warnings = [];
+
+    if (!book.title || book.title.length < 2) errors.push('Title is missing');
+    if (!book.author || book.author.length < 2) errors.push('Author is missing');
+    if (!book.category || book.category.length < 2) errors.push('Category is missing');
+
+    if (book.isbn && !IsbnService.isValid(book.isbn)) {
+      errors.push(`ISBN ${book.isbn}: ${IsbnService.validate(book.isbn).message}`);
+    } else if (!book.isbn) {
+      warnings.push('Record has no ISBN');
+    }
+
+    if (book.publication_year && (book.publication_year < 1000 || book.publication_year > new Date().getFullYear())) {
+      errors.push(`Publication year ${book.publication_year} is out of range`);
+    }
+
+    for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+      if (book[field] && String(book[field]).length > limit) {
+        warnings.push(`${field} is longer than ${limit} characters and will be cut short`);
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  // Books already catalogued under any form of the given ISBNs, keyed by
+  // compact ISBN-13 (or the compact value when it is not a valid ISBN)
+  static async findExisting(isbns) {
+    const wanted = new Set(isbns.filter(Boolean).flatMap((isbn) => IsbnService.variants(isbn)));
+    if (wanted.size === 0) {
+      return new Map();
+    }
+
+    const books = await Book.findAll({
+      where: { isbn: { [Op.ne]: null } },
+      attributes: ['id', 'is_active', ...IMPORT_FIELDS]
+    });
+
+    const existing = new Map();
+    for (const book of books) {
+      const isbn = IsbnService.compact(book.isbn);
+      if (!wanted.has(isbn)) {
+        continue;
+      }
+      const key = IsbnService.isValid(isbn) ? IsbnService.toIsbn13(isbn) : isbn;
+      // An active book wins over a withdrawn one with the same ISBN
+      if (!existing.has(key) || (book.is_active && !existing.get(key).is_active)) {
+        existing.set(key, book);
+      }
+    }
+    return existing;
+  }
+
+  static async findExistingFor(books) {
+    const existing = await this.findExisting(books.map((book) => book.isbn));
+    return (book) => {
+      if (!book.isbn) return null;
+      const isbn = IsbnService.compact(book.isbn);
+      return existing.get(IsbnService.isValid(isbn) ? IsbnService.toIsbn13(isbn) : isbn) || null;
+    };
+  }
+
+  // Parse a file and report, for each record, the mapped fields, any
+  // problems and the catalogued book it would merge into. Nothing is saved.
+  static async preview(buffer, { defaultCategory } = {}) {
+    const { format, books, unreadable } = this.parseFile(buffer);
+    const existingFor = await this.findExistingFor(books);
+
+    const records = books.map((book, index) => {
+      if (!book.category && defaultCategory) {
+        book.category = defaultCategory;
+      }
+
+      // Catalogue ISBNs as ISBN-13 and show the ISBN-10 alongside
+      const isbnCheck = book.isbn ? IsbnService.validate(book.isbn) : null;
+      if (isbnCheck && isbnCheck.valid) {
+        book.isbn = isbnCheck.isbn13;
+      }
+
+      // Unreadable records are neither added nor merged, so their
+      // misread text never reaches the catalogue
+      const existing = unreadable.has(index) ? null : existingFor(book);
+      const { errors, warnings } = this.checkBook(book);
+      if (unreadable.has(index)) {
+        errors.unshift(MARC8_MESSAGE);
+      }
+
+      return {
+        index,
+        book,
+        isbn10: isbnCheck && isbnCheck.valid ? isbnCheck.isbn10 : null,
+        existing: existing ? existing.toJSON() : null,
+        errors,
+        warnings,
+        suggested_action: errors.length > 0 ? 'skip' : (existing ? 'merge' : 'create')
+      };
+    });
+
+    return { format, records };
+  }
+
+  // Save the records the librarian confirmed. Each item is
+  // { action: create|merge|skip, book, merge_fields? }. New books get
+  // total_copies copies; merges overwrite only merge_fields on the
+  // catalogued book with the same ISBN. All or nothing.
+  static async commit(items, { courseId, loanType, totalCopies = 1, location } = {}) {
+    if (courseId && !(await Course.findByPk(courseId))) {
+      throw new Error('Invalid course selected');
+    }
+
+    const candidates = items.filter((item) => item.action !== 'skip');
+    const existingFor = await this.findExistingFor(candidates.map((item) => item.book || {}));
+    const seen = new Set();
+
+    // Check everything before saving anything
+    const failures = [];
+    for (const [position, item] of items.entries()) {
+      if (item.action === 'skip') continue;
+
+      const label = `Record ${position + 1}`;
+      const book = item.book || {};
+      if (!['create', 'merge'].includes(item.action)) {
+        failures.push(`${label}: unknown action ${item.action}`);
+        continue;
+      }
+
+      if (book.isbn) {
+        const isbnCheck = IsbnService.validate(book.isbn);
+        if (!isbnCheck.valid) {
+          failures.push(`${label}: ISBN ${book.isbn}: ${isbnCheck.message}`);
+          continue;
+        }
+        book.isbn = isbnCheck.isbn13;
+
+        if (seen.has(book.isbn)) {
+          failures.push(`${label}: ISBN ${book.isbn} appears more than once`);
+          continue;
+        }
+        seen.add(book.isbn);
+      }
+
+      const existing = existingFor(book);
+      if (item.action === 'create') {
+        const { errors } = this.checkBook(book);
+        if (existing) errors.push(`A book with ISBN ${book.isbn} is already catalogued (#${existing.id})`);
+        failures.push(...errors.map((error) => `${label}: ${error}`));
+      } else if (!existing) {
+        failures.push(`${label}: no catalogued book to merge into`);
+      }
+    }
+
+    if (failures.length > 0) {
+      const error = new Error('Some records cannot be imported');
+      error.details = failures;
+      throw error;
+    }
+
+    const clip = (book) => {
+      const values = {};
+      for (const field of IMPORT_FIELDS) {
+        let value = book[field];
+        if (value === '' || value === undefined) value = null;
+        if (value !== null && FIELD_LIMITS[field]) value = String(value).slice(0, FIELD_LIMITS[field]).trim();
+        if (value !== null && field === 'publication_year') value = parseInt(value);
+        values[field] = value;
+      }
+      return values;
+    };
+
+    return sequelize.transaction(async (transaction) => {
+      const created = [];
+      const merged = [];
+
+      for (const item of candidates) {
+        const values = clip(item.book);
+
+        if (item.action === 'create') {
+          const copies = parseInt(item.total_copies) || totalCopies;
+          const book = await Book.create({
+            ...values,
+            loan_type: loanType || 'regular',
+            course_id: courseId || null,
+            location: location || null,
+            total_copies: copies,
+            available_copies: copies
+          }, { transaction });
+          await CopyService.addCopies(book, copies, {}, { transaction });
+          created.push(book);
+        } else {
+          const existing = await Book.findByPk(existingFor(item.book).id, { transaction });
+          const changes = {};
+          for (const field of item.merge_fields || []) {
+            if (IMPORT_FIELDS.includes(field) && values[field] !== null) {
+              changes[field] = values[field];
+            }
+          }
+          await existing.update(changes, { transaction });
+          merged.push(existing);
+        }
+      }
+
+      return { created, merged, skipped: items.length - candidates.length };
+    });
+  }
+}
+
+RecordImportService.IMPORT_FIELDS = IMPORT_FIELDS;
+
+module.exports = RecordImportService;
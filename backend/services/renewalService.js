@@ -0,0 +1,104 @@
+const { sequelize, Book, Student, IssuedBook, Fine, Reservation, LoanRenewal } = require('../models');
+const { Op } = require('sequelize');
+const CirculationPolicyService = require('./circulationPolicyService');
+const BlockService = require('./blockService');
+
+class RenewalService {
+  // Extend a loan's due date by the loan period of its circulation policy
+  static async renewLoan(issuedBookId, renewedBy, notes) {
+    return await sequelize.transaction(async (transaction) => {
+      const loan = await IssuedBook.findByPk(issuedBookId, { transaction });
+
+      if (!loan) {
+        throw new Error('Issued book not found');
+      }
+
+      // Lock the book, then the loan, so a renewal cannot slip past a hold
+      // placed or a return processed at the same moment
+      const book = await Book.findByPk(loan.book_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const issuedBook = await IssuedBook.findByPk(loan.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (issuedBook.status !== 'issued') {
+        throw new Error(`Cannot renew a loan that is ${issuedBook.status}`);
+      }
+
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const dueDate = new Date(issuedBook.due_date);
+
+      if (dueDate < today) {
+        throw new Error('Overdue loans cannot be renewed; please return the book');
+      }
+
+      const student = await Student.findByPk(issuedBook.student_id, { transaction });
+      const terms = await CirculationPolicyService.getTerms(student, book, { transaction });
+
+      if (issuedBook.renewal_count >= terms.max_renewals) {
+        throw new Error(`Loan has reached the maximum of ${terms.max_renewals} renewals`);
+      }
+
+      const pendingHolds = await Reservation.count({
+        where: {
+          book_id: issuedBook.book_id,
+          status: { [Op.in]: ['waiting', 'ready'] }
+        },
+        transaction
+      });
+
+      if (pendingHolds > 0) {
+        throw new Error('Book has pending holds and cannot be renewed');
+      }
+
+      // Any unpaid fine stops renewals, even one below the borrowing block limit
+      const unpaidFines = await Fine.count({
+        where: { student_id: issuedBook.student_id, status: 'pending' },
+        transaction
+      });
+
+      if (unpaidFines > 0) {
+        throw new Error('Student has unpaid fines; renewals are blocked until they are cleared');
+      }
+
+      // A student blocked from borrowing cannot extend loans either
+      await BlockService.assertCanBorrow(issuedBook.student_id, { transaction });
+
+      const newDueDate = await CirculationPolicyService.calculateDueDate(terms.loan_period_days, issuedBook.due_date, { transaction });
+
+      const renewal = await LoanRenewal.create({
+        issued_book_id: issuedBook.id,
+        renewed_by_role: renewedBy.role,
+        renewed_by_id: renewedBy.id,
+        previous_due_date: issuedBook.due_date,
+        new_due_date: newDueDate,
+        notes
+      }, { transaction });
+
+      await issuedBook.update({
+        due_date: newDueDate,
+        renewal_count: issuedBook.renewal_count + 1
+      }, { transaction });
+
+      return {
+        issuedBook,
+        renewal,
+        renewalsRemaining: terms.max_renewals - issuedBook.renewal_count
+      };
+    });
+  }
+
+  // Renewal history for a loan, oldest first
+  static async getRenewals(issuedBookId) {
+    return await LoanRenewal.findAll({
+      where: { issued_book_id: issuedBookId },
+      order: [['created_at', 'ASC']]
+    });
+  }
+}
+
+module.exports = RenewalService;
@@ -0,0 +1,234 @@
+const { sequelize, Reservation, Book, BookCopy, IssuedBook } = require('../models');
+const { Op } = require('sequelize');
+const CopyService = require('./copyService');
+const NotificationService = require('./notificationService');
+
+// Days a student has to collect a copy set aside for them
+const PICKUP_DAYS = parseInt(process.env.HOLD_PICKUP_DAYS) || 3;
+
+// Methods that take { transaction } are meant to run inside the caller's
+// transaction, after it has locked the book row.
+class ReservationService {
+  // Place a hold on a book that has no copy on the shelf
+  static async placeHold(studentId, bookId, notes) {
+    return await sequelize.transaction(async (transaction) => {
+      // Lock the book so a hold is never queued behind a copy being shelved
+      const book = await Book.findOne({
+        where: { id: bookId, is_active: true },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!book) {
+        throw new Error('Book not found or inactive');
+      }
+
+      if (book.available_copies > 0) {
+        throw new Error('Book is available; it can be issued directly');
+      }
+
+      const existingHold = await Reservation.findOne({
+        where: {
+          student_id: studentId,
+          book_id: bookId,
+          status: { [Op.in]: ['waiting', 'ready'] }
+        },
+        transaction
+      });
+
+      if (existingHold) {
+        throw new Error('Student already has a hold on this book');
+      }
+
+      const existingIssue = await IssuedBook.findOne({
+        where: {
+          student_id: studentId,
+          book_id: bookId,
+          status: { [Op.in]: ['issued', 'overdue'] }
+        },
+        transaction
+      });
+
+      if (existingIssue) {
+        throw new Error('Student already has this book on loan');
+      }
+
+      return await Reservation.create({
+        student_id: studentId,
+        book_id: bookId,
+        notes
+      }, { transaction });
+    });
+  }
+
+  // 1-based place in the queue for a waiting hold
+  static async getQueuePosition(reservation) {
+    if (reservation.status !== 'waiting') {
+      return null;
+    }
+
+    const ahead = await Reservation.count({
+      where: {
+        book_id: reservation.book_id,
+        status: 'waiting',
+        id: { [Op.lt]: reservation.id }
+      }
+    });
+
+    return ahead + 1;
+  }
+
+  // Set a newly shelved copy aside for the first student in the queue.
+  // Returns the hold that received the copy, or null if nobody is waiting.
+  static async allocateCopy(copy, { transaction } = {}) {
+    if (copy.status !== 'available') {
+      return null;
+    }
+
+    const nextHold = await Reservation.findOne({
+      where: { book_id: copy.book_id, status: 'waiting' },
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    if (!nextHold) {
+      return null;
+    }
+
+    const readyDate = new Date();
+    const pickupDeadline = new Date(readyDate);
+    pickupDeadline.setDate(pickupDeadline.getDate() + PICKUP_DAYS);
+
+    await copy.update({ status: 'on_hold' }, { transaction });
+    await nextHold.update({
+      copy_id: copy.id,
+      status: 'ready',
+      ready_date: readyDate,
+      pickup_deadline: pickupDeadline
+    }, { transaction });
+    await CopyService.syncAvailability(copy.book_id, { transaction });
+
+    const book = await Book.findByPk(copy.book_id, { attributes: ['id', 'title'], transaction });
+    await NotificationService.notify(nextHold.student_id, 'hold_available', { book, reservation: nextHold }, { transaction });
+    await NotificationService.notifyLibrarians('hold_to_shelve', {
+      title: `Hold ready: ${book.title}`,
+      message: `Put copy ${copy.accession_number} on the holds shelf`,
+      link: '/dashboard/issue-return'
+    }, { transaction });
+
+    return nextHold;
+  }
+
+  // Release the copy held for a hold and pass it on to the next student
+  static async releaseCopy(reservation, { transaction } = {}) {
+    if (!reservation.copy_id) {
+      return null;
+    }
+
+    const copy = await BookCopy.findByPk(reservation.copy_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+    if (!copy || copy.status !== 'on_hold') {
+      return null;
+    }
+
+    await copy.update({ status: 'available' }, { transaction });
+    const nextHold = await this.allocateCopy(copy, { transaction });
+    await CopyService.syncAvailability(copy.book_id, { transaction });
+
+    return nextHold;
+  }
+
+  // Ready hold the student can collect for a book, if any
+  static async findReadyHold(studentId, bookId, { transaction } = {}) {
+    return await Reservation.findOne({
+      where: {
+        student_id: studentId,
+        book_id: bookId,
+        status: 'ready'
+      },
+      transaction
+    });
+  }
+
+  // Mark a hold as collected once its copy has been issued
+  static async fulfillHold(reservation, { transaction } = {}) {
+    return await reservation.update({
+      status: 'fulfilled',
+      closed_date: new Date()
+    }, { transaction });
+  }
+
+  // Close a waiting or ready hold, releasing any copy held for it.
+  // Locks the book first so the copy hand-over cannot race an issue.
+  static async closeHold(reservationId, status, notes) {
+    return await sequelize.transaction(async (transaction) => {
+      const reservation = await Reservation.findByPk(reservationId, { transaction });
+
+      if (!reservation) {
+        throw new Error('Reservation not found');
+      }
+
+      await Book.findByPk(reservation.book_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      await reservation.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!['waiting', 'ready'].includes(reservation.status)) {
+        throw new Error(`Reservation is already ${reservation.status}`);
+      }
+
+      const wasReady = reservation.status === 'ready';
+      await reservation.update({
+        status,
+        closed_date: new Date(),
+        notes: notes || reservation.notes
+      }, { transaction });
+
+      const nextHold = wasReady
+        ? await this.releaseCopy(reservation, { transaction })
+        : null;
+
+      return { reservation, nextHold };
+    });
+  }
+
+  // Cancel a waiting or ready hold
+  static async cancelHold(reservationId, notes) {
+    const { reservation } = await this.closeHold(reservationId, 'cancelled', notes);
+    return reservation;
+  }
+
+  // Expire ready holds whose pickup deadline has passed, rolling each
+  // copy on to the next student in the queue
+  static async expireHolds() {
+    const expiredHolds = await Reservation.findAll({
+      where: {
+        status: 'ready',
+        pickup_deadline: { [Op.lt]: new Date() }
+      },
+      order: [['id', 'ASC']]
+    });
+
+    const results = [];
+
+    for (const expiredHold of expiredHolds) {
+      try {
+        const { nextHold } = await this.closeHold(expiredHold.id, 'expired');
+        results.push({
+          reservation_id: expiredHold.id,
+          next_reservation_id: nextHold ? nextHold.id : null
+        });
+      } catch (error) {
+        // Collected or cancelled since the query ran; nothing to expire
+        console.error(`Skipping hold ${expiredHold.id}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = ReservationService;
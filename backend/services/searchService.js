@@ -0,0 +1,401 @@
+const { Book, Course, Author } = require('../models');
+const AuthorityService = require('./authorityService');
+const { Op } = require('sequelize');
+
+// The index is rebuilt when a book's text changes in this process, and at
+// least this often so changes made by other server processes show up
+const INDEX_TTL_MS = parseInt(process.env.SEARCH_INDEX_TTL_MS) || 5 * 60 * 1000;
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = {
+  title: 5,
+  author: 3,
+  isbn: 3,
+  category: 2,
+  publisher: 1,
+  description: 1
+};
+const INDEXED_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// Score given to each kind of term match
+const EXACT_MATCH = 1.0;
+const PREFIX_MATCH = 0.6;
+const FUZZY_MATCH = 0.5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'is',
+  'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Suffixes stripped so word forms share a stem, longest first
+const SUFFIXES = [
+  ['ational', 'ate'],
+  ['ation', 'ate'],
+  ['ness', ''],
+  ['ment', ''],
+  ['ies', 'y'],
+  ['ing', ''],
+  ['ers', ''],
+  ['er', ''],
+  ['ed', ''],
+  ['es', ''],
+  ['s', '']
+];
+
+const stem = (word) => {
+  if (word.length <= 3 || /^\d+$/.test(word) || word.endsWith('ss')) {
+    return word;
+  }
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return word.slice(0, -suffix.length) + replacement;
+    }
+  }
+
+  return word;
+};
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter((token) => token && !STOP_WORDS.has(token))
+  .map(stem);
+
+// ISBNs are matched with hyphens and spaces removed
+const compactIsbn = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+// Edit distance with adjacent transpositions, giving up past maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+// Typos allowed for a query term of this length
+const allowedTypos = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+let index = null;
+// Bumped on every invalidation, so a build that read the books before a
+// change does not store its out-of-date index
+let generation = 0;
+
+class SearchService {
+  // Build the inverted index of active books: term -> (book id -> weight)
+  static async buildIndex() {
+    const builtFor = generation;
+    const books = await Book.findAll({
+      where: { is_active: true },
+      attributes: ['id', ...INDEXED_FIELDS]
+    });
+
+    const postings = new Map();
+    const isbns = new Map();
+
+    for (const book of books) {
+      for (const field of INDEXED_FIELDS) {
+        const terms = field === 'isbn'
+          ? [compactIsbn(book.isbn).toLowerCase()].filter(Boolean)
+          : tokenize(book[field]);
+
+        for (const term of terms) {
+          if (!postings.has(term)) {
+            postings.set(term, new Map());
+          }
+          const bookWeights = postings.get(term);
+          bookWeights.set(book.id, (bookWeights.get(book.id) || 0) + FIELD_WEIGHTS[field]);
+        }
+      }
+
+      if (book.isbn) {
+        isbns.set(compactIsbn(book.isbn), book.id);
+      }
+    }
+
+    const built = {
+      postings,
+      isbns,
+      bookCount: books.length,
+      builtAt: Date.now()
+    };
+    if (builtFor === generation) {
+      index = built;
+    }
+
+    return built;
+  }
+
+  static async getIndex() {
+    if (!index || Date.now() - index.builtAt > INDEX_TTL_MS) {
+      return await this.buildIndex();
+    }
+    return index;
+  }
+
+  // Drop the index so the next search rebuilds it. Inside a transaction this
+  // waits for the commit, as a rebuild before then would not see the change.
+  static invalidate({ transaction } = {}) {
+    const drop = () => {
+      generation++;
+      index = null;
+    };
+    if (transaction) {
+      transaction.afterCommit(drop);
+    } else {
+      drop();
+    }
+  }
+
+  // Index terms a query term matches, with how closely each one matches
+  static expandTerm(term, postings, isLastTerm) {
+    const matches = new Map();
+
+    if (postings.has(term)) {
+      matches.set(term, EXACT_MATCH);
+    }
+
+    const maxTypos = allowedTypos(term);
+    for (const candidate of postings.keys()) {
+      if (candidate === term) {
+        continue;
+      }
+
+      // The last word may still be being typed
+      if (isLastTerm && term.length >= 2 && candidate.startsWith(term)) {
+        matches.set(candidate, PREFIX_MATCH);
+      } else if (maxTypos > 0 && editDistance(term, candidate, maxTypos) <= maxTypos) {
+        matches.set(candidate, FUZZY_MATCH);
+      }
+    }
+
+    return matches;
+  }
+
+  // Relevance score of every active book matching the query, keyed by book
+  // id. Every query word must match (allowing for typos and word forms);
+  // rarer words and matches in the title count for more.
+  static async search(queryText) {
+    const { postings, isbns, bookCount } = await this.getIndex();
+    const scores = new Map();
+
+    // A full ISBN, with or without hyphens, finds just that book
+    const isbn = compactIsbn(queryText);
+    if (/^(\d{9}[\dX]|\d{13})$/.test(isbn) && isbns.has(isbn)) {
+      scores.set(isbns.get(isbn), 100);
+      return scores;
+    }
+
+    const terms = [...new Set(tokenize(queryText))];
+    if (terms.length === 0) {
+      return scores;
+    }
+
+    let matchingIds = null;
+    terms.forEach((term, position) => {
+      const termScores = new Map();
+      const expansions = this.expandTerm(term, postings, position === terms.length - 1);
+
+      for (const [candidate, closeness] of expansions) {
+        const bookWeights = postings.get(candidate);
+        const idf = Math.log(1 + bookCount / bookWeights.size);
+
+        for (const [bookId, weight] of bookWeights) {
+          const score = weight * closeness * idf;
+          termScores.set(bookId, Math.max(termScores.get(bookId) || 0, score));
+        }
+      }
+
+      matchingIds = matchingIds === null
+        ? new Set(termScores.keys())
+        : new Set([...matchingIds].filter((bookId) => termScores.has(bookId)));
+
+      for (const [bookId, score] of termScores) {
+        scores.set(bookId, (scores.get(bookId) || 0) + score);
+      }
+    });
+
+    for (const bookId of scores.keys()) {
+      if (!matchingIds.has(bookId)) {
+        scores.delete(bookId);
+      }
+    }
+
+    return scores;
+  }
+
+  // Search and filter the catalogue. Returns one page of books in the
+  // requested order plus facet counts for drilling down. Each facet is
+  // counted with every filter except its own, so the other values of a
+  // facet stay visible once one is picked.
+  static async searchCatalog({
+    search, category, courseId, publicationYear, availability, authorId, subjectId, seriesId, sort, page = 1, limit = 20
+  }) {
+    const where = { is_active: true };
+    const idFilters = [];
+
+    let scores = null;
+    if (search && search.trim()) {
+      scores = await this.search(search);
+      idFilters.push({ id: { [Op.in]: [...scores.keys()] } });
+    }
+
+    // Author, subject and series narrow the candidates before faceting
+    for (const [kind, id] of [['author', authorId], ['subject', subjectId], ['series', seriesId]]) {
+      if (id) {
+        idFilters.push({ id: { [Op.in]: await AuthorityService.bookIds(kind, parseInt(id)) } });
+      }
+    }
+
+    if (idFilters.length > 0) {
+      where[Op.and] = idFilters;
+    }
+
+    const candidates = await Book.findAll({
+      where,
+      attributes: ['id', 'title', 'category', 'course_id', 'publication_year', 'available_copies'],
+      include: [
+        {
+          model: Course,
+          as: 'course',
+          attributes: ['id', 'code']
+        }
+      ]
+    });
+
+    const filters = {
+      category: (book) => !category || book.category === category,
+      course: (book) => !courseId || book.course_id === parseInt(courseId),
+      publication_year: (book) => !publicationYear || book.publication_year === parseInt(publicationYear),
+      availability: (book) => !availability
+        || (availability === 'available' ? book.available_copies > 0 : book.available_copies <= 0)
+    };
+    const passes = (book, exceptFacet) => Object.entries(filters)
+      .every(([facet, test]) => facet === exceptFacet || test(book));
+
+    const countBy = (facet, keyOf, labelOf) => {
+      const counts = new Map();
+      for (const book of candidates.filter((candidate) => passes(candidate, facet))) {
+        const key = keyOf(book);
+        if (key === null || key === undefined || key === '') {
+          continue;
+        }
+        const entry = counts.get(key) || { value: key, label: labelOf ? labelOf(book) : String(key), count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      }
+      return [...counts.values()];
+    };
+
+    const facets = {
+      category: countBy('category', (book) => book.category)
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+      course: countBy('course', (book) => book.course_id, (book) => book.course ? book.course.code : String(book.course_id))
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+      publication_year: countBy('publication_year', (book) => book.publication_year)
+        .sort((a, b) => b.value - a.value),
+      availability: countBy('availability', (book) => (book.available_copies > 0 ? 'available' : 'unavailable'),
+        (book) => (book.available_copies > 0 ? 'Available' : 'Checked out'))
+    };
+
+    const order = sort || (scores ? 'relevance' : 'title');
+    const byTitle = (a, b) => a.title.localeCompare(b.title);
+    const comparators = {
+      relevance: (a, b) => (scores ? scores.get(b.id) - scores.get(a.id) : 0) || byTitle(a, b),
+      title: byTitle,
+      newest: (a, b) => (b.publication_year || 0) - (a.publication_year || 0) || byTitle(a, b)
+    };
+
+    const results = candidates.filter((book) => passes(book)).sort(comparators[order]);
+    const offset = (page - 1) * limit;
+    const pageIds = results.slice(offset, offset + limit).map((book) => book.id);
+
+    const pageBooks = await Book.findAll({
+      where: { id: { [Op.in]: pageIds } },
+      include: [
+        {
+          model: Course,
+          as: 'course',
+          attributes: ['id', 'name', 'code']
+        },
+        {
+          model: Author,
+          as: 'authors',
+          attributes: ['id', 'name'],
+          through: { attributes: ['position'] }
+        }
+      ]
+    });
+    const booksById = new Map(pageBooks.map((book) => [book.id, book]));
+
+    return {
+      books: pageIds.map((id) => {
+        const book = booksById.get(id).toJSON();
+        book.authors = book.authors
+          .sort((a, b) => a.BookAuthor.position - b.BookAuthor.position)
+          .map((author) => ({ id: author.id, name: author.name }));
+        if (scores) {
+          book.relevance = Math.round(scores.get(id) * 100) / 100;
+        }
+        return book;
+      }),
+      facets,
+      total: results.length
+    };
+  }
+}
+
+// Keep the index in step with catalogue edits made through this process.
+// Copy counts change on every loan and are not indexed, so they are ignored.
+const changesIndex = (fields) => [...INDEXED_FIELDS, 'is_active'].some((field) => fields.includes(field));
+
+Book.addHook('afterCreate', 'searchIndex', (book, options) => SearchService.invalidate(options));
+Book.addHook('afterDestroy', 'searchIndex', (book, options) => SearchService.invalidate(options));
+Book.addHook('afterUpdate', 'searchIndex', (book, options) => {
+  if (changesIndex(book.changed() || [])) {
+    SearchService.invalidate(options);
+  }
+});
+Book.addHook('afterBulkCreate', 'searchIndex', (books, options) => SearchService.invalidate(options));
+Book.addHook('afterBulkDestroy', 'searchIndex', (options) => SearchService.invalidate(options));
+Book.addHook('afterBulkUpdate', 'searchIndex', (options) => {
+  if (changesIndex(options.fields || Object.keys(options.attributes || {}))) {
+    SearchService.invalidate(options);
+  }
+});
+
+module.exports = SearchService;
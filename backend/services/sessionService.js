@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Session } = require('../models');
+
+// Access tokens are short-lived; the refresh cookie keeps the user signed in
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// How long a session lasts without being used
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Two tabs refreshing at the same moment both send the old token. Within this
+// window the second one is only refused, not treated as a stolen token.
+const REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30;
+
+// Revoked and expired sessions are deleted after this many days
+const SESSION_RETENTION_DAYS = 30;
+
+const REFRESH_COOKIE = 'refresh_token';
+
+// Open notification streams waiting to hear that their session was revoked,
+// keyed by session id. In-process only; streams held by other instances
+// notice at their next heartbeat.
+const endedSessions = new EventEmitter();
+endedSessions.setMaxListeners(0);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Browser and address the request came from, trimmed to fit the columns
+const clientDetails = (req) => ({
+  user_agent: (req.get('user-agent') || '').slice(0, 255) || null,
+  ip_address: (req.ip || '').slice(0, 45) || null
+});
+
+class SessionService {
+  // The cookie is only sent to /api/auth and can't be read by scripts
+  static cookieOptions() {
+    return {
+      httpOnly: true,
+      secure: process.env.COOKIE_SECURE
+        ? process.env.COOKIE_SECURE === 'true'
+        : process.env.NODE_ENV === 'production',
+      sameSite: process.env.COOKIE_SAME_SITE || 'strict',
+      path: '/api/auth',
+      maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+    };
+  }
+
+  static setRefreshCookie(res, refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, SessionService.cookieOptions());
+  }
+
+  static clearRefreshCookie(res) {
+    const { maxAge, ...options } = SessionService.cookieOptions();
+    res.clearCookie(REFRESH_COOKIE, options);
+  }
+
+  // Refresh token from the request's Cookie header
+  static readRefreshToken(req) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+      const index = part.indexOf('=');
+      if (index !== -1 && part.slice(0, index).trim() === REFRESH_COOKIE) {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      }
+    }
+    return null;
+  }
+
+  static signAccessToken(user, role, session) {
+    return jwt.sign(
+      { id: user.id, role, email: user.email, sid: session.id },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  // Start a session after sign-in; returns the access and refresh tokens
+  static async create(user, role, req) {
+    const refreshToken = newRefreshToken();
+    const session = await Session.create({
+      user_role: role,
+      user_id: user.id,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: refreshExpiry(),
+      ...clientDetails(req)
+    });
+
+    return {
+      session,
+      refreshToken,
+      accessToken: SessionService.signAccessToken(user, role, session)
+    };
+  }
+
+  // Swap a refresh token for a new one. The old token stops working, and if
+  // it turns up again later the session is revoked.
+  static async rotate(refreshToken, req) {
+    if (!refreshToken) {
+      throw new Error('Refresh token required');
+    }
+
+    const hash = hashToken(refreshToken);
+    const session = await Session.findOne({ where: { refresh_token_hash: hash } });
+
+    if (!session) {
+      const replaced = await Session.findOne({
+        where: { previous_token_hash: hash, revoked_at: null }
+      });
+      if (replaced) {
+        const rotatedAgo = (Date.now() - new Date(replaced.last_used_at).getTime()) / 1000;
+        if (rotatedAgo > REUSE_GRACE_SECONDS) {
+          await SessionService.revoke(replaced, 'reuse_detected');
+        }
+      }
+      throw new Error('Invalid refresh token');
+    }
+
+    if (session.revoked_at) {
+      throw new Error('Session has been revoked');
+    }
+    if (new Date(session.expires_at) <= new Date()) {
+      throw new Error('Session expired');
+    }
+
+    const nextToken = newRefreshToken();
+    await session.update({
+      previous_token_hash: hash,
+      refresh_token_hash: hashToken(nextToken),
+      last_used_at: new Date(),
+      expires_at: refreshExpiry(),
+      ...clientDetails(req)
+    });
+
+    return { session, refreshToken: nextToken };
+  }
+
+  // Session an access token belongs to, if it is still live
+  static async findActive(sessionId) {
+    if (!sessionId) return null;
+
+    return await Session.findOne({
+      where: {
+        id: sessionId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      }
+    });
+  }
+
+  static async listActive(role, userId) {
+    return await Session.findAll({
+      where: {
+        user_role: role,
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      attributes: ['id', 'user_agent', 'ip_address', 'last_used_at', 'expires_at', 'createdAt'],
+      order: [['last_used_at', 'DESC']]
+    });
+  }
+
+  static async revoke(session, reason = 'revoked') {
+    if (session.revoked_at) return session;
+    await session.update({ revoked_at: new Date(), revoked_reason: reason });
+    this.announceEnded([session.id]);
+    return session;
+  }
+
+  // End a user's sessions, e.g. when their account is deactivated. `only`
+  // limits it to one session and `except` keeps one signed in. Scoping by
+  // user stops anyone revoking a session that isn't theirs.
+  static async revokeAll(role, userId, { only, except, reason = 'revoked', transaction } = {}) {
+    const where = { user_role: role, user_id: userId, revoked_at: null };
+    if (only) {
+      where.id = only;
+    } else if (except) {
+      where.id = { [Op.ne]: except };
+    }
+
+    const ended = await Session.findAll({ where, attributes: ['id'], transaction });
+    const [count] = await Session.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where, transaction }
+    );
+    this.announceEnded(ended.map((session) => session.id), { transaction });
+    return count;
+  }
+
+  // Call listener once if the session is revoked. Returns a function that
+  // stops listening.
+  static onEnded(sessionId, listener) {
+    endedSessions.once(String(sessionId), listener);
+    return () => endedSessions.off(String(sessionId), listener);
+  }
+
+  // Tell listeners their sessions have ended, once the revocation is committed
+  static announceEnded(sessionIds, { transaction } = {}) {
+    const announce = () => sessionIds.forEach((id) => endedSessions.emit(String(id)));
+    if (transaction) {
+      transaction.afterCommit(announce);
+    } else {
+      announce();
+    }
+  }
+
+  // Remove sessions that ended more than SESSION_RETENTION_DAYS ago
+  static async purgeEnded() {
+    const cutoff = new Date(Date.now() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    return await Session.destroy({
+      where: {
+        [Op.or]: [
+          { expires_at: { [Op.lt]: cutoff } },
+          { revoked_at: { [Op.lt]: cutoff } }
+        ]
+      }
+    });
+  }
+}
+
+module.exports = SessionService;
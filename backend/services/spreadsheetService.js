@@ -0,0 +1,253 @@
+const ExcelJS = require('exceljs');
+const yauzl = require('yauzl');
+
+// Most a workbook may unpack to, all parts together. A few thousand rows
+// take a few megabytes; anything far larger is refused before it is read.
+const MAX_UNPACKED_BYTES = 50 * 1024 * 1024;
+
+// Most rows a worksheet can have in Excel. Rows are walked one by one up to
+// the last row number, so a sheet claiming more is refused.
+const MAX_ROWS = 1048576;
+
+// Spreadsheet dates count days from 30 December 1899
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// XLSX files are zip archives, which start with a local file header
+const ZIP_SIGNATURE = 0x04034b50;
+
+// Control characters are not allowed in the XML a workbook is made of
+const XML_INVALID_CHARACTERS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g;
+
+// Unpack every part of a zip without keeping it, refusing the workbook if
+// the parts add up to more than MAX_UNPACKED_BYTES. yauzl stops any part
+// that unpacks to more than the archive claims, so a deflate bomb is caught
+// before ExcelJS, which has no such limit, reads the file.
+const checkUnpackedSize = (buffer) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true }, (openError, zip) => {
+    if (openError) {
+      reject(new Error('File is not a valid XLSX workbook'));
+      return;
+    }
+
+    const fail = () => {
+      zip.close();
+      reject(new Error('Workbook is too large or damaged to read'));
+    };
+    let unpacked = 0;
+
+    zip.on('error', fail);
+    zip.on('end', resolve);
+    zip.on('entry', (entry) => {
+      unpacked += entry.uncompressedSize;
+      if (unpacked > MAX_UNPACKED_BYTES) {
+        fail();
+        return;
+      }
+      zip.openReadStream(entry, (streamError, stream) => {
+        if (streamError) {
+          fail();
+          return;
+        }
+        stream.on('error', fail);
+        stream.on('end', () => zip.readEntry());
+        stream.resume();
+      });
+    });
+    zip.readEntry();
+  });
+});
+
+// A cell as the text shown in the sheet; dates as YYYY-MM-DD
+const cellText = (cell) => {
+  const value = cell.value && cell.value.formula !== undefined ? cell.value.result : cell.value;
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return cell.text;
+};
+
+// Cells a spreadsheet would treat as a formula are prefixed so they stay text
+const neutraliseFormula = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+class SpreadsheetService {
+  // Work out the file type from its name, falling back to its contents
+  static detectFormat(buffer, filename = '') {
+    if (/\.xlsx$/i.test(filename) || (buffer.length > 4 && buffer.readUInt32LE(0) === ZIP_SIGNATURE)) {
+      return 'xlsx';
+    }
+    if (/\.(csv|txt)$/i.test(filename) || !buffer.slice(0, 1024).includes(0)) {
+      return 'csv';
+    }
+    throw new Error('Unsupported file type. Upload a CSV or XLSX file.');
+  }
+
+  // Parse RFC 4180 CSV into an array of rows (arrays of strings)
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  static toCsv(rows) {
+    const cell = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = typeof value === 'number' ? String(value) : neutraliseFormula(String(value));
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    // Leading byte order mark so Excel reads the file as UTF-8
+    return '\uFEFF' + rows.map((row) => row.map(cell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Rows of the first worksheet of an XLSX workbook as { line, cells },
+  // cells being strings. Only rows with a value are returned.
+  static async readXlsx(buffer) {
+    await checkUnpackedSize(buffer);
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new Error('File is not a valid XLSX workbook');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      throw new Error('Workbook has no worksheet');
+    }
+    if (sheet.rowCount > MAX_ROWS) {
+      throw new Error(`Worksheet has more than ${MAX_ROWS} rows`);
+    }
+
+    const rows = [];
+    sheet.eachRow((row, line) => {
+      const cells = [];
+      row.eachCell((cell, column) => {
+        cells[column - 1] = cellText(cell);
+      });
+      rows.push({ line, cells: Array.from(cells, (value) => value || '') });
+    });
+
+    return rows;
+  }
+
+  // A single-sheet workbook. Numbers are written as numbers, everything
+  // else as text.
+  static async writeXlsx(rows, sheetName = 'Sheet1') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+
+    rows.forEach((row) => {
+      sheet.addRow(row.map((value) => {
+        if (value === null || value === undefined || value === '') {
+          return null;
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          return value;
+        }
+        return String(value).replace(XML_INVALID_CHARACTERS, '');
+      }));
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  // Rows of a CSV or XLSX upload as objects keyed by the header row.
+  // Headers are matched case-insensitively with spaces as underscores.
+  // Blank rows are dropped; each row keeps its line number for reports.
+  static async readRecords(buffer, filename) {
+    const format = this.detectFormat(buffer, filename);
+    const rows = format === 'xlsx'
+      ? await this.readXlsx(buffer)
+      : this.parseCsv(buffer.toString('utf8')).map((cells, index) => ({ line: index + 1, cells }));
+
+    const headerIndex = rows.findIndex(({ cells }) => cells.some((cell) => String(cell).trim() !== ''));
+    if (headerIndex === -1) {
+      throw new Error('File is empty');
+    }
+
+    const headers = rows[headerIndex].cells.map((header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const records = [];
+
+    rows.slice(headerIndex + 1).forEach(({ line, cells: row }) => {
+      if (!row.some((cell) => String(cell).trim() !== '')) {
+        return;
+      }
+      const values = {};
+      headers.forEach((header, index) => {
+        if (header) {
+          // Undo the quote added on export to keep formula-like text as text
+          values[header] = row[index] === undefined ? '' : String(row[index]).trim().replace(/^'(?=[=+\-@])/, '');
+        }
+      });
+      records.push({ line, values });
+    });
+
+    return { format, headers, records };
+  }
+
+  static contentType(format) {
+    return format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8';
+  }
+
+  static async write(rows, format, sheetName) {
+    return format === 'xlsx' ? await this.writeXlsx(rows, sheetName) : Buffer.from(this.toCsv(rows), 'utf8');
+  }
+
+  // A spreadsheet date serial such as 45123 as YYYY-MM-DD
+  static serialToDate(serial) {
+    return new Date(EXCEL_EPOCH_MS + Math.floor(serial) * DAY_MS).toISOString().split('T')[0];
+  }
+}
+
+module.exports = SpreadsheetService;
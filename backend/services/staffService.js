@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { sequelize, Librarian } = require('../models');
+const SessionService = require('./sessionService');
+
+// Length of the temporary passwords handed out on reset
+const TEMPORARY_PASSWORD_LENGTH = 12;
+
+// Letters and digits that are hard to confuse when read out or copied
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+const temporaryPassword = () =>
+  Array.from(crypto.randomBytes(TEMPORARY_PASSWORD_LENGTH), byte => PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length]).join('');
+
+const isActiveAdmin = (librarian) => librarian.role === 'admin' && librarian.is_active;
+
+class StaffService {
+  // Load a librarian for a change, locking the active admins first so two
+  // admins demoting each other at once cannot leave the library without one
+  static async lockForChange(librarianId, transaction) {
+    const admins = await Librarian.findAll({
+      where: { role: 'admin', is_active: true },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const librarian = await Librarian.findByPk(librarianId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!librarian) {
+      throw new Error('Librarian not found');
+    }
+
+    return { librarian, adminCount: admins.length };
+  }
+
+  static async changeRole(librarianId, role) {
+    return await sequelize.transaction(async (transaction) => {
+      const { librarian, adminCount } = await StaffService.lockForChange(librarianId, transaction);
+
+      if (isActiveAdmin(librarian) && role !== 'admin' && adminCount <= 1) {
+        throw new Error('There must be at least one active administrator');
+      }
+
+      return await librarian.update({ role }, { transaction });
+    });
+  }
+
+  // Deactivated librarians cannot sign in and are logged out everywhere
+  static async setActive(librarianId, isActive, actorId) {
+    return await sequelize.transaction(async (transaction) => {
+      const { librarian, adminCount } = await StaffService.lockForChange(librarianId, transaction);
+
+      if (!isActive) {
+        if (librarian.id === actorId) {
+          throw new Error('You cannot deactivate your own account');
+        }
+        if (isActiveAdmin(librarian) && adminCount <= 1) {
+          throw new Error('There must be at least one active administrator');
+        }
+      }
+
+      await librarian.update({ is_active: isActive }, { transaction });
+      if (!isActive) {
+        await SessionService.revokeAll('librarian', librarian.id, { reason: 'deactivated', transaction });
+      }
+      return librarian;
+    });
+  }
+
+  // Set a new password, generating a temporary one if none is given. Every
+  // session the librarian has is ended. Returns the password to pass on.
+  static async resetPassword(librarianId, password) {
+    const newPassword = password || temporaryPassword();
+
+    await sequelize.transaction(async (transaction) => {
+      const librarian = await Librarian.findByPk(librarianId, { transaction });
+      if (!librarian) {
+        throw new Error('Librarian not found');
+      }
+
+      await librarian.update({ password: newPassword }, { transaction });
+      await SessionService.revokeAll('librarian', librarian.id, { reason: 'password_reset', transaction });
+    });
+
+    return newPassword;
+  }
+}
+
+module.exports = StaffService;
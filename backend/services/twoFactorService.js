@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateSecret, generateURI, verifySync } = require('otplib');
+const { sequelize, Librarian, SecurityConfig } = require('../models');
+const SessionService = require('./sessionService');
+
+// Name the authenticator app shows next to the codes
+const ISSUER = process.env.LIBRARY_NAME || 'LBManage Library';
+
+// TOTP parameters (RFC 6238); these are what authenticator apps assume
+const CODE_DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// Bytes of randomness in a new secret, which is stored base32 encoded
+const SECRET_BYTES = 20;
+
+// Codes from one step either side are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const BACKUP_CODE_COUNT = 10;
+
+// Letters and digits that are hard to confuse when read out or copied
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// How long the second sign-in step may take after the password is accepted
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(code.toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+const newBackupCode = () => {
+  const chars = Array.from(crypto.randomBytes(10), byte => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+class TwoFactorService {
+  // The step of the code if it is valid for the secret and newer than
+  // lastStep, otherwise null
+  static matchCode(secret, code, lastStep) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${CODE_DIGITS}}$`).test(digits)) return null;
+
+    const result = verifySync({
+      secret,
+      token: digits,
+      digits: CODE_DIGITS,
+      period: STEP_SECONDS,
+      epochTolerance: DRIFT_STEPS * STEP_SECONDS,
+      ...(lastStep === null || lastStep === undefined ? {} : { afterTimeStep: lastStep })
+    });
+    return result.valid ? result.timeStep : null;
+  }
+
+  static async isRequired() {
+    const config = await SecurityConfig.findOne({ order: [['id', 'ASC']] });
+    return !!(config && config.require_staff_two_factor);
+  }
+
+  static async getSettings() {
+    const config = await SecurityConfig.findOne({ order: [['id', 'ASC']] });
+    return config || SecurityConfig.build();
+  }
+
+  // Turning the requirement on signs out every librarian who has not set
+  // up two-factor authentication, so they enrol at their next sign-in.
+  // Returns the settings and how many librarians were signed out.
+  static async setRequired(required, actor) {
+    if (required && !actor.two_factor_enabled) {
+      throw new Error('Turn on two-factor authentication for your own account first');
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      let config = await SecurityConfig.findOne({ order: [['id', 'ASC']], transaction });
+      if (config) {
+        await config.update({ require_staff_two_factor: required, updated_by: actor.id }, { transaction });
+      } else {
+        config = await SecurityConfig.create({ require_staff_two_factor: required, updated_by: actor.id }, { transaction });
+      }
+
+      let signedOut = 0;
+      if (required) {
+        const unenrolled = await Librarian.findAll({
+          where: { two_factor_enabled: false },
+          attributes: ['id'],
+          transaction
+        });
+        for (const librarian of unenrolled) {
+          signedOut += await SessionService.revokeAll('librarian', librarian.id, {
+            reason: 'two_factor_required',
+            transaction
+          });
+        }
+      }
+
+      return { config, signedOut };
+    });
+  }
+
+  // Short-lived token proving the password was right, exchanged for a
+  // session once the second step is done. It carries no session id, so it
+  // is not accepted as an access token.
+  static signChallenge(librarian) {
+    return jwt.sign(
+      { id: librarian.id, purpose: 'two_factor' },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRES_IN }
+    );
+  }
+
+  static async readChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Sign-in has expired, please enter your password again');
+    }
+    if (decoded.purpose !== 'two_factor') {
+      throw new Error('Sign-in has expired, please enter your password again');
+    }
+
+    const librarian = await Librarian.findByPk(decoded.id);
+    if (!librarian || !librarian.is_active) {
+      throw new Error('Sign-in has expired, please enter your password again');
+    }
+    return librarian;
+  }
+
+  // Start enrolment with a new secret. Returns it with the otpauth:// URI an
+  // authenticator app reads from a QR code.
+  static async beginSetup(librarian) {
+    const secret = generateSecret({ length: SECRET_BYTES });
+    await librarian.update({ two_factor_pending_secret: secret });
+
+    const otpauthUrl = generateURI({
+      issuer: ISSUER,
+      label: librarian.email,
+      secret,
+      digits: CODE_DIGITS,
+      period: STEP_SECONDS
+    });
+
+    return { secret, otpauth_url: otpauthUrl };
+  }
+
+  // Finish enrolment with a code from the new secret. Returns the backup
+  // codes, which are only ever shown this once.
+  static async confirmSetup(librarian, code) {
+    if (!librarian.two_factor_pending_secret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    const step = TwoFactorService.matchCode(librarian.two_factor_pending_secret, code, null);
+    if (step === null) {
+      throw new Error('That code is not valid. Check the time on your device and try again.');
+    }
+
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, newBackupCode);
+    await librarian.update({
+      two_factor_enabled: true,
+      two_factor_secret: librarian.two_factor_pending_secret,
+      two_factor_pending_secret: null,
+      two_factor_backup_codes: backupCodes.map(hashBackupCode),
+      two_factor_last_step: step
+    });
+
+    return backupCodes;
+  }
+
+  // Check a code from the authenticator app, or use up a backup code.
+  // Each code works once.
+  static async verify(librarian, code) {
+    return await sequelize.transaction(async (transaction) => {
+      const current = await Librarian.findByPk(librarian.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!current.two_factor_enabled) {
+        throw new Error('Two-factor authentication is not turned on');
+      }
+
+      const step = TwoFactorService.matchCode(current.two_factor_secret, code, current.two_factor_last_step);
+      if (step !== null) {
+        await current.update({ two_factor_last_step: step }, { transaction });
+        return { usedBackupCode: false };
+      }
+
+      const hash = hashBackupCode(String(code || ''));
+      const remaining = current.two_factor_backup_codes || [];
+      if (remaining.includes(hash)) {
+        await current.update({
+          two_factor_backup_codes: remaining.filter(item => item !== hash)
+        }, { transaction });
+        return { usedBackupCode: true, backupCodesRemaining: remaining.length - 1 };
+      }
+
+      throw new Error('Invalid authentication code');
+    });
+  }
+
+  static async regenerateBackupCodes(librarian, code) {
+    await TwoFactorService.verify(librarian, code);
+
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, newBackupCode);
+    await librarian.update({ two_factor_backup_codes: backupCodes.map(hashBackupCode) });
+    return backupCodes;
+  }
+
+  // Remove two-factor authentication from an account. Librarians cannot
+  // turn it off themselves while the library requires it.
+  static async disable(librarian, { byAdmin = false } = {}) {
+    if (!byAdmin && await TwoFactorService.isRequired()) {
+      throw new Error('Two-factor authentication is required for all staff');
+    }
+
+    await librarian.update({
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_pending_secret: null,
+      two_factor_backup_codes: null,
+      two_factor_last_step: null
+    });
+
+    // An administrator resets two-factor when a device is lost, so anyone
+    // signed in with it is signed out
+    if (byAdmin) {
+      await SessionService.revokeAll('librarian', librarian.id, { reason: 'two_factor_reset' });
+    }
+  }
+
+  static async status(librarian) {
+    return {
+      enabled: librarian.two_factor_enabled,
+      required: await TwoFactorService.isRequired(),
+      backup_codes_remaining: (librarian.two_factor_backup_codes || []).length
+    };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, signIn, createStudents } = require('./helpers');
+const { Book, BookCopy, IssuedBook } = require('../models');
+const CirculationPolicyService = require('../services/circulationPolicyService');
+
+// Issue, return and renewal run in transactions that lock the student, book
+// and loan rows. These tests send many of them at once and check that the
+// copy counts never drift: 0 <= available_copies <= total_copies, and the
+// counts always match the copy rows and open loans.
+
+let api;
+let adminToken;
+let close;
+
+const createBook = async (totalCopies) => {
+  const response = await api('POST', '/books', adminToken, {
+    title: `Concurrency Test Book ${Date.now()}`,
+    author: 'Test Author',
+    category: 'Testing',
+    total_copies: totalCopies
+  });
+  assert.strictEqual(response.status, 201, JSON.stringify(response.data));
+  return response.data.book;
+};
+
+const issue = (studentId, bookId) =>
+  api('POST', '/issued-books/issue', adminToken, { student_id: studentId, book_id: bookId });
+
+const returnLoan = (loanId) =>
+  api('PUT', `/issued-books/${loanId}/return`, adminToken, {});
+
+const statuses = (responses) => responses.map((response) => response.status);
+
+const count = (responses, status) =>
+  responses.filter((response) => response.status === status).length;
+
+const assertCopyCounts = async (bookId) => {
+  const book = await Book.findByPk(bookId);
+  const [onShelf, copiesOut, openLoans] = await Promise.all([
+    BookCopy.count({ where: { book_id: bookId, status: 'available' } }),
+    BookCopy.count({ where: { book_id: bookId, status: 'issued' } }),
+    IssuedBook.count({ where: { book_id: bookId, status: 'issued' } })
+  ]);
+
+  assert.ok(book.available_copies >= 0, `available_copies is ${book.available_copies}`);
+  assert.ok(
+    book.available_copies <= book.total_copies,
+    `available_copies ${book.available_copies} exceeds total_copies ${book.total_copies}`
+  );
+  assert.strictEqual(book.available_copies, onShelf, 'available_copies matches the copies on the shelf');
+  assert.strictEqual(copiesOut, openLoans, 'every issued copy has exactly one open loan');
+  assert.strictEqual(book.available_copies + openLoans, book.total_copies, 'no copy is lost or counted twice');
+
+  return book;
+};
+
+describe('concurrent circulation', () => {
+  before(async () => {
+    ({ api, adminToken, close } = await startApp());
+  });
+
+  after(async () => {
+    await close();
+  });
+
+  it('lends each copy once when more students ask than there are copies', async () => {
+    const book = await createBook(3);
+    const students = await createStudents(10);
+
+    const responses = await Promise.all(students.map((student) => issue(student.id, book.id)));
+
+    assert.strictEqual(count(responses, 201), 3, `statuses: ${statuses(responses)}`);
+    assert.strictEqual(count(responses, 400), 7, `statuses: ${statuses(responses)}`);
+
+    const copyIds = responses
+      .filter((response) => response.status === 201)
+      .map((response) => response.data.issuedBook.copy_id);
+    assert.strictEqual(new Set(copyIds).size, 3, 'each loan has a different copy');
+
+    const updated = await assertCopyCounts(book.id);
+    assert.strictEqual(updated.available_copies, 0);
+  });
+
+  it('does not issue the same book twice to one student', async () => {
+    const book = await createBook(5);
+    const [student] = await createStudents(1);
+
+    const responses = await Promise.all(Array.from({ length: 6 }, () => issue(student.id, book.id)));
+
+    assert.strictEqual(count(responses, 201), 1, `statuses: ${statuses(responses)}`);
+    const updated = await assertCopyCounts(book.id);
+    assert.strictEqual(updated.available_copies, 4);
+  });
+
+  it('returns a loan once however many times it is returned at once', async () => {
+    const book = await createBook(2);
+    const [student] = await createStudents(1);
+    const issued = await issue(student.id, book.id);
+    assert.strictEqual(issued.status, 201);
+
+    const responses = await Promise.all(Array.from({ length: 6 }, () => returnLoan(issued.data.issuedBook.id)));
+
+    assert.strictEqual(count(responses, 200), 1, `statuses: ${statuses(responses)}`);
+    assert.strictEqual(count(responses, 400), 5, `statuses: ${statuses(responses)}`);
+
+    const updated = await assertCopyCounts(book.id);
+    assert.strictEqual(updated.available_copies, 2);
+  });
+
+  it('keeps the counts right while issues and returns of one book overlap', async () => {
+    const book = await createBook(4);
+    const students = await createStudents(12);
+
+    // Lend every copy, then return them while the other students ask for the book
+    const firstLoans = await Promise.all(students.slice(0, 4).map((student) => issue(student.id, book.id)));
+    assert.deepStrictEqual(statuses(firstLoans), [201, 201, 201, 201]);
+
+    const responses = await Promise.all([
+      ...firstLoans.map((loan) => returnLoan(loan.data.issuedBook.id)),
+      ...students.slice(4).map((student) => issue(student.id, book.id))
+    ]);
+
+    const returns = responses.slice(0, 4);
+    const issues = responses.slice(4);
+    assert.strictEqual(count(returns, 200), 4, `return statuses: ${statuses(returns)}`);
+    // Only copies already back on the shelf can go out again
+    assert.ok(count(issues, 201) <= 4, `issue statuses: ${statuses(issues)}`);
+
+    const updated = await assertCopyCounts(book.id);
+    assert.strictEqual(updated.available_copies, 4 - count(issues, 201));
+  });
+
+  it('stops renewals at the limit however many arrive together', async () => {
+    const book = await createBook(1);
+    const [student] = await createStudents(1);
+    const issued = await issue(student.id, book.id);
+    const loanId = issued.data.issuedBook.id;
+    const studentToken = await signIn(student, 'student');
+
+    const responses = await Promise.all(Array.from({ length: 6 }, (_, i) =>
+      api('POST', `/issued-books/${loanId}/renew`, i % 2 ? studentToken : adminToken, {})
+    ));
+
+    const terms = await CirculationPolicyService.getTerms(student, await Book.findByPk(book.id));
+    const loan = await IssuedBook.findByPk(loanId);
+    assert.strictEqual(count(responses, 200), terms.max_renewals, `statuses: ${statuses(responses)}`);
+    assert.strictEqual(count(responses, 400), 6 - terms.max_renewals, `statuses: ${statuses(responses)}`);
+    assert.strictEqual(loan.renewal_count, terms.max_renewals);
+
+    await assertCopyCounts(book.id);
+  });
+
+  it('does not renew a loan that is returned at the same moment', async () => {
+    const book = await createBook(1);
+    const [student] = await createStudents(1);
+    const issued = await issue(student.id, book.id);
+    const loanId = issued.data.issuedBook.id;
+
+    const [returned, ...renewals] = await Promise.all([
+      returnLoan(loanId),
+      api('POST', `/issued-books/${loanId}/renew`, adminToken, {}),
+      api('POST', `/issued-books/${loanId}/renew`, adminToken, {})
+    ]);
+
+    assert.strictEqual(returned.status, 200);
+    const loan = await IssuedBook.findByPk(loanId);
+    assert.strictEqual(loan.status, 'returned');
+    assert.strictEqual(loan.renewal_count, count(renewals, 200));
+
+    const updated = await assertCopyCounts(book.id);
+    assert.strictEqual(updated.available_copies, 1);
+  });
+});
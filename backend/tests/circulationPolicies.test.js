@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, createStudents } = require('./helpers');
+const { Course } = require('../models');
+
+// A loan's terms come from the most specific active policy matching the
+// student and book, or the defaults when none does. Each test uses its own
+// book category so policies from other tests do not match.
+
+let api;
+let adminToken;
+let close;
+let student;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let categoryCount = 0;
+const newCategory = () => `Policy Category ${++categoryCount}`;
+
+const createBook = async (category, fields = {}) => {
+  const response = await api('POST', '/books', adminToken, {
+    title: `Policy Test Book ${Date.now()}`,
+    author: 'Test Author',
+    category,
+    total_copies: 1,
+    ...fields
+  });
+  assert.strictEqual(response.status, 201, JSON.stringify(response.data));
+  return response.data.book;
+};
+
+const createPolicy = async (fields) => {
+  const response = await api('POST', '/circulation-policies', adminToken, fields);
+  assert.strictEqual(response.status, 201, JSON.stringify(response.data));
+  return response.data.policy;
+};
+
+const resolve = async (book) => {
+  const response = await api('GET', `/circulation-policies/resolve?student_id=${student.id}&book_id=${book.id}`, adminToken);
+  assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+  return response.data;
+};
+
+describe('circulation policy resolution', () => {
+  before(async () => {
+    ({ api, adminToken, close } = await startApp());
+    [student] = await createStudents(1);
+  });
+
+  after(async () => {
+    await close();
+  });
+
+  it('uses the default terms when no policy matches', async () => {
+    const book = await createBook(newCategory());
+
+    const terms = await resolve(book);
+    assert.strictEqual(terms.policy_id, null);
+    assert.strictEqual(terms.policy_name, 'Default');
+    assert.strictEqual(terms.is_loanable, true);
+    assert.strictEqual(terms.loan_period_days, 14);
+    assert.strictEqual(terms.max_loans, student.max_books_allowed);
+  });
+
+  it('picks the policy that matches the most keys', async () => {
+    const category = newCategory();
+    const course = await Course.findByPk(student.course_id);
+    await createPolicy({ name: 'Category', item_category: category, loan_period_days: 7 });
+    const specific = await createPolicy({
+      name: 'Category and course',
+      item_category: category,
+      course_id: course.id,
+      loan_period_days: 21,
+      max_loans: 3
+    });
+    await createPolicy({
+      name: 'Other semester',
+      item_category: category,
+      course_id: course.id,
+      semester: '8',
+      loan_period_days: 3
+    });
+
+    const terms = await resolve(await createBook(category));
+    assert.strictEqual(terms.policy_id, specific.id);
+    assert.strictEqual(terms.loan_period_days, 21);
+    assert.strictEqual(terms.max_loans, 3);
+  });
+
+  it('gives a tie to the newest policy and ignores deactivated ones', async () => {
+    const category = newCategory();
+    const older = await createPolicy({ name: 'Older', item_category: category, loan_period_days: 10 });
+    const newer = await createPolicy({ name: 'Newer', item_category: category, loan_period_days: 5 });
+    const book = await createBook(category);
+
+    assert.strictEqual((await resolve(book)).policy_id, newer.id);
+
+    const response = await api('DELETE', `/circulation-policies/${newer.id}`, adminToken);
+    assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+    assert.strictEqual((await resolve(book)).policy_id, older.id);
+  });
+
+  it('issues loans on the matching policy and refuses reference-only books', async () => {
+    const category = newCategory();
+    await createPolicy({ name: 'Short loan', item_category: category, loan_period_days: 3 });
+    await createPolicy({ name: 'Reference', item_category: category, loan_type: 'reference', is_loanable: false });
+
+    const book = await createBook(category);
+    const issueResponse = await api('POST', '/issued-books/issue', adminToken, {
+      student_id: student.id,
+      book_id: book.id
+    });
+    assert.strictEqual(issueResponse.status, 201, JSON.stringify(issueResponse.data));
+    // No closures are set, so the book is due the policy's three days out
+    const loanDays = (new Date(issueResponse.data.issuedBook.due_date) - Date.now()) / DAY;
+    assert.ok(loanDays > 1 && loanDays < 5, `due in ${loanDays} days`);
+
+    const referenceBook = await createBook(category, { loan_type: 'reference' });
+    const refused = await api('POST', '/issued-books/issue', adminToken, {
+      student_id: student.id,
+      book_id: referenceBook.id
+    });
+    assert.strictEqual(refused.status, 400);
+    assert.match(refused.data.message, /reference only/);
+  });
+
+  it('only accepts policies for students', async () => {
+    const response = await api('POST', '/circulation-policies', adminToken, {
+      name: 'Staff loans',
+      patron_type: 'staff',
+      loan_period_days: 30
+    });
+    assert.strictEqual(response.status, 400);
+  });
+});
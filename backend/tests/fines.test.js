@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, createStudents } = require('./helpers');
+const { IssuedBook } = require('../models');
+
+// Waivers and their reversals are recorded in each fine's audit trail. These
+// tests check that closing a loan late does not undo a waiver and that the
+// trail shows every step.
+
+let api;
+let adminToken;
+let close;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Lends a new book and moves the loan's due date into the past, then runs
+// the overdue fine job. Returns the loan and its fine.
+const createOverdueFine = async (daysLate) => {
+  const [student] = await createStudents(1);
+  const bookResponse = await api('POST', '/books', adminToken, {
+    title: `Fine Test Book ${Date.now()}`,
+    author: 'Test Author',
+    category: 'Testing',
+    total_copies: 1
+  });
+  assert.strictEqual(bookResponse.status, 201, JSON.stringify(bookResponse.data));
+
+  const issueResponse = await api('POST', '/issued-books/issue', adminToken, {
+    student_id: student.id,
+    book_id: bookResponse.data.book.id
+  });
+  assert.strictEqual(issueResponse.status, 201, JSON.stringify(issueResponse.data));
+  const loan = issueResponse.data.issuedBook;
+
+  await IssuedBook.update(
+    { due_date: new Date(Date.now() - daysLate * DAY) },
+    { where: { id: loan.id } }
+  );
+
+  const generateResponse = await api('POST', '/fines/generate', adminToken);
+  assert.strictEqual(generateResponse.status, 200, JSON.stringify(generateResponse.data));
+  const result = generateResponse.data.results.find((entry) => entry.issued_book_id === loan.id);
+  assert.ok(result, 'the overdue loan was fined');
+
+  return { loan, fine: result.fine };
+};
+
+const history = async (fineId) => {
+  const response = await api('GET', `/fines/${fineId}/history`, adminToken);
+  assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+  return response.data;
+};
+
+describe('fine waivers', () => {
+  before(async () => {
+    ({ api, adminToken, close } = await startApp());
+    // Reason codes are created the first time the list is read
+    await api('GET', '/fines/reason-codes', adminToken);
+  });
+
+  after(async () => {
+    await close();
+  });
+
+  it('keeps a waived fine waived when the book is returned', async () => {
+    const { loan, fine } = await createOverdueFine(5);
+
+    const waiveResponse = await api('POST', `/fines/${fine.id}/waive`, adminToken, {
+      reason_code: 'HARDSHIP',
+      notes: 'Family emergency'
+    });
+    assert.strictEqual(waiveResponse.status, 200, JSON.stringify(waiveResponse.data));
+
+    const returnResponse = await api('PUT', `/issued-books/${loan.id}/return`, adminToken, {});
+    assert.strictEqual(returnResponse.status, 200, JSON.stringify(returnResponse.data));
+
+    const { fine: current, events } = await history(fine.id);
+    assert.strictEqual(current.status, 'waived');
+    assert.deepStrictEqual(events.map((event) => event.event_type), ['created', 'waived']);
+
+    const waived = events[1];
+    assert.strictEqual(waived.old_status, 'pending');
+    assert.strictEqual(waived.new_status, 'waived');
+    assert.strictEqual(waived.reason_code, 'HARDSHIP');
+    assert.strictEqual(waived.reason_label, 'Financial hardship');
+    assert.strictEqual(waived.notes, 'Family emergency');
+    assert.strictEqual(waived.actor.name, 'Test Admin');
+  });
+
+  it('owes the fine again once its waiver is reversed', async () => {
+    const { loan, fine } = await createOverdueFine(5);
+
+    await api('POST', `/fines/${fine.id}/waive`, adminToken, { reason_code: 'FIRST_OFFENCE' });
+    const reverseResponse = await api('POST', `/fines/${fine.id}/reverse-waiver`, adminToken, {
+      reason_code: 'ENTERED_IN_ERROR'
+    });
+    assert.strictEqual(reverseResponse.status, 200, JSON.stringify(reverseResponse.data));
+    assert.strictEqual(reverseResponse.data.fine.status, 'pending');
+
+    // The book comes back later than the fine was first worked out
+    await IssuedBook.update(
+      { due_date: new Date(Date.now() - 8 * DAY) },
+      { where: { id: loan.id } }
+    );
+    const returnResponse = await api('PUT', `/issued-books/${loan.id}/return`, adminToken, {});
+    assert.strictEqual(returnResponse.status, 200, JSON.stringify(returnResponse.data));
+
+    const { fine: current, events } = await history(fine.id);
+    assert.strictEqual(current.status, 'pending');
+    assert.deepStrictEqual(
+      events.map((event) => event.event_type),
+      ['created', 'waived', 'waiver_reversed', 'assessed']
+    );
+
+    const reversed = events[2];
+    assert.strictEqual(reversed.old_status, 'waived');
+    assert.strictEqual(reversed.new_status, 'pending');
+    assert.strictEqual(reversed.reason_code, 'ENTERED_IN_ERROR');
+
+    const assessed = events[3];
+    assert.ok(
+      parseFloat(assessed.new_amount) > parseFloat(assessed.old_amount),
+      `fine went from ${assessed.old_amount} to ${assessed.new_amount}`
+    );
+  });
+
+  it('refuses a waiver reason code for a reversal', async () => {
+    const { fine } = await createOverdueFine(3);
+
+    await api('POST', `/fines/${fine.id}/waive`, adminToken, { reason_code: 'HARDSHIP' });
+    const response = await api('POST', `/fines/${fine.id}/reverse-waiver`, adminToken, {
+      reason_code: 'HARDSHIP'
+    });
+    assert.strictEqual(response.status, 400);
+    assert.match(response.data.message, /cannot be used for a reversal/);
+
+    const { fine: current, events } = await history(fine.id);
+    assert.strictEqual(current.status, 'waived');
+    assert.deepStrictEqual(events.map((event) => event.event_type), ['created', 'waived']);
+  });
+});
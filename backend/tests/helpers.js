@@ -0,0 +1,117 @@
+// SQLite queries run on libuv's thread pool, and a transaction waiting for
+// the write lock holds a thread while it waits. With the default four
+// threads, concurrent requests can leave none for the transaction holding
+// the lock. Set before anything uses the pool.
+process.env.UV_THREADPOOL_SIZE = '64';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs against its own SQLite database and storage
+// directories, set up before the app and its config are loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lbmanage-test-'));
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = path.join(tmpDir, 'database.sqlite');
+process.env.JWT_SECRET = 'test-secret';
+process.env.UPLOAD_DIR = path.join(tmpDir, 'uploads');
+process.env.DIGITAL_STORAGE_DIR = path.join(tmpDir, 'digital');
+process.env.MAIL_FILE_DIR = path.join(tmpDir, 'mail');
+process.env.MAIL_TRANSPORT = 'file';
+
+const app = require('../server');
+const { migrate } = require('../migrate');
+const { sequelize, Course, Librarian, Student } = require('../models');
+const SessionService = require('../services/sessionService');
+
+// Requests made outside a browser, as far as session records are concerned
+const testRequest = { ip: '127.0.0.1', get: () => 'lbmanage-tests' };
+
+// Creates the schema and starts the app on a free port. Returns a client for
+// the API, one for file uploads, an administrator's access token and close()
+// for after the tests.
+const startApp = async () => {
+  await migrate();
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const api = async (method, url, token, body) => {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  // Sends a file as multipart form data in `field`, with any other form fields
+  const upload = async (url, token, field, { buffer, filename }, fields = {}) => {
+    const form = new FormData();
+    form.append(field, new Blob([buffer]), filename);
+    for (const [name, value] of Object.entries(fields)) {
+      form.append(name, value);
+    }
+
+    const response = await fetch(baseUrl + url, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: form
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  const admin = await Librarian.create({
+    name: 'Test Admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    employee_id: 'EMP001',
+    role: 'admin'
+  });
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await sequelize.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  };
+
+  return { api, upload, adminToken: await signIn(admin, 'librarian'), close };
+};
+
+const signIn = async (user, role) => {
+  const { accessToken } = await SessionService.create(user, role, testRequest);
+  return accessToken;
+};
+
+let studentCount = 0;
+
+const createStudents = async (count) => {
+  const [course] = await Course.findOrCreate({
+    where: { code: 'TEST' },
+    defaults: { name: 'Test Course' }
+  });
+
+  const students = [];
+  for (let i = 0; i < count; i++) {
+    studentCount++;
+    students.push(await Student.create({
+      name: `Student ${studentCount}`,
+      email: `student${studentCount}@example.com`,
+      password: 'password123',
+      student_id: `S${String(studentCount).padStart(4, '0')}`,
+      course_id: course.id,
+      semester: '1'
+    }));
+  }
+  return students;
+};
+
+module.exports = {
+  startApp,
+  signIn,
+  createStudents
+};
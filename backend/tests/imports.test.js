@@ -0,0 +1,270 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const SpreadsheetService = require('../services/spreadsheetService');
+
+// Catalogue records (MARC21, MARCXML, ONIX) are read through the import
+// preview, and spreadsheets (CSV, XLSX) through the service the bulk
+// imports use.
+
+let api;
+let upload;
+let adminToken;
+let close;
+
+const CATALOGUED_ISBN = '9780262033848';
+
+// A MARC21 record from [tag, value] pairs. Control fields (below 010) take
+// the value as is; data fields take [indicators, [[code, value], ...]].
+const marcRecord = (fields, { encoding = 'a' } = {}) => {
+  const data = fields.map(([tag, value]) => {
+    const body = tag < '010'
+      ? Buffer.from(value, 'utf8')
+      : Buffer.concat([
+        Buffer.from(value[0], 'latin1'),
+        ...value[1].map(([code, text]) => Buffer.concat([Buffer.from([0x1f]), Buffer.from(code), Buffer.isBuffer(text) ? text : Buffer.from(text, 'utf8')]))
+      ]);
+    return { tag, body: Buffer.concat([body, Buffer.from([0x1e])]) };
+  });
+
+  let start = 0;
+  const directory = data.map(({ tag, body }) => {
+    const entry = `${tag}${String(body.length).padStart(4, '0')}${String(start).padStart(5, '0')}`;
+    start += body.length;
+    return entry;
+  }).join('');
+
+  const baseAddress = 24 + directory.length + 1;
+  const length = baseAddress + start + 1;
+  const leader = `${String(length).padStart(5, '0')}nam ${encoding}22${String(baseAddress).padStart(5, '0')} i 4500`;
+
+  return Buffer.concat([
+    Buffer.from(leader + directory, 'latin1'),
+    Buffer.from([0x1e]),
+    ...data.map(({ body }) => body),
+    Buffer.from([0x1d])
+  ]);
+};
+
+const preview = async (contents, filename) => {
+  const response = await upload('/book-imports/preview', adminToken, 'file', {
+    buffer: Buffer.isBuffer(contents) ? contents : Buffer.from(contents, 'utf8'),
+    filename
+  });
+  return response;
+};
+
+describe('catalogue record imports', () => {
+  before(async () => {
+    ({ api, upload, adminToken, close } = await startApp());
+
+    const response = await api('POST', '/books', adminToken, {
+      title: 'Introduction to Algorithms',
+      author: 'Thomas H. Cormen',
+      category: 'Computer Science',
+      isbn: CATALOGUED_ISBN,
+      total_copies: 1
+    });
+    assert.strictEqual(response.status, 201, JSON.stringify(response.data));
+  });
+
+  after(async () => {
+    await close();
+  });
+
+  it('reads MARC21 records and matches ones already catalogued', async () => {
+    const file = Buffer.concat([
+      marcRecord([
+        ['008', '090101s2009    mau           001 0 eng d'],
+        ['020', ['  ', [['a', '0262033844 (hardcover)']]]],
+        ['100', ['1 ', [['a', 'Cormen, Thomas H.']]]],
+        ['245', ['10', [['a', 'Introduction to algorithms /'], ['c', 'Thomas H. Cormen.']]]],
+        ['250', ['  ', [['a', '3rd ed.']]]],
+        ['264', [' 1', [['a', 'Cambridge, Mass. :'], ['b', 'MIT Press,'], ['c', 'c2009.']]]],
+        ['650', [' 0', [['a', 'Computer algorithms.']]]]
+      ]),
+      Buffer.from('\n'),
+      marcRecord([
+        ['245', ['00', [['a', 'Über die Physik :'], ['b', 'eine Einführung']]]],
+        ['700', ['1 ', [['a', 'Müller, Jürgen,']]]]
+      ])
+    ]);
+
+    const response = await preview(file, 'records.mrc');
+    assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+    assert.strictEqual(response.data.format, 'marc21');
+
+    const [known, unicode] = response.data.records;
+    assert.deepStrictEqual(known.book, {
+      title: 'Introduction to algorithms',
+      author: 'Thomas H. Cormen',
+      isbn: CATALOGUED_ISBN,
+      edition: '3rd ed.',
+      publisher: 'MIT Press',
+      publication_year: 2009,
+      description: '',
+      category: 'Computer algorithms'
+    });
+    assert.strictEqual(known.isbn10, '0262033844');
+    assert.strictEqual(known.suggested_action, 'merge');
+    assert.strictEqual(known.existing.isbn, CATALOGUED_ISBN);
+
+    assert.strictEqual(unicode.book.title, 'Über die Physik: eine Einführung');
+    assert.strictEqual(unicode.book.author, 'Jürgen Müller');
+  });
+
+  it('refuses MARC-8 records it cannot decode', async () => {
+    // 0xE8 is a MARC-8 umlaut, combined with the letter after it
+    const file = marcRecord([
+      ['245', ['00', [['a', Buffer.from([0x4d, 0xe8, 0x75, 0x6c, 0x6c, 0x65, 0x72])]]]],
+      ['650', [' 0', [['a', 'Physics']]]]
+    ], { encoding: ' ' });
+
+    const response = await preview(file, 'marc8.mrc');
+    assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+
+    const [record] = response.data.records;
+    assert.match(record.errors[0], /MARC-8/);
+    assert.strictEqual(record.suggested_action, 'skip');
+    assert.strictEqual(record.existing, null);
+  });
+
+  it('reads MARCXML collections', async () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<marc:collection xmlns:marc="http://www.loc.gov/MARC21/slim">
+  <marc:record>
+    <marc:leader>00000nam a2200000 i 4500</marc:leader>
+    <marc:datafield tag="020" ind1=" " ind2=" "><marc:subfield code="a">9780131103627</marc:subfield></marc:datafield>
+    <marc:datafield tag="100" ind1="1" ind2=" "><marc:subfield code="a">Kernighan, Brian W.</marc:subfield></marc:datafield>
+    <marc:datafield tag="245" ind1="1" ind2="4"><marc:subfield code="a">The C programming language /</marc:subfield></marc:datafield>
+    <marc:datafield tag="260" ind1=" " ind2=" "><marc:subfield code="b">Prentice Hall,</marc:subfield><marc:subfield code="c">1988.</marc:subfield></marc:datafield>
+    <marc:datafield tag="520" ind1=" " ind2=" "><marc:subfield code="a">Tom &amp; Jerry&#39;s favourite.</marc:subfield></marc:datafield>
+    <marc:datafield tag="650" ind1=" " ind2="0"><marc:subfield code="a">Programming languages.</marc:subfield></marc:datafield>
+  </marc:record>
+  <marc:record>
+    <marc:leader>00000nam a2200000 i 4500</marc:leader>
+    <marc:datafield tag="245" ind1="0" ind2="0"><marc:subfield code="a">Untitled draft</marc:subfield></marc:datafield>
+  </marc:record>
+</marc:collection>`;
+
+    const response = await preview(xml, 'records.xml');
+    assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+    assert.strictEqual(response.data.format, 'marcxml');
+    assert.strictEqual(response.data.records.length, 2);
+
+    const [book] = response.data.records;
+    assert.strictEqual(book.book.title, 'The C programming language');
+    assert.strictEqual(book.book.author, 'Brian W. Kernighan');
+    assert.strictEqual(book.book.publisher, 'Prentice Hall');
+    assert.strictEqual(book.book.publication_year, 1988);
+    assert.strictEqual(book.book.description, "Tom & Jerry's favourite");
+    assert.strictEqual(book.suggested_action, 'create');
+  });
+
+  it('reads ONIX 3.0 with reference and short tags', async () => {
+    const reference = `<?xml version="1.0"?>
+<ONIXMessage release="3.0">
+  <Product>
+    <ProductIdentifier><ProductIDType>15</ProductIDType><IDValue>9780596517748</IDValue></ProductIdentifier>
+    <DescriptiveDetail>
+      <TitleDetail><TitleElement><TitleText>JavaScript</TitleText><Subtitle>The Good Parts</Subtitle></TitleElement></TitleDetail>
+      <Contributor><ContributorRole>A01</ContributorRole><PersonName>Douglas Crockford</PersonName></Contributor>
+      <Contributor><ContributorRole>B01</ContributorRole><PersonName>Some Editor</PersonName></Contributor>
+      <Subject><SubjectHeadingText>Programming</SubjectHeadingText></Subject>
+    </DescriptiveDetail>
+    <CollateralDetail>
+      <TextContent><TextType>02</TextType><Text>Short.</Text></TextContent>
+      <TextContent><TextType>03</TextType><Text>&lt;p&gt;The &lt;b&gt;long&lt;/b&gt; description.&lt;/p&gt;</Text></TextContent>
+    </CollateralDetail>
+    <PublishingDetail>
+      <Publisher><PublisherName>O'Reilly Media</PublisherName></Publisher>
+      <PublishingDate><PublishingDateRole>01</PublishingDateRole><Date>20080515</Date></PublishingDate>
+    </PublishingDetail>
+  </Product>
+</ONIXMessage>`;
+    const short = `<?xml version="1.0"?>
+<ONIXmessage release="3.0">
+  <product>
+    <productidentifier><b221>15</b221><b244>9780596517748</b244></productidentifier>
+    <descriptivedetail>
+      <titledetail><titleelement><b203>JavaScript</b203><b029>The Good Parts</b029></titleelement></titledetail>
+      <contributor><b035>A01</b035><b036>Douglas Crockford</b036></contributor>
+    </descriptivedetail>
+    <publishingdetail>
+      <publisher><b081>O'Reilly Media</b081></publisher>
+      <publishingdate><x448>01</x448><b306>20080515</b306></publishingdate>
+    </publishingdetail>
+  </product>
+</ONIXmessage>`;
+
+    for (const file of [reference, short]) {
+      const response = await preview(file, 'onix.xml');
+      assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+      assert.strictEqual(response.data.format, 'onix');
+
+      const [{ book }] = response.data.records;
+      assert.strictEqual(book.title, 'JavaScript: The Good Parts');
+      assert.strictEqual(book.author, 'Douglas Crockford');
+      assert.strictEqual(book.isbn, '9780596517748');
+      assert.strictEqual(book.publisher, "O'Reilly Media");
+      assert.strictEqual(book.publication_year, 2008);
+    }
+
+    const [{ book }] = (await preview(reference, 'onix.xml')).data.records;
+    assert.strictEqual(book.description, 'The long description.');
+    assert.strictEqual(book.category, 'Programming');
+  });
+
+  it('rejects files in other formats', async () => {
+    const response = await preview('title,author\nA,B\n', 'books.csv');
+    assert.strictEqual(response.status, 400);
+    assert.match(response.data.message, /Unrecognised file format/);
+  });
+});
+
+describe('spreadsheet imports', () => {
+  it('reads back a workbook it wrote, keeping line numbers and skipping blank rows', async () => {
+    const workbook = await SpreadsheetService.writeXlsx([
+      ['Title', 'Author', 'Total Copies', 'Notes'],
+      ['Über Physik', 'Jürgen Müller', 3, '=SUM(A1:A2)'],
+      [],
+      ['Tom & Jerry <Annotated>', 'Fred "Tex" Avery', 1, null]
+    ], 'Books');
+
+    const { format, headers, records } = await SpreadsheetService.readRecords(workbook, 'books.xlsx');
+    assert.strictEqual(format, 'xlsx');
+    assert.deepStrictEqual(headers, ['title', 'author', 'total_copies', 'notes']);
+    assert.deepStrictEqual(records, [
+      {
+        line: 2,
+        values: { title: 'Über Physik', author: 'Jürgen Müller', total_copies: '3', notes: '=SUM(A1:A2)' }
+      },
+      {
+        line: 4,
+        values: { title: 'Tom & Jerry <Annotated>', author: 'Fred "Tex" Avery', total_copies: '1', notes: '' }
+      }
+    ]);
+  });
+
+  it('reads quoted CSV fields and a byte order mark', async () => {
+    const csv = SpreadsheetService.toCsv([
+      ['ISBN', 'Title', 'Description'],
+      ['9780131103627', 'The C Programming Language', 'Covers "ANSI C",\r\nwith exercises'],
+      ['', '', ''],
+      ['9780596517748', '+Formula-looking title', '']
+    ]);
+
+    const { format, records } = await SpreadsheetService.readRecords(Buffer.from(csv, 'utf8'), 'books.csv');
+    assert.strictEqual(format, 'csv');
+    assert.deepStrictEqual(records.map((record) => record.line), [2, 4]);
+    assert.strictEqual(records[0].values.description, 'Covers "ANSI C",\r\nwith exercises');
+    assert.strictEqual(records[1].values.title, '+Formula-looking title');
+  });
+
+  it('refuses files that are neither CSV nor a workbook', async () => {
+    await assert.rejects(
+      async () => SpreadsheetService.readRecords(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00]), 'cover.png'),
+      /Unsupported file type/
+    );
+  });
+});
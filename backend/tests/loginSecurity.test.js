@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, createStudents } = require('./helpers');
+const { Student } = require('../models');
+
+// An account is locked after five failed sign-ins in a row, for 15 minutes
+// and twice as long each further time. These tests sign in through the API
+// and check the lock, the unlock and the security log.
+
+let api;
+let adminToken;
+let close;
+
+const MINUTE = 60 * 1000;
+
+const createStudent = async () => {
+  const [student] = await createStudents(1);
+  await student.update({ email_verified: true });
+  return student;
+};
+
+const signIn = (student, password) =>
+  api('POST', '/auth/login', null, { email: student.email, password, role: 'student' });
+
+// Sign in with a wrong password the given number of times, one after another
+const failSignIns = async (student, times) => {
+  const responses = [];
+  for (let i = 0; i < times; i++) {
+    responses.push(await signIn(student, 'wrong-password'));
+  }
+  return responses;
+};
+
+const securityEvents = async (student, event) => {
+  const query = `role=student&user_id=${student.id}${event ? `&event=${event}` : ''}`;
+  const response = await api('GET', `/librarians/security/events?${query}`, adminToken);
+  assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+  return response.data.events;
+};
+
+describe('account lockout', () => {
+  before(async () => {
+    ({ api, adminToken, close } = await startApp());
+  });
+
+  after(async () => {
+    await close();
+  });
+
+  it('locks the account on the fifth failure and refuses the right password while locked', async () => {
+    const student = await createStudent();
+
+    const responses = await failSignIns(student, 5);
+    assert.deepStrictEqual(responses.map((response) => response.status), [400, 400, 400, 400, 423]);
+    assert.match(responses[4].data.message, /Too many failed sign-in attempts/);
+
+    const locked = await signIn(student, 'password123');
+    assert.strictEqual(locked.status, 423);
+
+    await student.reload();
+    const lockMinutes = (new Date(student.locked_until) - Date.now()) / MINUTE;
+    assert.ok(lockMinutes > 14 && lockMinutes <= 15, `locked for ${lockMinutes} minutes`);
+
+    const lockEvents = await securityEvents(student, 'account_locked');
+    assert.strictEqual(lockEvents.length, 1);
+    assert.strictEqual(lockEvents[0].reason, '15 minutes');
+
+    const failures = await securityEvents(student, 'login_failed');
+    assert.deepStrictEqual(
+      failures.map((event) => event.reason).sort(),
+      ['account_locked', ...Array(5).fill('invalid_password')]
+    );
+  });
+
+  it('lets a librarian unlock the account and logs who did', async () => {
+    const student = await createStudent();
+    await failSignIns(student, 5);
+
+    const unlockResponse = await api('POST', `/students/${student.id}/unlock`, adminToken);
+    assert.strictEqual(unlockResponse.status, 200, JSON.stringify(unlockResponse.data));
+
+    const signInResponse = await signIn(student, 'password123');
+    assert.strictEqual(signInResponse.status, 200, JSON.stringify(signInResponse.data));
+
+    const [unlocked] = await securityEvents(student, 'account_unlocked');
+    assert.strictEqual(unlocked.actor.name, 'Test Admin');
+    assert.strictEqual((await securityEvents(student, 'login_succeeded')).length, 1);
+  });
+
+  it('locks for twice as long the next time', async () => {
+    const student = await createStudent();
+    await failSignIns(student, 5);
+
+    // The first lockout runs out without a successful sign-in in between
+    await Student.update({ locked_until: new Date(Date.now() - MINUTE) }, { where: { id: student.id } });
+    const responses = await failSignIns(student, 5);
+    assert.strictEqual(responses[4].status, 423);
+
+    await student.reload();
+    assert.strictEqual(student.lockout_count, 2);
+    const lockMinutes = (new Date(student.locked_until) - Date.now()) / MINUTE;
+    assert.ok(lockMinutes > 29 && lockMinutes <= 30, `locked for ${lockMinutes} minutes`);
+
+    const lockEvents = await securityEvents(student, 'account_locked');
+    assert.deepStrictEqual(lockEvents.map((event) => event.reason), ['30 minutes', '15 minutes']);
+  });
+
+  it('locks once when many failures arrive together', async () => {
+    const student = await createStudent();
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () => signIn(student, 'wrong-password'))
+    );
+    assert.ok(responses.some((response) => response.status === 423), 'the account was locked');
+
+    await student.reload();
+    assert.strictEqual(student.lockout_count, 1);
+    assert.strictEqual((await securityEvents(student, 'account_locked')).length, 1);
+  });
+});
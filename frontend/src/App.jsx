@@ -4,6 +4,9 @@ import { AuthProvider, useAuth } from './contexts/AuthContext'
 import { Loader2 } from 'lucide-react'
 import LoginPage from './pages/LoginPage'
 import RegisterPage from './pages/RegisterPage'
+import ForgotPasswordPage from './pages/ForgotPasswordPage'
+import ResetPasswordPage from './pages/ResetPasswordPage'
+import VerifyEmailPage from './pages/VerifyEmailPage'
 import Dashboard from './pages/Dashboard'
 import './App.css'
 
@@ -56,6 +59,23 @@ function AppContent() {
             <RegisterPage darkMode={darkMode} toggleDarkMode={() => setDarkMode(!darkMode)} />
           } 
         />
+        <Route 
+          path="/forgot-password" 
+          element={
+            isAuthenticated ? 
+            <Navigate to="/dashboard" replace /> : 
+            <ForgotPasswordPage darkMode={darkMode} toggleDarkMode={() => setDarkMode(!darkMode)} />
+          } 
+        />
+        {/* Links from emails work whether or not someone is signed in */}
+        <Route 
+          path="/reset-password" 
+          element={<ResetPasswordPage darkMode={darkMode} toggleDarkMode={() => setDarkMode(!darkMode)} />} 
+        />
+        <Route 
+          path="/verify-email" 
+          element={<VerifyEmailPage darkMode={darkMode} toggleDarkMode={() => setDarkMode(!darkMode)} />} 
+        />
         <Route 
           path="/dashboard/*" 
           element={
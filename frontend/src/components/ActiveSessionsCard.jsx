@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { useAuth } from '../contexts/AuthContext'
+import { authAPI } from '../lib/api'
+import { Loader2, Monitor, LogOut } from 'lucide-react'
+
+// Short browser name from a user agent string
+const describeAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device'
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(`${name}/`))
+  const platform = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name))
+  if (!browser && !platform) return userAgent.slice(0, 60)
+  return [browser === 'Edg' ? 'Edge' : browser, platform].filter(Boolean).join(' on ')
+}
+
+function ActiveSessionsCard() {
+  const { logout } = useAuth()
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [revoking, setRevoking] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchSessions()
+  }, [])
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true)
+      const response = await authAPI.getSessions()
+      setSessions(response.data)
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error)
+      setError('Failed to load sessions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout()
+      return
+    }
+    try {
+      setRevoking(session.id)
+      setError('')
+      await authAPI.revokeSession(session.id)
+      setSessions(current => current.filter(item => item.id !== session.id))
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to log out session')
+    } finally {
+      setRevoking(null)
+    }
+  }
+
+  const handleRevokeOthers = async () => {
+    try {
+      setRevoking('others')
+      setError('')
+      await authAPI.revokeOtherSessions()
+      setSessions(current => current.filter(item => item.current))
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to log out other sessions')
+    } finally {
+      setRevoking(null)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle>Active Sessions</CardTitle>
+            <CardDescription>Browsers and devices signed in to your account</CardDescription>
+          </div>
+          {sessions.length > 1 && (
+            <Button variant="outline" size="sm" onClick={handleRevokeOthers} disabled={revoking !== null}>
+              {revoking === 'others' && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Log out other sessions
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {sessions.map((session) => (
+              <div key={session.id} className="flex items-center justify-between gap-4 rounded-lg border p-3">
+                <div className="flex items-center gap-3">
+                  <Monitor className="h-5 w-5 text-muted-foreground" />
+                  <div>
+                    <p className="text-sm font-medium">
+                      {describeAgent(session.user_agent)}
+                      {session.current && <Badge variant="secondary" className="ml-2">This device</Badge>}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      {session.ip_address || 'Unknown address'} · Last active {new Date(session.last_used_at).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRevoke(session)}
+                  disabled={revoking !== null}
+                >
+                  {revoking === session.id
+                    ? <Loader2 className="h-4 w-4 animate-spin" />
+                    : <LogOut className="h-4 w-4 mr-1" />}
+                  Log out
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ActiveSessionsCard
@@ -0,0 +1,30 @@
+import React from 'react'
+import { Button } from '@/components/ui/button'
+import { Smartphone } from 'lucide-react'
+
+// How to add the account to an authenticator app: open the otpauth:// link
+// on a phone, or type the key in by hand
+function AuthenticatorSetup({ setup }) {
+  const groupedSecret = setup.secret.match(/.{1,4}/g).join(' ')
+
+  return (
+    <div className="space-y-3 text-sm">
+      <p className="text-muted-foreground">
+        Add this account to an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password,
+        then enter the six-digit code it shows.
+      </p>
+      <Button asChild variant="outline" size="sm">
+        <a href={setup.otpauth_url}>
+          <Smartphone className="h-4 w-4 mr-2" />
+          Open in authenticator app
+        </a>
+      </Button>
+      <div className="space-y-1">
+        <p className="text-muted-foreground">Or enter this setup key:</p>
+        <code className="block rounded-md bg-muted p-2 font-mono font-semibold break-all">{groupedSecret}</code>
+      </div>
+    </div>
+  )
+}
+
+export default AuthenticatorSetup
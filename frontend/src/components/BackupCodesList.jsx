@@ -0,0 +1,36 @@
+import React, { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Copy, Check } from 'lucide-react'
+
+// One-time backup codes, shown once after they are generated
+function BackupCodesList({ codes }) {
+  const [copied, setCopied] = useState(false)
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'))
+      setCopied(true)
+    } catch (error) {
+      console.error('Failed to copy backup codes:', error)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">
+        Save these backup codes somewhere safe. Each one signs you in once if you lose your phone. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 rounded-lg border bg-muted p-4 font-mono text-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+        {copied ? <Check className="h-4 w-4 mr-2" /> : <Copy className="h-4 w-4 mr-2" />}
+        {copied ? 'Copied' : 'Copy codes'}
+      </Button>
+    </div>
+  )
+}
+
+export default BackupCodesList
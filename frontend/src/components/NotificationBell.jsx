@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu'
+import { Bell, CheckCheck, Loader2 } from 'lucide-react'
+import { notificationsAPI } from '../lib/api'
+
+// Wait before reopening a dropped notification stream
+const RECONNECT_DELAY = 5000
+
+// Notifications kept in the menu
+const MENU_LIMIT = 10
+
+function NotificationBell() {
+  const navigate = useNavigate()
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [loading, setLoading] = useState(false)
+
+  // Keep the stream open while the dashboard is shown, reconnecting after
+  // drops. New notifications and unread counts arrive as they happen.
+  useEffect(() => {
+    const controller = new AbortController()
+    let retryTimer
+
+    const handleEvent = (event, data) => {
+      if (event === 'unread') {
+        setUnreadCount(data.count)
+      } else if (event === 'notification') {
+        setNotifications(current => [data, ...current.filter(item => item.id !== data.id)].slice(0, MENU_LIMIT))
+      }
+    }
+
+    const connect = async () => {
+      try {
+        await notificationsAPI.stream(handleEvent, controller.signal)
+      } catch (error) {
+        if (controller.signal.aborted) return
+        console.error('Notification stream error:', error)
+      }
+      retryTimer = setTimeout(connect, RECONNECT_DELAY)
+    }
+
+    connect()
+    return () => {
+      controller.abort()
+      clearTimeout(retryTimer)
+    }
+  }, [])
+
+  const fetchNotifications = async () => {
+    try {
+      setLoading(true)
+      const response = await notificationsAPI.getAll({ limit: MENU_LIMIT })
+      setNotifications(response.data.notifications)
+      setUnreadCount(response.data.unread_count)
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const markRead = async (ids) => {
+    try {
+      const response = await notificationsAPI.markRead(ids)
+      const readAt = new Date().toISOString()
+      setNotifications(current => current.map(item =>
+        !ids || ids.includes(item.id) ? { ...item, read_at: item.read_at || readAt } : item
+      ))
+      setUnreadCount(response.data.unread_count)
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error)
+    }
+  }
+
+  const handleOpen = (notification) => {
+    if (!notification.read_at) {
+      markRead([notification.id])
+    }
+    if (notification.link) {
+      navigate(notification.link)
+    }
+  }
+
+  return (
+    <DropdownMenu onOpenChange={(open) => open && fetchNotifications()}>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="icon" className="relative" aria-label="Notifications">
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-1 -right-1 flex h-5 min-w-5 items-center justify-center rounded-full bg-destructive px-1 text-xs text-destructive-foreground">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80">
+        <div className="flex items-center justify-between">
+          <DropdownMenuLabel>Notifications</DropdownMenuLabel>
+          {unreadCount > 0 && (
+            <Button variant="ghost" size="sm" onClick={() => markRead()}>
+              <CheckCheck className="h-3 w-3 mr-1" />
+              Mark all read
+            </Button>
+          )}
+        </div>
+        <DropdownMenuSeparator />
+        {loading && notifications.length === 0 ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-4 w-4 animate-spin" />
+          </div>
+        ) : notifications.length === 0 ? (
+          <p className="px-2 py-4 text-center text-sm text-muted-foreground">No notifications yet</p>
+        ) : (
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.map((notification) => (
+              <button
+                key={notification.id}
+                type="button"
+                className="flex w-full gap-2 rounded-sm px-2 py-2 text-left hover:bg-accent"
+                onClick={() => handleOpen(notification)}
+              >
+                <span className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${notification.read_at ? 'bg-transparent' : 'bg-primary'}`} />
+                <span className="flex-1">
+                  <span className={`block text-sm ${notification.read_at ? '' : 'font-medium'}`}>{notification.title}</span>
+                  {notification.message && (
+                    <span className="block text-xs text-muted-foreground">{notification.message}</span>
+                  )}
+                  <span className="block text-xs text-muted-foreground">
+                    {new Date(notification.createdAt).toLocaleString()}
+                  </span>
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+export default NotificationBell
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { Loader2, Search } from 'lucide-react'
+import { librariansAPI } from '../lib/api'
+
+const EVENTS = {
+  login_succeeded: { label: 'Signed in', variant: 'secondary' },
+  login_failed: { label: 'Failed sign-in', variant: 'outline' },
+  account_locked: { label: 'Locked', variant: 'destructive' },
+  account_unlocked: { label: 'Unlocked', variant: 'secondary' }
+}
+
+const REASONS = {
+  invalid_password: 'Wrong password',
+  invalid_two_factor_code: 'Wrong two-factor code',
+  unknown_account: 'No such account',
+  account_locked: 'Account locked',
+  account_inactive: 'Account deactivated',
+  email_unverified: 'Email not verified'
+}
+
+// Security log of sign-ins, lockouts and unlocks for students and staff
+function SignInActivityCard() {
+  const [events, setEvents] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [email, setEmail] = useState('')
+  const [eventFilter, setEventFilter] = useState('all')
+  const [page, setPage] = useState(1)
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        setLoading(true)
+        const params = { page, limit: 20 }
+        if (email) params.email = email
+        if (eventFilter !== 'all') params.event = eventFilter
+
+        const response = await librariansAPI.getSecurityEvents(params)
+        setEvents(response.data.events)
+        setPagination(response.data.pagination)
+      } catch (error) {
+        console.error('Failed to fetch security events:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchEvents()
+  }, [email, eventFilter, page])
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Sign-in Activity</CardTitle>
+        <CardDescription>Every sign-in attempt by students and staff, and accounts locked after too many failures</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex gap-2">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+            <Input
+              placeholder="Filter by email..."
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value)
+                setPage(1)
+              }}
+              className="pl-10"
+            />
+          </div>
+          <Select
+            value={eventFilter}
+            onValueChange={(value) => {
+              setEventFilter(value)
+              setPage(1)
+            }}
+          >
+            <SelectTrigger className="w-44">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All events</SelectItem>
+              {Object.entries(EVENTS).map(([value, event]) => (
+                <SelectItem key={value} value={value}>{event.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : events.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No sign-in activity found.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Time</TableHead>
+                <TableHead>Event</TableHead>
+                <TableHead>Account</TableHead>
+                <TableHead>Details</TableHead>
+                <TableHead>Address</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {events.map((event) => (
+                <TableRow key={event.id}>
+                  <TableCell className="whitespace-nowrap">{new Date(event.created_at).toLocaleString()}</TableCell>
+                  <TableCell>
+                    <Badge variant={EVENTS[event.event]?.variant || 'outline'}>
+                      {EVENTS[event.event]?.label || event.event}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>
+                    {event.email || '-'}
+                    <span className="ml-1 text-xs text-muted-foreground">({event.user_role})</span>
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {event.event === 'account_unlocked'
+                      ? `By ${event.actor?.name || 'a librarian'}`
+                      : REASONS[event.reason] || event.reason || ''}
+                  </TableCell>
+                  <TableCell className="text-sm">{event.ip_address || '-'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-muted-foreground">Page {pagination.page} of {pagination.totalPages}</span>
+            <div className="flex gap-2">
+              <Button size="sm" variant="outline" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                Previous
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages}>
+                Next
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default SignInActivityCard
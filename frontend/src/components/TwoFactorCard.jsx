@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { authAPI } from '../lib/api'
+import { Loader2, ShieldCheck } from 'lucide-react'
+import AuthenticatorSetup from './AuthenticatorSetup'
+import BackupCodesList from './BackupCodesList'
+
+// Librarians turn two-factor authentication on and off and manage their
+// backup codes here
+function TwoFactorCard() {
+  const [status, setStatus] = useState(null)
+  // null, or the form being shown: 'setup', 'backup-codes' or 'disable'
+  const [mode, setMode] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [backupCodes, setBackupCodes] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactor()
+      setStatus(response.data)
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error)
+      setError('Failed to load two-factor authentication status')
+    }
+  }
+
+  const openForm = (nextMode) => {
+    setMode(nextMode)
+    setCode('')
+    setPassword('')
+    setError('')
+    setBackupCodes(null)
+  }
+
+  const closeForm = () => {
+    setMode(null)
+    setSetup(null)
+  }
+
+  const handleStartSetup = async () => {
+    openForm('setup')
+    try {
+      setSaving(true)
+      const response = await authAPI.setupTwoFactor()
+      setSetup(response.data)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to start two-factor setup')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      setError('')
+
+      if (mode === 'setup') {
+        const response = await authAPI.enableTwoFactor(code)
+        setBackupCodes(response.data.backup_codes)
+      } else if (mode === 'backup-codes') {
+        const response = await authAPI.regenerateBackupCodes(code)
+        setBackupCodes(response.data.backup_codes)
+      } else if (mode === 'disable') {
+        await authAPI.disableTwoFactor({ password, code })
+      }
+
+      closeForm()
+      await fetchStatus()
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update two-factor authentication')
+      setCode('')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle>Two-Factor Authentication</CardTitle>
+            <CardDescription>Sign in with a code from an authenticator app as well as your password</CardDescription>
+          </div>
+          {status && (
+            <Badge variant={status.enabled ? 'secondary' : 'outline'}>
+              {status.enabled ? 'On' : 'Off'}
+            </Badge>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {backupCodes && <BackupCodesList codes={backupCodes} />}
+
+        {!status ? (
+          !error && (
+            <div className="flex justify-center py-4">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          )
+        ) : mode ? (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {mode === 'setup' && (setup ? (
+              <AuthenticatorSetup setup={setup} />
+            ) : saving && (
+              <div className="flex justify-center py-4">
+                <Loader2 className="h-6 w-6 animate-spin" />
+              </div>
+            ))}
+
+            {mode === 'disable' && (
+              <div className="space-y-2">
+                <Label htmlFor="two_factor_password">Current Password</Label>
+                <Input
+                  id="two_factor_password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="two_factor_code">{mode === 'setup' ? 'Code from your app' : 'Authentication code'}</Label>
+              <Input
+                id="two_factor_code"
+                placeholder={mode === 'setup' ? '6-digit code' : '6-digit code or backup code'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                required
+              />
+            </div>
+
+            <div className="flex gap-2">
+              <Button type="button" variant="outline" onClick={closeForm}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant={mode === 'disable' ? 'destructive' : 'default'}
+                disabled={saving || (mode === 'setup' && !setup)}
+              >
+                {saving && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+                {mode === 'setup' && 'Turn On'}
+                {mode === 'backup-codes' && 'Generate New Codes'}
+                {mode === 'disable' && 'Turn Off'}
+              </Button>
+            </div>
+          </form>
+        ) : status.enabled ? (
+          <div className="space-y-4">
+            <div className="flex items-center gap-2 text-sm">
+              <ShieldCheck className="h-4 w-4 text-green-600" />
+              <span>{status.backup_codes_remaining} backup code(s) left</span>
+            </div>
+            {status.required && (
+              <p className="text-sm text-muted-foreground">
+                Your library requires two-factor authentication for all staff, so it cannot be turned off.
+              </p>
+            )}
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => openForm('backup-codes')}>
+                New Backup Codes
+              </Button>
+              {!status.required && (
+                <Button variant="outline" onClick={() => openForm('disable')}>
+                  Turn Off
+                </Button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <Button onClick={handleStartSetup}>
+            Set Up Two-Factor Authentication
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default TwoFactorCard
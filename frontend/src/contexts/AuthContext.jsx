@@ -26,11 +26,15 @@ export const AuthProvider = ({ children }) => {
         try {
           const parsedUser = JSON.parse(storedUser);
           setUser(parsedUser);
-          setUserRole(parsedUser.role || (parsedUser.student_id ? 'student' : 'librarian'));
+          // Librarians also have a staff role (admin, assistant, ...) in `role`
+          setUserRole(parsedUser.student_id ? 'student' : 'librarian');
           setToken(storedToken);
           
-          // Verify token is still valid
-          await authAPI.getProfile();
+          // Verify token is still valid and pick up role or permission changes
+          const response = await authAPI.getProfile();
+          localStorage.setItem('user', JSON.stringify(response.data.user));
+          setUser(response.data.user);
+          setUserRole(response.data.role);
         } catch (error) {
           console.error('Token validation failed:', error);
           logout();
@@ -42,41 +46,74 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
+  // Keep the access token and user from a completed sign-in
+  const startSession = ({ token: newToken, user: userData }, role) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('user', JSON.stringify(userData));
+    
+    setToken(newToken);
+    setUser(userData);
+    setUserRole(role);
+  };
+
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
-      const { token: newToken, user: userData } = response.data;
-      
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('user', JSON.stringify(userData));
-      
-      setToken(newToken);
-      setUser(userData);
-      setUserRole(credentials.role);
+
+      // Librarians with two-factor authentication finish with a code
+      if (response.data.challenge_token) {
+        return {
+          success: false,
+          twoFactor: {
+            challengeToken: response.data.challenge_token,
+            setupRequired: response.data.two_factor_setup_required
+          }
+        };
+      }
+
+      startSession(response.data, credentials.role);
       
       return { success: true };
     } catch (error) {
       console.error('Login failed:', error);
       return { 
         success: false, 
-        error: error.response?.data?.message || 'Login failed' 
+        error: error.response?.data?.message || 'Login failed',
+        emailUnverified: !!error.response?.data?.email_unverified
+      };
+    }
+  };
+
+  // Second sign-in step. When it also finished two-factor setup, the backup
+  // codes come back with a `finish` callback so they can be shown before
+  // the dashboard opens.
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await authAPI.verifyTwoFactorLogin({ challenge_token: challengeToken, code });
+      const finish = () => startSession(response.data, 'librarian');
+
+      if (response.data.backup_codes) {
+        return { success: true, backupCodes: response.data.backup_codes, finish };
+      }
+
+      finish();
+      return { success: true };
+    } catch (error) {
+      console.error('Two-factor verification failed:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Verification failed'
       };
     }
   };
 
+  // New students must verify their email before signing in, so registering
+  // does not start a session
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { token: newToken, user: newUser } = response.data;
-      
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('user', JSON.stringify(newUser));
       
-      setToken(newToken);
-      setUser(newUser);
-      setUserRole('student');
-      
-      return { success: true };
+      return { success: true, message: response.data.message };
     } catch (error) {
       console.error('Registration failed:', error);
       return { 
@@ -86,7 +123,16 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    // End the session on the server too, so the refresh cookie stops working
+    if (localStorage.getItem('token')) {
+      try {
+        await authAPI.logout();
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      }
+    }
+
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     setToken(null);
@@ -94,6 +140,9 @@ export const AuthProvider = ({ children }) => {
     setUserRole(null);
   };
 
+  // Librarian permissions from the server; students have none
+  const hasPermission = (permission) => !!user?.permissions?.includes(permission);
+
   const value = {
     user,
     userRole,
@@ -101,7 +150,9 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     register,
+    verifyTwoFactor,
     logout,
+    hasPermission,
     isAuthenticated: !!token && !!user,
   };
 
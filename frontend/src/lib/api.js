@@ -2,14 +2,46 @@ import axios from 'axios';
 
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// Full URL of a file the server stores under /uploads, such as a book cover
+export const assetUrl = (path) => (path ? `${API_BASE_URL.replace(/\/api$/, '')}${path}` : null);
+
 // Create axios instance with default config
 const api = axios.create({
   baseURL: API_BASE_URL,
+  // Sends the httpOnly refresh cookie to /api/auth
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// One refresh at a time; requests that fail together wait on the same one
+let refreshRequest = null;
+
+// Swap the refresh cookie for a new access token. Resolves to the token, or
+// null once the session has ended.
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(`${API_BASE_URL}/auth/refresh`, null, { withCredentials: true })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        return response.data.token;
+      })
+      .catch(() => null)
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -24,14 +56,27 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+// Response interceptor to handle auth errors. An expired access token is
+// refreshed once and the request retried; if that fails the user signs in again.
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const request = error.config;
+    if (error.response?.status === 401 && request && !request._retried) {
+      request._retried = true;
+
+      // Another tab may already have refreshed the token
+      const sentToken = request.headers.Authorization?.split(' ')[1];
+      const storedToken = localStorage.getItem('token');
+      const token = storedToken && storedToken !== sentToken
+        ? storedToken
+        : await refreshAccessToken();
+
+      if (token) {
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      }
+      clearSession();
     }
     return Promise.reject(error);
   }
@@ -42,8 +87,19 @@ export const finesAPI = {
   getAll: (params = {}) => api.get('/fines', { params }),
   getStudentFines: (studentId, status) => api.get(`/fines/student/${studentId}`, { params: { status } }),
   pay: (id, data) => api.post(`/fines/${id}/pay`, data),
+  recordPayment: (data) => api.post('/fines/payments', data),
+  getPayments: (params = {}) => api.get('/fines/payments', { params }),
+  getPayment: (id) => api.get(`/fines/payments/${id}`),
   waive: (id, data) => api.post(`/fines/${id}/waive`, data),
+  reverseWaiver: (id, data) => api.post(`/fines/${id}/reverse-waiver`, data),
+  reversePayment: (id, data) => api.post(`/fines/payments/${id}/reverse`, data),
+  getHistory: (id) => api.get(`/fines/${id}/history`),
+  getReasonCodes: (appliesTo) => api.get('/fines/reason-codes', { params: { applies_to: appliesTo } }),
+  createReasonCode: (data) => api.post('/fines/reason-codes', data),
+  deleteReasonCode: (id) => api.delete(`/fines/reason-codes/${id}`),
   generate: () => api.post('/fines/generate'),
+  getConfig: () => api.get('/fines/config'),
+  updateConfig: (data) => api.put('/fines/config', data),
 }
 
 // Auth API
@@ -51,6 +107,21 @@ export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register/student', userData),
   getProfile: () => api.get('/auth/me'),
+  logout: () => api.post('/auth/logout'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.post('/auth/sessions/revoke-others'),
+  forgotPassword: (data) => api.post('/auth/forgot-password', data),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (email) => api.post('/auth/resend-verification', { email }),
+  verifyTwoFactorLogin: (data) => api.post('/auth/login/2fa', data),
+  setupTwoFactorLogin: (challengeToken) => api.post('/auth/login/2fa/setup', { challenge_token: challengeToken }),
+  getTwoFactor: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  regenerateBackupCodes: (code) => api.post('/auth/2fa/backup-codes', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
 };
 
 // Books API
@@ -60,6 +131,28 @@ export const booksAPI = {
   create: (bookData) => api.post('/books', bookData),
   update: (id, bookData) => api.put(`/books/${id}`, bookData),
   delete: (id) => api.delete(`/books/${id}`),
+  import: (formData) => api.post('/books/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  export: (params) => api.get('/books/export', { params, responseType: 'blob' }),
+  uploadCover: (id, formData) => api.post(`/books/${id}/cover`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  removeCover: (id) => api.delete(`/books/${id}/cover`),
+  uploadDigitalCopy: (id, formData) => api.post(`/books/${id}/digital-copy`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  removeDigitalCopy: (id) => api.delete(`/books/${id}/digital-copy`),
+  downloadDigitalCopy: (id) => api.get(`/books/${id}/digital-copy`, { responseType: 'blob' }),
+};
+
+// Book Imports API
+export const bookImportsAPI = {
+  validateIsbn: (isbn) => api.get(`/book-imports/isbn/${encodeURIComponent(isbn)}`),
+  preview: (formData) => api.post('/book-imports/preview', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  commit: (importData) => api.post('/book-imports/commit', importData),
 };
 
 // Students API
@@ -68,6 +161,40 @@ export const studentsAPI = {
   getById: (id) => api.get(`/students/${id}`),
   update: (id, studentData) => api.put(`/students/${id}`, studentData),
   getBorrowingHistory: (id) => api.get(`/students/${id}/borrowing-history`),
+  unlock: (id) => api.post(`/students/${id}/unlock`),
+  import: (formData) => api.post('/students/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  export: (params) => api.get('/students/export', { params, responseType: 'blob' }),
+};
+
+// Import Jobs API
+export const importJobsAPI = {
+  getAll: (params) => api.get('/import-jobs', { params }),
+  getById: (id) => api.get(`/import-jobs/${id}`),
+};
+
+// Authors, Subjects and Series APIs share the same shape
+const authorityAPI = (path) => ({
+  getAll: (params) => api.get(path, { params }),
+  getById: (id) => api.get(`${path}/${id}`),
+  create: (data) => api.post(path, data),
+  update: (id, data) => api.put(`${path}/${id}`, data),
+  addAlias: (id, name) => api.post(`${path}/${id}/aliases`, { name }),
+  removeAlias: (id, aliasId) => api.delete(`${path}/${id}/aliases/${aliasId}`),
+  merge: (id, intoId) => api.post(`${path}/${id}/merge`, { into_id: intoId }),
+});
+
+export const authorsAPI = authorityAPI('/authors');
+export const subjectsAPI = authorityAPI('/subjects');
+export const seriesAPI = authorityAPI('/series');
+
+// Book Copies API
+export const bookCopiesAPI = {
+  getAll: (params) => api.get('/book-copies', { params }),
+  getByBarcode: (barcode) => api.get(`/book-copies/barcode/${encodeURIComponent(barcode)}`),
+  create: (copyData) => api.post('/book-copies', copyData),
+  update: (id, copyData) => api.put(`/book-copies/${id}`, copyData),
 };
 
 // Issued Books API
@@ -75,9 +202,108 @@ export const issuedBooksAPI = {
   getAll: (params) => api.get('/issued-books', { params }),
   issue: (issueData) => api.post('/issued-books/issue', issueData),
   return: (id, returnData) => api.put(`/issued-books/${id}/return`, returnData),
+  markLost: (id, lostData) => api.put(`/issued-books/${id}/lost`, lostData),
+  returnDamaged: (id, damageData) => api.put(`/issued-books/${id}/damaged`, damageData),
+  renew: (id, renewData) => api.post(`/issued-books/${id}/renew`, renewData),
+  getRenewals: (id) => api.get(`/issued-books/${id}/renewals`),
   getOverdue: () => api.get('/issued-books/overdue'),
 };
 
+// Reservations (holds) API
+export const reservationsAPI = {
+  getAll: (params) => api.get('/reservations', { params }),
+  getHoldsShelf: () => api.get('/reservations/holds-shelf'),
+  create: (reservationData) => api.post('/reservations', reservationData),
+  cancel: (id, data) => api.put(`/reservations/${id}/cancel`, data),
+};
+
+// Digital Loans (e-book lending) API
+export const digitalLoansAPI = {
+  getAll: (params) => api.get('/digital-loans', { params }),
+  borrow: (bookId) => api.post('/digital-loans', { book_id: bookId }),
+  getAccess: (id) => api.get(`/digital-loans/${id}/access`),
+  return: (id) => api.put(`/digital-loans/${id}/return`),
+  revoke: (id) => api.put(`/digital-loans/${id}/revoke`),
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  markRead: (ids) => api.put('/notifications/read', ids ? { ids } : {}),
+  // Live notifications as Server-Sent Events. EventSource cannot send the
+  // auth header, so the stream is read with fetch. Resolves when the server
+  // closes it; rejects if it cannot be opened or is aborted.
+  stream: async (onEvent, signal) => {
+    const open = () => fetch(`${API_BASE_URL}/notifications/stream`, {
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+      signal,
+    });
+    let response = await open();
+    if (response.status === 401 && await refreshAccessToken()) {
+      response = await open();
+    }
+    if (!response.ok) {
+      throw new Error(`Notification stream failed with status ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += value;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        let event = 'message';
+        const data = [];
+        block.split('\n').forEach((line) => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        });
+        if (data.length > 0) {
+          onEvent(event, JSON.parse(data.join('\n')));
+        }
+      }
+    }
+  },
+};
+
+// Reader API
+export const readerAPI = {
+  open: (bookId) => api.get(`/reader/books/${bookId}`),
+  saveProgress: (bookId, page) => api.put(`/reader/books/${bookId}/progress`, { page }),
+  addBookmark: (bookId, data) => api.post(`/reader/books/${bookId}/bookmarks`, data),
+  removeBookmark: (bookId, id) => api.delete(`/reader/books/${bookId}/bookmarks/${id}`),
+};
+
+// Circulation Policies API
+export const circulationPoliciesAPI = {
+  getAll: () => api.get('/circulation-policies'),
+  resolve: (params) => api.get('/circulation-policies/resolve', { params }),
+  create: (policyData) => api.post('/circulation-policies', policyData),
+  update: (id, policyData) => api.put(`/circulation-policies/${id}`, policyData),
+  delete: (id) => api.delete(`/circulation-policies/${id}`),
+};
+
+// Library Closures API
+export const closuresAPI = {
+  getAll: () => api.get('/closures'),
+  create: (closureData) => api.post('/closures', closureData),
+  delete: (id) => api.delete(`/closures/${id}`),
+};
+
+// Patron Blocks API
+export const patronBlocksAPI = {
+  getAll: () => api.get('/patron-blocks'),
+  getForStudent: (studentId) => api.get(`/patron-blocks/student/${studentId}`),
+  create: (blockData) => api.post('/patron-blocks', blockData),
+  lift: (id) => api.put(`/patron-blocks/${id}/lift`),
+};
+
 // Suggested Books API
 export const suggestedBooksAPI = {
   getAll: (params) => api.get('/suggested-books', { params }),
@@ -94,7 +320,18 @@ export const coursesAPI = {
 
 // Librarians API
 export const librariansAPI = {
+  getAll: (params) => api.get('/librarians', { params }),
+  getRoles: () => api.get('/librarians/roles'),
   create: (librarianData) => api.post('/librarians', librarianData),
+  update: (id, librarianData) => api.put(`/librarians/${id}`, librarianData),
+  updateRole: (id, role) => api.put(`/librarians/${id}/role`, { role }),
+  setActive: (id, isActive) => api.put(`/librarians/${id}/status`, { is_active: isActive }),
+  resetPassword: (id, password) => api.post(`/librarians/${id}/reset-password`, password ? { password } : {}),
+  resetTwoFactor: (id) => api.delete(`/librarians/${id}/two-factor`),
+  unlock: (id) => api.post(`/librarians/${id}/unlock`),
+  getSecurityEvents: (params) => api.get('/librarians/security/events', { params }),
+  getSecurity: () => api.get('/librarians/security'),
+  updateSecurity: (settings) => api.put('/librarians/security', settings),
   getProfile: () => api.get('/librarians/profile'),
   updateProfile: (profileData) => api.put('/librarians/profile', profileData),
 };
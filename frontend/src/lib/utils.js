@@ -4,3 +4,22 @@ import { twMerge } from "tailwind-merge"
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
+
+// Save a file fetched with responseType 'blob', named as the server suggests
+export function saveDownload(response, fallbackName) {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Whether a student or librarian is locked out after failed sign-ins
+export function isLockedOut(account) {
+  return !!account.locked_until && new Date(account.locked_until) > new Date();
+}
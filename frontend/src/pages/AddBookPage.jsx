@@ -7,7 +7,7 @@ import { Label } from '@/components/ui/label'
 import { Textarea } from '@/components/ui/textarea'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { Alert, AlertDescription } from '@/components/ui/alert'
-import { ArrowLeft, Plus, Loader2, AlertCircle } from 'lucide-react'
+import { ArrowLeft, Plus, Upload, Loader2, AlertCircle } from 'lucide-react'
 import { booksAPI, coursesAPI } from '../lib/api'
 
 function AddBookPage() {
@@ -25,6 +25,7 @@ function AddBookPage() {
     publisher: '',
     publication_year: null,
     category: '',
+    loan_type: 'regular',
     course_id: null,
     total_copies: 1,
     description: '',
@@ -88,6 +89,7 @@ function AddBookPage() {
         publisher: '',
         publication_year: null,
         category: '',
+        loan_type: 'regular',
         course_id: null,
         total_copies: 1,
         description: '',
@@ -116,10 +118,14 @@ function AddBookPage() {
         <Button variant="outline" size="icon" onClick={() => navigate('/dashboard/books')}>
           <ArrowLeft className="h-4 w-4" />
         </Button>
-        <div>
+        <div className="flex-1">
           <h1 className="text-3xl font-bold">Add New Book</h1>
           <p className="text-muted-foreground">Add a new book to the library collection</p>
         </div>
+        <Button variant="outline" onClick={() => navigate('/dashboard/books/import')}>
+          <Upload className="h-4 w-4 mr-2" />
+          Import from MARC / ONIX
+        </Button>
       </div>
 
       {(error || success) && (
@@ -162,6 +168,7 @@ function AddBookPage() {
                   placeholder="Enter author name"
                   required
                 />
+                <p className="text-xs text-muted-foreground">Separate co-authors with commas</p>
               </div>
 
               <div className="space-y-2">
@@ -229,6 +236,23 @@ function AddBookPage() {
                 />
               </div>
 
+              <div className="space-y-2">
+                <Label htmlFor="loan_type">Loan Type</Label>
+                <Select 
+                  value={formData.loan_type} 
+                  onValueChange={(value) => handleSelectChange('loan_type', value)}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select loan type" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="regular">Regular</SelectItem>
+                    <SelectItem value="reserve">Reserve (short loan)</SelectItem>
+                    <SelectItem value="reference">Reference only</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
               <div className="space-y-2">
                 <Label htmlFor="course_id">Course</Label>
                 <Select 
@@ -0,0 +1,329 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Textarea } from '@/components/ui/textarea'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { ArrowLeft, Edit, Plus, X, GitMerge, AlertCircle, Loader2 } from 'lucide-react'
+import { authorsAPI } from '../lib/api'
+
+function AuthorDetailPage({ userRole }) {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [author, setAuthor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [editing, setEditing] = useState(false)
+  const [formData, setFormData] = useState({ name: '', sort_name: '', bio: '' })
+  const [aliasName, setAliasName] = useState('')
+  const [mergeSearch, setMergeSearch] = useState('')
+  const [mergeCandidates, setMergeCandidates] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  const isLibrarian = userRole === 'librarian'
+
+  const fetchAuthor = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await authorsAPI.getById(id)
+
+      // Aliases open the page of the author they were merged into
+      if (response.data.id.toString() !== id) {
+        navigate(`/dashboard/authors/${response.data.id}`, { replace: true })
+        return
+      }
+      setAuthor(response.data)
+    } catch (error) {
+      console.error('Failed to fetch author:', error)
+      setError(error.response?.status === 404 ? 'Author not found' : 'Failed to load author')
+    } finally {
+      setLoading(false)
+    }
+  }, [id, navigate])
+
+  useEffect(() => {
+    fetchAuthor()
+  }, [fetchAuthor])
+
+  useEffect(() => {
+    if (!mergeSearch.trim()) {
+      setMergeCandidates([])
+      return
+    }
+
+    const searchAuthors = async () => {
+      try {
+        const response = await authorsAPI.getAll({ search: mergeSearch, limit: 10 })
+        setMergeCandidates((response.data.authors || []).filter(candidate => candidate.id.toString() !== id))
+      } catch (error) {
+        console.error('Failed to search authors:', error)
+      }
+    }
+
+    searchAuthors()
+  }, [mergeSearch, id])
+
+  const startEditing = () => {
+    setFormData({ name: author.name, sort_name: author.sort_name || '', bio: author.bio || '' })
+    setEditing(true)
+  }
+
+  // Runs a librarian action, then reloads the author
+  const runAction = async (action, successMessage) => {
+    setSaving(true)
+    setError('')
+    setSuccess('')
+
+    try {
+      await action()
+      setSuccess(successMessage)
+      await fetchAuthor()
+      return true
+    } catch (error) {
+      console.error('Failed to update author:', error)
+      setError(error.response?.data?.message || 'Failed to update author')
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (await runAction(() => authorsAPI.update(author.id, formData), 'Author updated successfully')) {
+      setEditing(false)
+    }
+  }
+
+  const handleAddAlias = async (e) => {
+    e.preventDefault()
+    if (await runAction(() => authorsAPI.addAlias(author.id, aliasName), `"${aliasName}" added as an alternative name`)) {
+      setAliasName('')
+    }
+  }
+
+  const handleRemoveAlias = (alias) => {
+    runAction(() => authorsAPI.removeAlias(author.id, alias.id), `"${alias.name}" removed`)
+  }
+
+  const handleMerge = async (target) => {
+    if (!window.confirm(`Merge "${author.name}" into "${target.name}"? Its books move to "${target.name}" and its name becomes an alternative name.`)) {
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await authorsAPI.merge(author.id, target.id)
+      setMergeSearch('')
+      setSuccess(response.data.message)
+      navigate(`/dashboard/authors/${target.id}`)
+    } catch (error) {
+      console.error('Failed to merge authors:', error)
+      setError(error.response?.data?.message || 'Failed to merge authors')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading && !author) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="h-8 w-8 animate-spin" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <Button variant="ghost" size="sm" onClick={() => navigate('/dashboard/authors')}>
+        <ArrowLeft className="h-4 w-4 mr-2" />
+        All Authors
+      </Button>
+
+      {(error || success) && (
+        <Alert variant={error ? "destructive" : "default"}>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {error || success}
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {author && (
+        <>
+          <div className="flex items-start justify-between">
+            <div>
+              <h1 className="text-3xl font-bold">{author.name}</h1>
+              <p className="text-muted-foreground">
+                Filed as {author.sort_name || author.name} &middot; {author.books.length} {author.books.length === 1 ? 'book' : 'books'}
+              </p>
+            </div>
+            {isLibrarian && !editing && (
+              <Button variant="outline" onClick={startEditing}>
+                <Edit className="h-4 w-4 mr-2" />
+                Edit
+              </Button>
+            )}
+          </div>
+
+          {editing ? (
+            <Card>
+              <CardContent className="pt-6">
+                <form onSubmit={handleSave} className="space-y-4">
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="name">Name</Label>
+                      <Input
+                        id="name"
+                        value={formData.name}
+                        onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                        required
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="sort_name">Filed As</Label>
+                      <Input
+                        id="sort_name"
+                        value={formData.sort_name}
+                        onChange={(e) => setFormData({ ...formData, sort_name: e.target.value })}
+                        placeholder="Surname, Forenames"
+                      />
+                    </div>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="bio">Biography</Label>
+                    <Textarea
+                      id="bio"
+                      value={formData.bio}
+                      onChange={(e) => setFormData({ ...formData, bio: e.target.value })}
+                      rows={4}
+                    />
+                  </div>
+                  <p className="text-sm text-muted-foreground">
+                    Renaming updates the author shown on every book by this author.
+                  </p>
+                  <div className="flex gap-2">
+                    <Button type="submit" disabled={saving}>
+                      {saving && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+                      Save
+                    </Button>
+                    <Button type="button" variant="outline" onClick={() => setEditing(false)}>
+                      Cancel
+                    </Button>
+                  </div>
+                </form>
+              </CardContent>
+            </Card>
+          ) : (
+            author.bio && <p className="whitespace-pre-line">{author.bio}</p>
+          )}
+
+          {/* Alternative names */}
+          {(author.aliases.length > 0 || isLibrarian) && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Also Known As</CardTitle>
+                <CardDescription>Books entered under these names are credited to {author.name}</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex flex-wrap gap-2">
+                  {author.aliases.length === 0 && (
+                    <span className="text-sm text-muted-foreground">No alternative names</span>
+                  )}
+                  {author.aliases.map((alias) => (
+                    <Badge key={alias.id} variant="secondary" className="gap-1">
+                      {alias.name}
+                      {isLibrarian && (
+                        <button type="button" onClick={() => handleRemoveAlias(alias)} disabled={saving}>
+                          <X className="h-3 w-3" />
+                        </button>
+                      )}
+                    </Badge>
+                  ))}
+                </div>
+                {isLibrarian && (
+                  <form onSubmit={handleAddAlias} className="flex gap-2">
+                    <Input
+                      value={aliasName}
+                      onChange={(e) => setAliasName(e.target.value)}
+                      placeholder="Another spelling or form of the name"
+                    />
+                    <Button type="submit" variant="outline" disabled={saving || aliasName.trim().length < 2}>
+                      <Plus className="h-4 w-4 mr-2" />
+                      Add
+                    </Button>
+                  </form>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Merge a duplicate */}
+          {isLibrarian && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Merge Duplicate</CardTitle>
+                <CardDescription>
+                  If this author is catalogued twice, merge this record into the one to keep
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                <Input
+                  value={mergeSearch}
+                  onChange={(e) => setMergeSearch(e.target.value)}
+                  placeholder="Search for the author to keep..."
+                />
+                {mergeCandidates.map((candidate) => (
+                  <div key={candidate.id} className="flex items-center justify-between rounded border p-2">
+                    <span>
+                      {candidate.name}
+                      <span className="text-sm text-muted-foreground ml-2">({candidate.book_count} books)</span>
+                    </span>
+                    <Button size="sm" variant="outline" onClick={() => handleMerge(candidate)} disabled={saving}>
+                      <GitMerge className="h-3 w-3 mr-1" />
+                      Merge into this
+                    </Button>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Books */}
+          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+            {author.books.map((book) => (
+              <Card key={book.id}>
+                <CardHeader className="pb-3">
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <CardTitle className="text-lg leading-tight">{book.title}</CardTitle>
+                      <CardDescription className="mt-1">by {book.author}</CardDescription>
+                    </div>
+                    <Badge variant={book.available_copies > 0 ? "default" : "secondary"}>
+                      {book.available_copies > 0 ? "Available" : "Issued"}
+                    </Badge>
+                  </div>
+                </CardHeader>
+                <CardContent className="pt-0">
+                  <div className="flex items-center justify-between text-sm text-muted-foreground">
+                    <span>{book.category}</span>
+                    <span>{[book.edition, book.publication_year].filter(Boolean).join(', ')}</span>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AuthorDetailPage
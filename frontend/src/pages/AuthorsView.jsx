@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { Search, ChevronLeft, ChevronRight } from 'lucide-react'
+import { authorsAPI } from '../lib/api'
+import { Loader2 } from 'lucide-react'
+import { useNavigate } from 'react-router-dom'
+
+const PAGE_SIZE = 50
+const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')
+
+function AuthorsView() {
+  const [authors, setAuthors] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [searchQuery, setSearchQuery] = useState('')
+  const [initial, setInitial] = useState('')
+  const [page, setPage] = useState(1)
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    const fetchAuthors = async () => {
+      try {
+        setLoading(true)
+        const params = { page, limit: PAGE_SIZE }
+        if (searchQuery) params.search = searchQuery
+        if (initial) params.initial = initial
+
+        const response = await authorsAPI.getAll(params)
+        setAuthors(response.data.authors || [])
+        setPagination(response.data.pagination || null)
+      } catch (error) {
+        console.error('Failed to fetch authors:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchAuthors()
+  }, [searchQuery, initial, page])
+
+  const chooseInitial = (letter) => {
+    setInitial(initial === letter ? '' : letter)
+    setPage(1)
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Authors</h1>
+        <p className="text-muted-foreground">Browse the catalogue by author</p>
+      </div>
+
+      {/* Search and A-Z */}
+      <Card>
+        <CardContent className="pt-6 space-y-4">
+          <div className="relative">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+            <Input
+              placeholder="Search authors by name or alternative name..."
+              value={searchQuery}
+              onChange={(e) => {
+                setSearchQuery(e.target.value)
+                setPage(1)
+              }}
+              className="pl-10"
+            />
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {letters.map((letter) => (
+              <Button
+                key={letter}
+                size="sm"
+                variant={initial === letter ? 'default' : 'ghost'}
+                className="w-8 px-0"
+                onClick={() => chooseInitial(letter)}
+              >
+                {letter}
+              </Button>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Authors Table */}
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="h-8 w-8 animate-spin" />
+        </div>
+      ) : (
+        <Card>
+          <CardContent className="pt-6">
+            {authors.length === 0 ? (
+              <p className="text-center text-muted-foreground py-8">No authors found</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Author</TableHead>
+                    <TableHead>Filed As</TableHead>
+                    <TableHead className="text-right">Books</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {authors.map((author) => (
+                    <TableRow
+                      key={author.id}
+                      className="cursor-pointer"
+                      onClick={() => navigate(`/dashboard/authors/${author.id}`)}
+                    >
+                      <TableCell className="font-medium">{author.name}</TableCell>
+                      <TableCell className="text-muted-foreground">{author.sort_name}</TableCell>
+                      <TableCell className="text-right">{author.book_count}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+
+            {pagination && pagination.totalPages > 1 && (
+              <div className="flex items-center justify-between pt-4">
+                <span className="text-sm text-muted-foreground">
+                  Page {pagination.page} of {pagination.totalPages} ({pagination.total} authors)
+                </span>
+                <div className="flex gap-2">
+                  <Button size="sm" variant="outline" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                    <ChevronLeft className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages}>
+                    <ChevronRight className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
+
+export default AuthorsView
@@ -5,23 +5,37 @@ import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Textarea } from '@/components/ui/textarea'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
-import { booksAPI } from '../lib/api'
-import { Loader2 } from 'lucide-react'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { booksAPI, assetUrl } from '../lib/api'
+import { Loader2, BookOpen, FileText, Upload, Trash2, AlertCircle } from 'lucide-react'
 
-function BookFormDialog({ open, onClose, book, courses, onSuccess }) {
+function BookFormDialog({ open, onClose, book, courses, onSuccess, onFilesChange }) {
   const [formData, setFormData] = useState({
     title: '',
     author: '',
     isbn: '',
     publisher: '',
     category: '',
+    loan_type: 'regular',
+    replacement_cost: '',
     total_copies: 1,
+    digital_licences: 1,
     course_id: '',
     description: ''
   })
   const [loading, setLoading] = useState(false)
+  const [files, setFiles] = useState({})
+  const [uploading, setUploading] = useState('')
+  const [fileError, setFileError] = useState('')
 
   useEffect(() => {
+    setFiles(book ? {
+      cover_image_path: book.cover_image_path,
+      cover_thumbnail_path: book.cover_thumbnail_path,
+      digital_copy_path: book.digital_copy_path
+    } : {})
+    setFileError('')
+
     if (book) {
       setFormData({
         title: book.title || '',
@@ -29,7 +43,10 @@ function BookFormDialog({ open, onClose, book, courses, onSuccess }) {
         isbn: book.isbn || '',
         publisher: book.publisher || '',
         category: book.category || '',
+        loan_type: book.loan_type || 'regular',
+        replacement_cost: book.replacement_cost ?? '',
         total_copies: book.total_copies || 1,
+        digital_licences: book.digital_licences ?? 1,
         course_id: book.course_id?.toString() || '',
         description: book.description || ''
       })
@@ -40,7 +57,10 @@ function BookFormDialog({ open, onClose, book, courses, onSuccess }) {
         isbn: '',
         publisher: '',
         category: '',
+        loan_type: 'regular',
+        replacement_cost: '',
         total_copies: 1,
+        digital_licences: 1,
         course_id: '',
         description: ''
       })
@@ -55,6 +75,8 @@ function BookFormDialog({ open, onClose, book, courses, onSuccess }) {
       const data = {
         ...formData,
         total_copies: parseInt(formData.total_copies),
+        digital_licences: parseInt(formData.digital_licences) || 0,
+        replacement_cost: formData.replacement_cost === '' ? null : parseFloat(formData.replacement_cost),
         course_id: formData.course_id ? parseInt(formData.course_id) : null
       }
 
@@ -72,6 +94,39 @@ function BookFormDialog({ open, onClose, book, courses, onSuccess }) {
     }
   }
 
+  // Covers and digital copies are saved as soon as they are chosen, apart
+  // from the rest of the form
+  const changeFile = async (kind, action) => {
+    setUploading(kind)
+    setFileError('')
+
+    try {
+      const response = await action()
+      const updated = response.data.book
+      setFiles({
+        cover_image_path: updated.cover_image_path,
+        cover_thumbnail_path: updated.cover_thumbnail_path,
+        digital_copy_path: updated.digital_copy_path
+      })
+      onFilesChange?.()
+    } catch (error) {
+      console.error('Failed to update book file:', error)
+      setFileError(error.response?.data?.message || 'Failed to update file')
+    } finally {
+      setUploading('')
+    }
+  }
+
+  const handleFileChosen = (kind, field, upload) => (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const data = new FormData()
+    data.append(field, file)
+    changeFile(kind, () => upload(book.id, data))
+  }
+
   return (
     <Dialog open={open} onOpenChange={onClose}>
       <DialogContent className="max-w-md">
@@ -98,6 +153,7 @@ function BookFormDialog({ open, onClose, book, courses, onSuccess }) {
               id="author"
               value={formData.author}
               onChange={(e) => setFormData({...formData, author: e.target.value})}
+              placeholder="Separate co-authors with commas"
               required
             />
           </div>
@@ -151,6 +207,34 @@ function BookFormDialog({ open, onClose, book, courses, onSuccess }) {
             </div>
           </div>
           
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="loan_type">Loan Type</Label>
+              <Select value={formData.loan_type} onValueChange={(value) => setFormData({...formData, loan_type: value})}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select loan type" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="regular">Regular</SelectItem>
+                  <SelectItem value="reserve">Reserve (short loan)</SelectItem>
+                  <SelectItem value="reference">Reference only</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="replacement_cost">Replacement Cost (₹)</Label>
+              <Input
+                id="replacement_cost"
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Library default"
+                value={formData.replacement_cost}
+                onChange={(e) => setFormData({...formData, replacement_cost: e.target.value})}
+              />
+            </div>
+          </div>
+
           <div className="space-y-2">
             <Label htmlFor="publisher">Publisher</Label>
             <Input
@@ -170,6 +254,104 @@ function BookFormDialog({ open, onClose, book, courses, onSuccess }) {
             />
           </div>
           
+          {book && (
+            <div className="space-y-3 border-t pt-4">
+              {fileError && (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{fileError}</AlertDescription>
+                </Alert>
+              )}
+
+              <div className="flex items-center gap-3">
+                {files.cover_image_path ? (
+                  <img
+                    src={assetUrl(files.cover_thumbnail_path || files.cover_image_path)}
+                    alt=""
+                    className="h-16 w-12 rounded object-cover"
+                  />
+                ) : (
+                  <div className="flex h-16 w-12 items-center justify-center rounded bg-muted">
+                    <BookOpen className="h-5 w-5 text-muted-foreground" />
+                  </div>
+                )}
+                <div className="flex-1">
+                  <Label>Cover</Label>
+                  <p className="text-xs text-muted-foreground">JPEG, PNG or WebP, up to 5 MB</p>
+                </div>
+                <Button type="button" size="sm" variant="outline" disabled={!!uploading} asChild>
+                  <label className="cursor-pointer">
+                    {uploading === 'cover' ? <Loader2 className="h-3 w-3 animate-spin" /> : <Upload className="h-3 w-3" />}
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png,image/webp"
+                      className="hidden"
+                      onChange={handleFileChosen('cover', 'cover', booksAPI.uploadCover)}
+                    />
+                  </label>
+                </Button>
+                {files.cover_image_path && (
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="ghost"
+                    disabled={!!uploading}
+                    onClick={() => changeFile('cover', () => booksAPI.removeCover(book.id))}
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                )}
+              </div>
+
+              <div className="flex items-center gap-3">
+                <div className="flex h-12 w-12 items-center justify-center rounded bg-muted">
+                  <FileText className="h-5 w-5 text-muted-foreground" />
+                </div>
+                <div className="flex-1">
+                  <Label>Digital Copy</Label>
+                  <p className="text-xs text-muted-foreground">
+                    {files.digital_copy_path
+                      ? `${files.digital_copy_path.split('.').pop().toUpperCase()} available to borrowers`
+                      : 'PDF or EPUB, up to 50 MB'}
+                  </p>
+                </div>
+                <div className="w-20 space-y-1">
+                  <Label htmlFor="digital_licences" className="text-xs">Licences</Label>
+                  <Input
+                    id="digital_licences"
+                    type="number"
+                    min="0"
+                    className="h-8"
+                    value={formData.digital_licences}
+                    onChange={(e) => setFormData({...formData, digital_licences: e.target.value})}
+                  />
+                </div>
+                <Button type="button" size="sm" variant="outline" disabled={!!uploading} asChild>
+                  <label className="cursor-pointer">
+                    {uploading === 'digital' ? <Loader2 className="h-3 w-3 animate-spin" /> : <Upload className="h-3 w-3" />}
+                    <input
+                      type="file"
+                      accept=".pdf,.epub,application/pdf,application/epub+zip"
+                      className="hidden"
+                      onChange={handleFileChosen('digital', 'file', booksAPI.uploadDigitalCopy)}
+                    />
+                  </label>
+                </Button>
+                {files.digital_copy_path && (
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="ghost"
+                    disabled={!!uploading}
+                    onClick={() => changeFile('digital', () => booksAPI.removeDigitalCopy(book.id))}
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                )}
+              </div>
+            </div>
+          )}
+
           <div className="flex gap-2 pt-4">
             <Button type="button" variant="outline" onClick={onClose} className="flex-1">
               Cancel
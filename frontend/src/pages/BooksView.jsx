@@ -5,26 +5,46 @@ import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Badge } from '@/components/ui/badge'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
-import { Search, Plus, Edit, Eye } from 'lucide-react'
-import { booksAPI, coursesAPI } from '../lib/api'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Search, Plus, Upload, FileSpreadsheet, Edit, Eye, AlertCircle, X, BookOpen, Download, Tablet } from 'lucide-react'
+import { booksAPI, coursesAPI, reservationsAPI, digitalLoansAPI, assetUrl } from '../lib/api'
+import { saveDownload } from '../lib/utils'
 import { Loader2 } from 'lucide-react'
 import BookFormDialog from './BookFormDialog'
+import BulkImportDialog from './BulkImportDialog'
 import { useNavigate } from 'react-router-dom'
 
+// Facets returned by the search, in the order they are shown
+const facetGroups = [
+  { key: 'category', title: 'Category' },
+  { key: 'course', title: 'Course' },
+  { key: 'publication_year', title: 'Year' },
+  { key: 'availability', title: 'Availability' }
+]
+
 function BooksView({ userRole }) {
   const [books, setBooks] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedCourse, setSelectedCourse] = useState('all')
+  const [filters, setFilters] = useState({ category: '', publication_year: '', availability: '' })
+  const [sortBy, setSortBy] = useState('default')
+  const [facets, setFacets] = useState(null)
   const [courses, setCourses] = useState([])
   const [showAddForm, setShowAddForm] = useState(false)
+  const [showBulkImport, setShowBulkImport] = useState(false)
   const [editingBook, setEditingBook] = useState(null)
+  const [reserving, setReserving] = useState(null)
+  const [downloading, setDownloading] = useState(null)
+  const [borrowingDigital, setBorrowingDigital] = useState(null)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
   const navigate = useNavigate()
   
   useEffect(() => {
     fetchBooks()
     fetchCourses()
-  }, [searchQuery, selectedCourse])
+  }, [searchQuery, selectedCourse, filters, sortBy])
 
   const fetchBooks = async () => {
     try {
@@ -32,9 +52,14 @@ function BooksView({ userRole }) {
       const params = {}
       if (searchQuery) params.search = searchQuery
       if (selectedCourse !== 'all') params.course_id = selectedCourse
+      if (filters.category) params.category = filters.category
+      if (filters.publication_year) params.publication_year = filters.publication_year
+      if (filters.availability) params.availability = filters.availability
+      if (sortBy !== 'default') params.sort = sortBy
       
       const response = await booksAPI.getAll(params)
       setBooks(response.data.books || [])
+      setFacets(response.data.facets || null)
     } catch (error) {
       console.error('Failed to fetch books:', error)
     } finally {
@@ -42,6 +67,81 @@ function BooksView({ userRole }) {
     }
   }
 
+  // Clicking a selected facet value clears it
+  const toggleFacet = (facet, value) => {
+    if (facet === 'course') {
+      setSelectedCourse(selectedCourse === value.toString() ? 'all' : value.toString())
+      return
+    }
+    setFilters({ ...filters, [facet]: filters[facet] === value.toString() ? '' : value.toString() })
+  }
+
+  const isFacetSelected = (facet, value) => (
+    facet === 'course' ? selectedCourse === value.toString() : filters[facet] === value.toString()
+  )
+
+  const hasFilters = selectedCourse !== 'all' || Object.values(filters).some(Boolean)
+
+  const clearFilters = () => {
+    setSelectedCourse('all')
+    setFilters({ category: '', publication_year: '', availability: '' })
+  }
+
+  const handleReserve = async (book) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      setReserving(book.id)
+      const response = await reservationsAPI.create({ book_id: book.id })
+      setSuccess(`Hold placed on "${book.title}". You are #${response.data.reservation.queue_position} in the queue.`)
+    } catch (error) {
+      console.error('Failed to place hold:', error)
+      setError(error.response?.data?.message || 'Failed to place hold')
+    } finally {
+      setReserving(null)
+    }
+  }
+
+  const handleDownload = async (book) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      setDownloading(book.id)
+      const response = await booksAPI.downloadDigitalCopy(book.id)
+      saveDownload(response, `${book.title}.${book.digital_copy_path.split('.').pop()}`)
+    } catch (error) {
+      console.error('Failed to download digital copy:', error)
+      setError('Failed to download digital copy')
+    } finally {
+      setDownloading(null)
+    }
+  }
+
+  const handleBorrowDigital = async (book) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      setBorrowingDigital(book.id)
+      const response = await digitalLoansAPI.borrow(book.id)
+
+      // PDFs open straight in the reader; other formats are read from My Books
+      if (book.digital_copy_path.endsWith('.pdf')) {
+        navigate(`/dashboard/read/${book.id}`)
+        return
+      }
+      const dueDate = new Date(response.data.loan.due_date).toLocaleDateString()
+      setSuccess(`E-book of "${book.title}" borrowed until ${dueDate}. Read it from My Books.`)
+    } catch (error) {
+      console.error('Failed to borrow e-book:', error)
+      setError(error.response?.data?.message || 'Failed to borrow e-book')
+    } finally {
+      setBorrowingDigital(null)
+    }
+  }
+
   const fetchCourses = async () => {
     try {
       const response = await coursesAPI.getAll()
@@ -62,6 +162,15 @@ function BooksView({ userRole }) {
         </p>
       </div>
 
+      {(error || success) && (
+        <Alert variant={error ? "destructive" : "default"}>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {error || success}
+          </AlertDescription>
+        </Alert>
+      )}
+
       {/* Search and Filter */}
       <Card>
         <CardContent className="pt-6">
@@ -70,7 +179,7 @@ function BooksView({ userRole }) {
               <div className="relative">
                 <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
                 <Input
-                  placeholder="Search books by title or author..."
+                  placeholder="Search by title, author, ISBN, publisher or subject..."
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                   className="pl-10"
@@ -91,17 +200,66 @@ function BooksView({ userRole }) {
                   ))}
                 </SelectContent>
               </Select>
+              <Select value={sortBy} onValueChange={setSortBy}>
+                <SelectTrigger className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="default">{searchQuery ? 'Best match' : 'Title'}</SelectItem>
+                  <SelectItem value="title">Title</SelectItem>
+                  <SelectItem value="newest">Newest</SelectItem>
+                </SelectContent>
+              </Select>
               {userRole === 'librarian' && (
-                <Button onClick={() => navigate('/dashboard/books/add')}>
-                  <Plus className="h-4 w-4 mr-2" />
-                  Add Book
-                </Button>
+                <>
+                  <Button variant="outline" onClick={() => setShowBulkImport(true)}>
+                    <FileSpreadsheet className="h-4 w-4 mr-2" />
+                    CSV / Excel
+                  </Button>
+                  <Button variant="outline" onClick={() => navigate('/dashboard/books/import')}>
+                    <Upload className="h-4 w-4 mr-2" />
+                    MARC / ONIX
+                  </Button>
+                  <Button onClick={() => navigate('/dashboard/books/add')}>
+                    <Plus className="h-4 w-4 mr-2" />
+                    Add Book
+                  </Button>
+                </>
               )}
             </div>
           </div>
         </CardContent>
       </Card>
 
+      {/* Facets */}
+      {facets && (
+        <Card>
+          <CardContent className="pt-6 space-y-3">
+            {facetGroups.filter(group => facets[group.key]?.length > 0).map((group) => (
+              <div key={group.key} className="flex flex-wrap items-center gap-2">
+                <Label className="w-24 shrink-0">{group.title}</Label>
+                {facets[group.key].map((option) => (
+                  <Button
+                    key={option.value}
+                    size="sm"
+                    variant={isFacetSelected(group.key, option.value) ? 'default' : 'outline'}
+                    onClick={() => toggleFacet(group.key, option.value)}
+                  >
+                    {option.label} ({option.count})
+                  </Button>
+                ))}
+              </div>
+            ))}
+            {hasFilters && (
+              <Button size="sm" variant="ghost" onClick={clearFilters}>
+                <X className="h-3 w-3 mr-1" />
+                Clear filters
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Books Grid */}
       {loading ? (
         <div className="flex justify-center py-8">
@@ -112,10 +270,36 @@ function BooksView({ userRole }) {
           {books.map((book) => (
             <Card key={book.id} className="hover:shadow-md transition-shadow">
               <CardHeader className="pb-3">
-                <div className="flex items-start justify-between">
+                <div className="flex items-start justify-between gap-3">
+                  {book.cover_image_path ? (
+                    <img
+                      src={assetUrl(book.cover_thumbnail_path || book.cover_image_path)}
+                      alt={`Cover of ${book.title}`}
+                      className="h-24 w-16 shrink-0 rounded object-cover"
+                      loading="lazy"
+                    />
+                  ) : (
+                    <div className="flex h-24 w-16 shrink-0 items-center justify-center rounded bg-muted">
+                      <BookOpen className="h-6 w-6 text-muted-foreground" />
+                    </div>
+                  )}
                   <div className="flex-1">
                     <CardTitle className="text-lg leading-tight">{book.title}</CardTitle>
-                    <CardDescription className="mt-1">by {book.author}</CardDescription>
+                    <CardDescription className="mt-1">
+                      by{' '}
+                      {book.authors?.length > 0 ? book.authors.map((author, index) => (
+                        <span key={author.id}>
+                          {index > 0 && ', '}
+                          <button
+                            type="button"
+                            className="hover:underline"
+                            onClick={() => navigate(`/dashboard/authors/${author.id}`)}
+                          >
+                            {author.name}
+                          </button>
+                        </span>
+                      )) : book.author}
+                    </CardDescription>
                   </div>
                   <Badge variant={book.available_copies > 0 ? "default" : "secondary"}>
                     {book.available_copies > 0 ? "Available" : "Issued"}
@@ -130,14 +314,41 @@ function BooksView({ userRole }) {
                 <div className="flex items-center justify-between">
                   <span className="text-sm">Copies: {book.available_copies}/{book.total_copies}</span>
                   <div className="flex gap-2">
+                    {book.digital_copy_path && userRole === 'student' && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleBorrowDigital(book)}
+                        disabled={borrowingDigital === book.id}
+                      >
+                        {borrowingDigital === book.id ? <Loader2 className="h-3 w-3 animate-spin mr-1" /> : <Tablet className="h-3 w-3 mr-1" />}
+                        E-book
+                      </Button>
+                    )}
+                    {book.digital_copy_path && userRole === 'librarian' && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleDownload(book)}
+                        disabled={downloading === book.id}
+                        title="Download digital copy"
+                      >
+                        {downloading === book.id ? <Loader2 className="h-3 w-3 animate-spin" /> : <Download className="h-3 w-3" />}
+                      </Button>
+                    )}
                     <Button size="sm" variant="outline">
                       <Eye className="h-3 w-3 mr-1" />
                       View
                     </Button>
                     {userRole === 'student' ? (
-                      <Button size="sm" disabled={book.available_copies === 0}>
-                        {book.available_copies > 0 ? "Borrow" : "Reserve"}
-                      </Button>
+                      book.available_copies > 0 ? (
+                        <Button size="sm">Borrow</Button>
+                      ) : (
+                        <Button size="sm" onClick={() => handleReserve(book)} disabled={reserving === book.id}>
+                          {reserving === book.id && <Loader2 className="h-3 w-3 animate-spin mr-1" />}
+                          Reserve
+                        </Button>
+                      )
                     ) : (
                       <Button size="sm" variant="outline" onClick={() => setEditingBook(book)}>
                         <Edit className="h-3 w-3 mr-1" />
@@ -161,12 +372,20 @@ function BooksView({ userRole }) {
         }}
         book={editingBook}
         courses={courses}
+        onFilesChange={fetchBooks}
         onSuccess={() => {
           fetchBooks()
           setShowAddForm(false)
           setEditingBook(null)
         }}
       />
+
+      <BulkImportDialog
+        entity="books"
+        open={showBulkImport}
+        onClose={() => setShowBulkImport(false)}
+        onComplete={fetchBooks}
+      />
     </div>
   )
 }
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Download, Upload, Loader2 } from 'lucide-react';
+import { booksAPI, studentsAPI, importJobsAPI } from '../lib/api';
+import { saveDownload } from '../lib/utils';
+
+// How often a running job is checked, in milliseconds
+const POLL_INTERVAL = 1000;
+
+const entities = {
+  books: {
+    title: 'Books',
+    api: booksAPI,
+    matchedOn: 'ISBN',
+    required: 'title, author and category'
+  },
+  students: {
+    title: 'Students',
+    api: studentsAPI,
+    matchedOn: 'student ID',
+    required: 'name, email, course_code, semester and password'
+  }
+};
+
+const actionVariants = {
+  created: 'default',
+  updated: 'secondary',
+  unchanged: 'outline',
+  failed: 'destructive'
+};
+
+function BulkImportDialog({ entity, open, onClose, onComplete }) {
+  const config = entities[entity];
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [job, setJob] = useState(null);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setFile(null);
+      setDryRun(true);
+      setJob(null);
+      setError('');
+    }
+  }, [open]);
+
+  // Poll until the job finishes, then refresh the list behind the dialog
+  useEffect(() => {
+    if (!job || job.status === 'completed' || job.status === 'failed') {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await importJobsAPI.getById(job.id);
+        setJob(response.data);
+        if (response.data.status === 'completed' && !response.data.dry_run) {
+          onComplete();
+        }
+      } catch (error) {
+        console.error('Failed to fetch import job:', error);
+        setError('Lost track of the import. Check the list again shortly.');
+        setJob(null);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [job, onComplete]);
+
+  const handleExport = async (format, template = false) => {
+    setExporting(template ? 'template' : format);
+    setError('');
+
+    try {
+      const response = await config.api.export({ format, template: template || undefined });
+      saveDownload(response, `${entity}.${format}`);
+    } catch (error) {
+      console.error('Failed to export:', error);
+      setError('Failed to download file');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const startImport = async (asDryRun) => {
+    setStarting(true);
+    setError('');
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dry_run', asDryRun ? 'true' : 'false');
+
+      const response = await config.api.import(formData);
+      setJob(response.data.job);
+      setDryRun(asDryRun);
+    } catch (error) {
+      console.error('Failed to start import:', error);
+      setError(error.response?.data?.message || 'Failed to start import');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const running = job && (job.status === 'queued' || job.status === 'running');
+  const rows = (job?.report || []).filter(row => !problemsOnly || row.action === 'failed');
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import &amp; Export {config.title}</DialogTitle>
+          <DialogDescription>
+            Rows are matched on {config.matchedOn}: matches are updated and blank cells keep their current value.
+            New rows need {config.required}.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="space-y-2">
+          <Label>Export</Label>
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" size="sm" onClick={() => handleExport('csv')} disabled={!!exporting}>
+              {exporting === 'csv' ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+              CSV
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => handleExport('xlsx')} disabled={!!exporting}>
+              {exporting === 'xlsx' ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+              Excel
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => handleExport('csv', true)} disabled={!!exporting}>
+              {exporting === 'template' ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+              Blank Template
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-2 border-t pt-4">
+          <Label htmlFor="import-file">Import CSV or Excel file</Label>
+          <Input
+            id="import-file"
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setJob(null);
+            }}
+            disabled={running}
+          />
+          <div className="flex items-center gap-2">
+            <Checkbox id="dry-run" checked={dryRun} onCheckedChange={(checked) => setDryRun(!!checked)} disabled={running} />
+            <Label htmlFor="dry-run" className="font-normal">Dry run: check every row without saving</Label>
+          </div>
+          <Button onClick={() => startImport(dryRun)} disabled={!file || starting || running}>
+            {starting ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Upload className="h-4 w-4 mr-2" />}
+            {dryRun ? 'Check File' : 'Import'}
+          </Button>
+        </div>
+
+        {job && (
+          <div className="space-y-3 border-t pt-4">
+            {running && (
+              <div className="flex items-center gap-2 text-sm">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                {job.dry_run ? 'Checking' : 'Importing'} {job.processed_rows} of {job.total_rows} rows...
+              </div>
+            )}
+
+            {job.status === 'failed' && (
+              <p className="text-sm text-red-600">Import failed: {job.error_message}</p>
+            )}
+
+            {job.status === 'completed' && (
+              <>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-medium">{job.dry_run ? 'Dry run result:' : 'Imported:'}</span>
+                  <Badge>{job.created_count} {job.dry_run ? 'to create' : 'created'}</Badge>
+                  <Badge variant="secondary">{job.updated_count} {job.dry_run ? 'to update' : 'updated'}</Badge>
+                  <Badge variant="destructive">{job.failed_count} failed</Badge>
+                  <div className="flex items-center gap-2 ml-auto">
+                    <Checkbox id="problems-only" checked={problemsOnly} onCheckedChange={(checked) => setProblemsOnly(!!checked)} />
+                    <Label htmlFor="problems-only" className="font-normal">Only rows with problems</Label>
+                  </div>
+                </div>
+
+                {job.dry_run && (
+                  <Button onClick={() => startImport(false)} disabled={starting}>
+                    {starting ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                    {job.failed_count > 0 ? `Import the other ${job.total_rows - job.failed_count} rows` : 'Import Now'}
+                  </Button>
+                )}
+
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Line</TableHead>
+                      <TableHead>{entity === 'books' ? 'ISBN / Title' : 'Student ID'}</TableHead>
+                      <TableHead>Result</TableHead>
+                      <TableHead>Details</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rows.map((row) => (
+                      <TableRow key={row.line}>
+                        <TableCell>{row.line}</TableCell>
+                        <TableCell>{row.key || '—'}</TableCell>
+                        <TableCell>
+                          <Badge variant={actionVariants[row.action]}>{row.action}</Badge>
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {row.errors?.join('; ') || (row.fields ? `Changed ${row.fields.join(', ')}` : '')}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default BulkImportDialog;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { circulationPoliciesAPI } from '../lib/api'
+import { Loader2 } from 'lucide-react'
+
+const emptyPolicy = {
+  name: '',
+  course_id: 'any',
+  semester: '',
+  item_category: '',
+  loan_type: 'any',
+  is_loanable: true,
+  loan_period_days: 14,
+  max_loans: 5,
+  max_renewals: 2,
+  fine_rate_per_day: ''
+}
+
+function CirculationPolicyDialog({ open, onClose, policy, courses, onSuccess }) {
+  const [formData, setFormData] = useState(emptyPolicy)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (policy) {
+      setFormData({
+        name: policy.name || '',
+        course_id: policy.course_id?.toString() || 'any',
+        semester: policy.semester || '',
+        item_category: policy.item_category || '',
+        loan_type: policy.loan_type || 'any',
+        is_loanable: policy.is_loanable,
+        loan_period_days: policy.loan_period_days,
+        max_loans: policy.max_loans,
+        max_renewals: policy.max_renewals,
+        fine_rate_per_day: policy.fine_rate_per_day ?? ''
+      })
+    } else {
+      setFormData(emptyPolicy)
+    }
+    setError('')
+  }, [policy, open])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+
+    try {
+      // Blank keys match any patron or item
+      const data = {
+        ...formData,
+        course_id: formData.course_id === 'any' ? null : parseInt(formData.course_id),
+        semester: formData.semester || null,
+        item_category: formData.item_category || null,
+        loan_type: formData.loan_type === 'any' ? null : formData.loan_type,
+        loan_period_days: parseInt(formData.loan_period_days),
+        max_loans: parseInt(formData.max_loans),
+        max_renewals: parseInt(formData.max_renewals),
+        fine_rate_per_day: formData.fine_rate_per_day === '' ? null : parseFloat(formData.fine_rate_per_day)
+      }
+
+      if (policy) {
+        await circulationPoliciesAPI.update(policy.id, data)
+      } else {
+        await circulationPoliciesAPI.create(data)
+      }
+
+      onSuccess()
+    } catch (error) {
+      console.error('Failed to save policy:', error)
+      setError(error.response?.data?.message || 'Failed to save policy')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{policy ? 'Edit Policy' : 'Add Circulation Policy'}</DialogTitle>
+          <DialogDescription>
+            Policies apply to students. Leave a field as "Any" to match every student or item. The most specific policy wins.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="space-y-2">
+            <Label htmlFor="name">Name</Label>
+            <Input
+              id="name"
+              value={formData.name}
+              onChange={(e) => setFormData({...formData, name: e.target.value})}
+              required
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="course_id">Course</Label>
+            <Select value={formData.course_id} onValueChange={(value) => setFormData({...formData, course_id: value})}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="any">Any course</SelectItem>
+                {courses.map((course) => (
+                  <SelectItem key={course.id} value={course.id.toString()}>
+                    {course.name} ({course.code})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="semester">Semester</Label>
+              <Input
+                id="semester"
+                placeholder="Any"
+                value={formData.semester}
+                onChange={(e) => setFormData({...formData, semester: e.target.value})}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="item_category">Book Category</Label>
+              <Input
+                id="item_category"
+                placeholder="Any"
+                value={formData.item_category}
+                onChange={(e) => setFormData({...formData, item_category: e.target.value})}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="loan_type">Loan Type</Label>
+              <Select value={formData.loan_type} onValueChange={(value) => setFormData({...formData, loan_type: value})}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="any">Any loan type</SelectItem>
+                  <SelectItem value="regular">Regular</SelectItem>
+                  <SelectItem value="reserve">Reserve</SelectItem>
+                  <SelectItem value="reference">Reference</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center gap-2 pt-6">
+              <Switch
+                id="is_loanable"
+                checked={formData.is_loanable}
+                onCheckedChange={(checked) => setFormData({...formData, is_loanable: checked})}
+              />
+              <Label htmlFor="is_loanable">Can be issued</Label>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="loan_period_days">Loan Period (days)</Label>
+              <Input
+                id="loan_period_days"
+                type="number"
+                min="1"
+                value={formData.loan_period_days}
+                onChange={(e) => setFormData({...formData, loan_period_days: e.target.value})}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="max_loans">Max Loans</Label>
+              <Input
+                id="max_loans"
+                type="number"
+                min="0"
+                value={formData.max_loans}
+                onChange={(e) => setFormData({...formData, max_loans: e.target.value})}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="max_renewals">Max Renewals</Label>
+              <Input
+                id="max_renewals"
+                type="number"
+                min="0"
+                value={formData.max_renewals}
+                onChange={(e) => setFormData({...formData, max_renewals: e.target.value})}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="fine_rate_per_day">Fine per Day (₹)</Label>
+              <Input
+                id="fine_rate_per_day"
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Global rate"
+                value={formData.fine_rate_per_day}
+                onChange={(e) => setFormData({...formData, fine_rate_per_day: e.target.value})}
+              />
+            </div>
+          </div>
+
+          <div className="flex gap-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose} className="flex-1">
+              Cancel
+            </Button>
+            <Button type="submit" disabled={loading} className="flex-1">
+              {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+              {policy ? 'Update' : 'Add'} Policy
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default CirculationPolicyDialog
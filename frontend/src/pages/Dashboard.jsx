@@ -3,12 +3,14 @@ import { Routes, Route, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { Button } from '@/components/ui/button'
 import { Avatar, AvatarFallback } from '@/components/ui/avatar'
-import { Moon, Sun, Bell, Menu, LogOut, Library, AlertCircle } from 'lucide-react'
+import { Moon, Sun, Menu, LogOut, Library, AlertCircle } from 'lucide-react'
 import NavItem from '../components/NavItem'
+import NotificationBell from '../components/NotificationBell'
 import StudentDashboard from './StudentDashboard'
 import LibrarianDashboard from './LibrarianDashboard'
 import BooksView from './BooksView'
 import MyBooksView from './MyBooksView'
+import ReaderPage from './ReaderPage'
 import StudentsView from './StudentsView'
 import IssueReturnView from './IssueReturnView'
 import SuggestionsView from './SuggestionsView'
@@ -16,12 +18,16 @@ import HistoryView from './HistoryView'
 import ReportsView from './ReportsView'
 import ProfileView from './ProfileView'
 import SettingsView from './SettingsView'
+import StaffView from './StaffView'
 import AddBookPage from './AddBookPage'
+import ImportBooksPage from './ImportBooksPage'
+import AuthorsView from './AuthorsView'
+import AuthorDetailPage from './AuthorDetailPage'
 import FinesView from './FinesView' // Import FinesView
 import { finesAPI } from '../lib/api' // Import finesAPI
 
 function Dashboard({ darkMode, toggleDarkMode }) {
-  const { user, userRole, logout } = useAuth()
+  const { user, userRole, logout, hasPermission } = useAuth()
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const location = useLocation()
   const [pendingFinesCount, setPendingFinesCount] = useState(0)
@@ -77,17 +83,7 @@ function Dashboard({ darkMode, toggleDarkMode }) {
               {darkMode ? <Sun className="h-5 w-5" /> : <Moon className="h-5 w-5" />}
             </Button>
             
-            {/* Fine Notification Badge */}
-            {pendingFinesCount > 0 && (
-              <div className="relative">
-                <Button variant="ghost" size="icon">
-                  <Bell className="h-5 w-5" />
-                </Button>
-                <span className="absolute -top-1 -right-1 flex h-5 w-5 items-center justify-center rounded-full bg-destructive text-xs text-destructive-foreground">
-                  {pendingFinesCount}
-                </span>
-              </div>
-            )}
+            <NotificationBell />
             
             <Avatar className="h-8 w-8">
               <AvatarFallback>{user?.name?.charAt(0)?.toUpperCase() || 'U'}</AvatarFallback>
@@ -110,6 +106,7 @@ function Dashboard({ darkMode, toggleDarkMode }) {
                   <>
                     <NavItem icon="Home" label="Dashboard" to="/dashboard" />
                     <NavItem icon="BookOpen" label="Browse Books" to="/dashboard/books" />
+                    <NavItem icon="PenTool" label="Authors" to="/dashboard/authors" />
                     <NavItem icon="Calendar" label="My Books" to="/dashboard/my-books" />
                     <NavItem icon="Clock" label="History" to="/dashboard/history" />
                     <NavItem icon="Star" label="Suggestions" to="/dashboard/suggestions" />
@@ -134,6 +131,7 @@ function Dashboard({ darkMode, toggleDarkMode }) {
                   <>
                     <NavItem icon="Home" label="Dashboard" to="/dashboard" />
                     <NavItem icon="BookOpen" label="Manage Books" to="/dashboard/books" />
+                    <NavItem icon="PenTool" label="Authors" to="/dashboard/authors" />
                     <NavItem icon="Users" label="Manage Students" to="/dashboard/students" />
                     <NavItem icon="UserCheck" label="Issue/Return" to="/dashboard/issue-return" />
                     <NavItem icon="BarChart3" label="Reports" to="/dashboard/reports" />
@@ -153,7 +151,13 @@ function Dashboard({ darkMode, toggleDarkMode }) {
                       to="/dashboard/fines" 
                     />
                     <NavItem icon="Star" label="Suggestions" to="/dashboard/suggestions" />
-                    <NavItem icon="Settings" label="Settings" to="/dashboard/settings" />
+                    {hasPermission('librarians:manage') && (
+                      <NavItem icon="ShieldCheck" label="Staff" to="/dashboard/staff" />
+                    )}
+                    {hasPermission('settings:edit') && (
+                      <NavItem icon="Settings" label="Settings" to="/dashboard/settings" />
+                    )}
+                    <NavItem icon="User" label="Profile" to="/dashboard/profile" />
                   </>
                 )}
               </nav>
@@ -167,7 +171,11 @@ function Dashboard({ darkMode, toggleDarkMode }) {
             <Route index element={userRole === 'student' ? <StudentDashboard /> : <LibrarianDashboard />} />
             <Route path="books" element={<BooksView userRole={userRole} />} />
             <Route path="books/add" element={<AddBookPage />} />
+            <Route path="books/import" element={<ImportBooksPage />} />
+            <Route path="authors" element={<AuthorsView />} />
+            <Route path="authors/:id" element={<AuthorDetailPage userRole={userRole} />} />
             <Route path="my-books" element={<MyBooksView />} />
+            <Route path="read/:bookId" element={<ReaderPage />} />
             <Route path="students" element={<StudentsView userRole={userRole} />} />
             <Route path="issue-return" element={<IssueReturnView />} />
             <Route path="suggestions" element={<SuggestionsView userRole={userRole} />} />
@@ -175,6 +183,7 @@ function Dashboard({ darkMode, toggleDarkMode }) {
             <Route path="reports" element={<ReportsView />} />
             <Route path="profile" element={<ProfileView />} />
             <Route path="settings" element={<SettingsView />} />
+            <Route path="staff" element={<StaffView />} />
             {/* Add Fines route */}
             <Route path="fines" element={<FinesView />} />
           </Routes>
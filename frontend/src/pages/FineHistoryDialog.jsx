@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Loader2 } from 'lucide-react';
+import { finesAPI } from '../lib/api';
+
+const eventLabels = {
+  created: 'Fine raised',
+  assessed: 'Fine reassessed',
+  payment: 'Payment',
+  payment_reversed: 'Payment reversed',
+  waived: 'Waived',
+  waiver_reversed: 'Waiver reversed',
+  reversed: 'Charge reversed'
+};
+
+const formatAmount = (amount) => `₹${parseFloat(amount).toFixed(2)}`;
+
+function FineHistoryDialog({ fineId, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!fineId) {
+      return;
+    }
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const response = await finesAPI.getHistory(fineId);
+        setEvents(response.data.events);
+      } catch (error) {
+        console.error('Failed to fetch fine history:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [fineId]);
+
+  // Describe what moved: status, amount owed and amount paid
+  const describeChange = (event) => {
+    const changes = [];
+    if (event.old_status && event.old_status !== event.new_status) {
+      changes.push(`${event.old_status} → ${event.new_status}`);
+    }
+    if (event.old_amount === null) {
+      changes.push(`Amount ${formatAmount(event.new_amount)}`);
+    } else if (parseFloat(event.old_amount) !== parseFloat(event.new_amount)) {
+      changes.push(`Amount ${formatAmount(event.old_amount)} → ${formatAmount(event.new_amount)}`);
+    }
+    if (event.old_amount_paid !== null && parseFloat(event.old_amount_paid) !== parseFloat(event.new_amount_paid)) {
+      changes.push(`Paid ${formatAmount(event.old_amount_paid)} → ${formatAmount(event.new_amount_paid)}`);
+    }
+    return changes.join(', ');
+  };
+
+  return (
+    <Dialog open={!!fineId} onOpenChange={onClose}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Fine History</DialogTitle>
+          <DialogDescription>Every change to fine #{fineId}, oldest first</DialogDescription>
+        </DialogHeader>
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin" />
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>When</TableHead>
+                <TableHead>Event</TableHead>
+                <TableHead>Change</TableHead>
+                <TableHead>Reason</TableHead>
+                <TableHead>By</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {events.map((event) => (
+                <TableRow key={event.id}>
+                  <TableCell>{new Date(event.created_at).toLocaleString()}</TableCell>
+                  <TableCell>
+                    {eventLabels[event.event_type]}
+                    {event.payment && (
+                      <p className="text-xs text-muted-foreground">{event.payment.receipt_number}</p>
+                    )}
+                  </TableCell>
+                  <TableCell>{describeChange(event)}</TableCell>
+                  <TableCell>
+                    {event.reason_label || '—'}
+                    {event.notes && <p className="text-xs text-muted-foreground">{event.notes}</p>}
+                  </TableCell>
+                  <TableCell>{event.actor?.name || 'System'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default FineHistoryDialog;
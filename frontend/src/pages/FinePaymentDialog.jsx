@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+import { finesAPI } from '../lib/api';
+
+function FinePaymentDialog({ open, onClose, fines, onSuccess }) {
+  const outstanding = fines.reduce((sum, fine) => sum + parseFloat(fine.balance), 0);
+  const [formData, setFormData] = useState({ amount: '', method: 'cash', reference: '', notes: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setFormData({ amount: outstanding.toFixed(2), method: 'cash', reference: '', notes: '' });
+    setError('');
+  }, [open, outstanding]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = {
+        amount: parseFloat(formData.amount),
+        method: formData.method,
+        reference: formData.reference || undefined,
+        notes: formData.notes || undefined
+      };
+
+      // A single fine goes through its own pay endpoint; several are split oldest first
+      const response = fines.length === 1
+        ? await finesAPI.pay(fines[0].id, data)
+        : await finesAPI.recordPayment({ ...data, fine_ids: fines.map(fine => fine.id) });
+
+      onSuccess(response.data.payment);
+    } catch (error) {
+      console.error('Failed to record payment:', error);
+      setError(error.response?.data?.message || 'Failed to record payment');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Collect Payment</DialogTitle>
+          <DialogDescription>
+            {fines.length === 1
+              ? `${fines[0].student?.name || 'Student'} owes ₹${outstanding.toFixed(2)} on this fine`
+              : `${fines.length} fines, ₹${outstanding.toFixed(2)} outstanding. Payment is applied to the oldest fine first.`}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="amount">Amount (₹)</Label>
+              <Input
+                id="amount"
+                type="number"
+                min="0.01"
+                step="0.01"
+                max={outstanding.toFixed(2)}
+                value={formData.amount}
+                onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="method">Method</Label>
+              <Select value={formData.method} onValueChange={(value) => setFormData({ ...formData, method: value })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="cash">Cash</SelectItem>
+                  <SelectItem value="upi">UPI</SelectItem>
+                  <SelectItem value="card">Card</SelectItem>
+                  <SelectItem value="adjustment">Adjustment</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {(formData.method === 'upi' || formData.method === 'card') && (
+            <div className="space-y-2">
+              <Label htmlFor="reference">Transaction Reference</Label>
+              <Input
+                id="reference"
+                value={formData.reference}
+                onChange={(e) => setFormData({ ...formData, reference: e.target.value })}
+              />
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="notes">Notes</Label>
+            <Input
+              id="notes"
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            />
+          </div>
+
+          <div className="flex gap-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose} className="flex-1">
+              Cancel
+            </Button>
+            <Button type="submit" disabled={loading} className="flex-1">
+              {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+              Record Payment
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default FinePaymentDialog;
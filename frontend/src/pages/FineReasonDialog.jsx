@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+
+// Asks for a reason code (and optional notes) before a waiver or reversal
+function FineReasonDialog({ action, reasonCodes, onClose, onConfirm }) {
+  const [reasonCode, setReasonCode] = useState('');
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setReasonCode('');
+    setNotes('');
+    setError('');
+  }, [action]);
+
+  const appliesTo = action?.appliesTo;
+  const options = reasonCodes.filter(reason => reason.applies_to === 'any' || reason.applies_to === appliesTo);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await onConfirm({ reason_code: reasonCode, notes: notes || undefined });
+    } catch (error) {
+      console.error(`Failed to ${action.title.toLowerCase()}:`, error);
+      setError(error.response?.data?.message || `Failed to ${action.title.toLowerCase()}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!action} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{action?.title}</DialogTitle>
+          <DialogDescription>{action?.description}</DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="space-y-2">
+            <Label>Reason</Label>
+            <Select value={reasonCode} onValueChange={setReasonCode}>
+              <SelectTrigger>
+                <SelectValue placeholder="Select a reason" />
+              </SelectTrigger>
+              <SelectContent>
+                {options.map((reason) => (
+                  <SelectItem key={reason.code} value={reason.code}>{reason.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="reason_notes">Notes</Label>
+            <Input
+              id="reason_notes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+
+          <div className="flex gap-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose} className="flex-1">
+              Cancel
+            </Button>
+            <Button type="submit" disabled={loading || !reasonCode} className="flex-1">
+              {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+              Confirm
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default FineReasonDialog;
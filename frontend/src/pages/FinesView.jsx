@@ -5,30 +5,54 @@ import { Button } from '@/components/ui/button';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Badge } from '@/components/ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { IndianRupee, ArrowLeft, CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { IndianRupee, ArrowLeft, CheckCircle, XCircle, Loader2, Receipt, History, Undo2 } from 'lucide-react';
 import { finesAPI } from '../lib/api';
 import { useAuth } from '../contexts/AuthContext';
+import FinePaymentDialog from './FinePaymentDialog';
+import ReceiptDialog from './ReceiptDialog';
+import FineReasonDialog from './FineReasonDialog';
+import FineHistoryDialog from './FineHistoryDialog';
 
 function FinesView() {
   const navigate = useNavigate();
-  const { userRole } = useAuth();
+  const { user, userRole } = useAuth();
   const [fines, setFines] = useState([]);
   const [loading, setLoading] = useState(true);
   const [statusFilter, setStatusFilter] = useState('pending');
-  const [processing, setProcessing] = useState({});
+  const [outstandingTotal, setOutstandingTotal] = useState(0);
+  const [payments, setPayments] = useState([]);
+  const [selectedFineIds, setSelectedFineIds] = useState([]);
+  const [payingFines, setPayingFines] = useState([]);
+  const [receipt, setReceipt] = useState(null);
+  const [error, setError] = useState('');
+  const [reasonCodes, setReasonCodes] = useState([]);
+  const [reasonAction, setReasonAction] = useState(null);
+  const [historyFineId, setHistoryFineId] = useState(null);
 
   useEffect(() => {
     fetchFines();
   }, [statusFilter]);
 
+  useEffect(() => {
+    fetchPayments();
+    if (userRole === 'librarian') {
+      fetchReasonCodes();
+    }
+  }, [userRole]);
+
   const fetchFines = async () => {
     try {
       setLoading(true);
+      const status = statusFilter === 'all' ? undefined : statusFilter;
       const response = userRole === 'student' 
-        ? await finesAPI.getStudentFines(statusFilter)
-        : await finesAPI.getAll({ status: statusFilter });
+        ? await finesAPI.getStudentFines(user.id, status)
+        : await finesAPI.getAll({ status });
       
-      setFines(userRole === 'student' ? response.data.fines : response.data.fines);
+      setFines(response.data.fines);
+      setOutstandingTotal(userRole === 'student' ? response.data.outstanding_total : 0);
+      setSelectedFineIds([]);
     } catch (error) {
       console.error('Failed to fetch fines:', error);
     } finally {
@@ -36,46 +60,124 @@ function FinesView() {
     }
   };
 
-  const handlePayFine = async (fineId) => {
+  const fetchPayments = async () => {
     try {
-      setProcessing(prev => ({ ...prev, [fineId]: 'paying' }));
-      await finesAPI.pay(fineId);
-      fetchFines(); // Refresh the list
+      const response = await finesAPI.getPayments({ limit: 20 });
+      setPayments(response.data.payments);
     } catch (error) {
-      console.error('Failed to pay fine:', error);
-    } finally {
-      setProcessing(prev => ({ ...prev, [fineId]: false }));
+      console.error('Failed to fetch payments:', error);
     }
   };
 
-  const handleWaiveFine = async (fineId) => {
+  const fetchReasonCodes = async () => {
     try {
-      setProcessing(prev => ({ ...prev, [fineId]: 'waiving' }));
-      await finesAPI.waive(fineId, 'Fine waived by librarian');
-      fetchFines(); // Refresh the list
+      const response = await finesAPI.getReasonCodes();
+      setReasonCodes(response.data);
     } catch (error) {
-      console.error('Failed to waive fine:', error);
-    } finally {
-      setProcessing(prev => ({ ...prev, [fineId]: false }));
+      console.error('Failed to fetch reason codes:', error);
+    }
+  };
+
+  const toggleFineSelection = (fineId, checked) => {
+    setSelectedFineIds(prev => checked ? [...prev, fineId] : prev.filter(id => id !== fineId));
+  };
+
+  // Several fines can share one payment only when they belong to the same student
+  const handleCollectSelected = () => {
+    const selectedFines = fines.filter(fine => selectedFineIds.includes(fine.id));
+    const studentIds = new Set(selectedFines.map(fine => fine.student_id));
+
+    if (studentIds.size > 1) {
+      setError('Select fines from a single student to collect one payment');
+      return;
     }
+
+    setError('');
+    setPayingFines(selectedFines);
+  };
+
+  const handlePaymentRecorded = (payment) => {
+    setPayingFines([]);
+    setReceipt(payment);
+    fetchFines(); // Refresh the list
+    fetchPayments();
+  };
+
+  const handleViewReceipt = async (paymentId) => {
+    try {
+      const response = await finesAPI.getPayment(paymentId);
+      setReceipt(response.data);
+    } catch (error) {
+      console.error('Failed to fetch receipt:', error);
+    }
+  };
+
+  // Waivers and reversals all need a reason code, collected by FineReasonDialog
+  const handleWaiveFine = (fine) => {
+    setReasonAction({
+      title: 'Waive Fine',
+      description: `Waive ₹${parseFloat(fine.balance).toFixed(2)} owed by ${fine.student?.name || 'this student'}`,
+      appliesTo: 'waiver',
+      submit: (data) => finesAPI.waive(fine.id, data)
+    });
+  };
+
+  const handleReverseWaiver = (fine) => {
+    setReasonAction({
+      title: 'Reverse Waiver',
+      description: 'The fine will be owed again',
+      appliesTo: 'reversal',
+      submit: (data) => finesAPI.reverseWaiver(fine.id, data)
+    });
+  };
+
+  const handleReversePayment = (payment) => {
+    setReasonAction({
+      title: 'Reverse Payment',
+      description: `Reverse ${payment.receipt_number} for ₹${parseFloat(payment.amount).toFixed(2)}; the fines it paid will be owed again`,
+      appliesTo: 'reversal',
+      submit: (data) => finesAPI.reversePayment(payment.id, data)
+    });
+  };
+
+  const handleReasonConfirmed = async (data) => {
+    await reasonAction.submit(data);
+    setReasonAction(null);
+    fetchFines(); // Refresh the list
+    fetchPayments();
   };
 
   const getStatusBadge = (status) => {
     const variants = {
       pending: 'destructive',
       paid: 'default',
-      waived: 'secondary'
+      waived: 'secondary',
+      reversed: 'outline'
     };
     
     const labels = {
       pending: 'Pending',
       paid: 'Paid',
-      waived: 'Waived'
+      waived: 'Waived',
+      reversed: 'Reversed'
     };
 
     return <Badge variant={variants[status]}>{labels[status]}</Badge>;
   };
 
+  const methodLabels = {
+    cash: 'Cash',
+    upi: 'UPI',
+    card: 'Card',
+    adjustment: 'Adjustment'
+  };
+
+  const fineTypeLabels = {
+    overdue: 'Overdue',
+    lost: 'Lost book',
+    damaged: 'Damaged book'
+  };
+
   return (
     <div className="space-y-6">
       <div className="flex items-center gap-4">
@@ -94,6 +196,26 @@ function FinesView() {
         </div>
       </div>
 
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {userRole === 'student' && (
+        <Card>
+          <CardContent className="pt-6">
+            <div className="flex items-center gap-2">
+              <p>Outstanding balance:</p>
+              <div className="flex items-center gap-1 text-xl font-bold">
+                <IndianRupee className="h-5 w-5" />
+                {parseFloat(outstandingTotal).toFixed(2)}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {userRole === 'librarian' && (
         <Card>
           <CardContent className="pt-6">
@@ -108,8 +230,15 @@ function FinesView() {
                   <SelectItem value="pending">Pending</SelectItem>
                   <SelectItem value="paid">Paid</SelectItem>
                   <SelectItem value="waived">Waived</SelectItem>
+                  <SelectItem value="reversed">Reversed</SelectItem>
                 </SelectContent>
               </Select>
+              {selectedFineIds.length > 0 && (
+                <Button className="ml-auto" onClick={handleCollectSelected}>
+                  <CheckCircle className="h-4 w-4 mr-2" />
+                  Collect Payment ({selectedFineIds.length})
+                </Button>
+              )}
             </div>
           </CardContent>
         </Card>
@@ -137,19 +266,32 @@ function FinesView() {
             <Table>
               <TableHeader>
                 <TableRow>
+                  {userRole === 'librarian' && <TableHead></TableHead>}
                   <TableHead>Student</TableHead>
                   <TableHead>Book</TableHead>
                   <TableHead>Issue Date</TableHead>
                   <TableHead>Due Date</TableHead>
+                  <TableHead>Type</TableHead>
                   <TableHead>Days Overdue</TableHead>
                   <TableHead>Amount</TableHead>
+                  <TableHead>Outstanding</TableHead>
                   <TableHead>Status</TableHead>
-                  {userRole === 'librarian' && <TableHead>Actions</TableHead>}
+                  <TableHead>Actions</TableHead>
                 </TableRow>
               </TableHeader>
               <TableBody>
                 {fines.map((fine) => (
                   <TableRow key={fine.id}>
+                    {userRole === 'librarian' && (
+                      <TableCell>
+                        {fine.status === 'pending' && (
+                          <Checkbox
+                            checked={selectedFineIds.includes(fine.id)}
+                            onCheckedChange={(checked) => toggleFineSelection(fine.id, checked)}
+                          />
+                        )}
+                      </TableCell>
+                    )}
                     <TableCell>{fine.student?.name || 'N/A'}</TableCell>
                     <TableCell>{fine.issuedBook?.book?.title || 'N/A'}</TableCell>
                     <TableCell>
@@ -164,49 +306,69 @@ function FinesView() {
                         : 'N/A'
                       }
                     </TableCell>
-                    <TableCell>{fine.days_overdue}</TableCell>
+                    <TableCell>{fineTypeLabels[fine.fine_type] || 'Overdue'}</TableCell>
+                    <TableCell>{fine.fine_type === 'overdue' ? fine.days_overdue : '—'}</TableCell>
                     <TableCell>
                       <div className="flex items-center gap-1 font-medium">
                         <IndianRupee className="h-4 w-4" />
                         {parseFloat(fine.amount).toFixed(2)}
                       </div>
+                      {fine.replacement_amount !== null && fine.replacement_amount !== undefined && (
+                        <p className="text-xs text-muted-foreground">
+                          Replacement ₹{parseFloat(fine.replacement_amount).toFixed(2)} + fee ₹{parseFloat(fine.processing_fee).toFixed(2)}
+                        </p>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {fine.status === 'pending' ? `₹${parseFloat(fine.balance).toFixed(2)}` : '—'}
+                      {parseFloat(fine.amount_paid) > 0 && (
+                        <p className="text-xs text-muted-foreground">
+                          Paid ₹{parseFloat(fine.amount_paid).toFixed(2)}
+                        </p>
+                      )}
                     </TableCell>
                     <TableCell>{getStatusBadge(fine.status)}</TableCell>
-                    {userRole === 'librarian' && (
-                      <TableCell>
-                        <div className="flex gap-2">
-                          {fine.status === 'pending' && (
-                            <>
-                              <Button
-                                size="sm"
-                                onClick={() => handlePayFine(fine.id)}
-                                disabled={processing[fine.id]}
-                              >
-                                {processing[fine.id] === 'paying' ? (
-                                  <Loader2 className="h-3 w-3 animate-spin mr-1" />
-                                ) : (
-                                  <CheckCircle className="h-3 w-3 mr-1" />
-                                )}
-                                Mark Paid
-                              </Button>
-                              <Button
-                                size="sm"
-                                variant="outline"
-                                onClick={() => handleWaiveFine(fine.id)}
-                                disabled={processing[fine.id]}
-                              >
-                                {processing[fine.id] === 'waiving' ? (
-                                  <Loader2 className="h-3 w-3 animate-spin mr-1" />
-                                ) : (
-                                  <XCircle className="h-3 w-3 mr-1" />
-                                )}
-                                Waive
-                              </Button>
-                            </>
-                          )}
-                        </div>
-                      </TableCell>
-                    )}
+                    <TableCell>
+                      <div className="flex gap-2">
+                        {userRole === 'librarian' && fine.status === 'pending' && (
+                          <>
+                            <Button
+                              size="sm"
+                              onClick={() => setPayingFines([fine])}
+                            >
+                              <CheckCircle className="h-3 w-3 mr-1" />
+                              Collect
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => handleWaiveFine(fine)}
+                            >
+                              <XCircle className="h-3 w-3 mr-1" />
+                              Waive
+                            </Button>
+                          </>
+                        )}
+                        {userRole === 'librarian' && fine.status === 'waived' && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleReverseWaiver(fine)}
+                          >
+                            <Undo2 className="h-3 w-3 mr-1" />
+                            Reverse Waiver
+                          </Button>
+                        )}
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => setHistoryFineId(fine.id)}
+                        >
+                          <History className="h-3 w-3 mr-1" />
+                          History
+                        </Button>
+                      </div>
+                    </TableCell>
                   </TableRow>
                 ))}
               </TableBody>
@@ -214,6 +376,96 @@ function FinesView() {
           )}
         </CardContent>
       </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Payments</CardTitle>
+          <CardDescription>
+            {userRole === 'student' ? 'Your payment receipts' : 'Recent payments collected'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {payments.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">
+              No payments recorded
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Receipt No</TableHead>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Student</TableHead>
+                  <TableHead>Method</TableHead>
+                  <TableHead>Amount</TableHead>
+                  <TableHead>Collected By</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead></TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {payments.map((payment) => (
+                  <TableRow key={payment.id}>
+                    <TableCell className="font-mono">{payment.receipt_number}</TableCell>
+                    <TableCell>{new Date(payment.paid_date).toLocaleDateString()}</TableCell>
+                    <TableCell>{payment.student?.name || 'N/A'}</TableCell>
+                    <TableCell>{methodLabels[payment.method]}</TableCell>
+                    <TableCell>
+                      {payment.type === 'refund' ? '−' : ''}₹{parseFloat(payment.amount).toFixed(2)}
+                    </TableCell>
+                    <TableCell>{payment.collector?.name || 'N/A'}</TableCell>
+                    <TableCell>
+                      {payment.status === 'reversed'
+                        ? <Badge variant="outline">Reversed</Badge>
+                        : payment.type === 'refund'
+                          ? <Badge variant="secondary">Refund</Badge>
+                          : <Badge variant="default">Completed</Badge>}
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex gap-2">
+                        <Button size="sm" variant="outline" onClick={() => handleViewReceipt(payment.id)}>
+                          <Receipt className="h-3 w-3 mr-1" />
+                          Receipt
+                        </Button>
+                        {userRole === 'librarian' && payment.status !== 'reversed' && payment.type !== 'refund' && (
+                          <Button size="sm" variant="outline" onClick={() => handleReversePayment(payment)}>
+                            <Undo2 className="h-3 w-3 mr-1" />
+                            Reverse
+                          </Button>
+                        )}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <FinePaymentDialog
+        open={payingFines.length > 0}
+        onClose={() => setPayingFines([])}
+        fines={payingFines}
+        onSuccess={handlePaymentRecorded}
+      />
+
+      <ReceiptDialog
+        payment={receipt}
+        onClose={() => setReceipt(null)}
+      />
+
+      <FineReasonDialog
+        action={reasonAction}
+        reasonCodes={reasonCodes}
+        onClose={() => setReasonAction(null)}
+        onConfirm={handleReasonConfirmed}
+      />
+
+      <FineHistoryDialog
+        fineId={historyFineId}
+        onClose={() => setHistoryFineId(null)}
+      />
     </div>
   );
 }
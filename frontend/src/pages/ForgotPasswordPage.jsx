@@ -0,0 +1,108 @@
+import React, { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { authAPI } from '../lib/api'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import { Moon, Sun, Library, Loader2 } from 'lucide-react'
+
+function ForgotPasswordPage({ darkMode, toggleDarkMode }) {
+  const navigate = useNavigate()
+  const [formData, setFormData] = useState({
+    email: '',
+    role: 'student'
+  })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [sent, setSent] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await authAPI.forgotPassword(formData)
+      setSent(response.data.message)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send reset link')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background p-4">
+      <div className="absolute top-4 right-4">
+        <Button variant="ghost" size="icon" onClick={toggleDarkMode}>
+          {darkMode ? <Sun className="h-5 w-5" /> : <Moon className="h-5 w-5" />}
+        </Button>
+      </div>
+
+      <Card className="w-full max-w-md">
+        <CardHeader className="text-center">
+          <div className="flex items-center justify-center gap-2 mb-4">
+            <Library className="h-8 w-8 text-primary" />
+            <span className="text-2xl font-bold">LBManage</span>
+          </div>
+          <CardTitle>Forgot Password</CardTitle>
+          <CardDescription>We will email you a link to choose a new one</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {sent ? (
+            <div className="space-y-4">
+              <div className="text-sm bg-muted p-3 rounded-md">
+                {sent}
+              </div>
+              <Button className="w-full" onClick={() => navigate('/login')}>
+                Back to Sign In
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <Tabs value={formData.role} onValueChange={(value) => setFormData({ ...formData, role: value })} className="w-full">
+                <TabsList className="grid w-full grid-cols-2">
+                  <TabsTrigger value="student">Student</TabsTrigger>
+                  <TabsTrigger value="librarian">Librarian</TabsTrigger>
+                </TabsList>
+              </Tabs>
+
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="email">Email</Label>
+                <Input
+                  id="email"
+                  type="email"
+                  placeholder="Enter your email"
+                  value={formData.email}
+                  onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                  required
+                />
+              </div>
+
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                Send Reset Link
+              </Button>
+
+              <div className="text-center text-sm">
+                <Button type="button" variant="link" className="p-0 h-auto" onClick={() => navigate('/login')}>
+                  Back to Sign In
+                </Button>
+              </div>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default ForgotPasswordPage
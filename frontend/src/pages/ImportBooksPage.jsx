@@ -0,0 +1,449 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { ArrowLeft, Upload, FileText, Loader2, AlertCircle, ChevronDown, ChevronRight } from 'lucide-react'
+import { bookImportsAPI, coursesAPI } from '../lib/api'
+
+const formatLabels = {
+  marc21: 'MARC21',
+  marcxml: 'MARCXML',
+  onix: 'ONIX'
+}
+
+// Fields shown side by side when merging into a catalogued book
+const mergeFields = [
+  { key: 'title', label: 'Title' },
+  { key: 'author', label: 'Author' },
+  { key: 'isbn', label: 'ISBN' },
+  { key: 'edition', label: 'Edition' },
+  { key: 'publisher', label: 'Publisher' },
+  { key: 'publication_year', label: 'Year' },
+  { key: 'category', label: 'Category' },
+  { key: 'description', label: 'Description' }
+]
+
+const isBlank = (value) => value === null || value === undefined || value === ''
+
+// By default a merge only fills in what the catalogue is missing
+const gapFields = (record) => mergeFields
+  .map(field => field.key)
+  .filter(key => key !== 'isbn' && isBlank(record.existing[key]) && !isBlank(record.book[key]))
+
+function ImportBooksPage() {
+  const navigate = useNavigate()
+  const [courses, setCourses] = useState([])
+  const [file, setFile] = useState(null)
+  const [fileInputKey, setFileInputKey] = useState(0)
+  const [defaultCategory, setDefaultCategory] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [records, setRecords] = useState([])
+  const [expanded, setExpanded] = useState(null)
+  const [settings, setSettings] = useState({ course_id: null, loan_type: 'regular', total_copies: 1, location: '' })
+  const [loading, setLoading] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [error, setError] = useState('')
+  const [importErrors, setImportErrors] = useState([])
+  const [success, setSuccess] = useState('')
+
+  useEffect(() => {
+    fetchCourses()
+  }, [])
+
+  const fetchCourses = async () => {
+    try {
+      const response = await coursesAPI.getAll()
+      setCourses(response.data)
+    } catch (error) {
+      console.error('Failed to fetch courses:', error)
+    }
+  }
+
+  const handlePreview = async (e) => {
+    e.preventDefault()
+    if (!file) return
+
+    setLoading(true)
+    setError('')
+    setImportErrors([])
+    setSuccess('')
+
+    try {
+      const formData = new FormData()
+      formData.append('file', file)
+      if (defaultCategory.trim()) {
+        formData.append('default_category', defaultCategory.trim())
+      }
+
+      const response = await bookImportsAPI.preview(formData)
+      setPreview(response.data)
+      setRecords(response.data.records.map(record => ({
+        ...record,
+        action: record.suggested_action,
+        merge_fields: record.existing ? gapFields(record) : []
+      })))
+      setExpanded(null)
+    } catch (error) {
+      console.error('Failed to read file:', error)
+      setPreview(null)
+      setRecords([])
+      setError(error.response?.data?.message || 'Failed to read file')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateRecord = (index, changes) => {
+    setRecords(prev => prev.map(record => (record.index === index ? { ...record, ...changes } : record)))
+  }
+
+  // Category is the one required field records often lack, so it can be typed in
+  const updateCategory = (record, category) => {
+    const errors = record.errors.filter(message => message !== 'Category is missing')
+    if (category.trim().length < 2) {
+      errors.push('Category is missing')
+    }
+    updateRecord(record.index, { book: { ...record.book, category }, errors })
+  }
+
+  const toggleMergeField = (record, key) => {
+    const fields = record.merge_fields.includes(key)
+      ? record.merge_fields.filter(field => field !== key)
+      : [...record.merge_fields, key]
+    updateRecord(record.index, { merge_fields: fields })
+  }
+
+  const handleImport = async () => {
+    setImporting(true)
+    setError('')
+    setImportErrors([])
+    setSuccess('')
+
+    try {
+      const response = await bookImportsAPI.commit({
+        records: records.map(record => ({
+          action: record.action,
+          book: record.book,
+          merge_fields: record.action === 'merge' ? record.merge_fields : undefined
+        })),
+        course_id: settings.course_id ? parseInt(settings.course_id) : null,
+        loan_type: settings.loan_type,
+        total_copies: parseInt(settings.total_copies) || 1,
+        location: settings.location || null
+      })
+
+      setSuccess(response.data.message)
+      setPreview(null)
+      setRecords([])
+      setFile(null)
+      setFileInputKey(key => key + 1)
+    } catch (error) {
+      console.error('Failed to import records:', error)
+      setError(error.response?.data?.message || 'Failed to import records')
+      const details = error.response?.data?.errors || []
+      setImportErrors(details.map(detail => (typeof detail === 'string' ? detail : detail.msg)))
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const counts = records.reduce((totals, record) => ({ ...totals, [record.action]: totals[record.action] + 1 }),
+    { create: 0, merge: 0, skip: 0 })
+  const blocked = records.some(record => record.action === 'create' && record.errors.length > 0)
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-4">
+        <Button variant="outline" size="icon" onClick={() => navigate('/dashboard/books')}>
+          <ArrowLeft className="h-4 w-4" />
+        </Button>
+        <div>
+          <h1 className="text-3xl font-bold">Import Catalogue Records</h1>
+          <p className="text-muted-foreground">Add or update books from MARC21, MARCXML or ONIX files</p>
+        </div>
+      </div>
+
+      {(error || success) && (
+        <Alert variant={error ? "destructive" : "default"}>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {error || success}
+            {importErrors.length > 0 && (
+              <ul className="list-disc pl-4 mt-2">
+                {importErrors.map((message) => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Record File</CardTitle>
+          <CardDescription>
+            The format is detected from the file. Nothing is saved until you confirm the preview.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handlePreview} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="file">File</Label>
+              <Input
+                key={fileInputKey}
+                id="file"
+                type="file"
+                accept=".mrc,.marc,.dat,.xml,.onix"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="default_category">Default Category</Label>
+              <Input
+                id="default_category"
+                value={defaultCategory}
+                onChange={(e) => setDefaultCategory(e.target.value)}
+                placeholder="For records without a subject"
+              />
+            </div>
+            <Button type="submit" disabled={loading || !file}>
+              {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Upload className="h-4 w-4 mr-2" />}
+              Preview Records
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {preview && (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle>New Books</CardTitle>
+              <CardDescription>Applied to every book created by this import</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="space-y-2">
+                  <Label>Course</Label>
+                  <Select
+                    value={settings.course_id || 'none'}
+                    onValueChange={(value) => setSettings({ ...settings, course_id: value === 'none' ? null : value })}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">General (No specific course)</SelectItem>
+                      {courses.map(course => (
+                        <SelectItem key={course.id} value={course.id.toString()}>
+                          {course.name} ({course.code})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label>Loan Type</Label>
+                  <Select value={settings.loan_type} onValueChange={(value) => setSettings({ ...settings, loan_type: value })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="regular">Regular</SelectItem>
+                      <SelectItem value="reserve">Reserve (short loan)</SelectItem>
+                      <SelectItem value="reference">Reference only</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="total_copies">Copies per Book</Label>
+                  <Input
+                    id="total_copies"
+                    type="number"
+                    min="1"
+                    value={settings.total_copies}
+                    onChange={(e) => setSettings({ ...settings, total_copies: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="location">Location</Label>
+                  <Input
+                    id="location"
+                    value={settings.location}
+                    onChange={(e) => setSettings({ ...settings, location: e.target.value })}
+                    placeholder="e.g., Shelf A-12"
+                  />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <FileText className="h-5 w-5" />
+                {preview.filename}
+                <Badge variant="outline">{formatLabels[preview.format]}</Badge>
+              </CardTitle>
+              <CardDescription>
+                {records.length} records: {counts.create} to add, {counts.merge} to merge, {counts.skip} to skip
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead></TableHead>
+                    <TableHead>Title</TableHead>
+                    <TableHead>ISBN</TableHead>
+                    <TableHead>Publisher</TableHead>
+                    <TableHead>Category</TableHead>
+                    <TableHead>Checks</TableHead>
+                    <TableHead>Action</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {records.map((record) => (
+                    <React.Fragment key={record.index}>
+                      <TableRow>
+                        <TableCell>
+                          {record.existing && (
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => setExpanded(expanded === record.index ? null : record.index)}
+                            >
+                              {expanded === record.index ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                            </Button>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <div className="font-medium">{record.book.title || '(no title)'}</div>
+                          <div className="text-sm text-muted-foreground">{record.book.author}</div>
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          <div>{record.book.isbn || '-'}</div>
+                          {record.isbn10 && <div className="text-muted-foreground">{record.isbn10}</div>}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {record.book.publisher}
+                          {record.book.publication_year ? `, ${record.book.publication_year}` : ''}
+                          {record.book.edition && <div className="text-muted-foreground">{record.book.edition}</div>}
+                        </TableCell>
+                        <TableCell>
+                          <Input
+                            className="w-36"
+                            value={record.book.category || ''}
+                            onChange={(e) => updateCategory(record, e.target.value)}
+                          />
+                        </TableCell>
+                        <TableCell className="space-y-1">
+                          {record.errors.map((message) => (
+                            <Badge key={message} variant="destructive" className="block w-fit">{message}</Badge>
+                          ))}
+                          {record.warnings.map((message) => (
+                            <Badge key={message} variant="secondary" className="block w-fit">{message}</Badge>
+                          ))}
+                          {record.existing && (
+                            <Badge variant="outline" className="block w-fit">Catalogued as #{record.existing.id}</Badge>
+                          )}
+                          {record.errors.length === 0 && record.warnings.length === 0 && !record.existing && (
+                            <Badge variant="outline" className="block w-fit">OK</Badge>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Select value={record.action} onValueChange={(value) => updateRecord(record.index, { action: value })}>
+                            <SelectTrigger className="w-28">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {record.existing
+                                ? <SelectItem value="merge">Merge</SelectItem>
+                                : <SelectItem value="create">Add</SelectItem>}
+                              <SelectItem value="skip">Skip</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        </TableCell>
+                      </TableRow>
+                      {record.existing && expanded === record.index && (
+                        <TableRow>
+                          <TableCell colSpan={7} className="bg-muted/50">
+                            <p className="text-sm text-muted-foreground mb-2">
+                              Tick the fields to take from this record. Unticked fields keep their catalogued value.
+                            </p>
+                            <Table>
+                              <TableHeader>
+                                <TableRow>
+                                  <TableHead className="w-8"></TableHead>
+                                  <TableHead>Field</TableHead>
+                                  <TableHead>Catalogued</TableHead>
+                                  <TableHead>From Record</TableHead>
+                                </TableRow>
+                              </TableHeader>
+                              <TableBody>
+                                {mergeFields.map((field) => (
+                                  <TableRow key={field.key}>
+                                    <TableCell>
+                                      <Checkbox
+                                        checked={record.merge_fields.includes(field.key)}
+                                        disabled={isBlank(record.book[field.key]) || record.action !== 'merge'}
+                                        onCheckedChange={() => toggleMergeField(record, field.key)}
+                                      />
+                                    </TableCell>
+                                    <TableCell className="font-medium">{field.label}</TableCell>
+                                    <TableCell className="text-sm max-w-xs truncate">
+                                      {isBlank(record.existing[field.key]) ? '-' : record.existing[field.key]}
+                                    </TableCell>
+                                    <TableCell className="text-sm max-w-xs truncate">
+                                      {isBlank(record.book[field.key]) ? '-' : record.book[field.key]}
+                                    </TableCell>
+                                  </TableRow>
+                                ))}
+                              </TableBody>
+                            </Table>
+                          </TableCell>
+                        </TableRow>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </TableBody>
+              </Table>
+
+              <div className="flex gap-4">
+                <Button
+                  variant="outline"
+                  onClick={() => {
+                    setPreview(null)
+                    setRecords([])
+                  }}
+                  disabled={importing}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  onClick={handleImport}
+                  disabled={importing || blocked || counts.create + counts.merge === 0}
+                >
+                  {importing ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                  Import {counts.create + counts.merge} Records
+                </Button>
+                {blocked && (
+                  <p className="text-sm text-red-600 self-center">Fix or skip the records with problems first</p>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ImportBooksPage
@@ -7,8 +7,9 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
 import { Badge } from '@/components/ui/badge'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
-import { CheckCircle, IndianRupee } from 'lucide-react'
-import { studentsAPI, booksAPI, issuedBooksAPI } from '../lib/api'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { CheckCircle, IndianRupee, XCircle, RefreshCw, AlertCircle, SearchX, BookX, Ban } from 'lucide-react'
+import { studentsAPI, booksAPI, issuedBooksAPI, reservationsAPI, circulationPoliciesAPI, patronBlocksAPI } from '../lib/api'
 import { Loader2 } from 'lucide-react'
 
 function IssueReturnView() {
@@ -16,29 +17,80 @@ function IssueReturnView() {
   const [students, setStudents] = useState([])
   const [books, setBooks] = useState([])
   const [issuedBooks, setIssuedBooks] = useState([])
+  const [lostBooks, setLostBooks] = useState([])
+  const [holdsShelf, setHoldsShelf] = useState([])
   const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
 
   const [issueForm, setIssueForm] = useState({
     student_id: '',
     book_id: '',
-    due_date: ''
+    barcode: ''
   })
+  const [loanTerms, setLoanTerms] = useState(null)
+  const [studentBlocks, setStudentBlocks] = useState([])
+  const [showBlockForm, setShowBlockForm] = useState(false)
+  const [blockForm, setBlockForm] = useState({ reason: '', expires_on: '' })
 
   useEffect(() => {
     fetchData()
   }, [])
 
+  // Show anything stopping the selected student from borrowing
+  useEffect(() => {
+    setShowBlockForm(false)
+    if (!issueForm.student_id) {
+      setStudentBlocks([])
+      return
+    }
+
+    fetchStudentBlocks(issueForm.student_id)
+  }, [issueForm.student_id])
+
+  const fetchStudentBlocks = async (studentId) => {
+    try {
+      const response = await patronBlocksAPI.getForStudent(studentId)
+      setStudentBlocks(response.data.blocks || [])
+    } catch (error) {
+      console.error('Failed to fetch borrowing blocks:', error)
+      setStudentBlocks([])
+    }
+  }
+
+  // Preview the circulation policy that will set the due date
+  useEffect(() => {
+    if (!issueForm.student_id || !issueForm.book_id) {
+      setLoanTerms(null)
+      return
+    }
+
+    circulationPoliciesAPI.resolve({
+      student_id: issueForm.student_id,
+      book_id: issueForm.book_id
+    })
+      .then((response) => setLoanTerms(response.data))
+      .catch((error) => {
+        console.error('Failed to resolve loan terms:', error)
+        setLoanTerms(null)
+      })
+  }, [issueForm.student_id, issueForm.book_id])
+
   const fetchData = async () => {
     try {
-      const [studentsRes, booksRes, issuedRes] = await Promise.all([
+      const [studentsRes, booksRes, issuedRes, lostRes, holdsRes] = await Promise.all([
         studentsAPI.getAll(),
         booksAPI.getAll(),
-        issuedBooksAPI.getAll({ status: 'issued' })
+        issuedBooksAPI.getAll({ status: 'issued' }),
+        issuedBooksAPI.getAll({ status: 'lost' }),
+        reservationsAPI.getHoldsShelf()
       ])
       
       setStudents(studentsRes.data.students || [])
       setBooks(booksRes.data.books || [])
       setIssuedBooks(issuedRes.data || [])
+      setLostBooks(lostRes.data || [])
+      setHoldsShelf(holdsRes.data || [])
     } catch (error) {
       console.error('Failed to fetch data:', error)
     }
@@ -47,23 +99,59 @@ function IssueReturnView() {
   const handleIssueBook = async (e) => {
     e.preventDefault()
     setLoading(true)
+    setError('')
+    setSuccess('')
 
     try {
-      await issuedBooksAPI.issue({
+      const response = await issuedBooksAPI.issue({
         ...issueForm,
         student_id: parseInt(issueForm.student_id),
-        book_id: parseInt(issueForm.book_id)
+        book_id: parseInt(issueForm.book_id),
+        barcode: issueForm.barcode || undefined
       })
       
-      setIssueForm({ student_id: '', book_id: '', due_date: '' })
+      const dueDate = new Date(response.data.issuedBook.due_date).toLocaleDateString()
+      setSuccess(`"${response.data.issuedBook.book?.title}" issued, due back ${dueDate}`)
+      setIssueForm({ student_id: '', book_id: '', barcode: '' })
       fetchData()
     } catch (error) {
       console.error('Failed to issue book:', error)
+      setError(error.response?.data?.message || 'Failed to issue book')
     } finally {
       setLoading(false)
     }
   }
 
+  const handleAddBlock = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+
+    try {
+      await patronBlocksAPI.create({
+        student_id: parseInt(issueForm.student_id),
+        reason: blockForm.reason,
+        expires_on: blockForm.expires_on || undefined
+      })
+      setBlockForm({ reason: '', expires_on: '' })
+      setShowBlockForm(false)
+      fetchStudentBlocks(issueForm.student_id)
+    } catch (error) {
+      console.error('Failed to block student:', error)
+      setError(error.response?.data?.message || 'Failed to block student')
+    }
+  }
+
+  const handleLiftBlock = async (blockId) => {
+    try {
+      await patronBlocksAPI.lift(blockId)
+      fetchStudentBlocks(issueForm.student_id)
+    } catch (error) {
+      console.error('Failed to lift block:', error)
+      setError(error.response?.data?.message || 'Failed to lift block')
+    }
+  }
+
   const handleReturnBook = async (issuedBookId) => {
     try {
       await issuedBooksAPI.return(issuedBookId, {
@@ -75,6 +163,86 @@ function IssueReturnView() {
     }
   }
 
+  const handleFoundBook = async (issuedBook) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await issuedBooksAPI.return(issuedBook.id, {
+        return_date: new Date().toISOString().split('T')[0]
+      })
+      const refunded = (response.data.refunds || []).reduce((sum, refund) => sum + parseFloat(refund.amount), 0)
+      setSuccess(refunded > 0
+        ? `"${issuedBook.book?.title}" found and returned; the lost charge has been reversed and ₹${refunded.toFixed(2)} already paid is to be refunded`
+        : `"${issuedBook.book?.title}" found and returned; the lost charge has been reversed`)
+      fetchData()
+    } catch (error) {
+      console.error('Failed to return found book:', error)
+      setError(error.response?.data?.message || 'Failed to return book')
+    }
+  }
+
+  const handleMarkLost = async (issuedBook) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await issuedBooksAPI.markLost(issuedBook.id)
+      setSuccess(`"${issuedBook.book?.title}" declared lost; ₹${parseFloat(response.data.fine.amount).toFixed(2)} charged`)
+      fetchData()
+    } catch (error) {
+      console.error('Failed to declare book lost:', error)
+      setError(error.response?.data?.message || 'Failed to declare book lost')
+    }
+  }
+
+  const handleReturnDamaged = async (issuedBook) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await issuedBooksAPI.returnDamaged(issuedBook.id)
+      setSuccess(`"${issuedBook.book?.title}" returned damaged; ₹${parseFloat(response.data.fine.amount).toFixed(2)} charged`)
+      fetchData()
+    } catch (error) {
+      console.error('Failed to return damaged book:', error)
+      setError(error.response?.data?.message || 'Failed to return damaged book')
+    }
+  }
+
+  const handleRenewBook = async (issuedBook) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await issuedBooksAPI.renew(issuedBook.id)
+      const newDueDate = new Date(response.data.issuedBook.due_date).toLocaleDateString()
+      setSuccess(`Loan of "${issuedBook.book?.title}" renewed until ${newDueDate}`)
+      fetchData()
+    } catch (error) {
+      console.error('Failed to renew book:', error)
+      setError(error.response?.data?.message || 'Failed to renew book')
+    }
+  }
+
+  const handleCollectHold = (reservation) => {
+    setIssueForm({
+      student_id: reservation.student_id.toString(),
+      book_id: reservation.book_id.toString(),
+      barcode: reservation.copy?.barcode || ''
+    })
+    setActiveTab('issue')
+  }
+
+  const handleCancelHold = async (reservationId) => {
+    try {
+      await reservationsAPI.cancel(reservationId, { notes: 'Cancelled at the desk' })
+      fetchData()
+    } catch (error) {
+      console.error('Failed to cancel hold:', error)
+    }
+  }
+
   return (
     <div className="space-y-6">
       <div>
@@ -82,10 +250,20 @@ function IssueReturnView() {
         <p className="text-muted-foreground">Manage book transactions</p>
       </div>
 
+      {(error || success) && (
+        <Alert variant={error ? "destructive" : "default"}>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {error || success}
+          </AlertDescription>
+        </Alert>
+      )}
+
       <Tabs value={activeTab} onValueChange={setActiveTab}>
         <TabsList>
           <TabsTrigger value="issue">Issue Book</TabsTrigger>
           <TabsTrigger value="return">Return Book</TabsTrigger>
+          <TabsTrigger value="holds">Holds Shelf ({holdsShelf.length})</TabsTrigger>
         </TabsList>
 
         <TabsContent value="issue">
@@ -120,7 +298,7 @@ function IssueReturnView() {
                         <SelectValue placeholder="Select book" />
                       </SelectTrigger>
                       <SelectContent>
-                        {books.filter(book => book.available_copies > 0).map((book) => (
+                        {books.filter(book => book.available_copies > 0 || book.id.toString() === issueForm.book_id).map((book) => (
                           <SelectItem key={book.id} value={book.id.toString()}>
                             {book.title} by {book.author}
                           </SelectItem>
@@ -131,21 +309,92 @@ function IssueReturnView() {
                 </div>
                 
                 <div className="space-y-2">
-                  <Label htmlFor="due_date">Due Date</Label>
+                  <Label htmlFor="barcode">Copy Barcode (optional)</Label>
                   <Input
-                    id="due_date"
-                    type="date"
-                    value={issueForm.due_date}
-                    onChange={(e) => setIssueForm({...issueForm, due_date: e.target.value})}
-                    required
+                    id="barcode"
+                    placeholder="Scan or type the copy barcode"
+                    value={issueForm.barcode}
+                    onChange={(e) => setIssueForm({...issueForm, barcode: e.target.value})}
                   />
                 </div>
+
+                {studentBlocks.length > 0 && (
+                  <div className="rounded-md border border-destructive p-3 text-sm space-y-2">
+                    <p className="flex items-center gap-2 font-medium text-red-600">
+                      <Ban className="h-4 w-4" />
+                      This student is blocked from borrowing
+                    </p>
+                    {studentBlocks.map((block, index) => (
+                      <div key={index} className="flex items-center justify-between gap-2">
+                        <span>
+                          {block.reason}
+                          {block.expires_on && ` (until ${new Date(block.expires_on).toLocaleDateString()})`}
+                        </span>
+                        {block.type === 'manual' && (
+                          <Button type="button" size="sm" variant="outline" onClick={() => handleLiftBlock(block.id)}>
+                            Lift
+                          </Button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {loanTerms && (
+                  <div className="rounded-md border p-3 text-sm">
+                    {loanTerms.is_loanable ? (
+                      <p>
+                        Due {new Date(loanTerms.due_date).toLocaleDateString()} ({loanTerms.loan_period_days} days,
+                        {' '}{loanTerms.max_renewals} renewals) under the <strong>{loanTerms.policy_name}</strong> policy
+                      </p>
+                    ) : (
+                      <p className="text-red-600">
+                        Reference only under the <strong>{loanTerms.policy_name}</strong> policy; this book cannot be issued
+                      </p>
+                    )}
+                  </div>
+                )}
                 
-                <Button type="submit" disabled={loading}>
-                  {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
-                  Issue Book
-                </Button>
+                <div className="flex gap-2">
+                  <Button type="submit" disabled={loading || studentBlocks.length > 0}>
+                    {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                    Issue Book
+                  </Button>
+                  {issueForm.student_id && (
+                    <Button type="button" variant="outline" onClick={() => setShowBlockForm(!showBlockForm)}>
+                      <Ban className="h-4 w-4 mr-2" />
+                      Block Student
+                    </Button>
+                  )}
+                </div>
               </form>
+
+              {showBlockForm && (
+                <form onSubmit={handleAddBlock} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mt-4 rounded-md border p-3">
+                  <div className="space-y-2">
+                    <Label htmlFor="block_reason">Reason</Label>
+                    <Input
+                      id="block_reason"
+                      placeholder="e.g., Disciplinary hold"
+                      value={blockForm.reason}
+                      onChange={(e) => setBlockForm({...blockForm, reason: e.target.value})}
+                      required
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="block_expires_on">Until (optional)</Label>
+                    <Input
+                      id="block_expires_on"
+                      type="date"
+                      value={blockForm.expires_on}
+                      onChange={(e) => setBlockForm({...blockForm, expires_on: e.target.value})}
+                    />
+                  </div>
+                  <Button type="submit" variant="destructive">
+                    Block Borrowing
+                  </Button>
+                </form>
+              )}
             </CardContent>
           </Card>
         </TabsContent>
@@ -162,6 +411,7 @@ function IssueReturnView() {
                   <TableRow>
                     <TableHead>Student</TableHead>
                     <TableHead>Book</TableHead>
+                    <TableHead>Copy</TableHead>
                     <TableHead>Issue Date</TableHead>
                     <TableHead>Due Date</TableHead>
                     <TableHead>Days Overdue</TableHead>
@@ -180,6 +430,7 @@ function IssueReturnView() {
                       <TableRow key={issuedBook.id}>
                         <TableCell>{issuedBook.student?.name}</TableCell>
                         <TableCell>{issuedBook.book?.title}</TableCell>
+                        <TableCell className="font-mono text-xs">{issuedBook.copy?.barcode || '—'}</TableCell>
                         <TableCell>{new Date(issuedBook.issue_date).toLocaleDateString()}</TableCell>
                         <TableCell>{dueDate.toLocaleDateString()}</TableCell>
                         <TableCell>
@@ -200,10 +451,24 @@ function IssueReturnView() {
                           )}
                         </TableCell>
                         <TableCell>
-                          <Button size="sm" onClick={() => handleReturnBook(issuedBook.id)}>
-                            <CheckCircle className="h-3 w-3 mr-1" />
-                            Return
-                          </Button>
+                          <div className="flex gap-2">
+                            <Button size="sm" onClick={() => handleReturnBook(issuedBook.id)}>
+                              <CheckCircle className="h-3 w-3 mr-1" />
+                              Return
+                            </Button>
+                            <Button size="sm" variant="outline" onClick={() => handleRenewBook(issuedBook)}>
+                              <RefreshCw className="h-3 w-3 mr-1" />
+                              Renew
+                            </Button>
+                            <Button size="sm" variant="outline" onClick={() => handleReturnDamaged(issuedBook)}>
+                              <BookX className="h-3 w-3 mr-1" />
+                              Damaged
+                            </Button>
+                            <Button size="sm" variant="outline" onClick={() => handleMarkLost(issuedBook)}>
+                              <SearchX className="h-3 w-3 mr-1" />
+                              Lost
+                            </Button>
+                          </div>
                         </TableCell>
                       </TableRow>
                     );
@@ -212,6 +477,104 @@ function IssueReturnView() {
               </Table>
             </CardContent>
           </Card>
+
+          {lostBooks.length > 0 && (
+            <Card className="mt-6">
+              <CardHeader>
+                <CardTitle>Lost Books</CardTitle>
+                <CardDescription>Return a lost book that has been found to reverse its replacement charge</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Student</TableHead>
+                      <TableHead>Book</TableHead>
+                      <TableHead>Copy</TableHead>
+                      <TableHead>Due Date</TableHead>
+                      <TableHead>Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {lostBooks.map((issuedBook) => (
+                      <TableRow key={issuedBook.id}>
+                        <TableCell>{issuedBook.student?.name}</TableCell>
+                        <TableCell>{issuedBook.book?.title}</TableCell>
+                        <TableCell className="font-mono text-xs">{issuedBook.copy?.barcode || '—'}</TableCell>
+                        <TableCell>{new Date(issuedBook.due_date).toLocaleDateString()}</TableCell>
+                        <TableCell>
+                          <Button size="sm" onClick={() => handleFoundBook(issuedBook)}>
+                            <CheckCircle className="h-3 w-3 mr-1" />
+                            Found
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          )}
+        </TabsContent>
+
+        <TabsContent value="holds">
+          <Card>
+            <CardHeader>
+              <CardTitle>Holds Shelf</CardTitle>
+              <CardDescription>Copies set aside for students waiting to collect them</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {holdsShelf.length === 0 ? (
+                <div className="text-center py-8 text-muted-foreground">
+                  No copies are waiting for pickup
+                </div>
+              ) : (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Student</TableHead>
+                      <TableHead>Book</TableHead>
+                      <TableHead>Copy</TableHead>
+                      <TableHead>Ready Since</TableHead>
+                      <TableHead>Pickup By</TableHead>
+                      <TableHead>Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {holdsShelf.map((reservation) => {
+                      const deadline = new Date(reservation.pickup_deadline)
+
+                      return (
+                        <TableRow key={reservation.id}>
+                          <TableCell>{reservation.student?.name} ({reservation.student?.student_id})</TableCell>
+                          <TableCell>{reservation.book?.title}</TableCell>
+                          <TableCell className="font-mono text-xs">{reservation.copy?.barcode}</TableCell>
+                          <TableCell>{new Date(reservation.ready_date).toLocaleDateString()}</TableCell>
+                          <TableCell>
+                            <Badge variant={deadline < new Date() ? "destructive" : "outline"}>
+                              {deadline.toLocaleDateString()}
+                            </Badge>
+                          </TableCell>
+                          <TableCell>
+                            <div className="flex gap-2">
+                              <Button size="sm" onClick={() => handleCollectHold(reservation)}>
+                                <CheckCircle className="h-3 w-3 mr-1" />
+                                Issue
+                              </Button>
+                              <Button size="sm" variant="outline" onClick={() => handleCancelHold(reservation.id)}>
+                                <XCircle className="h-3 w-3 mr-1" />
+                                Cancel
+                              </Button>
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      )
+                    })}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
         </TabsContent>
       </Tabs>
     </div>
@@ -7,6 +7,8 @@ import { Label } from '@/components/ui/label'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import { Moon, Sun, Library, Loader2 } from 'lucide-react'
 import { useNavigate } from 'react-router-dom'
+import { authAPI } from '../lib/api'
+import TwoFactorLoginStep from './TwoFactorLoginStep'
 
 function LoginPage({ darkMode, toggleDarkMode }) {
     const navigate = useNavigate()
@@ -18,21 +20,39 @@ function LoginPage({ darkMode, toggleDarkMode }) {
   })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [emailUnverified, setEmailUnverified] = useState(false)
+  const [notice, setNotice] = useState('')
+  const [twoFactor, setTwoFactor] = useState(null)
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     setLoading(true)
     setError('')
+    setNotice('')
 
     const result = await login(formData)
     
-    if (!result.success) {
+    if (result.twoFactor) {
+      setTwoFactor(result.twoFactor)
+    } else if (!result.success) {
       setError(result.error)
+      setEmailUnverified(!!result.emailUnverified)
     }
     
     setLoading(false)
   }
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await authAPI.resendVerification(formData.email)
+      setError('')
+      setEmailUnverified(false)
+      setNotice(response.data.message)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send verification email')
+    }
+  }
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -54,62 +74,91 @@ function LoginPage({ darkMode, toggleDarkMode }) {
             <Library className="h-8 w-8 text-primary" />
             <span className="text-2xl font-bold">LBManage</span>
           </div>
-          <CardTitle>Welcome Back</CardTitle>
-          <CardDescription>Sign in to your account</CardDescription>
+          <CardTitle>{twoFactor ? 'Two-Factor Authentication' : 'Welcome Back'}</CardTitle>
+          <CardDescription>
+            {twoFactor ? 'Confirm it is you with your authenticator app' : 'Sign in to your account'}
+          </CardDescription>
         </CardHeader>
         <CardContent>
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <Tabs value={formData.role} onValueChange={(value) => setFormData({...formData, role: value})} className="w-full">
-              <TabsList className="grid w-full grid-cols-2">
-                <TabsTrigger value="student">Student</TabsTrigger>
-                <TabsTrigger value="librarian">Librarian</TabsTrigger>
-              </TabsList>
-            </Tabs>
-            
-            {error && (
-              <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
-                {error}
-              </div>
-            )}
+          {twoFactor ? (
+            <TwoFactorLoginStep
+              challengeToken={twoFactor.challengeToken}
+              setupRequired={twoFactor.setupRequired}
+              onCancel={() => {
+                setTwoFactor(null)
+                setFormData({ ...formData, password: '' })
+              }}
+            />
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <Tabs value={formData.role} onValueChange={(value) => setFormData({...formData, role: value})} className="w-full">
+                <TabsList className="grid w-full grid-cols-2">
+                  <TabsTrigger value="student">Student</TabsTrigger>
+                  <TabsTrigger value="librarian">Librarian</TabsTrigger>
+                </TabsList>
+              </Tabs>
             
-            <div className="space-y-2">
-              <Label htmlFor="email">Email</Label>
-              <Input
-                id="email"
-                name="email"
-                type="email"
-                placeholder="Enter your email"
-                value={formData.email}
-                onChange={handleChange}
-                required
-              />
-            </div>
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                  {emailUnverified && (
+                    <Button type="button" variant="link" className="p-0 h-auto ml-1" onClick={handleResendVerification}>
+                      Resend verification email
+                    </Button>
+                  )}
+                </div>
+              )}
+
+              {notice && (
+                <div className="text-sm bg-muted p-3 rounded-md">
+                  {notice}
+                </div>
+              )}
             
-            <div className="space-y-2">
-              <Label htmlFor="password">Password</Label>
-              <Input
-                id="password"
-                name="password"
-                type="password"
-                placeholder="Enter your password"
-                value={formData.password}
-                onChange={handleChange}
-                required
-              />
-            </div>
+              <div className="space-y-2">
+                <Label htmlFor="email">Email</Label>
+                <Input
+                  id="email"
+                  name="email"
+                  type="email"
+                  placeholder="Enter your email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  required
+                />
+              </div>
             
-            <Button type="submit" className="w-full" disabled={loading}>
-              {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
-              Sign In
-            </Button>
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="password">Password</Label>
+                  <Button type="button" variant="link" className="p-0 h-auto text-sm" onClick={() => navigate('/forgot-password')}>
+                    Forgot password?
+                  </Button>
+                </div>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  placeholder="Enter your password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                />
+              </div>
             
-            <div className="text-center text-sm">
-              <span className="text-muted-foreground">Don't have an account? </span>
-              <Button variant="link" className="p-0 h-auto" onClick={() => navigate('/register')}>
-                Register as Student
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                Sign In
               </Button>
-            </div>
-          </form>
+            
+              <div className="text-center text-sm">
+                <span className="text-muted-foreground">Don't have an account? </span>
+                <Button variant="link" className="p-0 h-auto" onClick={() => navigate('/register')}>
+                  Register as Student
+                </Button>
+              </div>
+            </form>
+          )}
         </CardContent>
       </Card>
     </div>
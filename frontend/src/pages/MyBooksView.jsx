@@ -1,16 +1,28 @@
 import React, { useState, useEffect } from 'react'
-import { Card, CardContent } from '@/components/ui/card'
+import { useNavigate } from 'react-router-dom'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
-import { BookOpen } from 'lucide-react'
-import { issuedBooksAPI } from '../lib/api'
+import { Button } from '@/components/ui/button'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { BookOpen, XCircle, RefreshCw, AlertCircle, ExternalLink, Undo2 } from 'lucide-react'
+import { issuedBooksAPI, reservationsAPI, digitalLoansAPI, assetUrl } from '../lib/api'
 import { Loader2 } from 'lucide-react'
 
 function MyBooksView() {
+  const navigate = useNavigate()
   const [issuedBooks, setIssuedBooks] = useState([])
+  const [reservations, setReservations] = useState([])
   const [loading, setLoading] = useState(true)
+  const [digitalLoans, setDigitalLoans] = useState([])
+  const [renewing, setRenewing] = useState(null)
+  const [openingLoan, setOpeningLoan] = useState(null)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
 
   useEffect(() => {
     fetchMyBooks()
+    fetchReservations()
+    fetchDigitalLoans()
   }, [])
 
   const fetchMyBooks = async () => {
@@ -25,6 +37,98 @@ function MyBooksView() {
     }
   }
 
+  const fetchReservations = async () => {
+    try {
+      const [waitingRes, readyRes] = await Promise.all([
+        reservationsAPI.getAll({ status: 'waiting' }),
+        reservationsAPI.getAll({ status: 'ready' })
+      ])
+      setReservations([...(readyRes.data || []), ...(waitingRes.data || [])])
+    } catch (error) {
+      console.error('Failed to fetch reservations:', error)
+    }
+  }
+
+  const fetchDigitalLoans = async () => {
+    try {
+      const response = await digitalLoansAPI.getAll({ status: 'active' })
+      setDigitalLoans((response.data || []).filter(loan => new Date(loan.due_date) > new Date()))
+    } catch (error) {
+      console.error('Failed to fetch digital loans:', error)
+    }
+  }
+
+  // PDFs open in the reader. Anything else gets a fresh short-lived link in a
+  // new tab, opened before the request so popup blockers treat it as part of
+  // the click.
+  const handleOpenDigital = async (loan) => {
+    if (loan.book?.digital_copy_path?.endsWith('.pdf')) {
+      navigate(`/dashboard/read/${loan.book_id}`)
+      return
+    }
+
+    setError('')
+    setSuccess('')
+    const readerWindow = window.open('', '_blank')
+
+    try {
+      setOpeningLoan(loan.id)
+      const response = await digitalLoansAPI.getAccess(loan.id)
+      if (readerWindow) {
+        readerWindow.opener = null
+        readerWindow.location.href = assetUrl(response.data.url)
+      }
+    } catch (error) {
+      readerWindow?.close()
+      console.error('Failed to open digital copy:', error)
+      setError(error.response?.data?.message || 'Failed to open digital copy')
+      fetchDigitalLoans()
+    } finally {
+      setOpeningLoan(null)
+    }
+  }
+
+  const handleReturnDigital = async (loan) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      await digitalLoansAPI.return(loan.id)
+      setSuccess(`"${loan.book?.title}" returned`)
+      fetchDigitalLoans()
+    } catch (error) {
+      console.error('Failed to return digital copy:', error)
+      setError(error.response?.data?.message || 'Failed to return digital copy')
+    }
+  }
+
+  const handleRenew = async (issuedBook) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      setRenewing(issuedBook.id)
+      const response = await issuedBooksAPI.renew(issuedBook.id)
+      const newDueDate = new Date(response.data.issuedBook.due_date).toLocaleDateString()
+      setSuccess(`"${issuedBook.book?.title}" renewed until ${newDueDate}`)
+      fetchMyBooks()
+    } catch (error) {
+      console.error('Failed to renew loan:', error)
+      setError(error.response?.data?.message || 'Failed to renew loan')
+    } finally {
+      setRenewing(null)
+    }
+  }
+
+  const handleCancelHold = async (reservationId) => {
+    try {
+      await reservationsAPI.cancel(reservationId)
+      fetchReservations()
+    } catch (error) {
+      console.error('Failed to cancel hold:', error)
+    }
+  }
+
   return (
     <div className="space-y-6">
       <div>
@@ -32,6 +136,15 @@ function MyBooksView() {
         <p className="text-muted-foreground">Books currently borrowed by you</p>
       </div>
 
+      {(error || success) && (
+        <Alert variant={error ? "destructive" : "default"}>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            {error || success}
+          </AlertDescription>
+        </Alert>
+      )}
+
       {loading ? (
         <div className="flex justify-center py-8">
           <Loader2 className="h-8 w-8 animate-spin" />
@@ -56,17 +169,104 @@ function MyBooksView() {
                     <div className="flex gap-4 mt-2 text-sm">
                       <span>Issue Date: {new Date(issuedBook.issue_date).toLocaleDateString()}</span>
                       <span>Due Date: {new Date(issuedBook.due_date).toLocaleDateString()}</span>
+                      {issuedBook.renewal_count > 0 && (
+                        <span>Renewed {issuedBook.renewal_count}x</span>
+                      )}
                     </div>
                   </div>
-                  <Badge variant={new Date(issuedBook.due_date) < new Date() ? "destructive" : "default"}>
-                    {new Date(issuedBook.due_date) < new Date() ? "Overdue" : "Active"}
-                  </Badge>
+                  <div className="flex items-center gap-2">
+                    <Badge variant={new Date(issuedBook.due_date) < new Date() ? "destructive" : "default"}>
+                      {new Date(issuedBook.due_date) < new Date() ? "Overdue" : "Active"}
+                    </Badge>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleRenew(issuedBook)}
+                      disabled={renewing === issuedBook.id}
+                    >
+                      {renewing === issuedBook.id ? (
+                        <Loader2 className="h-3 w-3 animate-spin mr-1" />
+                      ) : (
+                        <RefreshCw className="h-3 w-3 mr-1" />
+                      )}
+                      Renew
+                    </Button>
+                  </div>
                 </div>
               </CardContent>
             </Card>
           ))}
         </div>
       )}
+
+      {digitalLoans.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>My E-books</CardTitle>
+            <CardDescription>Digital copies you can read until they are due</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {digitalLoans.map((loan) => (
+              <div key={loan.id} className="flex items-start justify-between border-b pb-4 last:border-0 last:pb-0">
+                <div className="flex-1">
+                  <h3 className="font-medium">{loan.book?.title}</h3>
+                  <p className="text-sm text-muted-foreground">by {loan.book?.author}</p>
+                  <p className="text-sm mt-2">
+                    Access ends {new Date(loan.due_date).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Button size="sm" onClick={() => handleOpenDigital(loan)} disabled={openingLoan === loan.id}>
+                    {openingLoan === loan.id ? (
+                      <Loader2 className="h-3 w-3 animate-spin mr-1" />
+                    ) : (
+                      <ExternalLink className="h-3 w-3 mr-1" />
+                    )}
+                    Read
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => handleReturnDigital(loan)}>
+                    <Undo2 className="h-3 w-3 mr-1" />
+                    Return
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {reservations.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>My Reservations</CardTitle>
+            <CardDescription>Books you are waiting for</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {reservations.map((reservation) => (
+              <div key={reservation.id} className="flex items-start justify-between border-b pb-4 last:border-0 last:pb-0">
+                <div className="flex-1">
+                  <h3 className="font-medium">{reservation.book?.title}</h3>
+                  <p className="text-sm text-muted-foreground">by {reservation.book?.author}</p>
+                  <p className="text-sm mt-2">
+                    {reservation.status === 'ready'
+                      ? `Ready for pickup until ${new Date(reservation.pickup_deadline).toLocaleDateString()}`
+                      : `Position in queue: ${reservation.queue_position}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge variant={reservation.status === 'ready' ? "default" : "secondary"}>
+                    {reservation.status === 'ready' ? "Ready" : "Waiting"}
+                  </Badge>
+                  <Button size="sm" variant="outline" onClick={() => handleCancelHold(reservation.id)}>
+                    <XCircle className="h-3 w-3 mr-1" />
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
     </div>
   )
 }
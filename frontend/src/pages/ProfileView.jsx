@@ -3,7 +3,10 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
 import { useAuth } from '../contexts/AuthContext'
+import ActiveSessionsCard from '../components/ActiveSessionsCard'
+import TwoFactorCard from '../components/TwoFactorCard'
 import { librariansAPI, studentsAPI } from '../lib/api'
 import { Loader2 } from 'lucide-react'
 
@@ -13,6 +16,7 @@ function ProfileView() {
   const [loading, setLoading] = useState(true)
   const [editing, setEditing] = useState(false)
   const [formData, setFormData] = useState({})
+  const [savingNotifications, setSavingNotifications] = useState(false)
 
   useEffect(() => {
     fetchProfile()
@@ -51,6 +55,21 @@ function ProfileView() {
     }
   }
 
+  // Saved straight away, separately from the profile form
+  const handleNotificationsChange = async (checked) => {
+    try {
+      setSavingNotifications(true)
+      const response = await studentsAPI.update(user.id, { email_notifications: checked })
+      const { email_notifications } = response.data.student
+      setProfile({ ...profile, email_notifications })
+      setFormData({ ...formData, email_notifications })
+    } catch (error) {
+      console.error('Failed to update email notifications:', error)
+    } finally {
+      setSavingNotifications(false)
+    }
+  }
+
   if (loading) {
     return (
       <div className="flex justify-center py-8">
@@ -178,6 +197,32 @@ function ProfileView() {
           )}
         </CardContent>
       </Card>
+
+      {userRole === 'student' && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Email Notifications</CardTitle>
+            <CardDescription>
+              Receipts, due-date reminders, overdue notices, fines, hold pickups and suggestion reviews
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="flex items-center gap-2">
+              <Switch
+                id="email_notifications"
+                checked={profile?.email_notifications !== false}
+                disabled={savingNotifications}
+                onCheckedChange={handleNotificationsChange}
+              />
+              <Label htmlFor="email_notifications">Email me about my library account</Label>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {userRole === 'librarian' && <TwoFactorCard />}
+
+      <ActiveSessionsCard />
     </div>
   )
 }
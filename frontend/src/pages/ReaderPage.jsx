@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { ArrowLeft, ChevronLeft, ChevronRight, Bookmark, BookmarkCheck, ExternalLink, Tablet, X, AlertCircle, Loader2 } from 'lucide-react'
+import { readerAPI, digitalLoansAPI, assetUrl } from '../lib/api'
+
+// Signed file URLs are renewed this long before they expire
+const URL_REFRESH_MARGIN = 60 * 1000
+
+function ReaderPage() {
+  const { bookId } = useParams()
+  const navigate = useNavigate()
+  const [session, setSession] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [needsLoan, setNeedsLoan] = useState(false)
+  const [borrowing, setBorrowing] = useState(false)
+  const [page, setPage] = useState(1)
+  const [pageInput, setPageInput] = useState('1')
+  const [bookmarks, setBookmarks] = useState([])
+  const [note, setNote] = useState('')
+  const [error, setError] = useState('')
+  const savedPage = useRef(null)
+
+  const openBook = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const response = await readerAPI.open(bookId)
+      setSession(response.data)
+      setBookmarks(response.data.bookmarks)
+      setPage(response.data.last_page)
+      savedPage.current = response.data.last_page
+      setNeedsLoan(false)
+    } catch (error) {
+      console.error('Failed to open book:', error)
+      setNeedsLoan(error.response?.status === 403)
+      setError(error.response?.data?.message || 'Failed to open book')
+    } finally {
+      setLoading(false)
+    }
+  }, [bookId])
+
+  useEffect(() => {
+    openBook()
+  }, [openBook])
+
+  useEffect(() => {
+    setPageInput(page.toString())
+  }, [page])
+
+  // Save the page once the student stops turning pages
+  useEffect(() => {
+    if (!session || page === savedPage.current) return
+
+    const timer = setTimeout(async () => {
+      try {
+        await readerAPI.saveProgress(bookId, page)
+        savedPage.current = page
+      } catch (error) {
+        console.error('Failed to save reading progress:', error)
+        if (error.response?.status === 403) {
+          setSession(null)
+          setNeedsLoan(true)
+          setError(error.response.data.message)
+        }
+      }
+    }, 1000)
+
+    return () => clearTimeout(timer)
+  }, [page, session, bookId])
+
+  // Swap in a fresh signed URL before the current one stops working. The
+  // loan's due date ends the session for good.
+  useEffect(() => {
+    if (!session) return
+
+    const expiresAt = new Date(session.file.expires_at).getTime()
+    if (expiresAt >= new Date(session.loan.due_date).getTime()) return
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await readerAPI.open(bookId)
+        setSession(current => current && { ...current, file: response.data.file })
+      } catch (error) {
+        console.error('Failed to renew reader link:', error)
+      }
+    }, Math.max(0, expiresAt - Date.now() - URL_REFRESH_MARGIN))
+
+    return () => clearTimeout(timer)
+  }, [session, bookId])
+
+  const pageCount = session?.page_count
+
+  const goToPage = (value) => {
+    const target = parseInt(value)
+    if (!target || target < 1) {
+      setPageInput(page.toString())
+      return
+    }
+    setPage(pageCount ? Math.min(target, pageCount) : target)
+  }
+
+  const handleBorrow = async () => {
+    try {
+      setBorrowing(true)
+      await digitalLoansAPI.borrow(bookId)
+      openBook()
+    } catch (error) {
+      console.error('Failed to borrow e-book:', error)
+      setError(error.response?.data?.message || 'Failed to borrow e-book')
+    } finally {
+      setBorrowing(false)
+    }
+  }
+
+  const currentBookmark = bookmarks.find(bookmark => bookmark.page === page)
+
+  useEffect(() => {
+    setNote(currentBookmark?.note || '')
+  }, [currentBookmark])
+
+  const handleSaveBookmark = async () => {
+    try {
+      setError('')
+      const response = await readerAPI.addBookmark(bookId, { page, note: note.trim() || null })
+      setBookmarks(current => [...current.filter(bookmark => bookmark.id !== response.data.id), response.data]
+        .sort((a, b) => a.page - b.page))
+    } catch (error) {
+      console.error('Failed to save bookmark:', error)
+      setError(error.response?.data?.message || 'Failed to save bookmark')
+    }
+  }
+
+  const handleRemoveBookmark = async (bookmark) => {
+    try {
+      setError('')
+      await readerAPI.removeBookmark(bookId, bookmark.id)
+      setBookmarks(current => current.filter(item => item.id !== bookmark.id))
+    } catch (error) {
+      console.error('Failed to remove bookmark:', error)
+      setError(error.response?.data?.message || 'Failed to remove bookmark')
+    }
+  }
+
+  if (loading && !session) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="h-8 w-8 animate-spin" />
+      </div>
+    )
+  }
+
+  if (!session) {
+    return (
+      <div className="space-y-6">
+        <Button variant="ghost" onClick={() => navigate(-1)}>
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Back
+        </Button>
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+        {needsLoan && (
+          <Button onClick={handleBorrow} disabled={borrowing}>
+            {borrowing ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Tablet className="h-4 w-4 mr-2" />}
+            Borrow E-book
+          </Button>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-4">
+        <Button variant="outline" size="icon" onClick={() => navigate(-1)}>
+          <ArrowLeft className="h-4 w-4" />
+        </Button>
+        <div className="flex-1">
+          <h1 className="text-2xl font-bold">{session.book.title}</h1>
+          <p className="text-muted-foreground">
+            by {session.book.author} · Access ends {new Date(session.loan.due_date).toLocaleString()}
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {session.format !== 'pdf' ? (
+        <Card>
+          <CardContent className="pt-6 text-center space-y-4">
+            <p className="text-muted-foreground">
+              This e-book is an EPUB, which the reader cannot show. Open it in an e-book app instead.
+            </p>
+            <Button asChild>
+              <a href={assetUrl(session.file.url)} target="_blank" rel="noreferrer">
+                <ExternalLink className="h-4 w-4 mr-2" />
+                Open EPUB
+              </a>
+            </Button>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="grid gap-4 lg:grid-cols-[1fr_280px]">
+          <Card>
+            <CardContent className="pt-6 space-y-4">
+              <div className="flex items-center gap-2">
+                <Button variant="outline" size="icon" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                  <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <form
+                  className="flex items-center gap-2"
+                  onSubmit={(e) => {
+                    e.preventDefault()
+                    goToPage(pageInput)
+                  }}
+                >
+                  <Input
+                    className="w-20"
+                    value={pageInput}
+                    onChange={(e) => setPageInput(e.target.value)}
+                    onBlur={() => goToPage(pageInput)}
+                    inputMode="numeric"
+                  />
+                  {pageCount && <span className="text-sm text-muted-foreground">/ {pageCount}</span>}
+                </form>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  onClick={() => setPage(page + 1)}
+                  disabled={pageCount ? page >= pageCount : false}
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+              {/* The browser's own PDF viewer fetches the file in ranges as pages are shown */}
+              <iframe
+                title={session.book.title}
+                src={`${assetUrl(session.file.url)}#page=${page}`}
+                className="h-[75vh] w-full rounded border"
+              />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Bookmarks</CardTitle>
+              <CardDescription>Mark pages to come back to</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="space-y-2">
+                <Input
+                  placeholder={`Note for page ${page} (optional)`}
+                  value={note}
+                  maxLength={255}
+                  onChange={(e) => setNote(e.target.value)}
+                />
+                <Button className="w-full" variant={currentBookmark ? 'outline' : 'default'} onClick={handleSaveBookmark}>
+                  {currentBookmark ? <BookmarkCheck className="h-4 w-4 mr-2" /> : <Bookmark className="h-4 w-4 mr-2" />}
+                  {currentBookmark ? 'Update Bookmark' : `Bookmark Page ${page}`}
+                </Button>
+              </div>
+
+              {bookmarks.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No bookmarks yet</p>
+              ) : (
+                <div className="space-y-2">
+                  {bookmarks.map((bookmark) => (
+                    <div key={bookmark.id} className="flex items-start gap-2">
+                      <button
+                        type="button"
+                        className="flex-1 text-left text-sm hover:underline"
+                        onClick={() => setPage(bookmark.page)}
+                      >
+                        <span className="font-medium">Page {bookmark.page}</span>
+                        {bookmark.note && <span className="block text-muted-foreground">{bookmark.note}</span>}
+                      </button>
+                      <Button size="sm" variant="ghost" onClick={() => handleRemoveBookmark(bookmark)}>
+                        <X className="h-3 w-3" />
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReaderPage
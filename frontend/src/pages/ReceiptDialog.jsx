@@ -0,0 +1,105 @@
+import React, { useRef } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Printer } from 'lucide-react';
+
+const methodLabels = {
+  cash: 'Cash',
+  upi: 'UPI',
+  card: 'Card',
+  adjustment: 'Adjustment'
+};
+
+function ReceiptDialog({ payment, onClose }) {
+  const receiptRef = useRef(null);
+
+  // Print just the receipt, not the page behind the dialog
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank', 'width=480,height=640');
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>Receipt ${payment.receipt_number}</title>
+          <style>
+            body { font-family: sans-serif; padding: 24px; }
+            table { width: 100%; border-collapse: collapse; }
+            td, th { padding: 4px 0; text-align: left; }
+            .amount { text-align: right; }
+          </style>
+        </head>
+        <body>${receiptRef.current.innerHTML}</body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  return (
+    <Dialog open={!!payment} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{payment?.type === 'refund' ? 'Refund Receipt' : 'Payment Receipt'}</DialogTitle>
+        </DialogHeader>
+        {payment && (
+          <>
+            <div ref={receiptRef} className="space-y-4 text-sm">
+              <div>
+                <h2 className="text-lg font-semibold">
+                  {payment.type === 'refund' ? 'Library Fine Refund' : 'Library Fine Receipt'}
+                </h2>
+                <p>Receipt No: <strong>{payment.receipt_number}</strong></p>
+                <p>Date: {new Date(payment.paid_date).toLocaleDateString()}</p>
+              </div>
+              <div>
+                <p>
+                  {payment.type === 'refund' ? 'Refunded to' : 'Received from'}: {payment.student?.name} ({payment.student?.student_id})
+                </p>
+                <p>
+                  Method: {methodLabels[payment.method]}
+                  {payment.reference ? ` (Ref: ${payment.reference})` : ''}
+                </p>
+                <p>{payment.type === 'refund' ? 'Recorded by' : 'Collected by'}: {payment.collector?.name}</p>
+                {payment.type === 'refund' && payment.notes && <p>Reason: {payment.notes}</p>}
+                {payment.status === 'reversed' && (
+                  <p className="font-semibold text-red-600">
+                    REVERSED on {new Date(payment.reversed_at).toLocaleDateString()}
+                    {payment.reverser ? ` by ${payment.reverser.name}` : ''}
+                  </p>
+                )}
+              </div>
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-1">Fine</th>
+                    <th className="amount text-right py-1">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {payment.allocations?.map((allocation) => (
+                    <tr key={allocation.id}>
+                      <td className="py-1">
+                        #{allocation.fine_id} {allocation.fine?.issuedBook?.book?.title}
+                      </td>
+                      <td className="amount text-right py-1">₹{parseFloat(allocation.amount).toFixed(2)}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t font-semibold">
+                    <td className="py-1">Total</td>
+                    <td className="amount text-right py-1">₹{parseFloat(payment.amount).toFixed(2)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <Button onClick={handlePrint}>
+              <Printer className="h-4 w-4 mr-2" />
+              Print Receipt
+            </Button>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default ReceiptDialog;
@@ -23,6 +23,7 @@ function RegisterPage({ darkMode, toggleDarkMode }) {
   const [courses, setCourses] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [registered, setRegistered] = useState('')
 
   useEffect(() => {
     const fetchCourses = async () => {
@@ -46,7 +47,9 @@ function RegisterPage({ darkMode, toggleDarkMode }) {
       course_id: parseInt(formData.course_id)
     })
     
-    if (!result.success) {
+    if (result.success) {
+      setRegistered(result.message)
+    } else {
       setError(result.error)
     }
     
@@ -75,119 +78,130 @@ function RegisterPage({ darkMode, toggleDarkMode }) {
             <span className="text-2xl font-bold">LBManage</span>
           </div>
           <CardTitle>Student Registration</CardTitle>
-          <CardDescription>Create your student account</CardDescription>
+          <CardDescription>{registered ? `Almost done, we sent a link to ${formData.email}` : 'Create your student account'}</CardDescription>
         </CardHeader>
         <CardContent>
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {error && (
-              <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
-                {error}
+          {registered ? (
+            <div className="space-y-4">
+              <div className="text-sm bg-muted p-3 rounded-md">
+                {registered}
+              </div>
+              <Button className="w-full" onClick={() => window.location.href = '/login'}>
+                Go to Sign In
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+            
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="name">Full Name</Label>
+                  <Input
+                    id="name"
+                    name="name"
+                    placeholder="Your name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    required
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="student_id">Student ID</Label>
+                  <Input
+                    id="student_id"
+                    name="student_id"
+                    placeholder="Student ID"
+                    value={formData.student_id}
+                    onChange={handleChange}
+                    required
+                  />
+                </div>
               </div>
-            )}
             
-            <div className="grid grid-cols-2 gap-4">
               <div className="space-y-2">
-                <Label htmlFor="name">Full Name</Label>
+                <Label htmlFor="email">Email</Label>
                 <Input
-                  id="name"
-                  name="name"
-                  placeholder="Your name"
-                  value={formData.name}
+                  id="email"
+                  name="email"
+                  type="email"
+                  placeholder="your.email@example.com"
+                  value={formData.email}
                   onChange={handleChange}
                   required
                 />
               </div>
+            
               <div className="space-y-2">
-                <Label htmlFor="student_id">Student ID</Label>
+                <Label htmlFor="password">Password</Label>
                 <Input
-                  id="student_id"
-                  name="student_id"
-                  placeholder="Student ID"
-                  value={formData.student_id}
+                  id="password"
+                  name="password"
+                  type="password"
+                  placeholder="Create a password"
+                  value={formData.password}
                   onChange={handleChange}
                   required
                 />
               </div>
-            </div>
-            
-            <div className="space-y-2">
-              <Label htmlFor="email">Email</Label>
-              <Input
-                id="email"
-                name="email"
-                type="email"
-                placeholder="your.email@example.com"
-                value={formData.email}
-                onChange={handleChange}
-                required
-              />
-            </div>
-            
-            <div className="space-y-2">
-              <Label htmlFor="password">Password</Label>
-              <Input
-                id="password"
-                name="password"
-                type="password"
-                placeholder="Create a password"
-                value={formData.password}
-                onChange={handleChange}
-                required
-              />
-            </div>
             
-            <div className="grid grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <Label htmlFor="course_id">Course</Label>
-                <Select value={formData.course_id} onValueChange={(value) => setFormData({...formData, course_id: value})}>
-                  <SelectTrigger>
-                    <SelectValue placeholder="Select course" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    {courses.map((course) => (
-                      <SelectItem key={course.id} value={course.id.toString()}>
-                        {course.name} ({course.code})
-                      </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="course_id">Course</Label>
+                  <Select value={formData.course_id} onValueChange={(value) => setFormData({...formData, course_id: value})}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select course" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {courses.map((course) => (
+                        <SelectItem key={course.id} value={course.id.toString()}>
+                          {course.name} ({course.code})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="semester">Semester</Label>
+                  <Input
+                    id="semester"
+                    name="semester"
+                    placeholder="e.g., 1st"
+                    value={formData.semester}
+                    onChange={handleChange}
+                    required
+                  />
+                </div>
               </div>
+            
               <div className="space-y-2">
-                <Label htmlFor="semester">Semester</Label>
+                <Label htmlFor="phone">Phone (Optional)</Label>
                 <Input
-                  id="semester"
-                  name="semester"
-                  placeholder="e.g., 1st"
-                  value={formData.semester}
+                  id="phone"
+                  name="phone"
+                  placeholder="Your phone number"
+                  value={formData.phone}
                   onChange={handleChange}
-                  required
                 />
               </div>
-            </div>
-            
-            <div className="space-y-2">
-              <Label htmlFor="phone">Phone (Optional)</Label>
-              <Input
-                id="phone"
-                name="phone"
-                placeholder="Your phone number"
-                value={formData.phone}
-                onChange={handleChange}
-              />
-            </div>
-            
-            <Button type="submit" className="w-full" disabled={loading}>
-              {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
-              Register
-            </Button>
             
-            <div className="text-center text-sm">
-              <span className="text-muted-foreground">Already have an account? </span>
-              <Button variant="link" className="p-0 h-auto" onClick={() => window.location.href = '/login'}>
-                Sign In
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                Register
               </Button>
-            </div>
-          </form>
+            
+              <div className="text-center text-sm">
+                <span className="text-muted-foreground">Already have an account? </span>
+                <Button variant="link" className="p-0 h-auto" onClick={() => window.location.href = '/login'}>
+                  Sign In
+                </Button>
+              </div>
+            </form>
+          )}
         </CardContent>
       </Card>
     </div>
@@ -0,0 +1,133 @@
+import React, { useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../lib/api'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Moon, Sun, Library, Loader2 } from 'lucide-react'
+
+// Opened from the link in a password reset email
+function ResetPasswordPage({ darkMode, toggleDarkMode }) {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(token ? '' : 'This link is invalid or has expired')
+  const [done, setDone] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+    try {
+      const response = await authAPI.resetPassword({ token, password: formData.password })
+      setDone(response.data.message)
+    } catch (error) {
+      const details = error.response?.data?.errors?.map(item => item.msg).join(', ')
+      setError(error.response?.data?.message === 'Validation failed' && details
+        ? details
+        : error.response?.data?.message || 'Failed to reset password')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    })
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background p-4">
+      <div className="absolute top-4 right-4">
+        <Button variant="ghost" size="icon" onClick={toggleDarkMode}>
+          {darkMode ? <Sun className="h-5 w-5" /> : <Moon className="h-5 w-5" />}
+        </Button>
+      </div>
+
+      <Card className="w-full max-w-md">
+        <CardHeader className="text-center">
+          <div className="flex items-center justify-center gap-2 mb-4">
+            <Library className="h-8 w-8 text-primary" />
+            <span className="text-2xl font-bold">LBManage</span>
+          </div>
+          <CardTitle>Choose a New Password</CardTitle>
+          <CardDescription>You will be signed out on every device</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {done ? (
+            <div className="space-y-4">
+              <div className="text-sm bg-muted p-3 rounded-md">
+                {done}
+              </div>
+              <Button className="w-full" onClick={() => navigate('/login')}>
+                Go to Sign In
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="password">New Password</Label>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  placeholder="At least 6 characters"
+                  value={formData.password}
+                  onChange={handleChange}
+                  minLength={6}
+                  required
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword">Confirm Password</Label>
+                <Input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  placeholder="Repeat the new password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  required
+                />
+              </div>
+
+              <Button type="submit" className="w-full" disabled={loading || !token}>
+                {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                Change Password
+              </Button>
+
+              <div className="text-center text-sm">
+                <Button type="button" variant="link" className="p-0 h-auto" onClick={() => navigate('/forgot-password')}>
+                  Link expired? Request a new one
+                </Button>
+              </div>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default ResetPasswordPage
@@ -1,7 +1,187 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Badge } from '@/components/ui/badge'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { Plus, Edit, Trash2 } from 'lucide-react'
+import { circulationPoliciesAPI, coursesAPI, closuresAPI, finesAPI } from '../lib/api'
+import CirculationPolicyDialog from './CirculationPolicyDialog'
+
+const weekDays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const reasonUsageLabels = {
+  waiver: 'Waivers',
+  reversal: 'Reversals',
+  any: 'Waivers and reversals'
+}
 
 function SettingsView() {
+  const [policies, setPolicies] = useState([])
+  const [courses, setCourses] = useState([])
+  const [showPolicyDialog, setShowPolicyDialog] = useState(false)
+  const [selectedPolicy, setSelectedPolicy] = useState(null)
+  const [closures, setClosures] = useState([])
+  const [closureError, setClosureError] = useState('')
+  const [closureForm, setClosureForm] = useState({
+    name: '',
+    closure_type: 'one_off',
+    day_of_week: '0',
+    start_date: '',
+    end_date: ''
+  })
+  const [reasonCodes, setReasonCodes] = useState([])
+  const [reasonError, setReasonError] = useState('')
+  const [reasonForm, setReasonForm] = useState({ code: '', label: '', applies_to: 'any' })
+  const [fineSettings, setFineSettings] = useState(null)
+  const [fineSettingsMessage, setFineSettingsMessage] = useState('')
+
+  useEffect(() => {
+    fetchData()
+  }, [])
+
+  const fetchData = async () => {
+    try {
+      const [policiesRes, coursesRes, closuresRes, reasonCodesRes, fineConfigRes] = await Promise.all([
+        circulationPoliciesAPI.getAll(),
+        coursesAPI.getAll(),
+        closuresAPI.getAll(),
+        finesAPI.getReasonCodes(),
+        finesAPI.getConfig()
+      ])
+
+      setPolicies(policiesRes.data || [])
+      setCourses(coursesRes.data || [])
+      setClosures(closuresRes.data || [])
+      setReasonCodes(reasonCodesRes.data || [])
+
+      // Empty inputs stand for limits that are switched off
+      const config = fineConfigRes.data
+      setFineSettings({
+        fine_rate_per_day: config.fine_rate_per_day ?? '',
+        grace_period_days: config.grace_period_days ?? '',
+        max_fine_amount: config.max_fine_amount ?? '',
+        default_replacement_cost: config.default_replacement_cost ?? '',
+        processing_fee: config.processing_fee ?? '',
+        block_fine_threshold: config.block_fine_threshold ?? '',
+        block_overdue_items: config.block_overdue_items ?? ''
+      })
+    } catch (error) {
+      console.error('Failed to fetch settings:', error)
+    }
+  }
+
+  const handleEditPolicy = (policy) => {
+    setSelectedPolicy(policy)
+    setShowPolicyDialog(true)
+  }
+
+  const handleDeletePolicy = async (policyId) => {
+    if (window.confirm('Are you sure you want to remove this policy?')) {
+      try {
+        await circulationPoliciesAPI.delete(policyId)
+        fetchData()
+      } catch (error) {
+        console.error('Failed to delete policy:', error)
+      }
+    }
+  }
+
+  const handleAddClosure = async (e) => {
+    e.preventDefault()
+    setClosureError('')
+
+    try {
+      const data = closureForm.closure_type === 'weekly'
+        ? { name: closureForm.name, closure_type: 'weekly', day_of_week: parseInt(closureForm.day_of_week) }
+        : {
+            name: closureForm.name,
+            closure_type: 'one_off',
+            start_date: closureForm.start_date,
+            end_date: closureForm.end_date || undefined
+          }
+
+      await closuresAPI.create(data)
+      setClosureForm({ ...closureForm, name: '', start_date: '', end_date: '' })
+      fetchData()
+    } catch (error) {
+      console.error('Failed to add closure:', error)
+      setClosureError(error.response?.data?.message || 'Failed to add closure')
+    }
+  }
+
+  const handleDeleteClosure = async (closureId) => {
+    try {
+      await closuresAPI.delete(closureId)
+      fetchData()
+    } catch (error) {
+      console.error('Failed to remove closure:', error)
+    }
+  }
+
+  const handleSaveFineSettings = async (e) => {
+    e.preventDefault()
+    setFineSettingsMessage('')
+
+    try {
+      await finesAPI.updateConfig({
+        ...fineSettings,
+        max_fine_amount: fineSettings.max_fine_amount === '' ? null : fineSettings.max_fine_amount,
+        block_fine_threshold: fineSettings.block_fine_threshold === '' ? null : fineSettings.block_fine_threshold,
+        block_overdue_items: fineSettings.block_overdue_items === '' ? null : parseInt(fineSettings.block_overdue_items)
+      })
+      setFineSettingsMessage('Fine settings saved')
+      fetchData()
+    } catch (error) {
+      console.error('Failed to save fine settings:', error)
+      setFineSettingsMessage(error.response?.data?.message || 'Failed to save fine settings')
+    }
+  }
+
+  const handleAddReasonCode = async (e) => {
+    e.preventDefault()
+    setReasonError('')
+
+    try {
+      await finesAPI.createReasonCode(reasonForm)
+      setReasonForm({ code: '', label: '', applies_to: 'any' })
+      fetchData()
+    } catch (error) {
+      console.error('Failed to add reason code:', error)
+      setReasonError(error.response?.data?.message || 'Failed to add reason code')
+    }
+  }
+
+  const handleDeleteReasonCode = async (reasonCodeId) => {
+    try {
+      await finesAPI.deleteReasonCode(reasonCodeId)
+      fetchData()
+    } catch (error) {
+      console.error('Failed to retire reason code:', error)
+    }
+  }
+
+  const describeClosure = (closure) => {
+    if (closure.closure_type === 'weekly') {
+      return `Every ${weekDays[closure.day_of_week]}`
+    }
+    const start = new Date(closure.start_date).toLocaleDateString()
+    const end = new Date(closure.end_date).toLocaleDateString()
+    return start === end ? start : `${start} – ${end}`
+  }
+
+  const describeMatch = (policy) => {
+    const keys = [
+      policy.course ? policy.course.code : null,
+      policy.semester ? `Sem ${policy.semester}` : null,
+      policy.item_category,
+      policy.loan_type
+    ]
+    return keys.filter(Boolean).join(' · ') || 'All students'
+  }
+
   return (
     <div className="space-y-6">
       <div>
@@ -10,16 +190,364 @@ function SettingsView() {
       </div>
 
       <Card>
-        <CardHeader>
-          <CardTitle>Library Settings</CardTitle>
-          <CardDescription>Configure library parameters</CardDescription>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <div>
+            <CardTitle>Circulation Policies</CardTitle>
+            <CardDescription>
+              Loan period, loan limit, renewals and fine rate by patron and item category
+            </CardDescription>
+          </div>
+          <Button onClick={() => { setSelectedPolicy(null); setShowPolicyDialog(true) }}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Policy
+          </Button>
         </CardHeader>
         <CardContent>
-          <p className="text-muted-foreground">Settings functionality coming soon...</p>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Applies To</TableHead>
+                <TableHead>Loan Period</TableHead>
+                <TableHead>Max Loans</TableHead>
+                <TableHead>Renewals</TableHead>
+                <TableHead>Fine / Day</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {policies.map((policy) => (
+                <TableRow key={policy.id}>
+                  <TableCell className="font-medium">{policy.name}</TableCell>
+                  <TableCell>{describeMatch(policy)}</TableCell>
+                  <TableCell>
+                    {policy.is_loanable ? `${policy.loan_period_days} days` : <Badge variant="secondary">Reference only</Badge>}
+                  </TableCell>
+                  <TableCell>{policy.max_loans}</TableCell>
+                  <TableCell>{policy.max_renewals}</TableCell>
+                  <TableCell>{policy.fine_rate_per_day !== null ? `₹${policy.fine_rate_per_day}` : 'Global'}</TableCell>
+                  <TableCell>
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="outline" onClick={() => handleEditPolicy(policy)}>
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                      <Button size="sm" variant="outline" onClick={() => handleDeletePolicy(policy.id)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {policies.length === 0 && (
+            <p className="text-center text-muted-foreground py-4">
+              No policies yet. Loans use 14 days, the student's own limit and the global fine rate.
+            </p>
+          )}
         </CardContent>
       </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Library Closures</CardTitle>
+          <CardDescription>
+            Due dates are moved past closed days, and closed days do not count towards fines
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <form onSubmit={handleAddClosure} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="closure_name">Name</Label>
+              <Input
+                id="closure_name"
+                placeholder="e.g., Diwali"
+                value={closureForm.name}
+                onChange={(e) => setClosureForm({...closureForm, name: e.target.value})}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Repeats</Label>
+              <Select value={closureForm.closure_type} onValueChange={(value) => setClosureForm({...closureForm, closure_type: value})}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="one_off">One-off</SelectItem>
+                  <SelectItem value="weekly">Every week</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {closureForm.closure_type === 'weekly' ? (
+              <div className="space-y-2 md:col-span-2">
+                <Label>Day</Label>
+                <Select value={closureForm.day_of_week} onValueChange={(value) => setClosureForm({...closureForm, day_of_week: value})}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {weekDays.map((day, index) => (
+                      <SelectItem key={day} value={index.toString()}>{day}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ) : (
+              <>
+                <div className="space-y-2">
+                  <Label htmlFor="start_date">From</Label>
+                  <Input
+                    id="start_date"
+                    type="date"
+                    value={closureForm.start_date}
+                    onChange={(e) => setClosureForm({...closureForm, start_date: e.target.value})}
+                    required
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="end_date">To (optional)</Label>
+                  <Input
+                    id="end_date"
+                    type="date"
+                    value={closureForm.end_date}
+                    onChange={(e) => setClosureForm({...closureForm, end_date: e.target.value})}
+                  />
+                </div>
+              </>
+            )}
+            <Button type="submit">
+              <Plus className="h-4 w-4 mr-2" />
+              Add Closure
+            </Button>
+          </form>
+
+          {closureError && <p className="text-sm text-red-600">{closureError}</p>}
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>When</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {closures.map((closure) => (
+                <TableRow key={closure.id}>
+                  <TableCell className="font-medium">{closure.name}</TableCell>
+                  <TableCell>
+                    {describeClosure(closure)}
+                    {closure.closure_type === 'weekly' && <Badge variant="secondary" className="ml-2">Weekly</Badge>}
+                  </TableCell>
+                  <TableCell>
+                    <Button size="sm" variant="outline" onClick={() => handleDeleteClosure(closure.id)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {closures.length === 0 && (
+            <p className="text-center text-muted-foreground py-4">No closures scheduled</p>
+          )}
+        </CardContent>
+      </Card>
+
+      {fineSettings && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Fines & Borrowing Blocks</CardTitle>
+            <CardDescription>
+              Global fine charges, and the limits that stop a student from borrowing or renewing. Leave a limit empty to switch it off.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSaveFineSettings} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="fine_rate_per_day">Fine per Day (₹)</Label>
+                  <Input
+                    id="fine_rate_per_day"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={fineSettings.fine_rate_per_day}
+                    onChange={(e) => setFineSettings({...fineSettings, fine_rate_per_day: e.target.value})}
+                    required
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="grace_period_days">Grace Period (days)</Label>
+                  <Input
+                    id="grace_period_days"
+                    type="number"
+                    min="0"
+                    value={fineSettings.grace_period_days}
+                    onChange={(e) => setFineSettings({...fineSettings, grace_period_days: e.target.value})}
+                    required
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="max_fine_amount">Maximum Overdue Fine (₹)</Label>
+                  <Input
+                    id="max_fine_amount"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="No maximum"
+                    value={fineSettings.max_fine_amount}
+                    onChange={(e) => setFineSettings({...fineSettings, max_fine_amount: e.target.value})}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="default_replacement_cost">Default Replacement Cost (₹)</Label>
+                  <Input
+                    id="default_replacement_cost"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={fineSettings.default_replacement_cost}
+                    onChange={(e) => setFineSettings({...fineSettings, default_replacement_cost: e.target.value})}
+                    required
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="processing_fee">Processing Fee (₹)</Label>
+                  <Input
+                    id="processing_fee"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={fineSettings.processing_fee}
+                    onChange={(e) => setFineSettings({...fineSettings, processing_fee: e.target.value})}
+                    required
+                  />
+                </div>
+                <div />
+                <div className="space-y-2">
+                  <Label htmlFor="block_fine_threshold">Block When Fines Exceed (₹)</Label>
+                  <Input
+                    id="block_fine_threshold"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Never"
+                    value={fineSettings.block_fine_threshold}
+                    onChange={(e) => setFineSettings({...fineSettings, block_fine_threshold: e.target.value})}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="block_overdue_items">Block at Overdue Items</Label>
+                  <Input
+                    id="block_overdue_items"
+                    type="number"
+                    min="1"
+                    placeholder="Never"
+                    value={fineSettings.block_overdue_items}
+                    onChange={(e) => setFineSettings({...fineSettings, block_overdue_items: e.target.value})}
+                  />
+                </div>
+              </div>
+
+              {fineSettingsMessage && <p className="text-sm text-muted-foreground">{fineSettingsMessage}</p>}
+
+              <Button type="submit">Save Fine Settings</Button>
+            </form>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Fine Reason Codes</CardTitle>
+          <CardDescription>
+            Reasons librarians choose from when waiving a fine or reversing a payment or waiver
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <form onSubmit={handleAddReasonCode} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="reason_code">Code</Label>
+              <Input
+                id="reason_code"
+                placeholder="e.g., MEDICAL"
+                value={reasonForm.code}
+                onChange={(e) => setReasonForm({...reasonForm, code: e.target.value})}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="reason_label">Label</Label>
+              <Input
+                id="reason_label"
+                placeholder="e.g., Medical leave"
+                value={reasonForm.label}
+                onChange={(e) => setReasonForm({...reasonForm, label: e.target.value})}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Used For</Label>
+              <Select value={reasonForm.applies_to} onValueChange={(value) => setReasonForm({...reasonForm, applies_to: value})}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="any">Waivers and reversals</SelectItem>
+                  <SelectItem value="waiver">Waivers</SelectItem>
+                  <SelectItem value="reversal">Reversals</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <Button type="submit">
+              <Plus className="h-4 w-4 mr-2" />
+              Add Reason
+            </Button>
+          </form>
+
+          {reasonError && <p className="text-sm text-red-600">{reasonError}</p>}
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Code</TableHead>
+                <TableHead>Label</TableHead>
+                <TableHead>Used For</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {reasonCodes.map((reason) => (
+                <TableRow key={reason.id}>
+                  <TableCell className="font-mono">{reason.code}</TableCell>
+                  <TableCell>{reason.label}</TableCell>
+                  <TableCell>{reasonUsageLabels[reason.applies_to]}</TableCell>
+                  <TableCell>
+                    <Button size="sm" variant="outline" onClick={() => handleDeleteReasonCode(reason.id)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <CirculationPolicyDialog
+        open={showPolicyDialog}
+        onClose={() => setShowPolicyDialog(false)}
+        policy={selectedPolicy}
+        courses={courses}
+        onSuccess={() => {
+          setShowPolicyDialog(false)
+          fetchData()
+        }}
+      />
     </div>
   )
 }
 
-export default SettingsView
\ No newline at end of file
+export default SettingsView
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Loader2 } from 'lucide-react'
+import { librariansAPI } from '../lib/api'
+
+const emptyForm = {
+  name: '',
+  email: '',
+  employee_id: '',
+  phone: '',
+  address: '',
+  password: '',
+  role: 'librarian'
+}
+
+// Adds a staff account, or edits the details of an existing one when
+// `librarian` is given. Roles of existing staff are changed from the table.
+function StaffFormDialog({ open, librarian, roles, onClose, onSaved }) {
+  const [formData, setFormData] = useState(emptyForm)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (open) {
+      setFormData(librarian ? {
+        name: librarian.name || '',
+        email: librarian.email || '',
+        employee_id: librarian.employee_id || '',
+        phone: librarian.phone || '',
+        address: librarian.address || ''
+      } : emptyForm)
+      setError('')
+    }
+  }, [open, librarian])
+
+  const handleChange = (field, value) => {
+    setFormData({ ...formData, [field]: value })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+
+    // Leave out blank optional fields so validation skips them
+    const data = Object.fromEntries(Object.entries(formData).filter(([, value]) => value !== ''))
+
+    try {
+      const response = librarian
+        ? await librariansAPI.update(librarian.id, data)
+        : await librariansAPI.create(data)
+      onSaved(response.data.librarian)
+    } catch (error) {
+      console.error('Failed to save librarian:', error)
+      const details = error.response?.data?.errors?.map(item => `${item.path}: ${item.msg}`).join(', ')
+      setError(details || error.response?.data?.message || 'Failed to save librarian')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{librarian ? 'Edit Staff Member' : 'Add Staff Member'}</DialogTitle>
+          <DialogDescription>
+            {librarian ? 'Update contact and employee details' : 'Create a librarian account that can sign in straight away'}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="space-y-2">
+            <Label htmlFor="staff_name">Name</Label>
+            <Input
+              id="staff_name"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="staff_email">Email</Label>
+              <Input
+                id="staff_email"
+                type="email"
+                value={formData.email}
+                onChange={(e) => handleChange('email', e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="staff_employee_id">Employee ID</Label>
+              <Input
+                id="staff_employee_id"
+                value={formData.employee_id}
+                onChange={(e) => handleChange('employee_id', e.target.value)}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="staff_phone">Phone</Label>
+            <Input
+              id="staff_phone"
+              value={formData.phone}
+              onChange={(e) => handleChange('phone', e.target.value)}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="staff_address">Address</Label>
+            <Input
+              id="staff_address"
+              value={formData.address}
+              onChange={(e) => handleChange('address', e.target.value)}
+            />
+          </div>
+
+          {!librarian && (
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="staff_password">Password</Label>
+                <Input
+                  id="staff_password"
+                  type="password"
+                  value={formData.password}
+                  onChange={(e) => handleChange('password', e.target.value)}
+                  minLength={6}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Role</Label>
+                <Select value={formData.role} onValueChange={(value) => handleChange('role', value)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {roles.map((role) => (
+                      <SelectItem key={role.name} value={role.name}>{role.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose} className="flex-1">
+              Cancel
+            </Button>
+            <Button type="submit" disabled={loading} className="flex-1">
+              {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+              {librarian ? 'Save' : 'Add'}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default StaffFormDialog
@@ -0,0 +1,396 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Switch } from '@/components/ui/switch'
+import { Label } from '@/components/ui/label'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { Search, Loader2, Plus, Edit, KeyRound, UserX, UserCheck, ShieldOff, LockOpen } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import { librariansAPI } from '../lib/api'
+import { isLockedOut } from '../lib/utils'
+import StaffFormDialog from './StaffFormDialog'
+import SignInActivityCard from '../components/SignInActivityCard'
+
+function StaffView() {
+  const { user } = useAuth()
+  const [librarians, setLibrarians] = useState([])
+  const [roles, setRoles] = useState([])
+  const [permissions, setPermissions] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [searchQuery, setSearchQuery] = useState('')
+  const [savingId, setSavingId] = useState(null)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [temporaryPassword, setTemporaryPassword] = useState(null)
+  const [formOpen, setFormOpen] = useState(false)
+  const [editingLibrarian, setEditingLibrarian] = useState(null)
+  const [security, setSecurity] = useState(null)
+  const [savingSecurity, setSavingSecurity] = useState(false)
+
+  useEffect(() => {
+    fetchRoles()
+    fetchSecurity()
+  }, [])
+
+  useEffect(() => {
+    const fetchLibrarians = async () => {
+      try {
+        setLoading(true)
+        const params = {}
+        if (searchQuery) params.search = searchQuery
+
+        const response = await librariansAPI.getAll(params)
+        setLibrarians(response.data)
+      } catch (error) {
+        console.error('Failed to fetch librarians:', error)
+        setError('Failed to load staff accounts')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchLibrarians()
+  }, [searchQuery])
+
+  const fetchRoles = async () => {
+    try {
+      const response = await librariansAPI.getRoles()
+      setRoles(response.data.roles)
+      setPermissions(response.data.permissions)
+    } catch (error) {
+      console.error('Failed to fetch roles:', error)
+    }
+  }
+
+  const fetchSecurity = async () => {
+    try {
+      const response = await librariansAPI.getSecurity()
+      setSecurity(response.data)
+    } catch (error) {
+      console.error('Failed to fetch security settings:', error)
+    }
+  }
+
+  const handleRequireTwoFactor = async (required) => {
+    if (required && !window.confirm('Require two-factor authentication for all staff? Anyone who has not set it up will be signed out and asked to set it up at their next sign-in.')) {
+      return
+    }
+    try {
+      setSavingSecurity(true)
+      setError('')
+      setSuccess('')
+      const response = await librariansAPI.updateSecurity({ require_staff_two_factor: required })
+      setSecurity(response.data.settings)
+      setSuccess(response.data.message)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update security settings')
+    } finally {
+      setSavingSecurity(false)
+    }
+  }
+
+  const replaceLibrarian = (librarian) => {
+    setLibrarians(current => current.map(item => (item.id === librarian.id ? librarian : item)))
+  }
+
+  // Runs one row action, showing its spinner and the outcome
+  const runAction = async (librarian, action, failureMessage) => {
+    try {
+      setSavingId(librarian.id)
+      setError('')
+      setSuccess('')
+      setTemporaryPassword(null)
+      await action()
+    } catch (error) {
+      setError(error.response?.data?.message || failureMessage)
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  const handleRoleChange = (librarian, role) => runAction(librarian, async () => {
+    const response = await librariansAPI.updateRole(librarian.id, role)
+    replaceLibrarian(response.data.librarian)
+    setSuccess(`${librarian.name} is now ${roleLabel(role)}`)
+  }, 'Failed to change role')
+
+  const handleToggleActive = (librarian) => {
+    if (librarian.is_active && !window.confirm(`Deactivate ${librarian.name}? They will be signed out and unable to log in.`)) {
+      return
+    }
+    runAction(librarian, async () => {
+      const response = await librariansAPI.setActive(librarian.id, !librarian.is_active)
+      replaceLibrarian(response.data.librarian)
+      setSuccess(response.data.message)
+    }, 'Failed to update account')
+  }
+
+  const handleResetPassword = (librarian) => {
+    if (!window.confirm(`Reset the password for ${librarian.name}? They will be signed out everywhere.`)) {
+      return
+    }
+    runAction(librarian, async () => {
+      const response = await librariansAPI.resetPassword(librarian.id)
+      setTemporaryPassword({ name: librarian.name, password: response.data.temporary_password })
+    }, 'Failed to reset password')
+  }
+
+  const handleResetTwoFactor = (librarian) => {
+    if (!window.confirm(`Reset two-factor authentication for ${librarian.name}? Use this when they have lost their phone. They will be signed out everywhere.`)) {
+      return
+    }
+    runAction(librarian, async () => {
+      const response = await librariansAPI.resetTwoFactor(librarian.id)
+      replaceLibrarian(response.data.librarian)
+      setSuccess(response.data.message)
+    }, 'Failed to reset two-factor authentication')
+  }
+
+  const handleUnlock = (librarian) => runAction(librarian, async () => {
+    const response = await librariansAPI.unlock(librarian.id)
+    replaceLibrarian(response.data.librarian)
+    setSuccess(response.data.message)
+  }, 'Failed to unlock account')
+
+  const openForm = (librarian = null) => {
+    setEditingLibrarian(librarian)
+    setFormOpen(true)
+  }
+
+  const handleSaved = (librarian) => {
+    if (editingLibrarian) {
+      replaceLibrarian(librarian)
+      setSuccess(`${librarian.name} updated`)
+    } else {
+      setLibrarians(current => [...current, librarian].sort((a, b) => a.name.localeCompare(b.name)))
+      setSuccess(`${librarian.name} added`)
+    }
+    setFormOpen(false)
+  }
+
+  const roleLabel = (name) => roles.find(role => role.name === name)?.label || name
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Staff</h1>
+          <p className="text-muted-foreground">Librarian accounts and what each role may do</p>
+        </div>
+        <Button onClick={() => openForm()}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add Staff
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {success && (
+        <Alert>
+          <AlertDescription>{success}</AlertDescription>
+        </Alert>
+      )}
+      {temporaryPassword && (
+        <Alert>
+          <AlertDescription>
+            Temporary password for {temporaryPassword.name}: <code className="font-mono font-semibold">{temporaryPassword.password}</code>.
+            Pass it on privately; it will not be shown again.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Search */}
+      <Card>
+        <CardContent className="pt-6">
+          <div className="relative">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+            <Input
+              placeholder="Search staff by name, email or employee ID..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="pl-10"
+            />
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Staff Table */}
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="h-8 w-8 animate-spin" />
+        </div>
+      ) : (
+        <Card>
+          <CardContent className="pt-6">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Employee ID</TableHead>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Email</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>2FA</TableHead>
+                  <TableHead>Role</TableHead>
+                  <TableHead>Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {librarians.map((librarian) => (
+                  <TableRow key={librarian.id}>
+                    <TableCell>{librarian.employee_id}</TableCell>
+                    <TableCell>{librarian.name}</TableCell>
+                    <TableCell>{librarian.email}</TableCell>
+                    <TableCell>
+                      <Badge variant={librarian.is_active ? 'secondary' : 'outline'}>
+                        {librarian.is_active ? 'Active' : 'Inactive'}
+                      </Badge>
+                      {isLockedOut(librarian) && <Badge variant="destructive" className="ml-2">Locked</Badge>}
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant={librarian.two_factor_enabled ? 'secondary' : 'outline'}>
+                        {librarian.two_factor_enabled ? 'On' : 'Off'}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        <Select
+                          value={librarian.role}
+                          onValueChange={(value) => handleRoleChange(librarian, value)}
+                          disabled={savingId === librarian.id}
+                        >
+                          <SelectTrigger className="w-44">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {roles.map((role) => (
+                              <SelectItem key={role.name} value={role.name}>{role.label}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        {savingId === librarian.id && <Loader2 className="h-4 w-4 animate-spin" />}
+                      </div>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex gap-2">
+                        <Button size="sm" variant="outline" onClick={() => openForm(librarian)}>
+                          <Edit className="h-3 w-3 mr-1" />
+                          Edit
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleResetPassword(librarian)}
+                          disabled={savingId === librarian.id}
+                        >
+                          <KeyRound className="h-3 w-3 mr-1" />
+                          Reset Password
+                        </Button>
+                        {isLockedOut(librarian) && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleUnlock(librarian)}
+                            disabled={savingId === librarian.id}
+                          >
+                            <LockOpen className="h-3 w-3 mr-1" />
+                            Unlock
+                          </Button>
+                        )}
+                        {librarian.two_factor_enabled && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleResetTwoFactor(librarian)}
+                            disabled={savingId === librarian.id}
+                          >
+                            <ShieldOff className="h-3 w-3 mr-1" />
+                            Reset 2FA
+                          </Button>
+                        )}
+                        {librarian.id !== user?.id && (
+                          <Button
+                            size="sm"
+                            variant={librarian.is_active ? 'destructive' : 'outline'}
+                            onClick={() => handleToggleActive(librarian)}
+                            disabled={savingId === librarian.id}
+                          >
+                            {librarian.is_active
+                              ? <UserX className="h-3 w-3 mr-1" />
+                              : <UserCheck className="h-3 w-3 mr-1" />}
+                            {librarian.is_active ? 'Deactivate' : 'Reactivate'}
+                          </Button>
+                        )}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
+      <StaffFormDialog
+        open={formOpen}
+        librarian={editingLibrarian}
+        roles={roles}
+        onClose={() => setFormOpen(false)}
+        onSaved={handleSaved}
+      />
+
+      {/* Sign-in security */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Sign-in Security</CardTitle>
+          <CardDescription>Two-factor authentication asks for a code from an authenticator app after the password</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <div className="flex items-center gap-2">
+            <Switch
+              id="require_staff_two_factor"
+              checked={!!security?.require_staff_two_factor}
+              disabled={!security || savingSecurity}
+              onCheckedChange={handleRequireTwoFactor}
+            />
+            <Label htmlFor="require_staff_two_factor">Require two-factor authentication for all staff</Label>
+            {savingSecurity && <Loader2 className="h-4 w-4 animate-spin" />}
+          </div>
+          <p className="text-sm text-muted-foreground">
+            Turn it on for your own account from your profile first. Staff without it are signed out and set it up at their next sign-in.
+          </p>
+        </CardContent>
+      </Card>
+
+      <SignInActivityCard />
+
+      {/* Role reference */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Roles</CardTitle>
+          <CardDescription>Every librarian can look up books, students, loans and fines; these permissions control changes</CardDescription>
+        </CardHeader>
+        <CardContent className="grid gap-4 md:grid-cols-3">
+          {roles.map((role) => (
+            <div key={role.name} className="rounded-lg border p-4 space-y-2">
+              <p className="font-medium">{role.label}</p>
+              <ul className="space-y-1 text-sm text-muted-foreground">
+                {role.permissions.map((permission) => (
+                  <li key={permission}>{permissions[permission] || permission}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default StaffView
@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { BookOpen, Calendar, AlertCircle, Star, IndianRupee } from 'lucide-react';
-import { issuedBooksAPI, suggestedBooksAPI, finesAPI } from '../lib/api';
+import { BookOpen, Calendar, AlertCircle, Star, IndianRupee, Ban } from 'lucide-react';
+import { issuedBooksAPI, suggestedBooksAPI, finesAPI, reservationsAPI, patronBlocksAPI } from '../lib/api';
 import { Loader2 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
 
 function StudentDashboard() {
   const [stats, setStats] = useState({
@@ -15,14 +16,16 @@ function StudentDashboard() {
     pendingFines: 0,
     totalFinesAmount: 0
   });
+  const [blocks, setBlocks] = useState([]);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
+  const { user } = useAuth();
 
   useEffect(() => {
-    fetchStats();
-  }, []);
+    fetchStats(user.id);
+  }, [user.id]);
 
-  const fetchStats = async () => {
+  const fetchStats = async (studentId) => {
     try {
       // Fetch student's issued books
       const issuedResponse = await issuedBooksAPI.getAll({ status: 'issued' });
@@ -37,13 +40,21 @@ function StudentDashboard() {
       const overdueBooks = issuedBooks.filter(book => new Date(book.due_date) < now);
       
       // Fetch pending fines
-      const finesResponse = await finesAPI.getStudentFines('pending');
+      const finesResponse = await finesAPI.getStudentFines(studentId, 'pending');
       const pendingFines = finesResponse.data.fines || [];
-      const totalFinesAmount = pendingFines.reduce((sum, fine) => sum + parseFloat(fine.amount), 0);
+      const totalFinesAmount = pendingFines.reduce((sum, fine) => sum + parseFloat(fine.balance), 0);
+
+      // Fetch anything stopping the student from borrowing
+      const blocksResponse = await patronBlocksAPI.getForStudent(studentId);
+      setBlocks(blocksResponse.data.blocks || []);
+
+      // Fetch holds that are ready for pickup
+      const reservationsResponse = await reservationsAPI.getAll({ status: 'ready' });
+      const readyHolds = reservationsResponse.data || [];
       
       setStats({
         borrowedBooks: issuedBooks.length,
-        reservedBooks: 0, // TODO: Implement reservations
+        reservedBooks: readyHolds.length,
         overdueBooks: overdueBooks.length,
         suggestions: suggestions.filter(s => s.status === 'pending').length,
         pendingFines: pendingFines.length,
@@ -71,6 +82,33 @@ function StudentDashboard() {
         <p className="text-muted-foreground">Welcome back! Here's your library overview.</p>
       </div>
 
+      {/* Borrowing Blocks */}
+      {blocks.length > 0 && (
+        <Card className="border-destructive">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-destructive">
+              <Ban className="h-5 w-5" />
+              Borrowing Blocked
+            </CardTitle>
+            <CardDescription>You cannot borrow or renew books until this is resolved</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ul className="list-disc pl-5 space-y-1">
+              {blocks.map((block, index) => (
+                <li key={index}>
+                  {block.reason}
+                  {block.expires_on && (
+                    <span className="text-muted-foreground">
+                      {' '}(until {new Date(block.expires_on).toLocaleDateString()})
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Stats Cards */}
       <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
         <Card>
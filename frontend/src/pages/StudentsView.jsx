@@ -2,15 +2,25 @@ import React, { useState, useEffect } from 'react'
 import { Card, CardContent } from '@/components/ui/card'
 import { Input } from '@/components/ui/input'
 import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Alert, AlertDescription } from '@/components/ui/alert'
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
-import { Search, Eye, Edit } from 'lucide-react'
+import { Search, Eye, Edit, FileSpreadsheet, LockOpen } from 'lucide-react'
 import { studentsAPI } from '../lib/api'
+import { isLockedOut } from '../lib/utils'
+import { useAuth } from '../contexts/AuthContext'
 import { Loader2 } from 'lucide-react'
+import BulkImportDialog from './BulkImportDialog'
 
-function StudentsView() {
+function StudentsView({ userRole }) {
   const [students, setStudents] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchQuery, setSearchQuery] = useState('')
+  const [showBulkImport, setShowBulkImport] = useState(false)
+  const [unlockingId, setUnlockingId] = useState(null)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const { hasPermission } = useAuth()
 
   useEffect(() => {
     fetchStudents()
@@ -31,13 +41,47 @@ function StudentsView() {
     }
   }
 
+  const handleUnlock = async (student) => {
+    try {
+      setUnlockingId(student.id)
+      setError('')
+      setSuccess('')
+      const response = await studentsAPI.unlock(student.id)
+      setStudents(current => current.map(item => (item.id === student.id ? { ...item, ...response.data.student } : item)))
+      setSuccess(response.data.message)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to unlock student')
+    } finally {
+      setUnlockingId(null)
+    }
+  }
+
   return (
     <div className="space-y-6">
-      <div>
-        <h1 className="text-3xl font-bold">Manage Students</h1>
-        <p className="text-muted-foreground">View and manage registered students</p>
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Manage Students</h1>
+          <p className="text-muted-foreground">View and manage registered students</p>
+        </div>
+        {userRole === 'librarian' && (
+          <Button variant="outline" onClick={() => setShowBulkImport(true)}>
+            <FileSpreadsheet className="h-4 w-4 mr-2" />
+            Import / Export
+          </Button>
+        )}
       </div>
 
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {success && (
+        <Alert>
+          <AlertDescription>{success}</AlertDescription>
+        </Alert>
+      )}
+
       {/* Search */}
       <Card>
         <CardContent className="pt-6">
@@ -77,7 +121,10 @@ function StudentsView() {
                 {students.map((student) => (
                   <TableRow key={student.id}>
                     <TableCell>{student.student_id}</TableCell>
-                    <TableCell>{student.name}</TableCell>
+                    <TableCell>
+                      {student.name}
+                      {isLockedOut(student) && <Badge variant="destructive" className="ml-2">Locked</Badge>}
+                    </TableCell>
                     <TableCell>{student.email}</TableCell>
                     <TableCell>{student.course?.code || 'N/A'}</TableCell>
                     <TableCell>{student.semester}</TableCell>
@@ -92,6 +139,19 @@ function StudentsView() {
                           <Edit className="h-3 w-3 mr-1" />
                           Edit
                         </Button>
+                        {isLockedOut(student) && hasPermission('students:manage') && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleUnlock(student)}
+                            disabled={unlockingId === student.id}
+                          >
+                            {unlockingId === student.id
+                              ? <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                              : <LockOpen className="h-3 w-3 mr-1" />}
+                            Unlock
+                          </Button>
+                        )}
                       </div>
                     </TableCell>
                   </TableRow>
@@ -101,6 +161,13 @@ function StudentsView() {
           </CardContent>
         </Card>
       )}
+
+      <BulkImportDialog
+        entity="students"
+        open={showBulkImport}
+        onClose={() => setShowBulkImport(false)}
+        onComplete={fetchStudents}
+      />
     </div>
   )
 }
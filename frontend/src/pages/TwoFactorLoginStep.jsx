@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authAPI } from '../lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Loader2 } from 'lucide-react'
+import AuthenticatorSetup from '../components/AuthenticatorSetup'
+import BackupCodesList from '../components/BackupCodesList'
+
+// Second sign-in step for librarians. When the library requires two-factor
+// authentication and the librarian has not set it up, it is set up here.
+function TwoFactorLoginStep({ challengeToken, setupRequired, onCancel }) {
+  const { verifyTwoFactor } = useAuth()
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [completed, setCompleted] = useState(null)
+
+  useEffect(() => {
+    if (!setupRequired) return
+
+    const beginSetup = async () => {
+      try {
+        const response = await authAPI.setupTwoFactorLogin(challengeToken)
+        setSetup(response.data)
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to start two-factor setup')
+      }
+    }
+
+    beginSetup()
+  }, [challengeToken, setupRequired])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+
+    const result = await verifyTwoFactor(challengeToken, code)
+
+    if (result.success && result.backupCodes) {
+      setCompleted(result)
+    } else if (!result.success) {
+      setError(result.error)
+      setCode('')
+    }
+
+    setLoading(false)
+  }
+
+  if (completed) {
+    return (
+      <div className="space-y-4">
+        <div className="text-sm bg-muted p-3 rounded-md">
+          Two-factor authentication is on.
+        </div>
+        <BackupCodesList codes={completed.backupCodes} />
+        <Button className="w-full" onClick={completed.finish}>
+          Continue to Dashboard
+        </Button>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {setupRequired && (
+        <div className="text-sm bg-muted p-3 rounded-md">
+          Your library requires two-factor authentication for staff. Set it up to finish signing in.
+        </div>
+      )}
+
+      {error && (
+        <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {setupRequired && (setup ? (
+        <AuthenticatorSetup setup={setup} />
+      ) : !error && (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ))}
+
+      <div className="space-y-2">
+        <Label htmlFor="code">{setupRequired ? 'Code from your app' : 'Authentication code'}</Label>
+        <Input
+          id="code"
+          placeholder={setupRequired ? '6-digit code' : '6-digit code or backup code'}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          autoComplete="one-time-code"
+          autoFocus
+          required
+        />
+      </div>
+
+      <Button type="submit" className="w-full" disabled={loading || (setupRequired && !setup)}>
+        {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+        Verify
+      </Button>
+
+      <div className="text-center text-sm">
+        <Button type="button" variant="link" className="p-0 h-auto" onClick={onCancel}>
+          Back to Sign In
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+export default TwoFactorLoginStep
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../lib/api'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Moon, Sun, Library, Loader2, CheckCircle } from 'lucide-react'
+
+// Opened from the link in a verification email sent after registering
+function VerifyEmailPage({ darkMode, toggleDarkMode }) {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed')
+  const [message, setMessage] = useState(token ? '' : 'This link is invalid or has expired')
+  const [email, setEmail] = useState('')
+  const [resending, setResending] = useState(false)
+  const [resent, setResent] = useState('')
+  // Tokens work once, so the request must not be repeated when effects re-run
+  const requested = useRef(false)
+
+  useEffect(() => {
+    if (!token || requested.current) return
+    requested.current = true
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token)
+        setStatus('verified')
+        setMessage(response.data.message)
+      } catch (error) {
+        setStatus('failed')
+        setMessage(error.response?.data?.message || 'Failed to verify email')
+      }
+    }
+
+    verify()
+  }, [token])
+
+  const handleResend = async (e) => {
+    e.preventDefault()
+    setResending(true)
+    try {
+      const response = await authAPI.resendVerification(email)
+      setResent(response.data.message)
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to send verification email')
+    } finally {
+      setResending(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background p-4">
+      <div className="absolute top-4 right-4">
+        <Button variant="ghost" size="icon" onClick={toggleDarkMode}>
+          {darkMode ? <Sun className="h-5 w-5" /> : <Moon className="h-5 w-5" />}
+        </Button>
+      </div>
+
+      <Card className="w-full max-w-md">
+        <CardHeader className="text-center">
+          <div className="flex items-center justify-center gap-2 mb-4">
+            <Library className="h-8 w-8 text-primary" />
+            <span className="text-2xl font-bold">LBManage</span>
+          </div>
+          <CardTitle>Email Verification</CardTitle>
+          <CardDescription>Confirm the address on your student account</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {status === 'verifying' && (
+            <div className="flex justify-center py-4">
+              <Loader2 className="h-8 w-8 animate-spin" />
+            </div>
+          )}
+
+          {status === 'verified' && (
+            <>
+              <div className="flex items-center gap-2 text-sm bg-muted p-3 rounded-md">
+                <CheckCircle className="h-4 w-4 text-green-600" />
+                {message}
+              </div>
+              <Button className="w-full" onClick={() => navigate('/login')}>
+                Go to Sign In
+              </Button>
+            </>
+          )}
+
+          {status === 'failed' && (
+            resent ? (
+              <div className="text-sm bg-muted p-3 rounded-md">
+                {resent}
+              </div>
+            ) : (
+              <form onSubmit={handleResend} className="space-y-4">
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {message}
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="email">Send a new link to</Label>
+                  <Input
+                    id="email"
+                    type="email"
+                    placeholder="Enter your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                  />
+                </div>
+
+                <Button type="submit" className="w-full" disabled={resending}>
+                  {resending ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                  Resend Verification Email
+                </Button>
+
+                <div className="text-center text-sm">
+                  <Button type="button" variant="link" className="p-0 h-auto" onClick={() => navigate('/login')}>
+                    Back to Sign In
+                  </Button>
+                </div>
+              </form>
+            )
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default VerifyEmailPage